@@ -80,7 +80,11 @@ function scanTrafikkskilt() {
         const signCode = codeMatch[1];
 
         // Look for the nested SVG file: [folder]/[code]/[code].svg
-        const svgPath = path.join(folderPath, signCode, `${signCode}.svg`);
+        // Some Geonorge folders use a lowercase file name (e.g. 904_0H/904_0H/904_0h.svg)
+        let svgPath = path.join(folderPath, signCode, `${signCode}.svg`);
+        if (!fs.existsSync(svgPath)) {
+            svgPath = path.join(folderPath, signCode, `${signCode.toLowerCase()}.svg`);
+        }
 
         if (fs.existsSync(svgPath)) {
             // Create relative path from signs/ directory
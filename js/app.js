@@ -4,15 +4,39 @@
  * @module app
  */
 
-import { initializeMap, setupMapClickHandler, toggleRoadLayer } from './map-manager.js';
+import { initializeMap, setupMapClickHandler, toggleRoadLayer, getMap } from './map-manager.js';
 import { initAddressSearch } from './address-search.js';
 import { initWorkZone, setDistanceMarkersCallback } from './work-zone.js';
 import { updateDistanceMarkers, toggleDistanceMarkers } from './distance-markers.js';
-import { initSignManager } from './sign-manager.js';
+import { initSignManager, clearSignSelection } from './sign-manager.js';
+import { initSignSelection, deleteSelection, hasSelection } from './sign-selection.js';
+import { initSignConstraints } from './sign-constraints.js';
+import { initSignTemplates } from './sign-templates.js';
+import { initWorkArea } from './work-area.js';
+import { initReferenceLayer } from './reference-layer.js';
+import { initSignConflicts } from './sign-conflicts.js';
+import { initSpeedProfile } from './speed-profile.js';
+import { initTrafficBasis } from './traffic-basis.js';
+import { initOffline } from './offline.js';
 import { TextBoxManager } from './textbox-manager.js';
 import { exportMapImage } from './export.js';
-import { saveProject, loadProject, renderProjectList, showSaveProjectDialog, clearCurrentProject } from './project-manager.js';
+import { exportPlanPDF, updatePrintPreview } from './pdf-export.js';
+import { generateSignLayout } from './sign-layout.js';
+import { runPlanValidation } from './plan-validation.js';
+import {
+    saveProject,
+    loadProject,
+    renderProjectList,
+    showSaveProjectDialog,
+    clearCurrentProject,
+    exportProjectFile,
+    importProjectFile,
+    initProjectStorage,
+    recoverAutosave,
+    startAutosave
+} from './project-manager.js';
 import { initDistanceMeasurement } from './distance-measurement.js';
+import { undo, redo } from './history.js';
 
 // Application state
 const appState = {
@@ -58,6 +82,14 @@ async function initializeApplication() {
         // 6. Initialize sign manager
         console.log('6. Initializing sign manager...');
         await initSignManager();
+        initSignSelection();
+        initSignConstraints();
+        await initSignTemplates();
+        initWorkArea();
+        initReferenceLayer();
+        initSignConflicts();
+        initSpeedProfile();
+        initTrafficBasis();
 
         // 7. Initialize text box manager
         console.log('7. Initializing text box manager...');
@@ -73,14 +105,19 @@ async function initializeApplication() {
         console.log('9. Setting up tab system...');
         setupTabSystem();
 
-        // 10. Load project list
+        // 10. Open project storage and load project list
         console.log('10. Loading project list...');
-        renderProjectList();
+        const storageReady = await initProjectStorage();
+        await renderProjectList();
+
+        // 11. Offline support (service worker, downloaded map areas)
+        console.log('11. Initializing offline support...');
+        await initOffline();
 
-        // 11. Setup keyboard shortcuts
+        // 12. Setup keyboard shortcuts
         setupKeyboardShortcuts();
 
-        // 12. Setup error handlers
+        // 13. Setup error handlers
         setupGlobalErrorHandlers();
 
         // Mark as initialized
@@ -91,6 +128,12 @@ async function initializeApplication() {
 
         console.log('✅ AV-Plan initialized successfully!');
 
+        // Offer to restore unsaved work from the previous session, then keep autosaving
+        if (storageReady) {
+            await recoverAutosave();
+            startAutosave();
+        }
+
         // Update status
         updateUIStatus();
 
@@ -108,8 +151,15 @@ function setupEventListeners() {
     // Road selection button
     setupRoadSelectionButton();
 
-    // Export button
+    // Sign layout generator button
+    setupGenerateSignsButton();
+
+    // Plan validation button
+    setupValidatePlanButton();
+
+    // Export buttons
     setupExportButton();
+    setupExportPdfButton();
 
     // Save project button
     setupSaveButton();
@@ -117,6 +167,9 @@ function setupEventListeners() {
     // New project button
     setupNewProjectButton();
 
+    // Project file download/upload
+    setupProjectFileButtons();
+
     // Setting toggles
     setupSettingToggles();
 
@@ -143,6 +196,52 @@ function setupRoadSelectionButton() {
     }
 }
 
+/**
+ * Setup sign layout generator button
+ */
+function setupGenerateSignsButton() {
+    const generateBtn = document.getElementById('generateSignsBtn');
+
+    if (generateBtn) {
+        generateBtn.addEventListener('click', async () => {
+            console.log('Generate signs button clicked');
+
+            generateBtn.disabled = true;
+            try {
+                await generateSignLayout();
+            } catch (error) {
+                console.error('Sign layout error:', error);
+                alert('Kunne ikke generere skilting. Prøv igjen.');
+            } finally {
+                generateBtn.disabled = false;
+            }
+        });
+    }
+}
+
+/**
+ * Setup plan validation button
+ */
+function setupValidatePlanButton() {
+    const validateBtn = document.getElementById('validatePlanBtn');
+
+    if (validateBtn) {
+        validateBtn.addEventListener('click', async () => {
+            console.log('Validate plan button clicked');
+
+            validateBtn.disabled = true;
+            try {
+                await runPlanValidation();
+            } catch (error) {
+                console.error('Plan validation error:', error);
+                alert('Kontroll av planen feilet. Prøv igjen.');
+            } finally {
+                validateBtn.disabled = false;
+            }
+        });
+    }
+}
+
 /**
  * Setup export button
  */
@@ -163,6 +262,93 @@ function setupExportButton() {
     }
 }
 
+/**
+ * Read PDF export options from the sidebar
+ * @returns {Object} { paperSize, orientation, scale, multiPage }
+ */
+function getPdfExportOptions() {
+    const paperSelect = document.getElementById('pdfPaperSize');
+    const orientationSelect = document.getElementById('pdfOrientation');
+    const scaleSelect = document.getElementById('pdfScale');
+    const multiPageToggle = document.getElementById('pdfMultiPage');
+
+    return {
+        paperSize: paperSelect ? paperSelect.value : undefined,
+        orientation: orientationSelect ? orientationSelect.value : undefined,
+        scale: scaleSelect ? scaleSelect.value : undefined,
+        multiPage: multiPageToggle ? multiPageToggle.checked : false
+    };
+}
+
+/**
+ * Setup PDF export button and print extent preview
+ */
+function setupExportPdfButton() {
+    const exportPdfBtn = document.getElementById('exportPdfBtn');
+
+    if (exportPdfBtn) {
+        exportPdfBtn.addEventListener('click', async () => {
+            console.log('PDF export button clicked');
+
+            try {
+                await exportPlanPDF(getPdfExportOptions());
+            } catch (error) {
+                console.error('PDF export error:', error);
+                alert('PDF-eksport feilet. Prøv igjen.');
+            }
+        });
+    }
+
+    // Show the printed extents on the map while a fixed scale or detail sheets are selected
+    ['pdfPaperSize', 'pdfOrientation', 'pdfScale', 'pdfMultiPage'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', () => updatePrintPreview(getPdfExportOptions()));
+        }
+    });
+
+    const map = getMap();
+    if (map) {
+        map.on('moveend', () => updatePrintPreview(getPdfExportOptions()));
+    }
+}
+
+/**
+ * Setup project file (.avplan) download and upload buttons
+ */
+function setupProjectFileButtons() {
+    const exportFileBtn = document.getElementById('exportProjectFileBtn');
+    const importFileBtn = document.getElementById('importProjectFileBtn');
+    const fileInput = document.getElementById('importProjectFileInput');
+
+    if (exportFileBtn) {
+        exportFileBtn.addEventListener('click', () => {
+            console.log('Export project file button clicked');
+            exportProjectFile();
+        });
+    }
+
+    if (importFileBtn && fileInput) {
+        importFileBtn.addEventListener('click', () => {
+            const confirm = window.confirm('Åpne prosjektfil? Ulagrede endringer i gjeldende plan vil gå tapt.');
+            if (confirm) {
+                fileInput.click();
+            }
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            await importProjectFile(file);
+
+            // Allow selecting the same file again
+            fileInput.value = '';
+            updateUIStatus();
+        });
+    }
+}
+
 /**
  * Setup save project button
  */
@@ -293,6 +479,20 @@ function switchTab(tabName) {
     }
 }
 
+/**
+ * Check whether keyboard focus is in a text field
+ * @returns {boolean} True for text inputs, textareas and editable elements
+ */
+function isTextInputFocused() {
+    const element = document.activeElement;
+    if (!element) return false;
+
+    if (element.tagName === 'INPUT') {
+        return !['checkbox', 'radio', 'range', 'button', 'submit', 'file'].includes(element.type);
+    }
+    return element.tagName === 'TEXTAREA' || element.isContentEditable;
+}
+
 /**
  * Setup keyboard shortcuts
  */
@@ -310,6 +510,19 @@ function setupKeyboardShortcuts() {
             exportMapImage();
         }
 
+        // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y: Redo
+        // (text fields keep the browser's own text undo)
+        if ((e.ctrlKey || e.metaKey) && !isTextInputFocused()) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        }
+
         // Ctrl/Cmd + N: New project
         if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
             e.preventDefault();
@@ -318,9 +531,15 @@ function setupKeyboardShortcuts() {
             }
         }
 
-        // Escape: Cancel current mode
+        // Delete/Backspace: Delete selected signs
+        if ((e.key === 'Delete' || e.key === 'Backspace') && hasSelection() && !isTextInputFocused()) {
+            e.preventDefault();
+            deleteSelection();
+        }
+
+        // Escape: Cancel current mode and clear the sign selection
         if (e.key === 'Escape') {
-            // Could add mode cancellation here
+            clearSignSelection();
         }
     });
 
@@ -46,6 +46,130 @@ export const NVDB_API = {
     timeout: 10000
 };
 
+/**
+ * Road selection configuration
+ * extendDistance: metres to follow the vegsystemreferanse in each direction from the clicked point
+ * maxExtendDistance: upper bound for the value entered in the sidebar
+ */
+export const ROAD_SELECTION = {
+    extendDistance: 1000,
+    maxExtendDistance: 10000
+};
+
+/**
+ * Print (PDF) export configuration
+ * dpi: minimum resolution of the background map on paper
+ * maxTileZoom: highest zoom level with native tiles
+ * scales: fixed map scales offered for print (1:N)
+ * symbolScale: millimetres on paper per screen pixel for sign symbols at a fixed scale
+ * detailScale: scale used for detail sheets when no fixed scale is chosen
+ * maxSheets: upper bound for detail sheets in one PDF
+ */
+export const PRINT_CONFIG = {
+    dpi: 150,
+    maxTileZoom: 18,
+    pageMargin: 10,
+    defaultPaperSize: 'a3',
+    defaultOrientation: 'landscape',
+    scales: [500, 1000, 2000],
+    symbolScale: 0.25,
+    detailScale: 1000,
+    maxSheets: 30
+};
+
+/**
+ * Project storage configuration (IndexedDB)
+ * autosaveInterval: how often the working plan is autosaved for crash recovery (ms)
+ * quotaWarningRatio: share of the storage quota that triggers a warning in the console
+ */
+export const STORAGE_CONFIG = {
+    databaseName: 'avplan',
+    databaseVersion: 2,
+    autosaveInterval: 30000,
+    quotaWarningRatio: 0.8
+};
+
+/**
+ * Undo/redo configuration
+ * maxSize: number of editing commands kept on the undo stack
+ */
+export const HISTORY_CONFIG = {
+    maxSize: 200
+};
+
+/**
+ * Sign placement configuration
+ * shoulderOffset: default distance (meters) from the centreline for signs placed on the shoulder
+ * maxShoulderOffset: upper bound for the value entered in the sidebar
+ */
+export const SIGN_PLACEMENT = {
+    shoulderOffset: 4,
+    maxShoulderOffset: 30
+};
+
+/**
+ * Sign size configuration
+ * classes: size classes with the standard sign size (mm) used when the catalogue has none
+ * defaultClass: size class of new signs
+ * iconPixels: icon size (pixels) of a normal sign when signs are not drawn to scale
+ * minPixels: smallest legible icon in true-scale mode; maxPixels caps icons at high zoom
+ */
+export const SIGN_SIZE = {
+    classes: { liten: 600, normal: 800, stor: 1000 },
+    defaultClass: 'normal',
+    iconPixels: 32,
+    minPixels: 16,
+    maxPixels: 400
+};
+
+/**
+ * Sign palette configuration (favourites, recently used and sign templates)
+ * Kept in localStorage, so every user (browser profile) has their own.
+ * maxRecent: number of signs in the "recently used" row
+ */
+export const PALETTE_CONFIG = {
+    favouritesKey: 'avplan.signFavourites',
+    recentKey: 'avplan.recentSigns',
+    templatesKey: 'avplan.signTemplates',
+    maxRecent: 12
+};
+
+/**
+ * Offline configuration (service worker in sw.js, map area downloads in offline.js)
+ * Cache names must match the constants at the top of sw.js.
+ * minZoom: lowest zoom level downloaded for a map area (up to MAP_CONFIG.maxZoom)
+ * maxTiles: largest number of tiles in one downloaded area
+ * downloadConcurrency: tiles fetched at the same time
+ * nvdbMaxEntries: NVDB responses kept for offline use (oldest are removed first)
+ * areaCache: NVDB road network and road objects of downloaded map areas (see nvdb-areas.js)
+ */
+export const OFFLINE_CONFIG = {
+    tileCache: 'avplan-tiles',
+    nvdbCache: 'avplan-nvdb',
+    areasKey: 'avplan.offlineAreas',
+    minZoom: 12,
+    maxTiles: 5000,
+    downloadConcurrency: 6,
+    nvdbMaxEntries: 500,
+    areaCache: 'avplan-nvdb-areas'
+};
+
+/**
+ * Work area configuration (lane-accurate "arbeidsområde" polygons, see work-area.js)
+ * laneWidth: lane width (meters) when NVDB has no carriageway width for the road
+ * shoulderWidth: shoulder width (meters) when NVDB has no paved width for the road
+ * defaultLength: length (meters) of a work area dropped on a road without a work zone
+ * sampleSpacing: distance (meters) between polygon points along the road, so it follows curves
+ * defaultClosure: closure chosen in the sidebar at start
+ */
+export const WORK_AREA_CONFIG = {
+    laneWidth: 3.25,
+    shoulderWidth: 1,
+    defaultLength: 50,
+    sampleSpacing: 5,
+    defaultClosure: 'right-lane'
+};
+
 /**
  * Debug configuration
  * Set to true to enable verbose logging in geometry parsing and transforms
@@ -56,5 +180,14 @@ export default {
     TILE_SERVER_URL,
     MAP_CONFIG,
     NVDB_API,
+    ROAD_SELECTION,
+    PRINT_CONFIG,
+    STORAGE_CONFIG,
+    HISTORY_CONFIG,
+    SIGN_PLACEMENT,
+    SIGN_SIZE,
+    PALETTE_CONFIG,
+    OFFLINE_CONFIG,
+    WORK_AREA_CONFIG,
     DEBUG
 };
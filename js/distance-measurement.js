@@ -5,6 +5,7 @@
  */
 
 import { getMap } from './map-manager.js';
+import { recordCommand } from './history.js';
 
 // State
 const measurementState = {
@@ -198,8 +199,30 @@ function finalizeMeasurement() {
         measurementState.tempLabel = null;
     }
 
+    const points = [...measurementState.currentPoints];
+    addMeasurementLine(points);
+
+    recordCommand({
+        label: 'Måling',
+        undo: () => removeMeasurementLine(points),
+        redo: () => addMeasurementLine(points)
+    });
+
+    // Reset current measurement
+    measurementState.currentPoints = [];
+    measurementState.currentLine = null;
+}
+
+/**
+ * Draw a finished measurement line with its total distance label
+ * @param {Array} points - Array of L.LatLng points (also identifies the line for undo/redo)
+ * @returns {Object} Finalized line { line, label, points }
+ */
+function addMeasurementLine(points) {
+    const map = getMap();
+
     // Create solid green line
-    const finalLine = L.polyline(measurementState.currentPoints, {
+    const finalLine = L.polyline(points, {
         color: '#28a745',
         weight: 3,
         opacity: 0.8
@@ -207,7 +230,7 @@ function finalizeMeasurement() {
     finalLine.addTo(map);
 
     // Calculate total distance
-    const totalDistance = calculateTotalDistance(measurementState.currentPoints);
+    const totalDistance = calculateTotalDistance(points);
 
     // Create label at midpoint of entire line
     const bounds = finalLine.getBounds();
@@ -237,15 +260,29 @@ function finalizeMeasurement() {
     labelMarker.addTo(map);
 
     // Store finalized line
-    measurementState.finalizedLines.push({
+    const item = {
         line: finalLine,
         label: labelMarker,
-        points: [...measurementState.currentPoints]
-    });
+        points: points
+    };
+    measurementState.finalizedLines.push(item);
 
-    // Reset current measurement
-    measurementState.currentPoints = [];
-    measurementState.currentLine = null;
+    return item;
+}
+
+/**
+ * Remove a finished measurement line
+ * @param {Array} points - Points array the line was drawn from
+ */
+function removeMeasurementLine(points) {
+    const map = getMap();
+    const index = measurementState.finalizedLines.findIndex(item => item.points === points);
+    if (!map || index === -1) return;
+
+    const item = measurementState.finalizedLines[index];
+    map.removeLayer(item.line);
+    map.removeLayer(item.label);
+    measurementState.finalizedLines.splice(index, 1);
 }
 
 /**
@@ -377,9 +414,18 @@ export function deactivateMeasurement() {
         map.off('mousemove', measurementState.mouseMoveHandler);
     }
 
-    // Clear all measurements
+    // Clear all measurements (undo brings the finished ones back)
+    const clearedPoints = measurementState.finalizedLines.map(item => item.points);
     clearAllMeasurements();
 
+    if (clearedPoints.length > 0) {
+        recordCommand({
+            label: 'Fjern målinger',
+            undo: () => clearedPoints.forEach(points => addMeasurementLine(points)),
+            redo: () => clearedPoints.forEach(points => removeMeasurementLine(points))
+        });
+    }
+
     console.log('Distance measurement tool deactivated');
 }
 
@@ -291,17 +291,10 @@ function createScaleBar() {
     const center = map.getCenter();
 
     // Calculate meters per pixel
-    const metersPerPixel = 156543.03392 * Math.cos(center.lat * Math.PI / 180) / Math.pow(2, zoom);
+    const metersPerPixel = getMetersPerPixel(center.lat, zoom);
 
     // Target width: 200 pixels
-    const targetPixels = 200;
-    let scaleDistance = metersPerPixel * targetPixels;
-
-    // Round to nice number
-    scaleDistance = roundToNiceNumber(scaleDistance);
-
-    // Adjust pixel width to match rounded distance
-    const actualPixels = scaleDistance / metersPerPixel;
+    const { distance: scaleDistance, length: actualPixels } = calculateScaleBar(metersPerPixel, 200);
 
     // Create scale bar container
     const scaleBar = document.createElement('div');
@@ -341,6 +334,30 @@ function createScaleBar() {
     return scaleBar;
 }
 
+/**
+ * Get ground resolution of Web Mercator tiles
+ * @param {number} lat - Latitude
+ * @param {number} zoom - Zoom level
+ * @returns {number} Meters per pixel
+ */
+export function getMetersPerPixel(lat, zoom) {
+    return 156543.03392 * Math.cos(lat * Math.PI / 180) / Math.pow(2, zoom);
+}
+
+/**
+ * Calculate scale bar length for a drawing unit (screen pixel or paper millimetre)
+ * @param {number} metersPerUnit - Ground meters per drawing unit
+ * @param {number} targetLength - Wanted scale bar length in drawing units
+ * @returns {Object} { distance, length } - Rounded distance in meters and its length in drawing units
+ */
+export function calculateScaleBar(metersPerUnit, targetLength) {
+    // Round to nice number
+    const distance = roundToNiceNumber(metersPerUnit * targetLength);
+
+    // Adjust length to match rounded distance
+    return { distance, length: distance / metersPerUnit };
+}
+
 /**
  * Round value to nice number for scale bar
  * @param {number} value - Value to round
@@ -387,8 +404,9 @@ async function inlineSignSVGs() {
     const problemSVGs = [];
 
     try {
-        // Find all sign marker images - Leaflet creates img elements with class leaflet-marker-icon
-        const signImages = document.querySelectorAll('img.leaflet-marker-icon');
+        // Find all sign marker images - Leaflet creates img elements with class leaflet-marker-icon,
+        // sign assemblies are a div marker with one img per plate
+        const signImages = document.querySelectorAll('img.leaflet-marker-icon, .leaflet-marker-icon.sign-assembly img');
 
         console.log(`🔍 Found ${signImages.length} sign images to inline`);
 
@@ -610,7 +628,7 @@ function downloadCanvas(canvas, filename) {
  * @param {string} message - Loading message
  * @returns {HTMLElement} Loading indicator element
  */
-function showLoadingIndicator(message = 'Laster...') {
+export function showLoadingIndicator(message = 'Laster...') {
     const indicator = document.createElement('div');
     indicator.style.cssText = `
         position: fixed;
@@ -646,12 +664,14 @@ function showLoadingIndicator(message = 'Laster...') {
  * Hide loading indicator
  * @param {HTMLElement} indicator - Loading indicator element
  */
-function hideLoadingIndicator(indicator) {
+export function hideLoadingIndicator(indicator) {
     if (indicator && indicator.parentNode) {
         indicator.parentNode.removeChild(indicator);
     }
 }
 
 export default {
-    exportMapImage
+    exportMapImage,
+    getMetersPerPixel,
+    calculateScaleBar
 };
@@ -0,0 +1,159 @@
+/**
+ * History Module
+ * Application-wide undo/redo stack that every editing module records commands into
+ * @module history
+ */
+
+import { HISTORY_CONFIG } from './config.js';
+
+// History state
+const historyState = {
+    undoStack: [],
+    redoStack: [],
+    isApplying: false // True while a command is undone/redone (nested edits are not recorded)
+};
+
+/**
+ * Record an editing command
+ * The change has already been made; undo/redo must put the plan back in the
+ * state before/after it. Ignored while a command is being undone or redone.
+ * @param {Object} command - { label, undo, redo }
+ * @param {string} command.label - Short Norwegian description (e.g. "Flytt skilt")
+ * @param {Function} command.undo - Reverts the change
+ * @param {Function} command.redo - Re-applies the change
+ */
+export function recordCommand(command) {
+    if (historyState.isApplying) {
+        return;
+    }
+
+    historyState.undoStack.push(command);
+    historyState.redoStack = [];
+
+    // Limit history size
+    if (historyState.undoStack.length > HISTORY_CONFIG.maxSize) {
+        historyState.undoStack.shift();
+    }
+
+    console.log(`History: ${command.label} (${historyState.undoStack.length} actions)`);
+}
+
+/**
+ * Run one side of a command with recording disabled
+ * @param {Object} command - Command to apply
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {boolean} True if the command was applied without errors
+ */
+function applyCommand(command, direction) {
+    historyState.isApplying = true;
+    try {
+        command[direction]();
+        return true;
+    } catch (error) {
+        console.error(`Error during ${direction} of "${command.label}":`, error);
+        return false;
+    } finally {
+        historyState.isApplying = false;
+    }
+}
+
+/**
+ * Show the result of an undo/redo in the status bar
+ * @param {string} text - Status text
+ */
+function showHistoryStatus(text) {
+    const statusText = document.getElementById('statusText');
+    if (statusText) {
+        statusText.textContent = text;
+    }
+}
+
+/**
+ * Undo the last command
+ * @returns {boolean} True if a command was undone
+ */
+export function undo() {
+    const command = historyState.undoStack.pop();
+    if (!command) {
+        console.log('Nothing to undo');
+        return false;
+    }
+
+    console.log('Undoing:', command.label);
+
+    if (!applyCommand(command, 'undo')) {
+        // A failed command cannot be redone reliably - drop it
+        return false;
+    }
+
+    historyState.redoStack.push(command);
+    showHistoryStatus(`Angret: ${command.label}`);
+    return true;
+}
+
+/**
+ * Redo the last undone command
+ * @returns {boolean} True if a command was redone
+ */
+export function redo() {
+    const command = historyState.redoStack.pop();
+    if (!command) {
+        console.log('Nothing to redo');
+        return false;
+    }
+
+    console.log('Redoing:', command.label);
+
+    if (!applyCommand(command, 'redo')) {
+        return false;
+    }
+
+    historyState.undoStack.push(command);
+    showHistoryStatus(`Gjort om: ${command.label}`);
+    return true;
+}
+
+/**
+ * Check whether there is anything to undo
+ * @returns {boolean} True if the undo stack is not empty
+ */
+export function canUndo() {
+    return historyState.undoStack.length > 0;
+}
+
+/**
+ * Check whether there is anything to redo
+ * @returns {boolean} True if the redo stack is not empty
+ */
+export function canRedo() {
+    return historyState.redoStack.length > 0;
+}
+
+/**
+ * Check whether a command is being undone or redone
+ * Modules use this to skip side effects (e.g. NVDB lookups) during undo/redo.
+ * @returns {boolean} True while applying a command
+ */
+export function isApplyingHistory() {
+    return historyState.isApplying;
+}
+
+/**
+ * Clear undo/redo history
+ * Used when starting a new project or loading a saved project
+ */
+export function clearHistory() {
+    historyState.undoStack = [];
+    historyState.redoStack = [];
+    console.log('Undo history cleared');
+}
+
+export default {
+    recordCommand,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    isApplyingHistory,
+    clearHistory
+};
@@ -4,9 +4,12 @@
  * @module map-manager
  */
 
-import { findNearestRoad, getRoadDetails, getSpeedLimit, getADT, formatRoadReference, getRoadInfo, parseWKTToGeoJSON } from './nvdb-api.js';
-import { TILE_SERVER_URL, MAP_CONFIG, DEBUG } from './config.js';
-import { clearTurfLineCache } from './work-zone.js';
+import { findNearestRoad, getRoadDetails, getRoadSegmentsByReference, getRoadWidth, formatRoadReference, getRoadInfo, parseWKTToGeoJSON } from './nvdb-api.js';
+import { TILE_SERVER_URL, MAP_CONFIG, ROAD_SELECTION, DEBUG } from './config.js';
+import { clearTurfLineCache, getDistanceAtRoadMeter } from './work-zone.js';
+
+// Road change handlers (added by reference-layer.js and speed-profile.js)
+const roadChangeCallbacks = [];
 
 // Global map state
 export const mapState = {
@@ -164,11 +167,21 @@ export async function selectRoadAtPoint(lat, lng) {
     details.vegsystemreferanse = roadData.vegsystemreferanse;
     details.kommune = roadData.kommune;
 
-    // Parse the sequence geometry
-    // The API returns veglenker array, each with its own geometri
+    // Follow the same vegsystemreferanse across veglenkesekvens boundaries
+    updateStatus('Henter vegnett langs vegreferansen...');
+    const extendedRoad = await buildExtendedRoad(roadData);
+
     let geojson = null;
 
-    if (details.veglenker && Array.isArray(details.veglenker)) {
+    if (extendedRoad) {
+        geojson = extendedRoad.geojson;
+        details.lengde = extendedRoad.lengde;
+        details.segments = extendedRoad.segments;
+        details.veglenkesekvensIds = extendedRoad.veglenkesekvensIds;
+        if (DEBUG) console.log(`Merged ${extendedRoad.segments.length} segments into ${Math.round(extendedRoad.lengde)}m line`);
+    } else if (details.veglenker && Array.isArray(details.veglenker)) {
+        // Fallback: parse the single sequence geometry
+        // The API returns veglenker array, each with its own geometri
         if (DEBUG) console.log(`Processing ${details.veglenker.length} veglenker`);
 
         // Sort veglenker by startposisjon to ensure correct order
@@ -207,7 +220,7 @@ export async function selectRoadAtPoint(lat, lng) {
         return;
     }
 
-    if (DEBUG) console.log(`Displaying single road sequence: ${details.lengde || 0}m`);
+    if (DEBUG) console.log(`Displaying road: ${details.lengde || 0}m over ${details.veglenkesekvensIds?.length || 1} sequence(s)`);
 
     // Display road and show popup at click location
     displayRoad(details, geojson, lat, lng);
@@ -220,6 +233,7 @@ export async function selectRoadAtPoint(lat, lng) {
 
     // Clear turf line cache (new road selected)
     clearTurfLineCache();
+    notifyRoadChange();
 
     // Update UI with detailed road information
     const reference = formatRoadReference(details.vegsystemreferanse);
@@ -248,6 +262,9 @@ export async function selectRoadAtPoint(lat, lng) {
             detailsHtml += `<strong>Lengde:</strong> ${Math.round(details.lengde)}m<br>`;
         }
         detailsHtml += `<strong>ID:</strong> ${details.veglenkesekvensid}<br>`;
+        if (details.veglenkesekvensIds && details.veglenkesekvensIds.length > 1) {
+            detailsHtml += `<strong>Sekvenser:</strong> ${details.veglenkesekvensIds.length}<br>`;
+        }
         if (roadInfo.trafikantgruppe) {
             const trafikantMap = {
                 'K': 'Kjørende',
@@ -259,9 +276,16 @@ export async function selectRoadAtPoint(lat, lng) {
             detailsHtml += `<strong>Retning:</strong> ${roadInfo.retning}<br>`;
         }
 
-        // Add placeholder for speed limit and ÅDT (will be fetched asynchronously)
+        const lanes = getLaneSummary(details);
+        if (lanes) {
+            detailsHtml += `<strong>Kjørefelt:</strong> ${lanes}<br>`;
+        }
+
+        // Add placeholders for road width, speed limit, ÅDT and road class (will be fetched asynchronously)
+        detailsHtml += `<strong>Vegbredde:</strong> <span id="roadWidth">Henter...</span><br>`;
         detailsHtml += `<strong>Fartsgrense:</strong> <span id="speedLimit">Henter...</span><br>`;
-        detailsHtml += `<strong>ÅDT:</strong> <span id="adt">Henter...</span>`;
+        detailsHtml += `<strong>ÅDT:</strong> <span id="adt">Henter...</span><br>`;
+        detailsHtml += `<strong>Vegklasse (N301):</strong> <span id="trafficClass">Henter...</span>`;
     } else if (details.kommune) {
         detailsHtml = `<strong>Kommune:</strong> ${details.kommune}`;
     }
@@ -274,43 +298,310 @@ export async function selectRoadAtPoint(lat, lng) {
         console.error('✗ roadDetails element not found');
     }
 
-    // Fetch speed limit and ÅDT asynchronously
+    // Fetch road width asynchronously
     fetchAdditionalRoadData(details.veglenkesekvensid);
 
     updateStatus(`Vei valgt: ${reference}`);
 }
 
 /**
- * Fetch additional road data (speed limit, ÅDT) asynchronously
- * @param {string} veglenkesekvensid - Road link sequence ID
+ * Add a callback for road changes
+ * @param {Function} callback - Called with the selected road (or null) after a road is selected, restored or cleared
  */
-async function fetchAdditionalRoadData(veglenkesekvensid) {
-    // Fetch speed limit
-    const speedLimit = await getSpeedLimit(veglenkesekvensid);
-    const speedLimitElement = document.getElementById('speedLimit');
-    if (speedLimitElement) {
-        if (speedLimit) {
-            speedLimitElement.textContent = `${speedLimit} km/h`;
+export function addRoadChangeCallback(callback) {
+    roadChangeCallbacks.push(callback);
+}
+
+/**
+ * Inform other modules that the selected road changed
+ */
+export function notifyRoadChange() {
+    roadChangeCallbacks.forEach(callback => callback(mapState.selectedRoad));
+}
+
+/**
+ * Get how far (in meters) the selection should follow the road in each direction
+ * Reads the sidebar input and falls back to the configured default
+ * @returns {number} Distance in meters
+ */
+function getSelectionExtent() {
+    const input = document.getElementById('roadExtentInput');
+    const value = input ? parseInt(input.value, 10) : NaN;
+
+    if (isNaN(value)) {
+        return ROAD_SELECTION.extendDistance;
+    }
+
+    return Math.min(Math.max(value, 0), ROAD_SELECTION.maxExtendDistance);
+}
+
+/**
+ * Load the road along the clicked vegsystemreferanse and merge it into one line
+ * @param {Object} roadData - Result from findNearestRoad
+ * @returns {Promise<Object|null>} Merged road ({ geojson, lengde, segments, veglenkesekvensIds }) or null
+ */
+async function buildExtendedRoad(roadData) {
+    const meter = roadData.vegsystemreferanse?.strekning?.meter;
+    const extent = getSelectionExtent();
+
+    // Extent 0 means "only the clicked sequence"
+    if (meter === undefined || meter === null || extent === 0) {
+        return null;
+    }
+
+    const segments = await getRoadSegmentsByReference(roadData.vegsystemreferanse, meter - extent, meter + extent);
+
+    if (!segments || segments.length === 0) {
+        if (DEBUG) console.log('No segments found along vegsystemreferanse - using single sequence');
+        return null;
+    }
+
+    const lines = [];
+    const usedSegments = [];
+    const segmentParts = [];
+
+    removeOverlappingSegments(segments, roadData.veglenkesekvensid).forEach(segment => {
+        if (!segment.geometri || !segment.geometri.wkt) {
+            return;
+        }
+
+        const geom = parseWKTToGeoJSON(segment.geometri.wkt, segment.geometri.srid || 5973);
+        if (!geom) {
+            return;
+        }
+
+        let parts;
+        if (geom.type === 'LineString') {
+            parts = [geom.coordinates];
+        } else if (geom.type === 'MultiLineString') {
+            parts = geom.coordinates;
         } else {
-            speedLimitElement.textContent = 'Ikke tilgjengelig';
-            speedLimitElement.style.fontStyle = 'italic';
-            speedLimitElement.style.color = '#999';
+            return;
+        }
+
+        // Geometry follows the veglenkesekvens - flip it when that runs against the metering direction
+        if (segment.vegsystemreferanse?.strekning?.retning === 'MOT') {
+            parts = parts.map(part => [...part].reverse()).reverse();
         }
+
+        // Parts of the segment in lines (metering direction), placed on the merged line below
+        segmentParts.push([lines.length, lines.length + parts.length - 1]);
+        lines.push(...parts);
+
+        usedSegments.push({
+            veglenkesekvensid: segment.veglenkesekvensid,
+            startposisjon: segment.startposisjon,
+            sluttposisjon: segment.sluttposisjon,
+            fraMeter: segment.vegsystemreferanse?.strekning?.fra_meter,
+            tilMeter: segment.vegsystemreferanse?.strekning?.til_meter,
+            retning: segment.vegsystemreferanse?.strekning?.retning,
+            feltoversikt: segment.feltoversikt || []
+        });
+    });
+
+    const { coordinates, partEnds } = mergeLineCoordinates(lines);
+
+    if (coordinates.length < 2) {
+        return null;
     }
 
-    // Fetch ÅDT
-    const adt = await getADT(veglenkesekvensid);
-    const adtElement = document.getElementById('adt');
-    if (adtElement) {
-        if (adt) {
-            // Format with thousands separator
-            adtElement.textContent = adt.toLocaleString('no-NO');
-        } else {
-            adtElement.textContent = 'Ikke tilgjengelig';
-            adtElement.style.fontStyle = 'italic';
-            adtElement.style.color = '#999';
+    placeSegmentsOnLine(usedSegments, segmentParts, partEnds, coordinates);
+
+    return {
+        geojson: {
+            type: 'LineString',
+            coordinates: coordinates
+        },
+        lengde: turf.length(turf.lineString(coordinates), { units: 'meters' }),
+        segments: usedSegments,
+        veglenkesekvensIds: [...new Set(usedSegments.map(s => s.veglenkesekvensid))]
+    };
+}
+
+/**
+ * Set lineStart/lineEnd of each segment: where its meter interval starts and ends on the merged line
+ * The ends are read at the merged coordinates of the segment's first and last part, so they stay
+ * on the line where merging reversed the first part, dropped joint points or bridged gaps, also
+ * on roads that pass close to themselves (hairpins, loops).
+ * lineStart is larger than lineEnd when the segment runs against the line.
+ * @param {Array<Object>} segments - Used segments (updated in place)
+ * @param {Array<Array<number>>} segmentParts - [first, last] index in lines of each segment's parts
+ * @param {Array<Array<number>|null>} partEnds - Merged coordinate index of each part's first and last point
+ * @param {Array<Array<number>>} coordinates - Merged line coordinates
+ */
+function placeSegmentsOnLine(segments, segmentParts, partEnds, coordinates) {
+    // Distance along the merged line at each coordinate
+    const distances = [0];
+    for (let i = 1; i < coordinates.length; i++) {
+        distances.push(distances[i - 1] +
+            turf.distance(turf.point(coordinates[i - 1]), turf.point(coordinates[i]), { units: 'meters' }));
+    }
+
+    segments.forEach((segment, index) => {
+        const [firstPart, lastPart] = segmentParts[index];
+        segment.lineStart = distances[partEnds[firstPart][0]];
+        segment.lineEnd = distances[partEnds[lastPart][1]];
+    });
+}
+
+/**
+ * Drop segments that overlap an already kept meter interval
+ * Divided roads return one segment per carriageway for the same meters - keep one of them,
+ * preferring the sequence the user clicked on
+ * @param {Array} segments - Segments sorted by fra_meter
+ * @param {number} preferredSequenceId - Clicked veglenkesekvensid
+ * @returns {Array} Non-overlapping segments in meter order
+ */
+function removeOverlappingSegments(segments, preferredSequenceId) {
+    const kept = [];
+
+    segments.forEach(segment => {
+        const fraMeter = segment.vegsystemreferanse?.strekning?.fra_meter ?? 0;
+        const previous = kept[kept.length - 1];
+        const previousTilMeter = previous ? (previous.vegsystemreferanse?.strekning?.til_meter ?? 0) : -Infinity;
+
+        // Allow 1m tolerance for rounding in the meter values
+        if (fraMeter >= previousTilMeter - 1) {
+            kept.push(segment);
+        } else if (segment.veglenkesekvensid === preferredSequenceId && previous.veglenkesekvensid !== preferredSequenceId) {
+            kept[kept.length - 1] = segment;
+        }
+    });
+
+    return kept;
+}
+
+/**
+ * Merge line coordinate arrays into one continuous line
+ * Each part is reversed if needed so its start joins the end of the previous part
+ * @param {Array} lines - Array of coordinate arrays ([lng, lat])
+ * @returns {Object} { coordinates, partEnds } - merged coordinate array, and for each line the
+ *          merged index of its own first and last coordinate (null for an empty line)
+ */
+function mergeLineCoordinates(lines) {
+    const distance = (a, b) => turf.distance(turf.point(a), turf.point(b), { units: 'meters' });
+    let merged = [];
+    let firstPartOriented = false;
+    let firstLine = null;
+    const partEnds = lines.map(() => null);
+
+    lines.forEach((coords, lineIndex) => {
+        if (!coords || coords.length === 0) {
+            return;
+        }
+
+        if (merged.length === 0) {
+            merged = [...coords];
+            firstLine = lineIndex;
+            partEnds[lineIndex] = [0, coords.length - 1];
+            return;
+        }
+
+        let part = [...coords];
+
+        // The first part's orientation is only known once we see its neighbour
+        if (!firstPartOriented) {
+            firstPartOriented = true;
+            const first = merged[0];
+            const last = merged[merged.length - 1];
+            const bestForFirst = Math.min(distance(first, part[0]), distance(first, part[part.length - 1]));
+            const bestForLast = Math.min(distance(last, part[0]), distance(last, part[part.length - 1]));
+            if (bestForFirst < bestForLast) {
+                merged.reverse();
+                partEnds[firstLine] = [merged.length - 1, 0];
+            }
+        }
+
+        const end = merged[merged.length - 1];
+        const reversed = distance(end, part[part.length - 1]) < distance(end, part[0]);
+        if (reversed) {
+            part.reverse();
+        }
+
+        const gap = distance(end, part[0]);
+        if (gap > 50) {
+            console.warn(`Gap of ${Math.round(gap)}m between merged road segments`);
         }
+
+        // Skip duplicated joint point; the part then starts at the last merged point
+        let start = merged.length;
+        if (gap < 0.01) {
+            part = part.slice(1);
+            start--;
+        }
+
+        const last = start + coords.length - 1;
+        partEnds[lineIndex] = reversed ? [last, start] : [start, last];
+
+        merged.push(...part);
+    });
+
+    return { coordinates: merged, partEnds: partEnds };
+}
+
+/**
+ * Describe the lane configuration (NVDB feltoversikt) of a road for the sidebar
+ * Each distinct configuration along the road is listed once, e.g. "1, 2 / 1, 2, 3".
+ * @param {Object} road - Selected road (segments or veglenker carry feltoversikt)
+ * @returns {string|null} Lane summary, or null if NVDB has no lane data
+ */
+export function getLaneSummary(road) {
+    const parts = Array.isArray(road?.segments) && road.segments.length > 0 ? road.segments : (road?.veglenker || []);
+    const configurations = [...new Set(parts
+        .filter(part => Array.isArray(part.feltoversikt) && part.feltoversikt.length > 0)
+        .map(part => part.feltoversikt.join(', ')))];
+
+    return configurations.length > 0 ? configurations.join(' / ') : null;
+}
+
+/**
+ * Format a road width from getRoadWidth for the sidebar
+ * @param {Object|null} width - { carriageway, paved } in meters
+ * @returns {string|null} Formatted width, or null if unknown
+ */
+export function formatRoadWidth(width) {
+    if (!width) {
+        return null;
     }
+
+    const format = value => `${value.toLocaleString('no-NO', { maximumFractionDigits: 1 })} m`;
+    const parts = [];
+    if (width.carriageway) parts.push(`${format(width.carriageway)} kjørebane`);
+    if (width.paved) parts.push(`${format(width.paved)} dekke`);
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Show the road width in the sidebar
+ * @param {Object|null} width - { carriageway, paved } in meters
+ */
+export function showRoadWidth(width) {
+    const roadWidthElement = document.getElementById('roadWidth');
+    if (!roadWidthElement) return;
+
+    const text = formatRoadWidth(width);
+    if (text) {
+        roadWidthElement.textContent = text;
+    } else {
+        roadWidthElement.textContent = 'Ikke tilgjengelig';
+        roadWidthElement.style.fontStyle = 'italic';
+        roadWidthElement.style.color = '#999';
+    }
+}
+
+/**
+ * Fetch additional road data (road width) asynchronously
+ * @param {string} veglenkesekvensid - Road link sequence ID
+ */
+async function fetchAdditionalRoadData(veglenkesekvensid) {
+    // Fetch road width (used for lane-accurate work areas)
+    const roadWidth = await getRoadWidth(veglenkesekvensid);
+    if (mapState.selectedRoad && mapState.selectedRoad.veglenkesekvensid === veglenkesekvensid) {
+        mapState.selectedRoad.roadWidth = roadWidth;
+    }
+    showRoadWidth(roadWidth);
+
+    // Speed limit, ÅDT and road class are shown by speed-profile.js and traffic-basis.js
 }
 
 /**
@@ -415,13 +706,11 @@ function addDistanceLabelsToRoad(roadData, geojson) {
         const lineLength = turf.length(roadLine, { units: 'meters' });
         if (DEBUG) console.log(`Line geometry length: ${Math.round(lineLength)}m`);
 
-        // Place labels every 25m
-        for (let distance = 0; distance <= totalLength; distance += 25) {
-            // Skip if distance exceeds line length
-            if (distance > lineLength) {
-                break;
-            }
+        // Place labels every 25m - as road-reference meters (m-values) when the
+        // selection knows its meter intervals, otherwise relative to the line start
+        const labelPositions = getDistanceLabelPositions(roadData, totalLength, lineLength);
 
+        labelPositions.forEach(({ distance, text }) => {
             // Get point at this distance along the line
             const point = turf.along(roadLine, distance / 1000, { units: 'kilometers' });
 
@@ -441,9 +730,9 @@ function addDistanceLabelsToRoad(roadData, geojson) {
                         color: #0066cc;
                         white-space: nowrap;
                         box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-                    ">${distance}m</div>`,
-                    iconSize: [40, 20],
-                    iconAnchor: [20, 10]
+                    ">${text}</div>`,
+                    iconSize: [56, 20],
+                    iconAnchor: [28, 10]
                 });
 
                 // Add marker with label to map
@@ -456,7 +745,7 @@ function addDistanceLabelsToRoad(roadData, geojson) {
                 }
                 mapState.distanceLabels.push(marker);
             }
-        }
+        });
 
         if (DEBUG) console.log(`Placed ${mapState.distanceLabels ? mapState.distanceLabels.length : 0} distance labels`);
 
@@ -465,6 +754,42 @@ function addDistanceLabelsToRoad(roadData, geojson) {
     }
 }
 
+/**
+ * Compute where the 25m distance labels go and what they say
+ * @param {Object} roadData - Road data (with segments for multi-sequence selections)
+ * @param {number} totalLength - Road length in meters
+ * @param {number} lineLength - Geometric length of the label line in meters
+ * @returns {Array} Array of { distance, text } with distance along the line
+ */
+function getDistanceLabelPositions(roadData, totalLength, lineLength) {
+    const positions = [];
+    const interval = 25;
+
+    const segments = Array.isArray(roadData.segments)
+        ? roadData.segments.filter(s => s.lineStart !== undefined && s.fraMeter !== undefined)
+        : [];
+
+    if (segments.length > 0) {
+        const minMeter = Math.min(...segments.map(s => s.fraMeter));
+        const maxMeter = Math.max(...segments.map(s => s.tilMeter));
+
+        for (let meter = Math.ceil(minMeter / interval) * interval; meter <= maxMeter; meter += interval) {
+            const distance = getDistanceAtRoadMeter(roadData, meter);
+            if (distance !== null && distance <= lineLength) {
+                positions.push({ distance, text: `m${meter}` });
+            }
+        }
+
+        return positions;
+    }
+
+    for (let distance = 0; distance <= totalLength && distance <= lineLength; distance += interval) {
+        positions.push({ distance, text: `${distance}m` });
+    }
+
+    return positions;
+}
+
 /**
  * Show road information popup
  * @param {Object} roadData - Road data
@@ -490,7 +815,8 @@ export function showRoadInfoPopup(roadData, layer, clickLat, clickLng) {
                 ${roadData.kommune ? `<strong>Kommune:</strong> ${roadData.kommune}<br>` : ''}
                 ${roadInfo.trafikantgruppe === 'K' ? '<strong>Type:</strong> Kjørende<br>' : ''}
                 ${roadInfo.trafikantgruppe === 'G' ? '<strong>Type:</strong> Gående og syklende<br>' : ''}
-                ${sequenceLength > 0 ? `<strong>Sekvens lengde:</strong> ${Math.round(sequenceLength)} m<br>` : ''}
+                ${sequenceLength > 0 ? `<strong>Lengde:</strong> ${Math.round(sequenceLength)} m<br>` : ''}
+                ${roadData.veglenkesekvensIds && roadData.veglenkesekvensIds.length > 1 ? `<strong>Sekvenser:</strong> ${roadData.veglenkesekvensIds.length}<br>` : ''}
                 <strong>ID:</strong> ${roadData.veglenkesekvensid}<br>
                 ${roadInfo.retning ? `<strong>Retning:</strong> ${roadInfo.retning}` : ''}
             </div>
@@ -520,6 +846,7 @@ export function clearSelectedRoad() {
 
     // Clear turf line cache
     clearTurfLineCache();
+    notifyRoadChange();
 
     // Update UI
     document.getElementById('roadReference').textContent = 'Ingen vei valgt';
@@ -604,7 +931,12 @@ export default {
     deactivateRoadSelectionMode,
     selectRoadAtPoint,
     displayRoad,
+    getLaneSummary,
+    formatRoadWidth,
+    showRoadWidth,
     clearSelectedRoad,
+    addRoadChangeCallback,
+    notifyRoadChange,
     toggleRoadLayer,
     getMap,
     getSelectedRoad,
@@ -4,7 +4,8 @@
  * @module nvdb-api
  */
 
-import { DEBUG } from './config.js';
+import { DEBUG, OFFLINE_CONFIG } from './config.js';
+import { answerFromStoredAreas } from './nvdb-areas.js';
 
 // Constants
 const NVDB_BASE_URL = 'https://nvdbapiles.atlas.vegvesen.no';
@@ -17,20 +18,87 @@ const REQUEST_TIMEOUT = 10000; // 10 seconds
 const USE_CORS_PROXY = true;
 const CORS_PROXY = 'https://corsproxy.io/?';
 
-// Cache for NVDB data (speed limits, ÅDT)
-const speedLimitCache = new Map(); // veglenkesekvensid → speed limit value
-const adtCache = new Map(); // veglenkesekvensid → ÅDT value
+// Cache for NVDB data (road width, road objects - speed limits and ÅDT are road objects)
+const roadWidthCache = new Map(); // veglenkesekvensid → road width
+const roadObjectCache = new Map(); // "type:ids" → road objects of one type
+const roadReferenceCache = new Map(); // "lat,lon" → resolved road reference
 
 // In-flight request tracking to prevent duplicate requests
 const inFlightRequests = new Map(); // key → Promise
 
+/**
+ * Read a stored NVDB response for offline use
+ * @param {string} url - Request URL
+ * @returns {Promise<Object|null>} Response data, or null if the request was never stored
+ */
+async function readCachedResponse(url) {
+    if (!url || !('caches' in window)) {
+        return null;
+    }
+
+    try {
+        const cache = await caches.open(OFFLINE_CONFIG.nvdbCache);
+        const response = await cache.match(url);
+        return response ? await response.json() : null;
+    } catch (error) {
+        console.warn('NVDB API: Could not read cached response', error);
+        return null;
+    }
+}
+
+/**
+ * Store an NVDB response so the same request works offline
+ * The oldest responses are removed above OFFLINE_CONFIG.nvdbMaxEntries.
+ * @param {string} url - Request URL
+ * @param {Object} data - Response data
+ */
+async function storeCachedResponse(url, data) {
+    if (!('caches' in window)) {
+        return;
+    }
+
+    try {
+        const cache = await caches.open(OFFLINE_CONFIG.nvdbCache);
+        await cache.put(url, new Response(JSON.stringify(data), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+
+        // Keys are returned in insertion order
+        const keys = await cache.keys();
+        const excess = keys.length - OFFLINE_CONFIG.nvdbMaxEntries;
+        if (excess > 0) {
+            await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+        }
+    } catch (error) {
+        console.warn('NVDB API: Could not cache response', error);
+    }
+}
+
+/**
+ * Read a response for offline use
+ * A stored response for the same request is preferred; otherwise the request is answered from
+ * the NVDB data of downloaded map areas, so new roads can be selected inside those areas.
+ * @param {string} url - Request URL
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object|null>} Response data, or null if neither has it
+ */
+async function readOfflineResponse(url, endpoint, params) {
+    return await readCachedResponse(url) || await answerFromStoredAreas(endpoint, params);
+}
+
 /**
  * Make authenticated request to NVDB API
+ * Successful responses are stored for offline use. Without a connection (or when the
+ * request fails on the network) a stored response for the same request is returned, or an
+ * answer from the NVDB data of downloaded map areas.
  * @param {string} endpoint - API endpoint path
  * @param {Object} params - Query parameters
  * @returns {Promise<Object|null>} Response data or null on error
  */
 async function makeRequest(endpoint, params = {}) {
+    let finalUrl = null;
+
     try {
         // Build URL with query parameters
         const url = new URL(`${NVDB_BASE_URL}${endpoint}`);
@@ -41,10 +109,19 @@ async function makeRequest(endpoint, params = {}) {
         });
 
         // Add CORS proxy if enabled (required for browser-based apps)
-        const finalUrl = USE_CORS_PROXY
+        finalUrl = USE_CORS_PROXY
             ? `${CORS_PROXY}${encodeURIComponent(url.toString())}`
             : url.toString();
 
+        // Offline: don't wait for the timeout
+        if (!navigator.onLine) {
+            const cached = await readOfflineResponse(finalUrl, endpoint, params);
+            if (cached) {
+                if (DEBUG) console.log(`✓ Offline, using cached response: ${url.pathname}`);
+                return cached;
+            }
+        }
+
         if (DEBUG) console.log(`Making request to: ${USE_CORS_PROXY ? 'CORS Proxy → ' : ''}${url.toString()}`);
 
         // Setup timeout
@@ -72,9 +149,17 @@ async function makeRequest(endpoint, params = {}) {
 
         const data = await response.json();
         if (DEBUG) console.log(`✓ API request successful: ${url.pathname}`);
+        storeCachedResponse(finalUrl, data);
         return data;
 
     } catch (error) {
+        // Poor coverage: fall back to the response from an earlier visit or a downloaded area
+        const cached = await readOfflineResponse(finalUrl, endpoint, params);
+        if (cached) {
+            console.warn(`NVDB API: ${error.name === 'AbortError' ? 'Timeout' : 'Network error'}, using cached response`);
+            return cached;
+        }
+
         if (error.name === 'AbortError') {
             console.error('NVDB API: Request timeout');
         } else if (error.name === 'TypeError') {
@@ -131,6 +216,96 @@ export async function findNearestRoad(lat, lon, maxDistance = 50) {
     return roadData;
 }
 
+/**
+ * Resolve a point to its official road reference with meter value (e.g., "EV39 S5D1 m1234")
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} preferredReference - Optional vegsystemreferanse of the selected road;
+ *   at junctions the candidate on the same road and delstrekning is preferred
+ * @returns {Promise<Object|null>} { kortform, meter, vegsystemreferanse, veglenkesekvensid } or null
+ */
+export async function getRoadReferenceAtPoint(lat, lon, preferredReference = null) {
+    const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
+
+    if (roadReferenceCache.has(key)) {
+        return roadReferenceCache.get(key);
+    }
+
+    const requestKey = `roadref_${key}`;
+    if (inFlightRequests.has(requestKey)) {
+        return inFlightRequests.get(requestKey);
+    }
+
+    const requestPromise = (async () => {
+        try {
+            const data = await makeRequest('/vegnett/api/v4/posisjon', {
+                lat: lat,
+                lon: lon,
+                maks_avstand: 30,
+                maks_antall: 5
+            });
+
+            if (!data || !Array.isArray(data) || data.length === 0) {
+                return null;
+            }
+
+            // Prefer the candidate on the selected road, otherwise the closest one
+            const sameRoad = preferredReference
+                ? data.find(p => isSameDelstrekning(p.vegsystemreferanse, preferredReference))
+                : null;
+            const posisjon = sameRoad || data[0];
+            const vegsystemreferanse = posisjon.vegsystemreferanse;
+
+            const result = {
+                kortform: formatRoadReference(vegsystemreferanse, true),
+                meter: vegsystemreferanse?.strekning?.meter ?? null,
+                vegsystemreferanse: vegsystemreferanse,
+                veglenkesekvensid: posisjon.veglenkesekvens?.veglenkesekvensid
+            };
+
+            roadReferenceCache.set(key, result);
+            return result;
+        } finally {
+            inFlightRequests.delete(requestKey);
+        }
+    })();
+
+    inFlightRequests.set(requestKey, requestPromise);
+
+    return requestPromise;
+}
+
+/**
+ * Check whether two road references are on the same road and delstrekning
+ * @param {Object} a - Vegsystemreferanse
+ * @param {Object} b - Vegsystemreferanse
+ * @returns {boolean} True if same vegkategori, nummer, strekning and delstrekning
+ */
+function isSameDelstrekning(a, b) {
+    if (!a || !b) return false;
+
+    return a.vegsystem?.vegkategori === b.vegsystem?.vegkategori &&
+        a.vegsystem?.nummer === b.vegsystem?.nummer &&
+        a.strekning?.strekning === b.strekning?.strekning &&
+        a.strekning?.delstrekning === b.strekning?.delstrekning;
+}
+
+/**
+ * Format a road reference with a given meter value
+ * @param {Object} vegsystemreferanse - Road system reference object from NVDB
+ * @param {number} meter - Meter value on the delstrekning
+ * @returns {string} Reference with meter (e.g., "EV39 S5D1 m1234")
+ */
+export function formatChainage(vegsystemreferanse, meter) {
+    const reference = formatRoadReference(vegsystemreferanse, false);
+
+    if (meter === null || meter === undefined || isNaN(meter)) {
+        return reference;
+    }
+
+    return `${reference} m${Math.round(meter)}`;
+}
+
 /**
  * Get detailed road information by ID (single sequence only)
  * @param {string} veglenkesekvensid - Road link sequence ID
@@ -161,57 +336,324 @@ export async function getRoadDetails(veglenkesekvensid) {
 }
 
 /**
- * Get speed limit for a road segment (with caching and de-duplication)
+ * Build a vegsystemreferanse filter string for the NVDB API
+ * @param {Object} vegsystemreferanse - Road system reference object from NVDB
+ * @param {number} fromMeter - Optional start meter on the delstrekning
+ * @param {number} toMeter - Optional end meter on the delstrekning
+ * @returns {string|null} Filter string (e.g., "FV5S1D1m100-2100") or null if incomplete
+ */
+export function buildReferenceFilter(vegsystemreferanse, fromMeter = null, toMeter = null) {
+    const vegsystem = vegsystemreferanse?.vegsystem;
+    const strekning = vegsystemreferanse?.strekning;
+
+    if (!vegsystem?.vegkategori || !vegsystem?.nummer || !strekning?.strekning || !strekning?.delstrekning) {
+        return null;
+    }
+
+    let filter = `${vegsystem.vegkategori}${vegsystem.fase || 'V'}${vegsystem.nummer}S${strekning.strekning}D${strekning.delstrekning}`;
+
+    if (fromMeter !== null && toMeter !== null) {
+        filter += `m${Math.max(0, Math.round(fromMeter))}-${Math.round(toMeter)}`;
+    }
+
+    return filter;
+}
+
+/**
+ * Get segmented road network along a vegsystemreferanse (may span several veglenkesekvenser)
+ * @param {Object} vegsystemreferanse - Road system reference object from NVDB
+ * @param {number} fromMeter - Start meter on the delstrekning
+ * @param {number} toMeter - End meter on the delstrekning
+ * @returns {Promise<Array|null>} Segments sorted by fra_meter, or null on error
+ * @example
+ * const segments = await getRoadSegmentsByReference(road.vegsystemreferanse, 0, 2000);
+ */
+export async function getRoadSegmentsByReference(vegsystemreferanse, fromMeter, toMeter) {
+    const filter = buildReferenceFilter(vegsystemreferanse, fromMeter, toMeter);
+
+    if (!filter) {
+        if (DEBUG) console.log('getRoadSegmentsByReference: incomplete vegsystemreferanse');
+        return null;
+    }
+
+    if (DEBUG) console.log(`Fetching segmented road network for ${filter}`);
+
+    const segments = [];
+    let start = undefined;
+
+    // Follow pagination until the API returns an empty page (max 10 pages as a safeguard)
+    for (let page = 0; page < 10; page++) {
+        const data = await makeRequest('/vegnett/api/v4/veglenkesekvenser/segmentert', {
+            vegsystemreferanse: filter,
+            antall: 1000,
+            start: start
+        });
+
+        if (!data || !Array.isArray(data.objekter)) {
+            return segments.length > 0 ? sortSegments(segments) : null;
+        }
+
+        segments.push(...data.objekter);
+
+        const next = data.metadata?.neste?.start;
+        if (!next || data.objekter.length === 0 || next === start) {
+            break;
+        }
+        start = next;
+    }
+
+    // Only keep segments for the same traffic group as the clicked road (K = kjørende)
+    const trafikantgruppe = vegsystemreferanse.strekning?.trafikantgruppe;
+    const filtered = trafikantgruppe
+        ? segments.filter(s => !s.vegsystemreferanse?.strekning?.trafikantgruppe ||
+            s.vegsystemreferanse.strekning.trafikantgruppe === trafikantgruppe)
+        : segments;
+
+    if (DEBUG) console.log(`Found ${filtered.length} segments for ${filter}`);
+
+    return sortSegments(filtered);
+}
+
+/**
+ * Sort road segments by start meter on the delstrekning
+ * @param {Array} segments - Segments from the segmentert endpoint
+ * @returns {Array} Sorted segments
+ */
+function sortSegments(segments) {
+    return [...segments].sort((a, b) =>
+        (a.vegsystemreferanse?.strekning?.fra_meter ?? 0) - (b.vegsystemreferanse?.strekning?.fra_meter ?? 0)
+    );
+}
+
+/**
+ * Get all speed limits on a set of road link sequences, each with the interval it applies to
+ * A speed limit object can cover several sequences; it gives one entry per stedfesting on the
+ * requested sequences. Positions are relative (0-1) along the veglenkesekvens.
+ * @param {Array<string|number>} veglenkesekvensIds - Road link sequence IDs
+ * @returns {Promise<Array>} [{ objectId, value, veglenkesekvensid, startposisjon, sluttposisjon, retning }]
+ *          sorted by sequence and position (empty if none or on error)
+ * @example
+ * const limits = await getSpeedLimits(road.veglenkesekvensIds);
+ * // [{ value: 50, veglenkesekvensid: 41423, startposisjon: 0, sluttposisjon: 0.42, ... }, ...]
+ */
+export async function getSpeedLimits(veglenkesekvensIds) {
+    const ids = new Set((veglenkesekvensIds || []).filter(Boolean).map(String));
+
+    // Object type 105 = Fartsgrense (Speed limit)
+    const objects = await getRoadObjects(105, [...ids]);
+    const limits = [];
+
+    objects.forEach(speedLimitObj => {
+        // Find the "Fartsgrense" property (property type 2021)
+        const speedProp = speedLimitObj.egenskaper?.find(prop => prop.id === 2021);
+        const value = speedProp ? parseInt(speedProp.verdi) : NaN;
+        if (isNaN(value)) return;
+
+        (speedLimitObj.lokasjon?.stedfestinger || []).forEach(stedfesting => {
+            if (!ids.has(String(stedfesting.veglenkesekvensid)) ||
+                stedfesting.startposisjon === undefined || stedfesting.sluttposisjon === undefined) {
+                return;
+            }
+
+            limits.push({
+                objectId: speedLimitObj.id,
+                value: value,
+                veglenkesekvensid: stedfesting.veglenkesekvensid,
+                startposisjon: stedfesting.startposisjon,
+                sluttposisjon: stedfesting.sluttposisjon,
+                retning: stedfesting.retning || null
+            });
+        });
+    });
+
+    limits.sort((a, b) => String(a.veglenkesekvensid).localeCompare(String(b.veglenkesekvensid)) ||
+        a.startposisjon - b.startposisjon);
+
+    if (DEBUG) console.log(`Found ${limits.length} speed limit intervals`);
+    return limits;
+}
+
+/**
+ * Get the speed limit of a road link sequence
+ * Where the limit changes along the sequence, the limit covering the longest part is returned.
+ * Use getSpeedLimits (or speed-profile.js) for the limit at a given point.
  * @param {string} veglenkesekvensid - Road link sequence ID
  * @returns {Promise<number|null>} Speed limit in km/h or null
  */
 export async function getSpeedLimit(veglenkesekvensid) {
     if (!veglenkesekvensid) return null;
 
+    const limits = await getSpeedLimits([veglenkesekvensid]);
+    if (limits.length === 0) {
+        if (DEBUG) console.log('No speed limit found for this road segment');
+        return null;
+    }
+
+    // Sum the covered share of the sequence per value
+    const coverage = new Map();
+    limits.forEach(limit => {
+        const length = Math.abs(limit.sluttposisjon - limit.startposisjon);
+        coverage.set(limit.value, (coverage.get(limit.value) || 0) + length);
+    });
+
+    const [speedLimit] = [...coverage.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    if (DEBUG) console.log(`Speed limit found: ${speedLimit} km/h`);
+    return speedLimit;
+}
+
+/**
+ * Read a number property of a traffic volume object by property name
+ * @param {Object} trafficObj - Trafikkmengde object with egenskaper
+ * @param {string} name - Start of the property name, lower case (e.g. 'år, gjelder for')
+ * @returns {number|null} Value or null
+ */
+function findTrafficProperty(trafficObj, name) {
+    const prop = trafficObj.egenskaper?.find(p => p.navn && p.navn.toLowerCase().startsWith(name));
+    const value = prop ? parseFloat(prop.verdi) : NaN;
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Get all traffic volumes (ÅDT) on a set of road link sequences, each with the interval it applies to
+ * Besides ÅDT, each entry has the year the count applies to, the share of long (heavy) vehicles
+ * and the road reference of the counted stretch. One entry per stedfesting on the requested
+ * sequences; positions are relative (0-1) along the veglenkesekvens.
+ * @param {Array<string|number>} veglenkesekvensIds - Road link sequence IDs
+ * @returns {Promise<Array>} [{ objectId, adt, year, heavyShare, reference, veglenkesekvensid, startposisjon, sluttposisjon }]
+ *          (empty if none or on error)
+ * @example
+ * const traffic = await getTrafficData(road.veglenkesekvensIds);
+ * // [{ adt: 4300, year: 2023, heavyShare: 12, reference: 'FV5 S1D1 m0-2300', ... }]
+ */
+export async function getTrafficData(veglenkesekvensIds) {
+    const ids = new Set((veglenkesekvensIds || []).filter(Boolean).map(String));
+
+    // Object type 540 = Trafikkmengde (Traffic volume / ÅDT)
+    const objects = await getRoadObjects(540, [...ids]);
+    const traffic = [];
+
+    objects.forEach(adtObj => {
+        // Find the "ÅDT, total" property (property type 4623)
+        const adtProp = adtObj.egenskaper?.find(prop => prop.id === 4623);
+        const adt = adtProp ? parseInt(adtProp.verdi) : NaN;
+        if (isNaN(adt)) return;
+
+        const entry = {
+            objectId: adtObj.id,
+            adt: adt,
+            year: findTrafficProperty(adtObj, 'år, gjelder for'),
+            heavyShare: findTrafficProperty(adtObj, 'ådt, andel lange') ?? findTrafficProperty(adtObj, 'andel lange'),
+            reference: adtObj.lokasjon?.vegsystemreferanser?.[0]?.kortform || null
+        };
+
+        (adtObj.lokasjon?.stedfestinger || []).forEach(stedfesting => {
+            if (!ids.has(String(stedfesting.veglenkesekvensid)) ||
+                stedfesting.startposisjon === undefined || stedfesting.sluttposisjon === undefined) {
+                return;
+            }
+
+            traffic.push({
+                ...entry,
+                veglenkesekvensid: stedfesting.veglenkesekvensid,
+                startposisjon: stedfesting.startposisjon,
+                sluttposisjon: stedfesting.sluttposisjon
+            });
+        });
+    });
+
+    if (DEBUG) console.log(`Found ${traffic.length} traffic volume intervals`);
+    return traffic;
+}
+
+/**
+ * Get ÅDT (Annual Average Daily Traffic) of a road link sequence
+ * Where the traffic volume changes along the sequence, the one covering the longest part is returned.
+ * Use getTrafficData (or traffic-basis.js) for the year, heavy-vehicle share and interval.
+ * @param {string} veglenkesekvensid - Road link sequence ID
+ * @returns {Promise<number|null>} ÅDT value or null
+ */
+export async function getADT(veglenkesekvensid) {
+    if (!veglenkesekvensid) return null;
+
+    const traffic = await getTrafficData([veglenkesekvensid]);
+    if (traffic.length === 0) {
+        if (DEBUG) console.log('No ÅDT data found for this road segment');
+        return null;
+    }
+
+    const longest = traffic.reduce((best, entry) =>
+        (entry.sluttposisjon - entry.startposisjon > best.sluttposisjon - best.startposisjon ? entry : best));
+
+    if (DEBUG) console.log(`ÅDT found: ${longest.adt}`);
+    return longest.adt;
+}
+
+/**
+ * Read a width property (meters) from a road width object by property name
+ * Matched on the name because the property IDs differ between catalogue versions.
+ * @param {Object} widthObj - Vegbredde object with egenskaper
+ * @param {string} name - Part of the property name, lower case (e.g. 'kjørebane')
+ * @returns {number|null} Width in meters or null
+ */
+function findWidthProperty(widthObj, name) {
+    const prop = widthObj.egenskaper?.find(p => p.navn && p.navn.toLowerCase().includes(name));
+    const value = prop ? parseFloat(prop.verdi) : NaN;
+    return isNaN(value) || value <= 0 ? null : value;
+}
+
+/**
+ * Get road width for a road segment (with caching and de-duplication)
+ * @param {string} veglenkesekvensid - Road link sequence ID
+ * @returns {Promise<Object|null>} { carriageway, paved } in meters (either may be null), or null
+ */
+export async function getRoadWidth(veglenkesekvensid) {
+    if (!veglenkesekvensid) return null;
+
     // Check cache first
-    if (speedLimitCache.has(veglenkesekvensid)) {
-        if (DEBUG) console.log(`Speed limit cache hit for ${veglenkesekvensid}`);
-        return speedLimitCache.get(veglenkesekvensid);
+    if (roadWidthCache.has(veglenkesekvensid)) {
+        if (DEBUG) console.log(`Road width cache hit for ${veglenkesekvensid}`);
+        return roadWidthCache.get(veglenkesekvensid);
     }
 
     // Check if request is already in-flight
-    const requestKey = `speedlimit_${veglenkesekvensid}`;
+    const requestKey = `roadwidth_${veglenkesekvensid}`;
     if (inFlightRequests.has(requestKey)) {
-        if (DEBUG) console.log(`Reusing in-flight speed limit request for ${veglenkesekvensid}`);
+        if (DEBUG) console.log(`Reusing in-flight road width request for ${veglenkesekvensid}`);
         return inFlightRequests.get(requestKey);
     }
 
-    if (DEBUG) console.log(`Fetching speed limit for veglenkesekvens: ${veglenkesekvensid}`);
+    if (DEBUG) console.log(`Fetching road width for veglenkesekvens: ${veglenkesekvensid}`);
 
     // Create new request
     const requestPromise = (async () => {
         try {
-            // Object type 105 = Fartsgrense (Speed limit)
-            const data = await makeRequest(`/vegobjekter/api/v4/vegobjekter/105`, {
+            // Object type 583 = Vegbredde (Road width)
+            const data = await makeRequest(`/vegobjekter/api/v4/vegobjekter/583`, {
                 veglenkesekvens: veglenkesekvensid,
                 inkluder: 'egenskaper'
             });
 
             if (!data || !data.objekter || data.objekter.length === 0) {
-                if (DEBUG) console.log('No speed limit found for this road segment');
-                speedLimitCache.set(veglenkesekvensid, null); // Cache null result
+                if (DEBUG) console.log('No road width found for this road segment');
+                roadWidthCache.set(veglenkesekvensid, null); // Cache null result
                 return null;
             }
 
-            // Get the first speed limit object
-            const speedLimitObj = data.objekter[0];
-
-            // Find the "Fartsgrense" property (property type 2021)
-            const speedProp = speedLimitObj.egenskaper?.find(prop => prop.id === 2021);
+            // Use the first object that has a carriageway (kjørebane) or paved (dekke) width
+            for (const widthObj of data.objekter) {
+                const width = {
+                    carriageway: findWidthProperty(widthObj, 'kjørebane'),
+                    paved: findWidthProperty(widthObj, 'dekke')
+                };
 
-            if (speedProp && speedProp.verdi) {
-                const speedLimit = parseInt(speedProp.verdi);
-                if (DEBUG) console.log(`Speed limit found: ${speedLimit} km/h`);
-                speedLimitCache.set(veglenkesekvensid, speedLimit);
-                return speedLimit;
+                if (width.carriageway || width.paved) {
+                    if (DEBUG) console.log(`Road width found: ${width.carriageway}m carriageway, ${width.paved}m paved`);
+                    roadWidthCache.set(veglenkesekvensid, width);
+                    return width;
+                }
             }
 
-            speedLimitCache.set(veglenkesekvensid, null);
+            roadWidthCache.set(veglenkesekvensid, null);
             return null;
         } finally {
             // Remove from in-flight tracking
@@ -226,58 +668,66 @@ export async function getSpeedLimit(veglenkesekvensid) {
 }
 
 /**
- * Get ÅDT (Annual Average Daily Traffic) for a road segment (with caching and de-duplication)
- * @param {string} veglenkesekvensid - Road link sequence ID
- * @returns {Promise<number|null>} ÅDT value or null
+ * Get all road objects of one type on a set of road link sequences (with caching and de-duplication)
+ * Objects include properties (egenskaper), geometry, location (lokasjon) and relations (relasjoner).
+ * @param {number} typeId - NVDB object type (e.g. 95 Skiltpunkt, 5 Rekkverk)
+ * @param {Array<string|number>} veglenkesekvensIds - Road link sequence IDs
+ * @returns {Promise<Array>} Road objects (empty if none or on error)
+ * @example
+ * const signPoints = await getRoadObjects(95, road.veglenkesekvensIds);
  */
-export async function getADT(veglenkesekvensid) {
-    if (!veglenkesekvensid) return null;
+export async function getRoadObjects(typeId, veglenkesekvensIds) {
+    const ids = (veglenkesekvensIds || []).filter(Boolean);
+    if (!typeId || ids.length === 0) return [];
 
     // Check cache first
-    if (adtCache.has(veglenkesekvensid)) {
-        if (DEBUG) console.log(`ÅDT cache hit for ${veglenkesekvensid}`);
-        return adtCache.get(veglenkesekvensid);
+    const cacheKey = `${typeId}:${ids.join(',')}`;
+    if (roadObjectCache.has(cacheKey)) {
+        if (DEBUG) console.log(`Road object cache hit for type ${typeId}`);
+        return roadObjectCache.get(cacheKey);
     }
 
     // Check if request is already in-flight
-    const requestKey = `adt_${veglenkesekvensid}`;
+    const requestKey = `roadobjects_${cacheKey}`;
     if (inFlightRequests.has(requestKey)) {
-        if (DEBUG) console.log(`Reusing in-flight ÅDT request for ${veglenkesekvensid}`);
+        if (DEBUG) console.log(`Reusing in-flight road object request for type ${typeId}`);
         return inFlightRequests.get(requestKey);
     }
 
-    if (DEBUG) console.log(`Fetching ÅDT for veglenkesekvens: ${veglenkesekvensid}`);
+    if (DEBUG) console.log(`Fetching road objects of type ${typeId} for ${ids.length} sequence(s)`);
 
     // Create new request
     const requestPromise = (async () => {
         try {
-            // Object type 540 = Trafikkmengde (Traffic volume / ÅDT)
-            const data = await makeRequest(`/vegobjekter/api/v4/vegobjekter/540`, {
-                veglenkesekvens: veglenkesekvensid,
-                inkluder: 'egenskaper'
-            });
-
-            if (!data || !data.objekter || data.objekter.length === 0) {
-                if (DEBUG) console.log('No ÅDT data found for this road segment');
-                adtCache.set(veglenkesekvensid, null); // Cache null result
-                return null;
-            }
+            const objects = [];
+            let start = undefined;
+
+            // Follow pagination until the API returns no next page, so long object lists are complete
+            while (true) {
+                const data = await makeRequest(`/vegobjekter/api/v4/vegobjekter/${typeId}`, {
+                    veglenkesekvens: ids.join(','),
+                    inkluder: 'egenskaper,geometri,lokasjon,relasjoner',
+                    antall: 1000,
+                    start: start
+                });
 
-            // Get the first traffic volume object
-            const adtObj = data.objekter[0];
+                if (!data || !Array.isArray(data.objekter)) {
+                    // Not cached, so a failed request can be tried again
+                    return objects;
+                }
 
-            // Find the "ÅDT, total" property (property type 4623)
-            const adtProp = adtObj.egenskaper?.find(prop => prop.id === 4623);
+                objects.push(...data.objekter);
 
-            if (adtProp && adtProp.verdi) {
-                const adt = parseInt(adtProp.verdi);
-                if (DEBUG) console.log(`ÅDT found: ${adt}`);
-                adtCache.set(veglenkesekvensid, adt);
-                return adt;
+                const next = data.metadata?.neste?.start;
+                if (!next || data.objekter.length === 0 || next === start) {
+                    break;
+                }
+                start = next;
             }
 
-            adtCache.set(veglenkesekvensid, null);
-            return null;
+            if (DEBUG) console.log(`Found ${objects.length} objects of type ${typeId}`);
+            roadObjectCache.set(cacheKey, objects);
+            return objects;
         } finally {
             // Remove from in-flight tracking
             inFlightRequests.delete(requestKey);
@@ -290,6 +740,107 @@ export async function getADT(veglenkesekvensid) {
     return requestPromise;
 }
 
+/**
+ * Fetch all pages of an NVDB list endpoint
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} params - Query parameters (without start)
+ * @returns {Promise<Array|null>} All objects, or null if a page failed
+ */
+async function fetchAllPages(endpoint, params) {
+    const objects = [];
+    let start = undefined;
+
+    // Follow pagination until the API returns no next page, so large areas are stored complete
+    while (true) {
+        const data = await makeRequest(endpoint, { ...params, start: start });
+
+        if (!data || !Array.isArray(data.objekter)) {
+            return null;
+        }
+
+        objects.push(...data.objekter);
+
+        const next = data.metadata?.neste?.start;
+        if (!next || data.objekter.length === 0 || next === start) {
+            break;
+        }
+        start = next;
+    }
+
+    return objects;
+}
+
+/**
+ * Fetch the NVDB data of a map area for offline use
+ * Gets the segmented road network and all road objects of the given types inside the area,
+ * in the same form as the API returns them (geometry in SRID 5973). The stored data answers
+ * road lookups in the area without a connection (see nvdb-areas.js).
+ * @param {Array<Array<number>>} bounds - [[south, west], [north, east]]
+ * @param {Array<number>} typeIds - NVDB object types (e.g. 105 Fartsgrense, 540 Trafikkmengde)
+ * @param {Function} onProgress - Optional callback (done, total) after each request
+ * @returns {Promise<Object|null>} { segments, objects: { typeId: [...] }, failedTypes }, or null if
+ *          the road network could not be fetched
+ * @example
+ * const data = await fetchAreaData(area.bounds, [105, 540, 583]);
+ */
+export async function fetchAreaData(bounds, typeIds, onProgress = null) {
+    const proj4Lib = getProjection();
+    if (!proj4Lib) {
+        console.error('proj4 library not loaded, cannot fetch NVDB area data');
+        return null;
+    }
+
+    // Map area (kartutsnitt) in SRID 5973: project all corners, the box is rotated in UTM
+    const [[south, west], [north, east]] = bounds;
+    const corners = [[west, south], [west, north], [east, south], [east, north]]
+        .map(corner => proj4Lib('EPSG:4326', 'EPSG:5973', corner));
+    const kartutsnitt = [
+        Math.min(...corners.map(c => c[0])),
+        Math.min(...corners.map(c => c[1])),
+        Math.max(...corners.map(c => c[0])),
+        Math.max(...corners.map(c => c[1]))
+    ].map(value => Math.round(value)).join(',');
+
+    const total = typeIds.length + 1;
+    let done = 0;
+    const progress = () => {
+        done++;
+        if (onProgress) onProgress(done, total);
+    };
+
+    const segments = await fetchAllPages('/vegnett/api/v4/veglenkesekvenser/segmentert', {
+        kartutsnitt: kartutsnitt,
+        antall: 1000
+    });
+    progress();
+
+    if (!segments) {
+        console.error('NVDB API: Could not fetch road network for area');
+        return null;
+    }
+
+    const objects = {};
+    const failedTypes = [];
+
+    for (const typeId of typeIds) {
+        const typeObjects = await fetchAllPages(`/vegobjekter/api/v4/vegobjekter/${typeId}`, {
+            kartutsnitt: kartutsnitt,
+            inkluder: 'egenskaper,geometri,lokasjon,relasjoner',
+            antall: 1000
+        });
+        progress();
+
+        if (typeObjects) {
+            objects[typeId] = typeObjects;
+        } else {
+            failedTypes.push(typeId);
+        }
+    }
+
+    if (DEBUG) console.log(`Fetched area data: ${segments.length} segments, ${Object.keys(objects).length} object types`);
+    return { segments, objects, failedTypes };
+}
+
 /**
  * Get full category name in Norwegian
  * @param {string} code - Category code (E, R, F, K, P, S)
@@ -406,14 +957,28 @@ export function getRoadInfo(vegsystemreferanse) {
     };
 }
 
+/**
+ * Get proj4 with SRID 5973 (ETRS89 / UTM zone 33N) defined
+ * @returns {Function|null} proj4, or null if the library is not loaded
+ */
+function getProjection() {
+    // Check for proj4 in global scope (window)
+    const proj4Lib = window.proj4 || self.proj4;
+
+    if (proj4Lib && !proj4Lib.defs('EPSG:5973')) {
+        proj4Lib.defs('EPSG:5973', '+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs');
+    }
+
+    return proj4Lib || null;
+}
+
 /**
  * Transform coordinates from SRID 5973 (UTM 33N) to WGS84 (EPSG:4326)
  * @param {Array} coordinates - Coordinate array [x, y] in SRID 5973
  * @returns {Array} Transformed coordinates [lon, lat] in WGS84
  */
 function transformCoordinates(coordinates) {
-    // Check for proj4 in global scope (window)
-    const proj4Lib = window.proj4 || self.proj4;
+    const proj4Lib = getProjection();
 
     if (!proj4Lib) {
         console.error('proj4 library not loaded, returning coordinates as-is');
@@ -422,11 +987,6 @@ function transformCoordinates(coordinates) {
     }
 
     try {
-        // Define SRID 5973 (ETRS89 / UTM zone 33N) if not already defined
-        if (!proj4Lib.defs('EPSG:5973')) {
-            proj4Lib.defs('EPSG:5973', '+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs');
-        }
-
         // Transform from SRID 5973 to WGS84
         const transformed = proj4Lib('EPSG:5973', 'EPSG:4326', coordinates);
         if (DEBUG) console.log(`Transformed ${coordinates} -> ${transformed}`);
@@ -539,8 +1099,17 @@ export function parseWKTToGeoJSON(wkt, srid = 5973) {
 export default {
     findNearestRoad,
     getRoadDetails,
+    getRoadReferenceAtPoint,
+    formatChainage,
+    buildReferenceFilter,
+    getRoadSegmentsByReference,
     getSpeedLimit,
+    getSpeedLimits,
     getADT,
+    getTrafficData,
+    getRoadWidth,
+    getRoadObjects,
+    fetchAreaData,
     formatRoadReference,
     getRoadInfo,
     parseWKTToGeoJSON
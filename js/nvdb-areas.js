@@ -0,0 +1,352 @@
+/**
+ * NVDB Areas Module
+ * Stores the NVDB data of downloaded map areas (road network and road objects) and answers
+ * NVDB requests from it without a connection. Answers have the same form as the API, so road
+ * selection, speed limits, ÅDT, road width, the reference layer and the conflict report work
+ * in a downloaded area also for roads that were never opened online.
+ * @module nvdb-areas
+ */
+
+import { OFFLINE_CONFIG } from './config.js';
+import { parseWKTToGeoJSON } from './nvdb-api.js';
+
+// Cache key prefix of the stored areas (resolved against the page URL)
+const AREA_KEY_PREFIX = 'nvdb-area/';
+
+// Stored area state
+const areaState = {
+    index: null,    // Merged data of all stored areas (see buildIndex)
+    loading: null   // Promise while the stored areas are read
+};
+
+/**
+ * Store the NVDB data of a downloaded map area
+ * @param {string} areaId - Area ID
+ * @param {Array<Array<number>>} bounds - [[south, west], [north, east]]
+ * @param {Object} data - { segments, objects } from fetchAreaData
+ * @returns {Promise<boolean>} True if the data was stored
+ */
+export async function storeAreaData(areaId, bounds, data) {
+    if (!('caches' in window)) {
+        return false;
+    }
+
+    try {
+        const cache = await caches.open(OFFLINE_CONFIG.areaCache);
+        await cache.put(AREA_KEY_PREFIX + areaId, new Response(JSON.stringify({
+            bounds: bounds,
+            segments: data.segments,
+            objects: data.objects
+        }), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+
+        areaState.index = null;
+        return true;
+    } catch (error) {
+        console.warn('Could not store NVDB area data:', error);
+        return false;
+    }
+}
+
+/**
+ * Delete the NVDB data of a downloaded map area
+ * @param {string} areaId - Area ID
+ */
+export async function removeAreaData(areaId) {
+    if (!('caches' in window)) {
+        return;
+    }
+
+    try {
+        const cache = await caches.open(OFFLINE_CONFIG.areaCache);
+        await cache.delete(AREA_KEY_PREFIX + areaId);
+        areaState.index = null;
+    } catch (error) {
+        console.warn('Could not delete NVDB area data:', error);
+    }
+}
+
+/**
+ * Merge the stored areas into one index
+ * Segments and objects that are part of several areas are kept once.
+ * @param {Array<Object>} areas - Stored areas ({ bounds, segments, objects })
+ * @returns {Object} { bounds, segments, objects: Map(typeId → Map(id → object)) }
+ */
+function buildIndex(areas) {
+    const segments = new Map();
+    const objects = new Map();
+
+    areas.forEach(area => {
+        (area.segments || []).forEach(segment => {
+            segments.set(`${segment.veglenkesekvensid}:${segment.startposisjon}-${segment.sluttposisjon}`, segment);
+        });
+
+        Object.entries(area.objects || {}).forEach(([typeId, typeObjects]) => {
+            if (!objects.has(typeId)) {
+                objects.set(typeId, new Map());
+            }
+            typeObjects.forEach(obj => objects.get(typeId).set(obj.id, obj));
+        });
+    });
+
+    return {
+        bounds: areas.map(area => area.bounds),
+        segments: [...segments.values()],
+        objects: objects
+    };
+}
+
+/**
+ * Read the stored areas (cached in memory until an area is stored or deleted)
+ * @returns {Promise<Object|null>} Index, or null if no area is stored
+ */
+async function loadIndex() {
+    if (areaState.index) {
+        return areaState.index;
+    }
+
+    if (areaState.loading) {
+        return areaState.loading;
+    }
+
+    if (!('caches' in window)) {
+        return null;
+    }
+
+    areaState.loading = (async () => {
+        try {
+            const cache = await caches.open(OFFLINE_CONFIG.areaCache);
+            const keys = await cache.keys();
+            if (keys.length === 0) {
+                return null;
+            }
+
+            const areas = await Promise.all(keys.map(async key => (await cache.match(key)).json()));
+            areaState.index = buildIndex(areas);
+            return areaState.index;
+        } catch (error) {
+            console.warn('Could not read NVDB area data:', error);
+            return null;
+        } finally {
+            areaState.loading = null;
+        }
+    })();
+
+    return areaState.loading;
+}
+
+/**
+ * Check whether a point lies inside one of the stored areas
+ * @param {Object} index - Stored area index
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True if inside
+ */
+function isInsideArea(index, lat, lon) {
+    return index.bounds.some(([[south, west], [north, east]]) =>
+        lat >= south && lat <= north && lon >= west && lon <= east);
+}
+
+/**
+ * Get the line of a stored segment in WGS84 (parsed once)
+ * @param {Object} segment - Segment from the segmentert endpoint
+ * @returns {Object|null} Turf LineString feature
+ */
+function getSegmentLine(segment) {
+    if (segment.line === undefined) {
+        const geom = segment.geometri?.wkt
+            ? parseWKTToGeoJSON(segment.geometri.wkt, segment.geometri.srid || 5973)
+            : null;
+        const coordinates = geom?.type === 'MultiLineString' ? geom.coordinates.flat() : geom?.coordinates;
+
+        // Not enumerable, so it stays out of the answers
+        Object.defineProperty(segment, 'line', {
+            value: geom && coordinates.length > 1 ? turf.lineString(coordinates) : null
+        });
+    }
+
+    return segment.line;
+}
+
+/**
+ * Answer a posisjon request: the road positions nearest to a point
+ * @param {Object} index - Stored area index
+ * @param {Object} params - { lat, lon, maks_avstand, maks_antall }
+ * @returns {Array<Object>|null} Positions like the posisjon endpoint, or null outside the stored areas
+ */
+function findPositions(index, params) {
+    const lat = Number(params.lat);
+    const lon = Number(params.lon);
+    if (!isInsideArea(index, lat, lon)) {
+        return null;
+    }
+
+    const maxDistance = Number(params.maks_avstand) || 50;
+    const point = turf.point([lon, lat]);
+    const positions = [];
+
+    index.segments.forEach(segment => {
+        const reference = segment.vegsystemreferanse;
+        const line = reference ? getSegmentLine(segment) : null;
+        if (!line) return;
+
+        const nearest = turf.nearestPointOnLine(line, point, { units: 'meters' });
+        if (nearest.properties.dist > maxDistance) return;
+
+        // The geometry follows the veglenkesekvens; metering may run against it (retning MOT)
+        const length = turf.length(line, { units: 'meters' });
+        const fraction = length > 0 ? nearest.properties.location / length : 0;
+        const relativPosisjon = segment.startposisjon + fraction * (segment.sluttposisjon - segment.startposisjon);
+
+        const strekning = reference.strekning || {};
+        let meter;
+        if (strekning.fra_meter !== undefined && strekning.til_meter !== undefined) {
+            const along = strekning.retning === 'MOT' ? 1 - fraction : fraction;
+            meter = Math.round(strekning.fra_meter + along * (strekning.til_meter - strekning.fra_meter));
+        }
+
+        const kortform = reference.kortform
+            ? reference.kortform.replace(/\s*m\d+(-\d+)?/, '') + (meter !== undefined ? ` m${meter}` : '')
+            : undefined;
+
+        positions.push({
+            veglenkesekvens: {
+                veglenkesekvensid: segment.veglenkesekvensid,
+                relativPosisjon: relativPosisjon
+            },
+            vegsystemreferanse: {
+                ...reference,
+                kortform: kortform,
+                strekning: { ...strekning, meter: meter }
+            },
+            kommune: segment.kommune,
+            avstand: nearest.properties.dist
+        });
+    });
+
+    return positions
+        .sort((a, b) => a.avstand - b.avstand)
+        .slice(0, Number(params.maks_antall) || 1);
+}
+
+/**
+ * Answer a veglenkesekvens request from the stored segments of the sequence
+ * @param {Object} index - Stored area index
+ * @param {string} veglenkesekvensid - Road link sequence ID
+ * @returns {Object|null} { veglenkesekvensid, lengde, veglenker }, or null if not stored
+ */
+function getSequence(index, veglenkesekvensid) {
+    const segments = index.segments.filter(s => String(s.veglenkesekvensid) === String(veglenkesekvensid));
+    if (segments.length === 0) {
+        return null;
+    }
+
+    return {
+        veglenkesekvensid: segments[0].veglenkesekvensid,
+        lengde: segments.reduce((sum, s) => sum + (s.lengde || 0), 0),
+        veglenker: segments.map(s => ({
+            startposisjon: s.startposisjon,
+            sluttposisjon: s.sluttposisjon,
+            geometri: s.geometri,
+            feltoversikt: s.feltoversikt,
+            lengde: s.lengde
+        }))
+    };
+}
+
+/**
+ * Answer a segmentert request filtered on vegsystemreferanse (as built by buildReferenceFilter)
+ * Segments are returned whole where they overlap the meter interval.
+ * @param {Object} index - Stored area index
+ * @param {string} filter - E.g. "FV5S1D1m100-2100"
+ * @returns {Array<Object>|null} Segments, or null for a filter that cannot be read
+ */
+function findSegmentsByReference(index, filter) {
+    const match = /^([A-Z])([A-Z])(\d+)S(\d+)D(\d+)(?:m(\d+)-(\d+))?$/.exec(filter || '');
+    if (!match) {
+        return null;
+    }
+
+    const [, vegkategori, fase, nummer, strekning, delstrekning, fromMeter, toMeter] = match;
+
+    return index.segments.filter(segment => {
+        const vegsystem = segment.vegsystemreferanse?.vegsystem;
+        const s = segment.vegsystemreferanse?.strekning;
+        if (!vegsystem || !s) return false;
+
+        const sameRoad = vegsystem.vegkategori === vegkategori &&
+            (vegsystem.fase || 'V') === fase &&
+            String(vegsystem.nummer) === nummer &&
+            String(s.strekning) === strekning &&
+            String(s.delstrekning) === delstrekning;
+
+        return sameRoad && (fromMeter === undefined ||
+            (s.til_meter > Number(fromMeter) && s.fra_meter < Number(toMeter)));
+    });
+}
+
+/**
+ * Answer a vegobjekter request for a set of road link sequences
+ * @param {Object} index - Stored area index
+ * @param {string} typeId - NVDB object type
+ * @param {string} sequenceIds - Comma separated road link sequence IDs
+ * @returns {Array<Object>|null} Objects on the sequences, or null if the type was not stored
+ */
+function findRoadObjects(index, typeId, sequenceIds) {
+    const typeObjects = index.objects.get(String(typeId));
+    if (!typeObjects) {
+        return null;
+    }
+
+    const ids = new Set(String(sequenceIds || '').split(',').filter(Boolean));
+
+    return [...typeObjects.values()].filter(obj =>
+        (obj.lokasjon?.stedfestinger || []).some(s => ids.has(String(s.veglenkesekvensid))));
+}
+
+/**
+ * Answer an NVDB request from the stored map areas
+ * Covers the requests the app makes: posisjon, one veglenkesekvens, the segmented road network
+ * along a vegsystemreferanse and road objects on a set of sequences.
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object|Array|null>} Response data like the API, or null if the areas cannot answer
+ */
+export async function answerFromStoredAreas(endpoint, params = {}) {
+    const index = await loadIndex();
+    if (!index) {
+        return null;
+    }
+
+    // One page without "neste", so pagination stops after it
+    const page = objekter => ({ objekter: objekter, metadata: { returnert: objekter.length } });
+
+    if (endpoint === '/vegnett/api/v4/posisjon') {
+        return findPositions(index, params);
+    }
+
+    if (endpoint === '/vegnett/api/v4/veglenkesekvenser/segmentert') {
+        const segments = findSegmentsByReference(index, params.vegsystemreferanse);
+        return segments && segments.length > 0 ? page(segments) : null;
+    }
+
+    const sequence = /^\/vegnett\/api\/v4\/veglenkesekvenser\/(\d+)$/.exec(endpoint);
+    if (sequence) {
+        return getSequence(index, sequence[1]);
+    }
+
+    const objectType = /^\/vegobjekter\/api\/v4\/vegobjekter\/(\d+)$/.exec(endpoint);
+    if (objectType && params.veglenkesekvens) {
+        const objects = findRoadObjects(index, objectType[1], params.veglenkesekvens);
+        return objects ? page(objects) : null;
+    }
+
+    return null;
+}
+
+export default {
+    storeAreaData,
+    removeAreaData,
+    answerFromStoredAreas
+};
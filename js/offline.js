@@ -0,0 +1,391 @@
+/**
+ * Offline Module
+ * Registers the service worker (sw.js) and downloads map areas for planning without coverage.
+ * Tiles of a downloaded area are stored in the tile cache, which the service worker serves
+ * to the map and the PDF export. The NVDB road network and road objects of the area are stored
+ * by nvdb-areas.js, so roads in the area can be selected and planned without a connection.
+ * @module offline
+ */
+
+import { getMap } from './map-manager.js';
+import { fetchAreaData } from './nvdb-api.js';
+import { storeAreaData, removeAreaData } from './nvdb-areas.js';
+import { REFERENCE_TYPES } from './reference-layer.js';
+import { TILE_SERVER_URL, MAP_CONFIG, OFFLINE_CONFIG } from './config.js';
+
+// Tile size of the tile server (pixels)
+const TILE_SIZE = 256;
+
+// NVDB object types stored with an area: speed limit (105), traffic volume (540), road width (583),
+// sign plate (96, conflict report) and the reference layer types (sign points among them)
+const AREA_OBJECT_TYPES = [105, 540, 583, 96, ...REFERENCE_TYPES.map(type => type.id)];
+
+// Offline state
+const offlineState = {
+    areas: [],          // Downloaded areas: { id, name, bounds, minZoom, maxZoom, tileCount, roadSegments, downloaded }
+    isDownloading: false
+};
+
+/**
+ * Register the service worker
+ * @returns {Promise<boolean>} True if the service worker was registered
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.warn('Service worker not supported - offline use not available');
+        return false;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+        console.log(`✓ Service worker registered (scope: ${registration.scope})`);
+        return true;
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return false;
+    }
+}
+
+/**
+ * Build the URL of a map tile
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} z - Zoom level
+ * @returns {string} Tile URL
+ */
+function getTileUrl(x, y, z) {
+    return TILE_SERVER_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
+/**
+ * List the tiles covering an area
+ * @param {Array<Array<number>>} bounds - [[south, west], [north, east]]
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {Array<string>} Tile URLs
+ */
+function getAreaTileUrls(bounds, minZoom, maxZoom) {
+    const crs = L.CRS.EPSG3857;
+    const urls = [];
+
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const northWest = crs.latLngToPoint(L.latLng(bounds[1][0], bounds[0][1]), z).divideBy(TILE_SIZE).floor();
+        const southEast = crs.latLngToPoint(L.latLng(bounds[0][0], bounds[1][1]), z).divideBy(TILE_SIZE).floor();
+
+        for (let x = northWest.x; x <= southEast.x; x++) {
+            for (let y = northWest.y; y <= southEast.y; y++) {
+                urls.push(getTileUrl(x, y, z));
+            }
+        }
+    }
+
+    return urls;
+}
+
+/**
+ * Read the list of downloaded areas
+ * @returns {Array<Object>} Areas (empty if missing or unreadable)
+ */
+function loadAreas() {
+    try {
+        const areas = JSON.parse(localStorage.getItem(OFFLINE_CONFIG.areasKey));
+        return Array.isArray(areas) ? areas : [];
+    } catch (error) {
+        console.warn('Could not read offline areas:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the list of downloaded areas
+ */
+function saveAreas() {
+    try {
+        localStorage.setItem(OFFLINE_CONFIG.areasKey, JSON.stringify(offlineState.areas));
+    } catch (error) {
+        console.warn('Could not save offline areas:', error);
+    }
+}
+
+/**
+ * Show download progress or a message in the offline section
+ * @param {string} text - Message
+ */
+function setOfflineStatus(text) {
+    const status = document.getElementById('offlineStatus');
+    if (status) {
+        status.textContent = text;
+    }
+}
+
+/**
+ * Download the map tiles and NVDB data of the visible map area for offline use
+ * All zoom levels from OFFLINE_CONFIG.minZoom to MAP_CONFIG.maxZoom are stored, so the map
+ * and the PDF export work in the area without a connection. Tiles already stored are skipped.
+ * The road network and the road objects the app uses (AREA_OBJECT_TYPES) are stored for the
+ * same bounds, so roads in the area can be selected, checked and exported without a connection.
+ * @param {string} name - Name of the area
+ * @returns {Promise<Object|null>} Downloaded area, or null if nothing was downloaded
+ */
+export async function downloadMapArea(name) {
+    const map = getMap();
+    if (!map || offlineState.isDownloading) {
+        return null;
+    }
+
+    if (!('caches' in window)) {
+        alert('Nettleseren støtter ikke lagring av kart for frakoblet bruk');
+        return null;
+    }
+
+    const visible = map.getBounds();
+    const bounds = [
+        [visible.getSouth(), visible.getWest()],
+        [visible.getNorth(), visible.getEast()]
+    ];
+    const minZoom = Math.min(OFFLINE_CONFIG.minZoom, MAP_CONFIG.maxZoom);
+    const maxZoom = MAP_CONFIG.maxZoom;
+    const urls = getAreaTileUrls(bounds, minZoom, maxZoom);
+
+    if (urls.length > OFFLINE_CONFIG.maxTiles) {
+        alert(`Kartutsnittet er for stort (${urls.length} kartfliser, maks ${OFFLINE_CONFIG.maxTiles}). Zoom inn og prøv igjen.`);
+        return null;
+    }
+
+    // Ask the browser not to clear the downloads when space runs low
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => false);
+    }
+
+    offlineState.isDownloading = true;
+    const button = document.getElementById('downloadAreaBtn');
+    if (button) button.disabled = true;
+
+    const areaId = `omrade-${Date.now()}`;
+    let done = 0;
+    let failed = 0;
+    let roadData = null;
+
+    try {
+        const cache = await caches.open(OFFLINE_CONFIG.tileCache);
+        const queue = [...urls];
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const url = queue.shift();
+                try {
+                    if (!(await cache.match(url))) {
+                        const response = await fetch(url, { mode: 'cors' });
+                        if (!response.ok) {
+                            throw new Error(`HTTP ${response.status}`);
+                        }
+                        await cache.put(url, response);
+                    }
+                } catch (error) {
+                    failed++;
+                }
+
+                done++;
+                if (done % 20 === 0 || done === urls.length) {
+                    setOfflineStatus(`Laster ned kart: ${done} av ${urls.length} kartfliser`);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: OFFLINE_CONFIG.downloadConcurrency }, worker));
+
+        setOfflineStatus('Laster ned vegdata fra NVDB...');
+        roadData = await fetchAreaData(bounds, AREA_OBJECT_TYPES, (fetched, total) => {
+            setOfflineStatus(`Laster ned vegdata: ${fetched} av ${total}`);
+        });
+
+        if (roadData && !(await storeAreaData(areaId, bounds, roadData))) {
+            roadData = null;
+        }
+
+    } catch (error) {
+        console.error('Error downloading map area:', error);
+        alert('Kunne ikke lagre kartet. Sjekk at det er nok lagringsplass.');
+        return null;
+
+    } finally {
+        offlineState.isDownloading = false;
+        if (button) button.disabled = false;
+    }
+
+    const area = {
+        id: areaId,
+        name: name.trim() || `Kartutsnitt ${offlineState.areas.length + 1}`,
+        bounds: bounds,
+        minZoom: minZoom,
+        maxZoom: maxZoom,
+        tileCount: urls.length - failed,
+        roadSegments: roadData ? roadData.segments.length : 0,
+        downloaded: new Date().toISOString()
+    };
+
+    offlineState.areas.push(area);
+    saveAreas();
+    renderOfflineAreas();
+
+    const problems = [];
+    if (failed > 0) {
+        problems.push(`${failed} kartfliser feilet`);
+    }
+    if (!roadData) {
+        problems.push('vegdata fra NVDB kunne ikke lagres');
+    } else if (roadData.failedTypes.length > 0) {
+        problems.push(`${roadData.failedTypes.length} NVDB-objekttyper feilet`);
+    }
+
+    setOfflineStatus(problems.length > 0
+        ? `Lagret ${area.tileCount} kartfliser og ${area.roadSegments} vegsegmenter (${problems.join(', ')} - prøv igjen med bedre dekning)`
+        : `Lagret ${area.tileCount} kartfliser og ${area.roadSegments} vegsegmenter for frakoblet bruk`);
+    console.log(`Map area downloaded: ${area.name} (${area.tileCount} tiles, ${failed} failed, ${area.roadSegments} road segments)`);
+    return area;
+}
+
+/**
+ * Delete a downloaded area
+ * Tiles that are also part of another downloaded area are kept.
+ * @param {string} areaId - Area ID
+ * @returns {Promise<boolean>} True if the area was deleted
+ */
+export async function removeMapArea(areaId) {
+    const area = offlineState.areas.find(a => a.id === areaId);
+    if (!area) {
+        return false;
+    }
+
+    offlineState.areas = offlineState.areas.filter(a => a.id !== areaId);
+    saveAreas();
+    renderOfflineAreas();
+    await removeAreaData(areaId);
+
+    if ('caches' in window) {
+        const kept = new Set();
+        offlineState.areas.forEach(other => {
+            getAreaTileUrls(other.bounds, other.minZoom, other.maxZoom).forEach(url => kept.add(url));
+        });
+
+        const cache = await caches.open(OFFLINE_CONFIG.tileCache);
+        const removed = getAreaTileUrls(area.bounds, area.minZoom, area.maxZoom).filter(url => !kept.has(url));
+        await Promise.all(removed.map(url => cache.delete(url)));
+        console.log(`Map area removed: ${area.name} (${removed.length} tiles deleted)`);
+    }
+
+    updateStorageEstimate();
+    return true;
+}
+
+/**
+ * Show the downloaded areas in the offline section
+ */
+function renderOfflineAreas() {
+    const list = document.getElementById('offlineAreaList');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (offlineState.areas.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'small-text';
+        empty.textContent = 'Ingen kartutsnitt lagret';
+        list.appendChild(empty);
+        return;
+    }
+
+    offlineState.areas.forEach(area => {
+        const item = document.createElement('li');
+        item.className = 'offline-area';
+
+        const label = document.createElement('button');
+        label.type = 'button';
+        label.className = 'offline-area-name';
+        const roads = area.roadSegments ? `${area.roadSegments} vegsegmenter` : 'uten vegdata';
+        label.textContent = `${area.name} (${area.tileCount} fliser, ${roads}, ${new Date(area.downloaded).toLocaleDateString('nb-NO')})`;
+        label.title = 'Vis området i kartet';
+        label.addEventListener('click', () => {
+            const map = getMap();
+            if (map) map.fitBounds(area.bounds);
+        });
+        item.appendChild(label);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-secondary offline-area-delete';
+        remove.textContent = '✕';
+        remove.setAttribute('aria-label', `Slett lagret kartutsnitt ${area.name}`);
+        remove.addEventListener('click', () => {
+            if (confirm(`Slette det lagrede kartutsnittet "${area.name}"?`)) {
+                removeMapArea(area.id);
+            }
+        });
+        item.appendChild(remove);
+
+        list.appendChild(item);
+    });
+
+    updateStorageEstimate();
+}
+
+/**
+ * Show how much storage the app uses
+ */
+async function updateStorageEstimate() {
+    const element = document.getElementById('offlineStorage');
+    if (!element || !navigator.storage || !navigator.storage.estimate) return;
+
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        element.textContent = `Brukt lagring: ${(usage / 1048576).toFixed(0)} MB av ${(quota / 1048576).toFixed(0)} MB`;
+    } catch (error) {
+        element.textContent = '';
+    }
+}
+
+/**
+ * Show whether the app is offline in the status bar
+ */
+function updateConnectionStatus() {
+    const indicator = document.getElementById('offlineIndicator');
+    if (indicator) {
+        indicator.hidden = navigator.onLine;
+    }
+
+    console.log(navigator.onLine ? 'Connection restored' : 'Offline - using stored map and NVDB data');
+}
+
+/**
+ * Initialize offline support
+ */
+export async function initOffline() {
+    offlineState.areas = loadAreas();
+    renderOfflineAreas();
+
+    const downloadBtn = document.getElementById('downloadAreaBtn');
+    if (downloadBtn) {
+        downloadBtn.addEventListener('click', () => {
+            const name = prompt('Navn på kartutsnittet:', '');
+            if (name !== null) {
+                downloadMapArea(name);
+            }
+        });
+    }
+
+    window.addEventListener('online', updateConnectionStatus);
+    window.addEventListener('offline', updateConnectionStatus);
+    if (!navigator.onLine) {
+        updateConnectionStatus();
+    }
+
+    await registerServiceWorker();
+    console.log(`✓ Offline support initialized (${offlineState.areas.length} map areas stored)`);
+}
+
+export default {
+    initOffline,
+    registerServiceWorker,
+    downloadMapArea,
+    removeMapArea
+};
@@ -0,0 +1,1397 @@
+/**
+ * PDF Export Module
+ * Exports the plan as a print-ready PDF with title block, legend, north arrow and scale bar.
+ * The background map is stitched from tiles; signs, polygons and lines are drawn as vector.
+ * Long work zones can be exported as an overview sheet plus detail sheets along the road.
+ * @module pdf-export
+ */
+
+import { getMap, getSelectedRoad } from './map-manager.js';
+import {
+    getWorkZone,
+    getRoadLineLength,
+    getRoadPositionAtDistance,
+    calculateDistanceAlongSequence
+} from './work-zone.js';
+import { getSignOverlays } from './sign-manager.js';
+import { getReferenceOverlays, getSymbolPath, SYMBOL_SIZE } from './reference-layer.js';
+import { getCurrentProject, getProjectMetadata } from './project-manager.js';
+import { getTextBoxManager } from './app.js';
+import { formatRoadReference } from './nvdb-api.js';
+import { getTrafficBasis, formatTrafficBasis } from './traffic-basis.js';
+import { getMetersPerPixel, calculateScaleBar, showLoadingIndicator, hideLoadingIndicator } from './export.js';
+import { TILE_SERVER_URL, PRINT_CONFIG, SIGN_SIZE } from './config.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Paper sizes in millimetres (landscape: width x height)
+const PAPER_SIZES = {
+    a4: { width: 297, height: 210, label: 'A4' },
+    a3: { width: 420, height: 297, label: 'A3' }
+};
+
+// Scales tried for the overview sheet, smallest first
+const OVERVIEW_SCALES = [1000, 2000, 2500, 5000, 10000, 20000, 25000, 50000, 100000];
+
+// Share of the frame kept free on each side of the road on detail sheets
+const DETAIL_SHEET_MARGIN = 0.1;
+
+// Extra road length (meters) included before the first and after the last plan object
+const DETAIL_RANGE_PADDING = 50;
+
+// Cache of fetched sign SVG markup by file
+const svgMarkupCache = new Map();
+
+// Print preview state
+const previewState = {
+    layer: null // Layer group with the fixed-scale print extents on the map
+};
+
+// Last planned detail sheets, reused until the road, the plan or the print options change
+const sheetCache = {
+    road: null,   // Selected road the sheets were planned on
+    key: null,    // Plan positions, map box and scale
+    sheets: null
+};
+
+/**
+ * Compute page layout
+ * Landscape: map frame on the left, information panel on the right.
+ * Portrait: map frame on top, information panel along the bottom.
+ * @param {string} paperSize - 'a4' or 'a3'
+ * @param {string} orientation - 'landscape' or 'portrait'
+ * @returns {Object} Page size and boxes (mm)
+ */
+function getPageLayout(paperSize, orientation = 'landscape') {
+    const paper = PAPER_SIZES[paperSize] || PAPER_SIZES.a3;
+    const margin = PRINT_CONFIG.pageMargin;
+    const gap = 5;
+
+    if (orientation === 'portrait') {
+        const pageWidth = paper.height;
+        const pageHeight = paper.width;
+        const panelHeight = paperSize === 'a4' ? 70 : 85;
+
+        return {
+            paper: paper,
+            orientation: orientation,
+            pageWidth: pageWidth,
+            pageHeight: pageHeight,
+            panelPosition: 'bottom',
+            mapBox: {
+                x: margin,
+                y: margin,
+                w: pageWidth - 2 * margin,
+                h: pageHeight - 2 * margin - panelHeight - gap
+            },
+            panelBox: {
+                x: margin,
+                y: pageHeight - margin - panelHeight,
+                w: pageWidth - 2 * margin,
+                h: panelHeight
+            }
+        };
+    }
+
+    const panelWidth = paperSize === 'a4' ? 75 : 95;
+
+    return {
+        paper: paper,
+        orientation: 'landscape',
+        pageWidth: paper.width,
+        pageHeight: paper.height,
+        panelPosition: 'right',
+        mapBox: {
+            x: margin,
+            y: margin,
+            w: paper.width - 2 * margin - panelWidth - gap,
+            h: paper.height - 2 * margin
+        },
+        panelBox: {
+            x: paper.width - margin - panelWidth,
+            y: margin,
+            w: panelWidth,
+            h: paper.height - 2 * margin
+        }
+    };
+}
+
+/**
+ * Create a print view matching the current map viewport, fitted into a box on the page
+ * @param {L.Map} map - Leaflet map
+ * @param {Object} box - Available box on the page (mm)
+ * @returns {Object} View: { center, metersPerMm, symbolScale, frame }
+ */
+function createViewFromMap(map, box) {
+    const size = map.getSize();
+    const center = map.getCenter();
+
+    // Millimetres on paper per screen pixel, keeping the viewport's aspect ratio
+    const mmPerPixel = Math.min(box.w / size.x, box.h / size.y);
+    const frameWidth = size.x * mmPerPixel;
+    const frameHeight = size.y * mmPerPixel;
+
+    return {
+        center: center,
+        metersPerMm: getMetersPerPixel(center.lat, map.getZoom()) / mmPerPixel,
+        symbolScale: mmPerPixel,
+        frame: {
+            x: box.x + (box.w - frameWidth) / 2,
+            y: box.y + (box.h - frameHeight) / 2,
+            w: frameWidth,
+            h: frameHeight
+        }
+    };
+}
+
+/**
+ * Create a print view at a fixed map scale, filling the whole box on the page
+ * The extent is independent of the browser viewport so the plan can be measured on paper
+ * @param {L.LatLng} center - Center of the printed extent
+ * @param {number} scale - Scale denominator (e.g. 1000 for 1:1000)
+ * @param {Object} box - Map box on the page (mm)
+ * @returns {Object} View: { center, metersPerMm, symbolScale, frame }
+ */
+function createFixedScaleView(center, scale, box) {
+    return {
+        center: L.latLng(center),
+        metersPerMm: scale / 1000,
+        symbolScale: PRINT_CONFIG.symbolScale,
+        frame: { x: box.x, y: box.y, w: box.w, h: box.h }
+    };
+}
+
+/**
+ * Choose tile zoom level giving at least the configured print resolution
+ * @param {number} lat - Latitude of the view center
+ * @param {number} metersPerMm - Ground meters per paper millimetre
+ * @returns {number} Tile zoom level
+ */
+function chooseTileZoom(lat, metersPerMm) {
+    const pixelsPerMm = PRINT_CONFIG.dpi / 25.4;
+    const wantedMetersPerPixel = metersPerMm / pixelsPerMm;
+    const zoom = Math.ceil(Math.log2(getMetersPerPixel(lat, 0) / wantedMetersPerPixel));
+
+    return Math.min(Math.max(zoom, 0), PRINT_CONFIG.maxTileZoom);
+}
+
+/**
+ * Create projection from lat/lng to frame millimetres for a view
+ * @param {Object} view - Print view
+ * @param {number} zoom - Tile zoom level used as pixel space
+ * @returns {Object} { project, pixelsPerMm, origin }
+ */
+function createProjection(view, zoom) {
+    const crs = L.CRS.EPSG3857;
+    const pixelsPerMm = view.metersPerMm / getMetersPerPixel(view.center.lat, zoom);
+    const centerPoint = crs.latLngToPoint(view.center, zoom);
+    const origin = L.point(
+        centerPoint.x - (view.frame.w / 2) * pixelsPerMm,
+        centerPoint.y - (view.frame.h / 2) * pixelsPerMm
+    );
+
+    return {
+        pixelsPerMm: pixelsPerMm,
+        origin: origin,
+        project: (latlng) => {
+            const point = crs.latLngToPoint(L.latLng(latlng), zoom);
+            return [(point.x - origin.x) / pixelsPerMm, (point.y - origin.y) / pixelsPerMm];
+        }
+    };
+}
+
+/**
+ * Load one map tile as an image
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} z - Zoom level
+ * @returns {Promise<HTMLImageElement|null>} Image, or null if it failed to load
+ */
+function loadTile(x, y, z) {
+    return new Promise(resolve => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => {
+            console.warn(`Tile failed to load: ${z}/${y}/${x}`);
+            resolve(null);
+        };
+        img.src = TILE_SERVER_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    });
+}
+
+/**
+ * Get the geographic extent covered by a view's map frame
+ * @param {Object} view - Print view
+ * @returns {L.LatLngBounds} Frame bounds
+ */
+function getViewBounds(view) {
+    const crs = L.CRS.EPSG3857;
+    const zoom = chooseTileZoom(view.center.lat, view.metersPerMm);
+    const { pixelsPerMm, origin } = createProjection(view, zoom);
+
+    const topLeft = crs.pointToLatLng(origin, zoom);
+    const bottomRight = crs.pointToLatLng(
+        L.point(origin.x + view.frame.w * pixelsPerMm, origin.y + view.frame.h * pixelsPerMm),
+        zoom
+    );
+
+    return L.latLngBounds(topLeft, bottomRight);
+}
+
+/**
+ * Render the background map for a view by stitching tiles
+ * The canvas always has the configured print resolution; when the tile zoom is
+ * capped at the highest native level, tiles are scaled up to fill it.
+ * @param {Object} view - Print view
+ * @returns {Promise<string>} JPEG data URL of the frame
+ */
+async function renderBaseMap(view) {
+    const zoom = chooseTileZoom(view.center.lat, view.metersPerMm);
+    const { pixelsPerMm, origin } = createProjection(view, zoom);
+    const tileSize = 256;
+
+    // Canvas pixels per tile pixel
+    const upscale = Math.max(1, (PRINT_CONFIG.dpi / 25.4) / pixelsPerMm);
+    const tileWidth = view.frame.w * pixelsPerMm;
+    const tileHeight = view.frame.h * pixelsPerMm;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(tileWidth * upscale);
+    canvas.height = Math.round(tileHeight * upscale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const minX = Math.floor(origin.x / tileSize);
+    const minY = Math.floor(origin.y / tileSize);
+    const maxX = Math.floor((origin.x + tileWidth) / tileSize);
+    const maxY = Math.floor((origin.y + tileHeight) / tileSize);
+
+    const tiles = [];
+    for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+            tiles.push(loadTile(x, y, zoom).then(img => ({ img, x, y })));
+        }
+    }
+
+    console.log(`Stitching ${tiles.length} tiles at zoom ${zoom} (${canvas.width}x${canvas.height}px)`);
+
+    const drawSize = Math.ceil(tileSize * upscale);
+    (await Promise.all(tiles)).forEach(({ img, x, y }) => {
+        if (img) {
+            ctx.drawImage(
+                img,
+                Math.round((x * tileSize - origin.x) * upscale),
+                Math.round((y * tileSize - origin.y) * upscale),
+                drawSize,
+                drawSize
+            );
+        }
+    });
+
+    return canvas.toDataURL('image/jpeg', 0.9);
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - Element name
+ * @param {Object} attrs - Attributes
+ * @returns {SVGElement} Element
+ */
+function createSvgElement(tag, attrs = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            element.setAttribute(key, value);
+        }
+    });
+    return element;
+}
+
+/**
+ * Fetch sign SVG markup (cached)
+ * @param {string} file - SVG file path
+ * @returns {Promise<string|null>} SVG markup or null
+ */
+async function loadSvgMarkup(file) {
+    if (!file) return null;
+
+    if (svgMarkupCache.has(file)) {
+        return svgMarkupCache.get(file);
+    }
+
+    try {
+        const response = await fetch(file);
+        const markup = response.ok ? await response.text() : null;
+        svgMarkupCache.set(file, markup);
+        return markup;
+    } catch (error) {
+        console.warn(`Failed to fetch sign SVG: ${file}`, error);
+        return null;
+    }
+}
+
+/**
+ * Parse sign SVG markup into an element that can be nested in another SVG
+ * Element IDs are prefixed so several signs can share one document
+ * @param {string} markup - SVG markup
+ * @param {string} prefix - ID prefix
+ * @returns {SVGSVGElement|null} SVG element or null if invalid
+ */
+function parseSymbol(markup, prefix) {
+    const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+    const root = doc.documentElement;
+
+    if (!root || root.tagName !== 'svg' || doc.querySelector('parsererror')) {
+        return null;
+    }
+
+    // Make IDs unique and update url(#id) / href="#id" references
+    const ids = Array.from(root.querySelectorAll('[id]')).map(el => el.id);
+    root.querySelectorAll('[id]').forEach(el => {
+        el.id = `${prefix}${el.id}`;
+    });
+
+    if (ids.length > 0) {
+        root.querySelectorAll('*').forEach(el => {
+            Array.from(el.attributes).forEach(attr => {
+                let value = attr.value;
+                ids.forEach(id => {
+                    value = value.split(`url(#${id})`).join(`url(#${prefix}${id})`);
+                    if (value === `#${id}`) {
+                        value = `#${prefix}${id}`;
+                    }
+                });
+                if (value !== attr.value) {
+                    el.setAttribute(attr.name, value);
+                }
+            });
+        });
+    }
+
+    // Nested SVGs need a viewBox to scale
+    if (!root.getAttribute('viewBox')) {
+        const width = parseFloat(root.getAttribute('width'));
+        const height = parseFloat(root.getAttribute('height'));
+        if (width && height) {
+            root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        }
+    }
+
+    return document.importNode(root, true);
+}
+
+/**
+ * Get printed size of a sign symbol, matching the map icon
+ * True-scale signs get their physical size at the print scale (never below the legible
+ * minimum), other signs their icon size scaled like the rest of the overlay.
+ * @param {SVGSVGElement} symbol - Parsed symbol
+ * @param {Object} sign - Sign overlay from getSignOverlays()
+ * @param {Object} view - Print view
+ * @returns {Object} { width, height } in frame millimetres
+ */
+function getSymbolSize(symbol, sign, view) {
+    if (sign.trueScale && sign.sizeMm) {
+        const side = Math.max(sign.sizeMm / 1000 / view.metersPerMm, SIGN_SIZE.minPixels * view.symbolScale);
+        return { width: side, height: side };
+    }
+
+    if (sign.iconSize) {
+        return { width: sign.iconSize * view.symbolScale, height: sign.iconSize * view.symbolScale };
+    }
+
+    // Markeringsskilt use their natural SVG size
+    if (sign.category === 'Markeringsskilt') {
+        const toPixels = (value) => {
+            const number = parseFloat(value);
+            if (!number) return null;
+            return String(value).endsWith('pt') ? number * 4 / 3 : number;
+        };
+        const width = toPixels(symbol.getAttribute('width'));
+        const height = toPixels(symbol.getAttribute('height'));
+        if (width && height) {
+            return { width: width * view.symbolScale, height: height * view.symbolScale };
+        }
+    }
+    return { width: SIGN_SIZE.iconPixels * view.symbolScale, height: SIGN_SIZE.iconPixels * view.symbolScale };
+}
+
+/**
+ * Create a positioned, rotated symbol group
+ * @param {SVGSVGElement} symbol - Parsed symbol
+ * @param {number} cx - Center x (mm)
+ * @param {number} cy - Center y (mm)
+ * @param {number} width - Width (mm)
+ * @param {number} height - Height (mm)
+ * @param {number} rotation - Rotation in degrees
+ * @returns {SVGGElement} Group element
+ */
+function placeSymbol(symbol, cx, cy, width, height, rotation = 0) {
+    const group = createSvgElement('g', rotation ? { transform: `rotate(${rotation} ${cx} ${cy})` } : {});
+
+    symbol.setAttribute('x', cx - width / 2);
+    symbol.setAttribute('y', cy - height / 2);
+    symbol.setAttribute('width', width);
+    symbol.setAttribute('height', height);
+    group.appendChild(symbol);
+
+    return group;
+}
+
+/**
+ * Create a positioned, rotated sign assembly (main sign with sub-signs below it)
+ * @param {Object} sign - Sign overlay with parts (see getSignOverlays)
+ * @param {number} cx - Assembly center x (mm)
+ * @param {number} cy - Assembly center y (mm)
+ * @param {number} factor - Millimetres per icon pixel
+ * @param {string} prefix - ID prefix for the parsed symbols
+ * @returns {Promise<SVGGElement>} Group element
+ */
+async function placeAssembly(sign, cx, cy, factor, prefix) {
+    const group = createSvgElement('g', sign.rotation ? { transform: `rotate(${sign.rotation} ${cx} ${cy})` } : {});
+
+    for (let i = 0; i < sign.parts.length; i++) {
+        const part = sign.parts[i];
+        const markup = part.markup || await loadSvgMarkup(part.file);
+        const symbol = markup ? parseSymbol(markup, `${prefix}${i}_`) : null;
+        if (!symbol) continue;
+
+        group.appendChild(placeSymbol(symbol, cx + part.x * factor, cy + part.y * factor,
+            part.width * factor, part.height * factor));
+    }
+
+    return group;
+}
+
+/**
+ * Build the vector overlay for the map frame
+ * @param {Object} view - Print view
+ * @param {Function} project - lat/lng → [x, y] frame millimetres
+ * @param {Object} extras - Sheet annotations: { sheetFrames: [{ bounds, label }], matchLines: [{ from, to, label }] }
+ * @returns {Promise<SVGSVGElement>} Overlay SVG in frame millimetres
+ */
+async function buildOverlaySvg(view, project, extras = {}) {
+    const { w, h } = view.frame;
+    const scale = view.symbolScale;
+
+    const svg = createSvgElement('svg', {
+        xmlns: SVG_NS,
+        width: w,
+        height: h,
+        viewBox: `0 0 ${w} ${h}`
+    });
+
+    // Clip everything to the map frame
+    const defs = createSvgElement('defs');
+    const clip = createSvgElement('clipPath', { id: 'frameClip' });
+    clip.appendChild(createSvgElement('rect', { x: 0, y: 0, width: w, height: h }));
+    defs.appendChild(clip);
+    svg.appendChild(defs);
+
+    const content = createSvgElement('g', { 'clip-path': 'url(#frameClip)' });
+    svg.appendChild(content);
+
+    const overlays = getSignOverlays();
+
+    // Existing NVDB objects (reference layer) below the plan
+    const references = getReferenceOverlays();
+    references.filter(r => r.vertices).forEach(reference => {
+        content.appendChild(createSvgElement('polyline', {
+            points: reference.vertices.map(v => project(v).map(n => n.toFixed(2)).join(',')).join(' '),
+            fill: 'none',
+            stroke: reference.color,
+            'stroke-width': 4 * scale,
+            'stroke-dasharray': `${6 * scale},${4 * scale}`,
+            'stroke-opacity': 0.9
+        }));
+    });
+    references.filter(r => r.position).forEach(reference => {
+        const [x, y] = project(reference.position);
+        content.appendChild(createSvgElement('path', {
+            d: getSymbolPath(reference.shape, SYMBOL_SIZE * scale),
+            transform: `translate(${x.toFixed(2)} ${y.toFixed(2)})`,
+            fill: reference.color,
+            stroke: '#ffffff',
+            'stroke-width': 1.5 * scale
+        }));
+    });
+
+    // Polygons and polylines first, so point signs are drawn on top
+    overlays.filter(o => o.type !== 'sign').forEach(overlay => {
+        const points = overlay.vertices.map(v => project(v).map(n => n.toFixed(2)).join(',')).join(' ');
+        const style = overlay.style;
+
+        content.appendChild(createSvgElement(overlay.type === 'polygon' ? 'polygon' : 'polyline', {
+            points: points,
+            fill: overlay.type === 'polygon' ? style.fillColor || 'none' : 'none',
+            'fill-opacity': overlay.type === 'polygon' ? style.fillOpacity : undefined,
+            stroke: style.weight ? style.color : 'none',
+            'stroke-width': (style.weight || 0) * scale,
+            'stroke-opacity': style.opacity,
+            'stroke-linejoin': 'round',
+            'stroke-linecap': 'round'
+        }));
+    });
+
+    // Work zone start/end markers
+    const zone = getWorkZone();
+    if (zone) {
+        [[zone.start, '#28a745'], [zone.end, '#dc3545']].forEach(([latlng, color]) => {
+            const [x, y] = project(latlng);
+            content.appendChild(createSvgElement('circle', {
+                cx: x, cy: y, r: 8 * scale, fill: color, stroke: '#ffffff', 'stroke-width': 3 * scale
+            }));
+        });
+    }
+
+    // Point signs
+    const signs = overlays.filter(o => o.type === 'sign');
+    for (let i = 0; i < signs.length; i++) {
+        const sign = signs[i];
+        const markup = await loadSvgMarkup(sign.file);
+        const symbol = markup ? parseSymbol(markup, `s${i}_`) : null;
+        if (!symbol) continue;
+
+        const [x, y] = project(sign.position);
+        const size = getSymbolSize(symbol, sign, view);
+
+        if (sign.parts) {
+            content.appendChild(await placeAssembly(sign, x, y, size.width / sign.iconSize, `s${i}_`));
+        } else {
+            content.appendChild(placeSymbol(symbol, x, y, size.width, size.height, sign.rotation));
+        }
+
+        if (sign.customText) {
+            content.appendChild(createTextLabel(sign.customText, x, y + 45 * scale, 12 * scale, scale, 'start'));
+        }
+    }
+
+    // Text boxes (centered on their position)
+    const textBoxManager = getTextBoxManager();
+    const textBoxes = textBoxManager ? textBoxManager.getTextBoxesData() : [];
+    textBoxes.forEach(box => {
+        const [x, y] = project(box.latlng);
+        const width = box.width * scale;
+        const height = box.height * scale;
+        const fontSize = 16 * scale;
+
+        content.appendChild(createSvgElement('rect', {
+            x: x - width / 2,
+            y: y - height / 2,
+            width: width,
+            height: height,
+            rx: 4 * scale,
+            fill: box.type === 'yellow' ? '#C0D81D' : '#ffffff',
+            stroke: '#000000',
+            'stroke-width': 2 * scale
+        }));
+
+        const text = createSvgElement('text', {
+            x: x - width / 2 + 8 * scale,
+            y: y - height / 2 + fontSize,
+            'font-size': fontSize,
+            'font-family': 'Helvetica, Arial, sans-serif',
+            fill: '#000000'
+        });
+        String(box.text).split('\n').forEach((line, index) => {
+            const tspan = createSvgElement('tspan', {
+                x: x - width / 2 + 8 * scale,
+                dy: index === 0 ? 0 : fontSize * 1.4
+            });
+            tspan.textContent = line;
+            text.appendChild(tspan);
+        });
+        content.appendChild(text);
+    });
+
+    // Detail sheet extents (overview sheet)
+    (extras.sheetFrames || []).forEach(sheetFrame => {
+        const [x1, y1] = project(sheetFrame.bounds.getNorthWest());
+        const [x2, y2] = project(sheetFrame.bounds.getSouthEast());
+
+        content.appendChild(createSvgElement('rect', {
+            x: x1, y: y1, width: x2 - x1, height: y2 - y1,
+            fill: 'none', stroke: '#d32f2f', 'stroke-width': 0.5, 'stroke-dasharray': '3,1.5'
+        }));
+        content.appendChild(createTextLabel(sheetFrame.label, x1 + 1, y1 + 1, 3, 0.15, 'start'));
+    });
+
+    // Match lines where the road continues on another sheet
+    (extras.matchLines || []).forEach(matchLine => {
+        const [x1, y1] = project(matchLine.from);
+        const [x2, y2] = project(matchLine.to);
+
+        content.appendChild(createSvgElement('line', {
+            x1: x1, y1: y1, x2: x2, y2: y2,
+            stroke: '#d32f2f', 'stroke-width': 0.7, 'stroke-dasharray': '4,1.5,1,1.5'
+        }));
+        content.appendChild(createTextLabel(matchLine.label, x2, y2, 3, 0.15, 'start'));
+    });
+
+    return svg;
+}
+
+/**
+ * Create a boxed text label
+ * @param {string} label - Text
+ * @param {number} x - Anchor x (mm)
+ * @param {number} y - Top y (mm)
+ * @param {number} fontSize - Font size (mm)
+ * @param {number} scale - Millimetres per screen pixel
+ * @param {string} anchor - 'start' or 'middle'
+ * @returns {SVGGElement} Label group
+ */
+function createTextLabel(label, x, y, fontSize, scale, anchor = 'middle') {
+    const group = createSvgElement('g');
+    const padding = 6 * scale;
+    const width = label.length * fontSize * 0.6 + 2 * padding;
+    const left = anchor === 'middle' ? x - width / 2 : x;
+
+    group.appendChild(createSvgElement('rect', {
+        x: left,
+        y: y,
+        width: width,
+        height: fontSize + 2 * padding,
+        rx: 4 * scale,
+        fill: '#ffffff',
+        stroke: '#333333',
+        'stroke-width': 2 * scale
+    }));
+
+    const text = createSvgElement('text', {
+        x: left + padding,
+        y: y + padding + fontSize * 0.85,
+        'font-size': fontSize,
+        'font-weight': 'bold',
+        'font-family': 'Helvetica, Arial, sans-serif',
+        fill: '#000000'
+    });
+    text.textContent = label;
+    group.appendChild(text);
+
+    return group;
+}
+
+/**
+ * Draw an SVG element into the PDF
+ * The element is attached to the document while rendering so text can be measured
+ * @param {jsPDF} doc - PDF document
+ * @param {SVGSVGElement} svg - SVG element
+ * @param {Object} box - { x, y, w, h } in mm
+ */
+async function drawSvg(doc, svg, box) {
+    const holder = document.createElement('div');
+    holder.style.cssText = 'position: absolute; left: -10000px; top: 0; visibility: hidden;';
+    holder.appendChild(svg);
+    document.body.appendChild(holder);
+
+    try {
+        await doc.svg(svg, { x: box.x, y: box.y, width: box.w, height: box.h });
+    } finally {
+        document.body.removeChild(holder);
+    }
+}
+
+/**
+ * Draw legend with one entry per sign type placed in the plan
+ * Object types of the reference layer are listed after the signs while the layer is shown.
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} box - Legend box (mm)
+ */
+async function drawLegend(doc, box) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text('Tegnforklaring', box.x, box.y + 5);
+
+    // Unique sign types in placement order, sub-signs after their main sign
+    const entries = [];
+    const seen = new Set();
+    getSignOverlays().forEach(overlay => {
+        [overlay, ...(overlay.subSigns || [])].forEach(entry => {
+            if (!seen.has(entry.signId)) {
+                seen.add(entry.signId);
+                entries.push(entry);
+            }
+        });
+    });
+    getReferenceOverlays().forEach(reference => {
+        if (!seen.has(reference.name)) {
+            seen.add(reference.name);
+            entries.push({ ...reference, type: 'reference' });
+        }
+    });
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+
+    if (entries.length === 0) {
+        doc.text('Ingen skilt plassert', box.x, box.y + 12);
+        return;
+    }
+
+    const rowHeight = 9;
+    const symbolSize = 7;
+    const maxRows = Math.floor((box.h - 10) / rowHeight);
+
+    for (let i = 0; i < entries.length && i < maxRows; i++) {
+        const entry = entries[i];
+        const rowY = box.y + 9 + i * rowHeight;
+        const symbolBox = { x: box.x, y: rowY, w: symbolSize * 1.6, h: symbolSize };
+
+        const svg = createSvgElement('svg', {
+            xmlns: SVG_NS,
+            width: symbolBox.w,
+            height: symbolBox.h,
+            viewBox: `0 0 ${symbolBox.w} ${symbolBox.h}`
+        });
+
+        if (entry.type === 'polygon') {
+            svg.appendChild(createSvgElement('rect', {
+                x: 0.5, y: 1, width: symbolBox.w - 1, height: symbolBox.h - 2,
+                fill: entry.style.fillColor || 'none',
+                stroke: entry.style.weight ? entry.style.color : 'none',
+                'stroke-width': 0.4
+            }));
+        } else if (entry.type === 'reference') {
+            svg.appendChild(entry.position
+                ? createSvgElement('path', {
+                    d: getSymbolPath(entry.shape, symbolSize * 0.8),
+                    transform: `translate(${symbolBox.w / 2} ${symbolBox.h / 2})`,
+                    fill: entry.color
+                })
+                : createSvgElement('line', {
+                    x1: 0.5, y1: symbolBox.h / 2, x2: symbolBox.w - 0.5, y2: symbolBox.h / 2,
+                    stroke: entry.color, 'stroke-width': 0.8, 'stroke-dasharray': '1.5,1'
+                }));
+        } else if (entry.type === 'polyline') {
+            svg.appendChild(createSvgElement('line', {
+                x1: 0.5, y1: symbolBox.h / 2, x2: symbolBox.w - 0.5, y2: symbolBox.h / 2,
+                stroke: entry.style.color || '#000000',
+                'stroke-width': Math.max((entry.style.weight || 4) * 0.15, 0.5)
+            }));
+        } else {
+            const markup = await loadSvgMarkup(entry.file);
+            const symbol = markup ? parseSymbol(markup, `l${i}_`) : null;
+            if (symbol) {
+                svg.appendChild(placeSymbol(symbol, symbolBox.w / 2, symbolBox.h / 2, symbolBox.w, symbolBox.h));
+            }
+        }
+
+        await drawSvg(doc, svg, symbolBox);
+
+        const name = doc.splitTextToSize(entry.name, box.w - symbolBox.w - 3);
+        doc.text(name[0], box.x + symbolBox.w + 3, rowY + symbolSize / 2 + 1);
+    }
+
+    if (entries.length > maxRows) {
+        doc.text(`+ ${entries.length - maxRows} flere`, box.x, box.y + 9 + maxRows * rowHeight + 3);
+    }
+}
+
+/**
+ * Draw north arrow
+ * @param {jsPDF} doc - PDF document
+ * @param {number} x - Center x (mm)
+ * @param {number} y - Top y (mm)
+ * @param {number} size - Arrow height (mm)
+ */
+function drawNorthArrow(doc, x, y, size) {
+    const half = size * 0.3;
+
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.3);
+
+    // Left half filled, right half outlined
+    doc.setFillColor(0, 0, 0);
+    doc.triangle(x, y + 5, x - half, y + 5 + size, x, y + 5 + size * 0.75, 'FD');
+    doc.setFillColor(255, 255, 255);
+    doc.triangle(x, y + 5, x + half, y + 5 + size, x, y + 5 + size * 0.75, 'FD');
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text('N', x, y + 3, { align: 'center' });
+}
+
+/**
+ * Draw scale bar with alternating segments, like the image export scale bar
+ * @param {jsPDF} doc - PDF document
+ * @param {number} x - Left x (mm)
+ * @param {number} y - Top y (mm)
+ * @param {Object} view - Print view
+ * @param {number} maxLength - Maximum bar length (mm)
+ */
+function drawScaleBar(doc, x, y, view, maxLength) {
+    const { distance, length } = calculateScaleBar(view.metersPerMm, maxLength * 0.8);
+    const segments = 10;
+    const segmentLength = length / segments;
+
+    doc.setDrawColor(51, 51, 51);
+    doc.setLineWidth(0.2);
+
+    for (let i = 0; i < segments; i++) {
+        if (i % 2 === 0) {
+            doc.setFillColor(51, 51, 51);
+        } else {
+            doc.setFillColor(255, 255, 255);
+        }
+        doc.rect(x + i * segmentLength, y, segmentLength, 2.5, 'FD');
+    }
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text('0', x, y + 6, { align: 'center' });
+    doc.text(`${distance} m`, x + length, y + 6, { align: 'center' });
+    doc.text(`Målestokk ${formatScale(view.metersPerMm)}`, x, y + 11);
+}
+
+/**
+ * Format map scale as text
+ * @param {number} metersPerMm - Ground meters per paper millimetre
+ * @returns {string} Scale (e.g. "1:1000")
+ */
+function formatScale(metersPerMm) {
+    // Round to two significant digits; exact scales (e.g. 1000) stay unchanged
+    const denominator = metersPerMm * 1000;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(denominator)) - 1);
+    return `1:${Math.round(denominator / magnitude) * magnitude}`;
+}
+
+/**
+ * Collect title block values from project metadata, road and work zone
+ * @param {Object} view - Print view
+ * @param {string} sheet - Sheet label (e.g. "1 av 1")
+ * @returns {Array<Array<string>>} Label/value rows
+ */
+function getTitleBlockRows(view, sheet) {
+    const project = getCurrentProject();
+    const metadata = getProjectMetadata();
+    const road = getSelectedRoad();
+    const zone = getWorkZone();
+
+    let roadText = '-';
+    if (road && road.vegsystemreferanse) {
+        roadText = formatRoadReference(road.vegsystemreferanse, false);
+        if (road.kommune) {
+            roadText += ` (kommune ${road.kommune})`;
+        }
+    }
+
+    let zoneText = '-';
+    if (zone && zone.startReference && zone.endReference) {
+        zoneText = `${zone.startReference} - ${zone.endReference}`;
+    } else if (zone) {
+        zoneText = 'Definert i kartet';
+    }
+
+    return [
+        ['Prosjekt', project ? project.name : '-'],
+        ['Veg', roadText],
+        ['Arbeidssone', zoneText],
+        ['Trafikk', formatTrafficBasis(getTrafficBasis() || project?.metadata?.trafficBasis)],
+        ['Utarbeidet av', metadata.preparer || '-'],
+        ['Firma', metadata.company || '-'],
+        ['Kontakt', metadata.contact || '-'],
+        ['Dato', new Date().toLocaleDateString('no-NO')],
+        ['Målestokk', formatScale(view.metersPerMm)],
+        ['Ark', sheet]
+    ];
+}
+
+/**
+ * Draw title block table
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} box - Title block box (mm)
+ * @param {Array<Array<string>>} rows - Label/value rows
+ */
+function drawTitleBlock(doc, box, rows) {
+    const headerHeight = 8;
+    const rowHeight = (box.h - headerHeight) / rows.length;
+    const labelWidth = 24;
+
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.4);
+    doc.rect(box.x, box.y, box.w, box.h);
+
+    doc.setFillColor(240, 240, 240);
+    doc.rect(box.x, box.y, box.w, headerHeight, 'FD');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text('ARBEIDSVARSLINGSPLAN', box.x + 2, box.y + 5.5);
+
+    doc.setLineWidth(0.2);
+    doc.setFontSize(8);
+
+    rows.forEach(([label, value], index) => {
+        const rowY = box.y + headerHeight + index * rowHeight;
+        doc.line(box.x, rowY, box.x + box.w, rowY);
+
+        doc.setFont('helvetica', 'bold');
+        doc.text(label, box.x + 2, rowY + rowHeight / 2 + 1);
+
+        doc.setFont('helvetica', 'normal');
+        const text = doc.splitTextToSize(String(value), box.w - labelWidth - 3);
+        doc.text(text[0], box.x + labelWidth, rowY + rowHeight / 2 + 1);
+    });
+
+    doc.line(box.x + labelWidth - 2, box.y + headerHeight, box.x + labelWidth - 2, box.y + box.h);
+}
+
+/**
+ * Draw one plan sheet: map frame, legend, north arrow, scale bar and title block
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} layout - Page layout
+ * @param {Object} view - Print view
+ * @param {string} sheet - Sheet label
+ * @param {Object} extras - Sheet annotations passed to buildOverlaySvg
+ */
+async function drawSheet(doc, layout, view, sheet, extras = {}) {
+    const { frame } = view;
+
+    // Background map (raster) and plan content (vector)
+    const baseMap = await renderBaseMap(view);
+    doc.addImage(baseMap, 'JPEG', frame.x, frame.y, frame.w, frame.h);
+
+    const zoom = chooseTileZoom(view.center.lat, view.metersPerMm);
+    const { project } = createProjection(view, zoom);
+    const overlay = await buildOverlaySvg(view, project, extras);
+    await drawSvg(doc, overlay, frame);
+
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.5);
+    doc.rect(frame.x, frame.y, frame.w, frame.h);
+
+    const panel = layout.panelBox;
+    const titleBlockHeight = 62;
+    const scaleHeight = 24;
+
+    if (layout.panelPosition === 'bottom') {
+        // Information panel: legend on the left, north arrow and scale bar, title block on the right
+        const titleWidth = Math.min(110, panel.w * 0.45);
+        const scaleWidth = Math.min(60, panel.w * 0.24);
+        const titleBox = { x: panel.x + panel.w - titleWidth, y: panel.y, w: titleWidth, h: Math.min(titleBlockHeight, panel.h) };
+        const scaleX = titleBox.x - scaleWidth - 3;
+        const scaleY = panel.y + panel.h - scaleHeight;
+        const legendBox = { x: panel.x, y: panel.y, w: scaleX - panel.x - 3, h: panel.h };
+
+        await drawLegend(doc, legendBox);
+        drawNorthArrow(doc, scaleX + scaleWidth / 2, panel.y, 14);
+        drawScaleBar(doc, scaleX + 2, scaleY + 8, view, scaleWidth - 4);
+        drawTitleBlock(doc, titleBox, getTitleBlockRows(view, sheet));
+        return;
+    }
+
+    // Information panel: legend on top, north arrow and scale bar, title block at the bottom
+    const titleBox = { x: panel.x, y: panel.y + panel.h - titleBlockHeight, w: panel.w, h: titleBlockHeight };
+    const scaleY = titleBox.y - scaleHeight - 3;
+    const legendBox = { x: panel.x, y: panel.y, w: panel.w, h: scaleY - panel.y - 3 };
+
+    await drawLegend(doc, legendBox);
+    drawNorthArrow(doc, panel.x + 6, scaleY, 14);
+    drawScaleBar(doc, panel.x + 18, scaleY + 8, view, panel.w - 24);
+    drawTitleBlock(doc, titleBox, getTitleBlockRows(view, sheet));
+}
+
+/**
+ * Create the print view for export options
+ * @param {L.Map} map - Leaflet map
+ * @param {Object} layout - Page layout
+ * @param {number|null} scale - Fixed scale denominator, or null to fit the current viewport
+ * @returns {Object} Print view
+ */
+function createPrintView(map, layout, scale) {
+    if (scale) {
+        return createFixedScaleView(map.getCenter(), scale, layout.mapBox);
+    }
+    return createViewFromMap(map, layout.mapBox);
+}
+
+/**
+ * Get the positions that make up the plan: the work zone and all placed signs
+ * @returns {Array<L.LatLng|Array<number>>} Positions
+ */
+function getPlanPositions() {
+    const positions = [];
+    const zone = getWorkZone();
+    if (zone) {
+        positions.push(zone.start, zone.end);
+    }
+
+    getSignOverlays().forEach(overlay => {
+        if (overlay.type === 'sign') {
+            positions.push(overlay.position);
+        } else {
+            positions.push(...overlay.vertices);
+        }
+    });
+
+    return positions;
+}
+
+/**
+ * Find the stretch of the selected road covered by the plan
+ * Uses the work zone and all placed signs, or the whole line if nothing is placed.
+ * @param {number} lineLength - Length of the road line in meters
+ * @param {Array<L.LatLng|Array<number>>} positions - Plan positions (getPlanPositions)
+ * @returns {Object} { from, to } distances along the line
+ */
+function getPlanRange(lineLength, positions) {
+    const distances = positions
+        .map(position => calculateDistanceAlongSequence(L.latLng(position)))
+        .filter(distance => distance !== null);
+
+    if (distances.length === 0) {
+        return { from: 0, to: lineLength };
+    }
+
+    return {
+        from: Math.max(0, Math.min(...distances) - DETAIL_RANGE_PADDING),
+        to: Math.min(lineLength, Math.max(...distances) + DETAIL_RANGE_PADDING)
+    };
+}
+
+/**
+ * Split the plan along the selected road into detail sheets
+ * Each sheet covers the longest stretch of road that fits inside the map frame with a margin.
+ * The next sheet starts where the previous one ends, which becomes the match line.
+ * The sheets do not depend on the map view, so they are planned again only when the road,
+ * the plan positions, the map box or the scale change (not on every pan or zoom of the preview).
+ * @param {Object} box - Map box on the page (mm)
+ * @param {number} scale - Scale denominator of the detail sheets
+ * @returns {Array<Object>|null} Sheets [{ from, to, center }], or null if no road is selected
+ */
+function planDetailSheets(box, scale) {
+    const road = getSelectedRoad();
+    const lineLength = getRoadLineLength();
+    if (!road || !lineLength) {
+        return null;
+    }
+
+    const positions = getPlanPositions();
+    const key = JSON.stringify({
+        positions: positions.map(position => {
+            const latlng = L.latLng(position);
+            return [latlng.lat, latlng.lng];
+        }),
+        box: [box.w, box.h],
+        scale: scale
+    });
+
+    if (sheetCache.road === road && sheetCache.key === key) {
+        return sheetCache.sheets;
+    }
+
+    const sheets = computeDetailSheets(getPlanRange(lineLength, positions), box, scale);
+
+    sheetCache.road = road;
+    sheetCache.key = key;
+    sheetCache.sheets = sheets;
+    return sheets;
+}
+
+/**
+ * Walk the road from the start of the plan range and cut it into sheets
+ * @param {Object} range - { from, to } distances along the line
+ * @param {Object} box - Map box on the page (mm)
+ * @param {number} scale - Scale denominator of the detail sheets
+ * @returns {Array<Object>} Sheets [{ from, to, center }]
+ */
+function computeDetailSheets(range, box, scale) {
+    const metersPerMm = scale / 1000;
+    const usableWidth = box.w * metersPerMm * (1 - 2 * DETAIL_SHEET_MARGIN);
+    const usableHeight = box.h * metersPerMm * (1 - 2 * DETAIL_SHEET_MARGIN);
+    const step = Math.max(1, Math.min(10, Math.min(usableWidth, usableHeight) / 20));
+
+    // Positions are kept on the line, so a range reaching past its end cannot fail the export
+    const lineLength = getRoadLineLength();
+    const positionAt = distance => getRoadPositionAtDistance(Math.min(Math.max(distance, 0), lineLength));
+
+    // Ground meters in Web Mercator, scaled at the latitude of the plan like the print projection
+    // (the map centre's latitude if the road has no position there)
+    const crs = L.CRS.EPSG3857;
+    const startPosition = positionAt(range.from);
+    const latitude = startPosition ? startPosition.latlng.lat : getMap().getCenter().lat;
+    const cosLat = Math.cos(latitude * Math.PI / 180);
+    const toMeters = distance => crs.project(positionAt(distance).latlng).multiplyBy(cosLat);
+
+    const sheets = [];
+    let start = range.from;
+
+    while (start < range.to && sheets.length <= PRINT_CONFIG.maxSheets) {
+        const first = toMeters(start);
+        let bounds = L.bounds(first, first);
+        let end = start;
+
+        while (end < range.to) {
+            const next = Math.min(end + step, range.to);
+            const extended = L.bounds(bounds.min, bounds.max).extend(toMeters(next));
+            const size = extended.getSize();
+
+            if (size.x > usableWidth || size.y > usableHeight) {
+                break;
+            }
+
+            bounds = extended;
+            end = next;
+        }
+
+        // Always make progress, even if one step does not fit
+        if (end === start) {
+            end = Math.min(start + step, range.to);
+        }
+
+        sheets.push({
+            from: start,
+            to: end,
+            center: crs.unproject(bounds.getCenter().divideBy(cosLat))
+        });
+        start = end;
+    }
+
+    return sheets;
+}
+
+/**
+ * Create a match line across the road at a distance along the line
+ * @param {number} distance - Distance along the road line (m)
+ * @param {number} halfLength - Half length of the line (m)
+ * @param {string} label - Label drawn at the end of the line
+ * @returns {Object|null} { from, to, label }
+ */
+function createMatchLine(distance, halfLength, label) {
+    const position = getRoadPositionAtDistance(distance);
+    if (!position) {
+        return null;
+    }
+
+    const point = turf.point([position.latlng.lng, position.latlng.lat]);
+    const from = turf.destination(point, halfLength, position.bearing - 90, { units: 'meters' });
+    const to = turf.destination(point, halfLength, position.bearing + 90, { units: 'meters' });
+
+    return {
+        from: L.latLng(from.geometry.coordinates[1], from.geometry.coordinates[0]),
+        to: L.latLng(to.geometry.coordinates[1], to.geometry.coordinates[0]),
+        label: label
+    };
+}
+
+/**
+ * Create the overview view covering all detail sheets
+ * Uses the largest common scale that fits the combined extent into the map box.
+ * @param {Array<L.LatLngBounds>} sheetBounds - Extent of each detail sheet
+ * @param {Object} box - Map box on the page (mm)
+ * @returns {Object} Print view
+ */
+function createOverviewView(sheetBounds, box) {
+    const bounds = L.latLngBounds(sheetBounds.map(b => [b.getSouthWest(), b.getNorthEast()]).flat());
+    const width = bounds.getNorthWest().distanceTo(bounds.getNorthEast());
+    const height = bounds.getNorthWest().distanceTo(bounds.getSouthWest());
+
+    // Scale denominator needed to fit, with some room around the sheet frames
+    const needed = Math.max(width / box.w, height / box.h) * 1000 * 1.05;
+    const scale = OVERVIEW_SCALES.find(s => s >= needed) || Math.ceil(needed / 1000) * 1000;
+
+    return createFixedScaleView(bounds.getCenter(), scale, box);
+}
+
+/**
+ * Normalize export options, falling back to the print configuration
+ * Detail sheets always use a fixed scale.
+ * @param {Object} options - { paperSize, orientation, scale, multiPage }
+ * @returns {Object} { paperSize, orientation, scale, multiPage }
+ */
+function getExportOptions(options = {}) {
+    const multiPage = Boolean(options.multiPage);
+    const scale = parseInt(options.scale, 10) || (multiPage ? PRINT_CONFIG.detailScale : 0);
+
+    return {
+        multiPage: multiPage,
+        paperSize: PAPER_SIZES[options.paperSize] ? options.paperSize : PRINT_CONFIG.defaultPaperSize,
+        orientation: options.orientation === 'portrait' || options.orientation === 'landscape'
+            ? options.orientation
+            : PRINT_CONFIG.defaultOrientation,
+        scale: scale > 0 ? scale : null
+    };
+}
+
+/**
+ * Get the extent of each detail sheet along the selected road
+ * @param {Object} layout - Page layout
+ * @param {number} scale - Scale denominator of the detail sheets
+ * @returns {Array<Object>|null} Sheets [{ from, to, view, bounds }], or null if no road is selected
+ */
+function getDetailSheets(layout, scale) {
+    const sheets = planDetailSheets(layout.mapBox, scale);
+    if (!sheets) {
+        return null;
+    }
+
+    return sheets.map(sheet => {
+        const view = createFixedScaleView(sheet.center, scale, layout.mapBox);
+        return { ...sheet, view: view, bounds: getViewBounds(view) };
+    });
+}
+
+/**
+ * Show the extents that will be printed at a fixed scale as rectangles on the map
+ * One rectangle per detail sheet in multi-page mode; removed when no fixed scale is chosen.
+ * @param {Object} options - { paperSize, orientation, scale, multiPage }
+ */
+export function updatePrintPreview(options = {}) {
+    const map = getMap();
+    if (!map) return;
+
+    const { paperSize, orientation, scale, multiPage } = getExportOptions(options);
+
+    if (!scale) {
+        clearPrintPreview();
+        return;
+    }
+
+    const layout = getPageLayout(paperSize, orientation);
+    let extents;
+
+    if (multiPage) {
+        const sheets = getDetailSheets(layout, scale) || [];
+        extents = sheets.slice(0, PRINT_CONFIG.maxSheets).map(sheet => sheet.bounds);
+    } else {
+        extents = [getViewBounds(createFixedScaleView(map.getCenter(), scale, layout.mapBox))];
+    }
+
+    if (!previewState.layer) {
+        previewState.layer = L.layerGroup().addTo(map);
+    }
+
+    previewState.layer.clearLayers();
+    extents.forEach(bounds => {
+        L.rectangle(bounds, {
+            color: '#d32f2f',
+            weight: 2,
+            dashArray: '8, 6',
+            fill: false,
+            interactive: false
+        }).addTo(previewState.layer);
+    });
+}
+
+/**
+ * Remove the print extent rectangles from the map
+ */
+export function clearPrintPreview() {
+    if (previewState.layer) {
+        previewState.layer.remove();
+        previewState.layer = null;
+    }
+}
+
+/**
+ * Draw an overview sheet followed by detail sheets along the selected road
+ * Detail sheets get match lines where the road continues on the previous or next sheet.
+ * @param {jsPDF} doc - PDF document with one empty page
+ * @param {Object} layout - Page layout
+ * @param {Object} options - Normalized export options
+ * @returns {Promise<number|null>} Number of sheets, or null if the sheets could not be planned
+ */
+async function drawSheetSet(doc, layout, options) {
+    const { paperSize, orientation, scale } = options;
+    const sheets = getDetailSheets(layout, scale);
+
+    if (!sheets) {
+        alert('Velg en vei før detaljark langs vegen kan lages');
+        return null;
+    }
+
+    if (sheets.length > PRINT_CONFIG.maxSheets) {
+        alert(`Planen gir mer enn ${PRINT_CONFIG.maxSheets} detaljark. Velg en mindre målestokk (f.eks. 1:2000).`);
+        return null;
+    }
+
+    const total = sheets.length + 1;
+
+    // Match lines are 2 x 20 mm long on paper
+    const matchLineHalfLength = 20 * scale / 1000;
+
+    const overview = createOverviewView(sheets.map(sheet => sheet.bounds), layout.mapBox);
+    await drawSheet(doc, layout, overview, `1 av ${total} (oversikt)`, {
+        sheetFrames: sheets.map((sheet, index) => ({ bounds: sheet.bounds, label: `Ark ${index + 2}` }))
+    });
+
+    for (let i = 0; i < sheets.length; i++) {
+        const number = i + 2;
+        const matchLines = [];
+
+        if (i > 0) {
+            matchLines.push(createMatchLine(sheets[i].from, matchLineHalfLength, `Passlinje - se ark ${number - 1}`));
+        }
+        if (i < sheets.length - 1) {
+            matchLines.push(createMatchLine(sheets[i].to, matchLineHalfLength, `Passlinje - se ark ${number + 1}`));
+        }
+
+        doc.addPage(paperSize, orientation);
+        await drawSheet(doc, layout, sheets[i].view, `${number} av ${total}`, {
+            matchLines: matchLines.filter(Boolean)
+        });
+    }
+
+    return total;
+}
+
+/**
+ * Export the plan as PDF
+ * With a fixed scale the printed extent is centered on the map and independent of the viewport.
+ * In multi-page mode the PDF holds an overview sheet plus detail sheets along the selected road.
+ * @param {Object} options - { paperSize: 'a4' | 'a3', orientation: 'landscape' | 'portrait',
+ *                            scale: number|null, multiPage: boolean }
+ */
+export async function exportPlanPDF(options = {}) {
+    const map = getMap();
+    if (!map) {
+        console.error('Map not available');
+        return;
+    }
+
+    if (!window.jspdf || !window.jspdf.jsPDF) {
+        alert('PDF-bibliotek ikke lastet. Sjekk nettverksforbindelsen.');
+        return;
+    }
+
+    const loadingIndicator = showLoadingIndicator('Lager PDF...');
+
+    try {
+        const exportOptions = getExportOptions(options);
+        const { paperSize, orientation, scale } = exportOptions;
+        const layout = getPageLayout(paperSize, orientation);
+        const doc = new window.jspdf.jsPDF({ orientation: orientation, unit: 'mm', format: paperSize });
+
+        let sheetCount = 1;
+        if (exportOptions.multiPage) {
+            sheetCount = await drawSheetSet(doc, layout, exportOptions);
+            if (!sheetCount) {
+                return;
+            }
+        } else {
+            await drawSheet(doc, layout, createPrintView(map, layout, scale), '1 av 1');
+        }
+
+        const project = getCurrentProject();
+        const name = (project ? project.name : 'avplan').replace(/[^\wæøåÆØÅ-]+/g, '_');
+        const date = new Date().toISOString().split('T')[0];
+        doc.save(`${name}_${date}.pdf`);
+
+        console.log(`Plan exported as PDF (${layout.paper.label} ${orientation}, ${sheetCount} sheet(s))`);
+
+        const statusText = document.getElementById('statusText');
+        if (statusText) {
+            statusText.textContent = sheetCount > 1 ? `PDF eksportert (${sheetCount} ark)` : 'PDF eksportert';
+        }
+    } finally {
+        hideLoadingIndicator(loadingIndicator);
+    }
+}
+
+export default {
+    exportPlanPDF,
+    updatePrintPreview,
+    clearPrintPreview
+};
@@ -0,0 +1,465 @@
+/**
+ * Plan Validation Module
+ * Checks the placed signs against N301 rules and highlights violations on the map
+ * @module plan-validation
+ */
+
+import { getMap, getSelectedRoad } from './map-manager.js';
+import { getZoneSpeedLimit } from './speed-profile.js';
+import { getZoneADT } from './traffic-basis.js';
+import {
+    getWorkZone,
+    calculateDistanceAlongSequence,
+    getRoadPositionAtDistance
+} from './work-zone.js';
+import { getPlacedSigns, getSignCode } from './sign-manager.js';
+
+// Validation state
+const validationState = {
+    rules: null, // Loaded from data/n301-rules.json
+    highlightLayer: null,
+    issues: []
+};
+
+// Highlight colors per severity
+const SEVERITY_COLORS = {
+    error: '#dc3545',
+    warning: '#ffc107',
+    info: '#6c757d'
+};
+
+/**
+ * Load validation rules
+ * @returns {Promise<Object|null>} Rule data or null on error
+ */
+async function loadValidationRules() {
+    if (validationState.rules) {
+        return validationState.rules;
+    }
+
+    try {
+        const response = await fetch('data/n301-rules.json');
+
+        if (!response.ok) {
+            console.error('Failed to load N301 rules');
+            return null;
+        }
+
+        validationState.rules = await response.json();
+        return validationState.rules;
+
+    } catch (error) {
+        console.error('Error loading N301 rules:', error);
+        return null;
+    }
+}
+
+/**
+ * Fill {placeholders} in a rule message
+ * @param {string} template - Message template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Message
+ */
+function formatMessage(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] !== undefined ? values[key] : match);
+}
+
+/**
+ * Locate placed point signs along the selected road
+ * Each sign gets its distance along the line and the side of the road it stands on
+ * @param {number} maxRoadDistance - Signs further from the road are ignored
+ * @returns {Array<Object>} Located signs
+ */
+function locateSigns(maxRoadDistance) {
+    const located = [];
+
+    getPlacedSigns().forEach(sign => {
+        if (!sign.position) return;
+
+        const latlng = L.latLng(sign.position[0], sign.position[1]);
+        const distance = calculateDistanceAlongSequence(latlng);
+        if (distance === null) return;
+
+        const roadPosition = getRoadPositionAtDistance(distance);
+        if (!roadPosition) return;
+
+        const from = turf.point([roadPosition.latlng.lng, roadPosition.latlng.lat]);
+        const to = turf.point([latlng.lng, latlng.lat]);
+        const offset = turf.distance(from, to, { units: 'meters' });
+        if (offset > maxRoadDistance) return;
+
+        // Right side of the line direction when the sign lies 0-180° clockwise from it
+        const relative = (turf.bearing(from, to) - roadPosition.bearing + 360) % 360;
+
+        located.push({
+            signId: sign.signId,
+            code: getSignCode(sign.signId),
+            latlng: latlng,
+            distance: distance,
+            side: offset < 0.5 ? 0 : (relative < 180 ? 1 : -1)
+        });
+    });
+
+    return located;
+}
+
+/**
+ * Split located signs into the two approaches to the work zone
+ * @param {Array<Object>} signs - Located signs
+ * @param {Object} zone - { from, to, fromSide, toSide } distances and side labels
+ * @returns {Array<Object>} Approaches, each with signs in travel order
+ */
+function getApproaches(signs, zone) {
+    return [
+        {
+            side: zone.fromSide,
+            entry: zone.from,
+            direction: 1,
+            signs: signs.filter(s => s.distance < zone.from).sort((a, b) => a.distance - b.distance)
+        },
+        {
+            side: zone.toSide,
+            entry: zone.to,
+            direction: -1,
+            signs: signs.filter(s => s.distance > zone.to).sort((a, b) => b.distance - a.distance)
+        }
+    ];
+}
+
+/**
+ * Check that each approach has one of the required signs within range of the zone
+ * @param {Object} rule - Rule definition
+ * @param {Object} context - Validation context
+ * @returns {Array<Object>} Issues
+ */
+function checkRequiredSignBeforeZone(rule, context) {
+    const issues = [];
+
+    context.approaches.forEach(approach => {
+        const found = approach.signs.some(s =>
+            s.code && rule.signCodes.includes(s.code.code) &&
+            Math.abs(approach.entry - s.distance) <= rule.maxDistance);
+
+        if (!found) {
+            const position = getRoadPositionAtDistance(approach.entry);
+            issues.push({
+                message: formatMessage(rule.message, { side: approach.side }),
+                latlng: position ? position.latlng : null
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Check that speed limit signs step down gradually towards the zone
+ * @param {Object} rule - Rule definition
+ * @param {Object} context - Validation context
+ * @returns {Array<Object>} Issues
+ */
+function checkMaxSpeedStep(rule, context) {
+    const issues = [];
+
+    if (!context.speedLimit) {
+        return issues;
+    }
+
+    context.approaches.forEach(approach => {
+        let previous = context.speedLimit;
+
+        approach.signs.forEach(s => {
+            if (!s.code || !rule.signCodes.includes(s.code.code)) return;
+
+            // Signs on the left side serve the opposite direction (e.g. its end-of-zone sign)
+            if (s.side === -approach.direction) return;
+
+            const speed = parseInt(s.code.variant);
+            if (isNaN(speed)) return;
+
+            if (previous - speed > rule.maxStep) {
+                issues.push({
+                    message: formatMessage(rule.message, {
+                        from: previous,
+                        to: speed,
+                        side: approach.side,
+                        maxStep: rule.maxStep
+                    }),
+                    latlng: s.latlng
+                });
+            }
+            previous = speed;
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Check that signs for the same traffic direction are not placed too close together
+ * @param {Object} rule - Rule definition
+ * @param {Object} context - Validation context
+ * @returns {Array<Object>} Issues
+ */
+function checkMinSignSpacing(rule, context) {
+    const issues = [];
+
+    if (!context.speedLimit) {
+        return issues;
+    }
+
+    // Use the lowest speed class that covers the speed limit
+    const classes = Object.keys(rule.minDistanceBySpeed).map(Number).sort((a, b) => a - b);
+    const speedClass = classes.find(c => context.speedLimit <= c) || classes[classes.length - 1];
+    const minDistance = rule.minDistanceBySpeed[speedClass];
+    const reported = new Set();
+
+    context.approaches.forEach(approach => {
+        // Traffic signs on one side of the road at a time (signs on the centre line count for both);
+        // markeringsskilt are part of the work area itself
+        [1, -1].forEach(side => {
+            const signs = approach.signs.filter(s => s.code && (s.side === side || s.side === 0));
+
+            for (let i = 1; i < signs.length; i++) {
+                const previous = signs[i - 1];
+                const current = signs[i];
+
+                const spacing = Math.abs(current.distance - previous.distance);
+                if (spacing < minDistance && !reported.has(current)) {
+                    reported.add(current);
+                    issues.push({
+                        message: formatMessage(rule.message, {
+                            distance: spacing,
+                            minDistance: minDistance,
+                            speed: context.speedLimit
+                        }),
+                        latlng: current.latlng
+                    });
+                }
+            }
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Check that a given sign (e.g. TMA) is placed when traffic volume is high
+ * @param {Object} rule - Rule definition
+ * @param {Object} context - Validation context
+ * @returns {Array<Object>} Issues
+ */
+function checkRequiredSignForAdt(rule, context) {
+    if (!context.adt || context.adt < rule.minAdt) {
+        return [];
+    }
+
+    const found = getPlacedSigns().some(s => s.signId.includes(rule.signIdPattern));
+    if (found) {
+        return [];
+    }
+
+    return [{
+        message: formatMessage(rule.message, { adt: context.adt.toLocaleString('no-NO') }),
+        latlng: context.zoneCenter
+    }];
+}
+
+// Rule type → check function
+const RULE_CHECKS = {
+    requiredSignBeforeZone: checkRequiredSignBeforeZone,
+    maxSpeedStep: checkMaxSpeedStep,
+    minSignSpacing: checkMinSignSpacing,
+    requiredSignForAdt: checkRequiredSignForAdt
+};
+
+/**
+ * Validate the current plan against the configured rules
+ * @returns {Promise<Array<Object>|null>} Issues ({ ruleId, severity, message, latlng }), or null if the plan cannot be checked
+ */
+export async function validatePlan() {
+    const road = getSelectedRoad();
+    const zone = getWorkZone();
+
+    if (!road || !zone) {
+        return null;
+    }
+
+    const ruleData = await loadValidationRules();
+    if (!ruleData) {
+        return null;
+    }
+
+    const startDistance = calculateDistanceAlongSequence(zone.start);
+    const endDistance = calculateDistanceAlongSequence(zone.end);
+    if (startDistance === null || endDistance === null) {
+        return null;
+    }
+
+    const startFirst = startDistance <= endDistance;
+    const zoneInfo = {
+        from: Math.min(startDistance, endDistance),
+        to: Math.max(startDistance, endDistance),
+        fromSide: startFirst ? 'START-siden' : 'SLUTT-siden',
+        toSide: startFirst ? 'SLUTT-siden' : 'START-siden'
+    };
+
+    const centerPosition = getRoadPositionAtDistance((zoneInfo.from + zoneInfo.to) / 2);
+    const context = {
+        speedLimit: await getZoneSpeedLimit(),
+        adt: await getZoneADT(),
+        approaches: getApproaches(locateSigns(ruleData.maxRoadDistance), zoneInfo),
+        zoneCenter: centerPosition ? centerPosition.latlng : zone.start
+    };
+
+    const issues = [];
+
+    ruleData.rules.forEach(rule => {
+        if (rule.enabled === false) return;
+
+        const check = RULE_CHECKS[rule.type];
+        if (!check) {
+            console.warn(`Unknown validation rule type: ${rule.type}`);
+            return;
+        }
+
+        check(rule, context).forEach(issue => {
+            issues.push({ ruleId: rule.id, severity: rule.severity, ...issue });
+        });
+    });
+
+    if (!context.speedLimit) {
+        issues.push({
+            ruleId: 'speed-limit',
+            severity: 'info',
+            message: 'Fartsgrense ukjent – fart og skiltavstand er ikke kontrollert',
+            latlng: null
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Remove validation highlights from the map
+ */
+export function clearValidationHighlights() {
+    const map = getMap();
+
+    if (validationState.highlightLayer && map) {
+        map.removeLayer(validationState.highlightLayer);
+    }
+    validationState.highlightLayer = null;
+    validationState.issues = [];
+
+    const container = document.getElementById('validationResults');
+    if (container) {
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Highlight issues on the map
+ * @param {Array<Object>} issues - Validation issues
+ */
+function highlightIssues(issues) {
+    const map = getMap();
+    if (!map) return;
+
+    validationState.highlightLayer = L.layerGroup().addTo(map);
+
+    issues.forEach(issue => {
+        if (!issue.latlng) return;
+
+        L.circleMarker(issue.latlng, {
+            radius: 22,
+            color: SEVERITY_COLORS[issue.severity] || SEVERITY_COLORS.info,
+            weight: 3,
+            dashArray: '6, 4',
+            fill: false,
+            interactive: true
+        })
+            .bindTooltip(issue.message, { direction: 'top', className: 'validation-tooltip' })
+            .addTo(validationState.highlightLayer);
+    });
+}
+
+/**
+ * Render issue list in the sidebar
+ * @param {Array<Object>} issues - Validation issues
+ */
+function renderValidationResults(issues) {
+    const container = document.getElementById('validationResults');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (issues.length === 0) {
+        const ok = document.createElement('p');
+        ok.className = 'validation-ok';
+        ok.textContent = '✓ Ingen avvik funnet';
+        container.appendChild(ok);
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'validation-list';
+
+    issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.className = `validation-item validation-${issue.severity}`;
+        item.textContent = issue.message;
+
+        // Zoom to the problem location
+        if (issue.latlng) {
+            item.addEventListener('click', () => {
+                const map = getMap();
+                if (map) {
+                    map.setView(issue.latlng, Math.max(map.getZoom(), 17));
+                }
+            });
+        }
+
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+}
+
+/**
+ * Validate the plan and show the result in the sidebar and on the map
+ * @returns {Promise<Array<Object>|null>} Issues, or null if the plan cannot be checked
+ */
+export async function runPlanValidation() {
+    clearValidationHighlights();
+
+    if (!getSelectedRoad()) {
+        alert('Velg en vei før planen kontrolleres');
+        return null;
+    }
+
+    if (!getWorkZone()) {
+        alert('Sett START og SLUTT for arbeidssonen før planen kontrolleres');
+        return null;
+    }
+
+    const issues = await validatePlan();
+    if (!issues) {
+        alert('Kunne ikke kontrollere planen. Sjekk at arbeidssonen ligger på valgt vei.');
+        return null;
+    }
+
+    validationState.issues = issues;
+    highlightIssues(issues);
+    renderValidationResults(issues);
+
+    console.log(`Plan validation: ${issues.length} issues`);
+    return issues;
+}
+
+export default {
+    validatePlan,
+    runPlanValidation,
+    clearValidationHighlights
+};
@@ -1,14 +1,64 @@
 /**
  * Project Manager Module
- * Handles project save/load using localStorage
+ * Handles project save/load in IndexedDB, revision history, autosave with crash recovery,
+ * and project files (.avplan) for sharing
  * @module project-manager
  */
 
 import { getMap, getSelectedRoad, selectRoadAtPoint, clearSelectedRoad } from './map-manager.js';
 import { getWorkZone, placeStartMarker, placeEndMarker, clearWorkZone, workZoneState } from './work-zone.js';
-import { getPlacedSigns, restoreSigns, clearAllSigns, clearUndoHistory } from './sign-manager.js';
+import { getPlacedSigns, restoreSigns, clearAllSigns } from './sign-manager.js';
+import { clearHistory } from './history.js';
 import { updateDistanceMarkers, clearDistanceMarkers } from './distance-markers.js';
+import { clearValidationHighlights } from './plan-validation.js';
+import { clearConflictReport } from './sign-conflicts.js';
+import { getTrafficBasis } from './traffic-basis.js';
 import { getTextBoxManager } from './app.js';
+import {
+    putProject,
+    getProject,
+    getAllProjects,
+    removeProject,
+    addRevision,
+    getRevision,
+    getRevisions,
+    removeRevisions,
+    putAutosave,
+    getAutosave,
+    clearAutosave,
+    migrateLocalStorageProjects,
+    getStorageStatus,
+    isQuotaError,
+    formatBytes
+} from './project-store.js';
+import { diffRevisions, showRevisionDiff, clearRevisionDiff, renderRevisionDiff } from './revision-diff.js';
+import { STORAGE_CONFIG } from './config.js';
+
+// Project data model version. Bump when the saved structure changes and add a migration below.
+export const PROJECT_SCHEMA_VERSION = 2;
+
+// Format marker written to project files
+const PROJECT_FILE_FORMAT = 'avplan';
+
+/**
+ * Project migrations, keyed by the schema version they upgrade from
+ * Each migration returns a new project object for the next version.
+ */
+const PROJECT_MIGRATIONS = {
+    // 1 → 2: projects saved before schema versioning; fill in fields that may be missing
+    1: project => ({
+        ...project,
+        metadata: project.metadata || {},
+        workZone: project.workZone || { start: null, end: null },
+        signs: project.signs || [],
+        textBoxes: project.textBoxes || [],
+        settings: {
+            snapToRoad: false,
+            showDistanceMarkers: true,
+            ...(project.settings || {})
+        }
+    })
+};
 
 // Project state
 export const projectState = {
@@ -19,13 +69,183 @@ export const projectState = {
     }
 };
 
+// Autosave state
+const autosaveState = {
+    timer: null,
+    lastSnapshot: null // Plan content at the last autosave
+};
+
+/**
+ * Get the saved traffic basis of the current project while it still applies
+ * The traffic basis is reloaded when the road or the work zone changes; until then the saved
+ * basis is only used if both are unchanged, so a plan is never saved with another road's basis.
+ * @param {Object|null} road - Selected road
+ * @param {Object} workZone - Work zone as saved ({ start, end })
+ * @returns {Object|null} Saved traffic basis, or null
+ */
+function getSavedTrafficBasis(road, workZone) {
+    const saved = projectState.currentProject;
+    if (!road || !saved?.metadata?.trafficBasis || !saved.selectedRoad) {
+        return null;
+    }
+
+    const sameRoad = String(saved.selectedRoad.veglenkesekvensid) === String(road.veglenkesekvensid) &&
+        JSON.stringify(saved.selectedRoad.veglenkesekvensIds || null) === JSON.stringify(road.veglenkesekvensIds || null);
+    const sameZone = JSON.stringify(saved.workZone) === JSON.stringify(workZone);
+
+    return sameRoad && sameZone ? saved.metadata.trafficBasis : null;
+}
+
 /**
- * Save current project to localStorage
+ * Collect the current plan into a project object
  * @param {string} projectName - Name for the project
  * @param {Object} metadata - Optional metadata (preparer, company, contact)
- * @returns {Object|null} Saved project object
+ * @returns {Object} Project object at the current schema version
  */
-export function saveProject(projectName, metadata = {}) {
+function buildProject(projectName, metadata = {}) {
+    const map = getMap();
+    const road = getSelectedRoad();
+    const workZone = getWorkZone();
+    const signs = getPlacedSigns();
+    const textBoxManager = getTextBoxManager();
+    const textBoxes = textBoxManager ? textBoxManager.getTextBoxesData() : [];
+    const currentMetadata = getProjectMetadata();
+    const zoneData = workZone ? {
+        start: [workZone.start.lat, workZone.start.lng],
+        end: [workZone.end.lat, workZone.end.lng]
+    } : {
+        start: null,
+        end: null
+    };
+
+    return {
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        id: projectState.currentProject?.id || Date.now(),
+        name: projectName.trim(),
+        created: projectState.currentProject?.created || new Date().toISOString(),
+        modified: new Date().toISOString(),
+
+        metadata: {
+            preparer: metadata.preparer || currentMetadata.preparer,
+            company: metadata.company || currentMetadata.company,
+            contact: metadata.contact || currentMetadata.contact,
+            roadReference: road ? road.vegsystemreferanse : null,
+            // ÅDT, speed limit and N301 road class the plan was made for
+            trafficBasis: road ? (getTrafficBasis() || getSavedTrafficBasis(road, zoneData)) : null
+        },
+
+        mapState: {
+            center: map ? [map.getCenter().lat, map.getCenter().lng] : [63.4305, 10.3951],
+            zoom: map ? map.getZoom() : 5
+        },
+
+        selectedRoad: road ? {
+            veglenkesekvensid: road.veglenkesekvensid,
+            vegsystemreferanse: road.vegsystemreferanse,
+            geojson: road.geojson,
+            lengde: road.lengde,
+            kommune: road.kommune,
+            veglenker: road.veglenker,
+            segments: road.segments || null,
+            veglenkesekvensIds: road.veglenkesekvensIds || null,
+            roadWidth: road.roadWidth || null
+        } : null,
+
+        workZone: zoneData,
+
+        signs: signs || [],
+
+        textBoxes: textBoxes || [],
+
+        settings: {
+            snapToRoad: projectState.settings.snapToRoad,
+            showDistanceMarkers: projectState.settings.showDistanceMarkers
+        }
+    };
+}
+
+/**
+ * Upgrade project data to the current schema version
+ * Projects without schemaVersion were saved before versioning and count as version 1.
+ * @param {Object} project - Project data as saved
+ * @returns {Object|null} Migrated project, or null if it was saved by a newer version
+ */
+export function migrateProject(project) {
+    const savedVersion = project.schemaVersion || 1;
+
+    if (savedVersion > PROJECT_SCHEMA_VERSION) {
+        console.error(`Project schema ${savedVersion} is newer than supported (${PROJECT_SCHEMA_VERSION})`);
+        return null;
+    }
+
+    let migrated = project;
+    for (let version = savedVersion; version < PROJECT_SCHEMA_VERSION; version++) {
+        migrated = { ...PROJECT_MIGRATIONS[version](migrated), schemaVersion: version + 1 };
+    }
+
+    if (savedVersion !== PROJECT_SCHEMA_VERSION) {
+        console.log(`Project migrated from schema ${savedVersion} to ${PROJECT_SCHEMA_VERSION}`);
+    }
+
+    return migrated;
+}
+
+/**
+ * Show a storage error, with usage details when the quota is exceeded
+ * @param {Error} error - Error from the project store
+ * @param {string} message - Message for other errors
+ */
+async function reportStorageError(error, message) {
+    if (!isQuotaError(error)) {
+        alert(message);
+        return;
+    }
+
+    const status = await getStorageStatus();
+    const usage = status.usage !== null && status.quota
+        ? ` (brukt ${formatBytes(status.usage)} av ${formatBytes(status.quota)})`
+        : '';
+
+    alert(`Lagringsplassen i nettleseren er full${usage}. Last ned prosjektfiler av gamle prosjekter og slett dem her for å frigjøre plass.`);
+}
+
+/**
+ * Keep a copy of a saved project as a new revision
+ * @param {Object} project - Saved project
+ * @param {string} note - Optional note (e.g. "Gjenopprettet fra revisjon 2")
+ * @returns {Promise<Object|null>} Revision, or null if it could not be stored
+ */
+async function recordRevision(project, note = '') {
+    try {
+        const revisions = await getRevisions(project.id);
+        const revision = {
+            projectId: project.id,
+            number: revisions.length > 0 ? revisions[revisions.length - 1].number + 1 : 1,
+            savedAt: project.modified,
+            author: project.metadata?.preparer || '',
+            note: note,
+            project: project
+        };
+
+        revision.revisionId = await addRevision(revision);
+        console.log(`Revision ${revision.number} recorded for project ${project.name}`);
+        return revision;
+
+    } catch (error) {
+        console.error('Error recording revision:', error);
+        await reportStorageError(error, 'Prosjektet ble lagret, men revisjonen kunne ikke lagres.');
+        return null;
+    }
+}
+
+/**
+ * Save current project
+ * Every save is also kept as a revision.
+ * @param {string} projectName - Name for the project
+ * @param {Object} metadata - Optional metadata (preparer, company, contact)
+ * @returns {Promise<Object|null>} Saved project object
+ */
+export async function saveProject(projectName, metadata = {}) {
     try {
         if (!projectName || projectName.trim() === '') {
             alert('Vennligst oppgi et prosjektnavn');
@@ -33,70 +253,28 @@ export function saveProject(projectName, metadata = {}) {
         }
 
         // Check if storage is available
-        if (!isStorageAvailable()) {
-            alert('Kan ikke lagre: localStorage er fullt eller utilgjengelig');
+        const status = await getStorageStatus();
+        if (!status.available) {
+            alert(`Kan ikke lagre: ${status.reason}`);
             return null;
         }
 
-        const map = getMap();
-        const road = getSelectedRoad();
-        const workZone = getWorkZone();
-        const signs = getPlacedSigns();
-        const textBoxManager = getTextBoxManager();
-        const textBoxes = textBoxManager ? textBoxManager.getTextBoxesData() : [];
-
         // Create project object
-        const project = {
-            id: projectState.currentProject?.id || Date.now(),
-            name: projectName.trim(),
-            created: projectState.currentProject?.created || new Date().toISOString(),
-            modified: new Date().toISOString(),
-
-            metadata: {
-                preparer: metadata.preparer || '',
-                company: metadata.company || '',
-                contact: metadata.contact || '',
-                roadReference: road ? road.vegsystemreferanse : null
-            },
-
-            mapState: {
-                center: map ? [map.getCenter().lat, map.getCenter().lng] : [63.4305, 10.3951],
-                zoom: map ? map.getZoom() : 5
-            },
-
-            selectedRoad: road ? {
-                veglenkesekvensid: road.veglenkesekvensid,
-                vegsystemreferanse: road.vegsystemreferanse,
-                geojson: road.geojson,
-                lengde: road.lengde,
-                kommune: road.kommune,
-                veglenker: road.veglenker
-            } : null,
-
-            workZone: workZone ? {
-                start: [workZone.start.lat, workZone.start.lng],
-                end: [workZone.end.lat, workZone.end.lng]
-            } : {
-                start: null,
-                end: null
-            },
-
-            signs: signs || [],
-
-            textBoxes: textBoxes || [],
-
-            settings: {
-                snapToRoad: projectState.settings.snapToRoad,
-                showDistanceMarkers: projectState.settings.showDistanceMarkers
-            }
-        };
+        const project = buildProject(projectName, metadata);
 
-        // Save to localStorage
-        const key = `avplan_${project.id}`;
-        localStorage.setItem(key, JSON.stringify(project));
+        try {
+            await putProject(project);
+        } catch (storeError) {
+            console.error('Error storing project:', storeError);
+            await reportStorageError(storeError, 'Kunne ikke lagre prosjekt. Sjekk konsollen for detaljer.');
+            return null;
+        }
+
+        await recordRevision(project);
 
-        // Update current project
+        // Update current project; the saved plan needs no crash recovery
         projectState.currentProject = project;
+        await discardAutosave();
 
         console.log(`Project saved: ${projectName}`);
 
@@ -116,22 +294,26 @@ export function saveProject(projectName, metadata = {}) {
 }
 
 /**
- * Load project from localStorage
+ * Load project from the project store
  * @param {number} projectId - Project ID to load
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-export function loadProject(projectId) {
+export async function loadProject(projectId) {
     try {
-        // Get project from localStorage
-        const key = `avplan_${projectId}`;
-        const projectData = localStorage.getItem(key);
+        const projectData = await getProject(projectId);
 
         if (!projectData) {
             alert('Prosjekt ikke funnet');
             return false;
         }
 
-        const project = JSON.parse(projectData);
+        // Upgrade older saves and project files to the current data model
+        const project = migrateProject(projectData);
+
+        if (!project) {
+            alert('Prosjektet er laget med en nyere versjon av AV-Plan og kan ikke åpnes');
+            return false;
+        }
 
         // Validate structure
         if (!project.id || !project.name) {
@@ -139,213 +321,211 @@ export function loadProject(projectId) {
             return false;
         }
 
-        // Clear current state
-        clearCurrentProject();
-
-        // Restore map view
-        const map = getMap();
-        if (map && project.mapState) {
-            map.setView(project.mapState.center, project.mapState.zoom);
-        }
+        await applyProject(project);
 
-        // Restore selected road
-        if (project.selectedRoad && project.selectedRoad.geojson) {
-            // Import map-manager functions
-            import('./map-manager.js').then(async module => {
-                const { formatRoadReference, getRoadInfo, getSpeedLimit, getADT } = await import('./nvdb-api.js');
-                const { clearTurfLineCache } = await import('./work-zone.js');
+        console.log(`Project loaded: ${project.name}`);
 
-                // Build complete road data object
-                const roadData = {
-                    veglenkesekvensid: project.selectedRoad.veglenkesekvensid,
-                    vegsystemreferanse: project.selectedRoad.vegsystemreferanse,
-                    geojson: project.selectedRoad.geojson,
-                    lengde: project.selectedRoad.lengde,
-                    kommune: project.selectedRoad.kommune,
-                    veglenker: project.selectedRoad.veglenker
-                };
+        // Update status
+        const statusText = document.getElementById('statusText');
+        if (statusText) {
+            statusText.textContent = `Prosjekt lastet: ${project.name}`;
+        }
 
-                // Store in map state
-                module.mapState.selectedRoad = roadData;
+        return true;
 
-                // Clear turf line cache (new road loaded)
-                clearTurfLineCache();
+    } catch (error) {
+        console.error('Error loading project:', error);
+        alert('Kunne ikke laste prosjekt. Sjekk konsollen for detaljer.');
+        return false;
+    }
+}
 
-                // Display road on map
-                module.displayRoad(roadData, roadData.geojson);
+/**
+ * Replace the working plan with a project
+ * @param {Object} project - Project at the current schema version
+ * @returns {Promise<void>} Resolves when the autosave of the replaced plan is removed, so a
+ *          following autosave is not deleted by it
+ */
+function applyProject(project) {
+    // Clear current state
+    const discarded = clearCurrentProject();
+
+    // Restore map view
+    const map = getMap();
+    if (map && project.mapState) {
+        map.setView(project.mapState.center, project.mapState.zoom);
+    }
 
-                // Update sidebar UI with road details
-                const reference = formatRoadReference(roadData.vegsystemreferanse);
-                const roadInfo = getRoadInfo(roadData.vegsystemreferanse);
+    // Restore selected road
+    if (project.selectedRoad && project.selectedRoad.geojson) {
+        // Import map-manager functions
+        import('./map-manager.js').then(async module => {
+            const { formatRoadReference, getRoadInfo, getRoadWidth } = await import('./nvdb-api.js');
+            const { clearTurfLineCache } = await import('./work-zone.js');
+
+            // Build complete road data object
+            const roadData = {
+                veglenkesekvensid: project.selectedRoad.veglenkesekvensid,
+                vegsystemreferanse: project.selectedRoad.vegsystemreferanse,
+                geojson: project.selectedRoad.geojson,
+                lengde: project.selectedRoad.lengde,
+                kommune: project.selectedRoad.kommune,
+                veglenker: project.selectedRoad.veglenker,
+                segments: project.selectedRoad.segments || null,
+                veglenkesekvensIds: project.selectedRoad.veglenkesekvensIds || null,
+                roadWidth: project.selectedRoad.roadWidth || null
+            };
+
+            // Store in map state
+            module.mapState.selectedRoad = roadData;
+
+            // Clear turf line cache (new road loaded)
+            clearTurfLineCache();
+
+            // Display road on map (before notifying, so the speed profile is drawn on the new road layer)
+            module.displayRoad(roadData, roadData.geojson);
+            module.notifyRoadChange();
+
+            // Update sidebar UI with road details
+            const reference = formatRoadReference(roadData.vegsystemreferanse);
+            const roadInfo = getRoadInfo(roadData.vegsystemreferanse);
+
+            // Update road reference
+            const roadRefElement = document.getElementById('roadReference');
+            if (roadRefElement) {
+                roadRefElement.textContent = reference;
+            }
 
-                // Update road reference
-                const roadRefElement = document.getElementById('roadReference');
-                if (roadRefElement) {
-                    roadRefElement.textContent = reference;
+            // Build detailed information HTML
+            let detailsHtml = '';
+            if (roadInfo) {
+                detailsHtml += `<strong>Kategori:</strong> ${roadInfo.kategoriNavn}<br>`;
+                if (roadData.kommune) {
+                    detailsHtml += `<strong>Kommune:</strong> ${roadData.kommune}<br>`;
                 }
-
-                // Build detailed information HTML
-                let detailsHtml = '';
-                if (roadInfo) {
-                    detailsHtml += `<strong>Kategori:</strong> ${roadInfo.kategoriNavn}<br>`;
-                    if (roadData.kommune) {
-                        detailsHtml += `<strong>Kommune:</strong> ${roadData.kommune}<br>`;
-                    }
-                    if (roadData.lengde) {
-                        detailsHtml += `<strong>Lengde:</strong> ${Math.round(roadData.lengde)}m<br>`;
-                    }
-                    detailsHtml += `<strong>ID:</strong> ${roadData.veglenkesekvensid}<br>`;
-                    if (roadInfo.trafikantgruppe) {
-                        const trafikantMap = {
-                            'K': 'Kjørende',
-                            'G': 'Gående og syklende'
-                        };
-                        detailsHtml += `<strong>Trafikantgruppe:</strong> ${trafikantMap[roadInfo.trafikantgruppe] || roadInfo.trafikantgruppe}<br>`;
-                    }
-                    if (roadInfo.retning) {
-                        detailsHtml += `<strong>Retning:</strong> ${roadInfo.retning}<br>`;
-                    }
-
-                    // Add placeholders for speed limit and ÅDT (will be fetched)
-                    detailsHtml += `<strong>Fartsgrense:</strong> <span id="speedLimit">Henter...</span><br>`;
-                    detailsHtml += `<strong>ÅDT:</strong> <span id="adt">Henter...</span>`;
-                } else if (roadData.kommune) {
-                    detailsHtml = `<strong>Kommune:</strong> ${roadData.kommune}`;
+                if (roadData.lengde) {
+                    detailsHtml += `<strong>Lengde:</strong> ${Math.round(roadData.lengde)}m<br>`;
                 }
-
-                // Update road details
-                const roadDetailsElement = document.getElementById('roadDetails');
-                if (roadDetailsElement) {
-                    roadDetailsElement.innerHTML = detailsHtml;
+                detailsHtml += `<strong>ID:</strong> ${roadData.veglenkesekvensid}<br>`;
+                if (roadData.veglenkesekvensIds && roadData.veglenkesekvensIds.length > 1) {
+                    detailsHtml += `<strong>Sekvenser:</strong> ${roadData.veglenkesekvensIds.length}<br>`;
+                }
+                if (roadInfo.trafikantgruppe) {
+                    const trafikantMap = {
+                        'K': 'Kjørende',
+                        'G': 'Gående og syklende'
+                    };
+                    detailsHtml += `<strong>Trafikantgruppe:</strong> ${trafikantMap[roadInfo.trafikantgruppe] || roadInfo.trafikantgruppe}<br>`;
+                }
+                if (roadInfo.retning) {
+                    detailsHtml += `<strong>Retning:</strong> ${roadInfo.retning}<br>`;
                 }
 
-                // Fetch speed limit and ÅDT asynchronously (uses cache now!)
-                getSpeedLimit(roadData.veglenkesekvensid).then(speedLimit => {
-                    const speedLimitElement = document.getElementById('speedLimit');
-                    if (speedLimitElement) {
-                        if (speedLimit) {
-                            speedLimitElement.textContent = `${speedLimit} km/h`;
-                        } else {
-                            speedLimitElement.textContent = 'Ikke tilgjengelig';
-                            speedLimitElement.style.fontStyle = 'italic';
-                            speedLimitElement.style.color = '#999';
-                        }
-                    }
-                });
+                const lanes = module.getLaneSummary(roadData);
+                if (lanes) {
+                    detailsHtml += `<strong>Kjørefelt:</strong> ${lanes}<br>`;
+                }
 
-                getADT(roadData.veglenkesekvensid).then(adt => {
-                    const adtElement = document.getElementById('adt');
-                    if (adtElement) {
-                        if (adt) {
-                            adtElement.textContent = adt.toLocaleString('no-NO');
-                        } else {
-                            adtElement.textContent = 'Ikke tilgjengelig';
-                            adtElement.style.fontStyle = 'italic';
-                            adtElement.style.color = '#999';
-                        }
-                    }
-                });
-            });
-        }
+                // Add placeholders for road width, speed limit, ÅDT and road class (will be fetched)
+                detailsHtml += `<strong>Vegbredde:</strong> <span id="roadWidth">Henter...</span><br>`;
+                detailsHtml += `<strong>Fartsgrense:</strong> <span id="speedLimit">Henter...</span><br>`;
+                detailsHtml += `<strong>ÅDT:</strong> <span id="adt">Henter...</span><br>`;
+                detailsHtml += `<strong>Vegklasse (N301):</strong> <span id="trafficClass">Henter...</span>`;
+            } else if (roadData.kommune) {
+                detailsHtml = `<strong>Kommune:</strong> ${roadData.kommune}`;
+            }
 
-        // Restore work zone markers
-        if (project.workZone) {
-            if (project.workZone.start) {
-                const startLatLng = L.latLng(project.workZone.start[0], project.workZone.start[1]);
-                placeStartMarker(startLatLng);
+            // Update road details
+            const roadDetailsElement = document.getElementById('roadDetails');
+            if (roadDetailsElement) {
+                roadDetailsElement.innerHTML = detailsHtml;
             }
 
-            if (project.workZone.end) {
-                const endLatLng = L.latLng(project.workZone.end[0], project.workZone.end[1]);
-                placeEndMarker(endLatLng);
+            // Road width is stored with the project, so it works offline; refresh it when missing
+            if (roadData.roadWidth) {
+                module.showRoadWidth(roadData.roadWidth);
+            } else {
+                getRoadWidth(roadData.veglenkesekvensid).then(roadWidth => {
+                    roadData.roadWidth = roadWidth;
+                    module.showRoadWidth(roadWidth);
+                });
             }
-        }
 
-        // Restore signs
-        if (project.signs && project.signs.length > 0) {
-            restoreSigns(project.signs);
+            // Speed limit, ÅDT and road class are shown by speed-profile.js and traffic-basis.js
+        });
+    }
+
+    // Restore work zone markers
+    if (project.workZone) {
+        if (project.workZone.start) {
+            const startLatLng = L.latLng(project.workZone.start[0], project.workZone.start[1]);
+            placeStartMarker(startLatLng);
         }
 
-        // Restore text boxes
-        if (project.textBoxes && project.textBoxes.length > 0) {
-            const textBoxManager = getTextBoxManager();
-            if (textBoxManager) {
-                textBoxManager.loadTextBoxes(project.textBoxes);
-            }
+        if (project.workZone.end) {
+            const endLatLng = L.latLng(project.workZone.end[0], project.workZone.end[1]);
+            placeEndMarker(endLatLng);
         }
+    }
 
-        // Restore settings
-        if (project.settings) {
-            projectState.settings = { ...project.settings };
+    // Restore signs
+    if (project.signs && project.signs.length > 0) {
+        restoreSigns(project.signs);
+    }
 
-            // Update toggles
-            const snapToggle = document.getElementById('snapToggle');
-            if (snapToggle) {
-                snapToggle.checked = project.settings.snapToRoad;
-            }
+    // Restore text boxes
+    if (project.textBoxes && project.textBoxes.length > 0) {
+        const textBoxManager = getTextBoxManager();
+        if (textBoxManager) {
+            textBoxManager.loadTextBoxes(project.textBoxes);
+        }
+    }
 
-            const markerToggle = document.getElementById('markerToggle');
-            if (markerToggle) {
-                markerToggle.checked = project.settings.showDistanceMarkers;
-            }
+    // Restore settings
+    if (project.settings) {
+        projectState.settings = { ...project.settings };
+
+        // Update toggles
+        const snapToggle = document.getElementById('snapToggle');
+        if (snapToggle) {
+            snapToggle.checked = project.settings.snapToRoad;
         }
 
-        // Update distance markers
-        updateDistanceMarkers();
+        const markerToggle = document.getElementById('markerToggle');
+        if (markerToggle) {
+            markerToggle.checked = project.settings.showDistanceMarkers;
+        }
+    }
 
-        // Set current project
-        projectState.currentProject = project;
+    // Restore project information (title block fields)
+    setProjectMetadataFields(project.metadata);
 
-        console.log(`Project loaded: ${project.name}`);
+    // Update distance markers
+    updateDistanceMarkers();
 
-        // Update status
-        const statusText = document.getElementById('statusText');
-        if (statusText) {
-            statusText.textContent = `Prosjekt lastet: ${project.name}`;
-        }
+    // Loading is not an undoable edit - drop what the restore recorded
+    clearHistory();
 
-        return true;
+    // Set current project
+    projectState.currentProject = project;
 
-    } catch (error) {
-        console.error('Error loading project:', error);
-        alert('Kunne ikke laste prosjekt. Sjekk konsollen for detaljer.');
-        return false;
-    }
+    return discarded;
 }
 
 /**
  * List all saved projects
- * @returns {Array} Array of project summaries
+ * @returns {Promise<Array>} Array of project summaries
  */
-export function listProjects() {
-    const projects = [];
-
+export async function listProjects() {
     try {
-        // Iterate through localStorage
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-
-            // Filter AV-Plan projects
-            if (key && key.startsWith('avplan_')) {
-                const projectData = localStorage.getItem(key);
-
-                if (projectData) {
-                    try {
-                        const project = JSON.parse(projectData);
-
-                        projects.push({
-                            id: project.id,
-                            name: project.name,
-                            modified: project.modified,
-                            created: project.created,
-                            roadReference: project.metadata?.roadReference
-                        });
-                    } catch (parseError) {
-                        console.error(`Error parsing project ${key}:`, parseError);
-                    }
-                }
-            }
-        }
+        const projects = await Promise.all((await getAllProjects()).map(async project => ({
+            id: project.id,
+            name: project.name,
+            modified: project.modified,
+            created: project.created,
+            roadReference: project.metadata?.roadReference,
+            revisionCount: (await getRevisions(project.id)).length
+        })));
 
         // Sort by modified date (newest first)
         projects.sort((a, b) => new Date(b.modified) - new Date(a.modified));
@@ -362,14 +542,12 @@ export function listProjects() {
 /**
  * Delete a project
  * @param {number} projectId - Project ID to delete
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-export function deleteProject(projectId) {
+export async function deleteProject(projectId) {
     try {
-        const key = `avplan_${projectId}`;
-
         // Check if exists
-        if (!localStorage.getItem(key)) {
+        if (!(await getProject(projectId))) {
             alert('Prosjekt ikke funnet');
             return false;
         }
@@ -379,18 +557,18 @@ export function deleteProject(projectId) {
             return false;
         }
 
-        // Remove from localStorage
-        localStorage.removeItem(key);
+        await removeProject(projectId);
+        await removeRevisions(projectId);
 
         // If current project, clear it
         if (projectState.currentProject && projectState.currentProject.id === projectId) {
-            clearCurrentProject();
+            await clearCurrentProject();
         }
 
         console.log(`Project deleted: ${projectId}`);
 
         // Refresh project list
-        renderProjectList();
+        await renderProjectList();
 
         return true;
 
@@ -404,20 +582,17 @@ export function deleteProject(projectId) {
 /**
  * Duplicate a project
  * @param {number} projectId - Project ID to duplicate
- * @returns {Object|null} New project object
+ * @returns {Promise<Object|null>} New project object
  */
-export function duplicateProject(projectId) {
+export async function duplicateProject(projectId) {
     try {
-        const key = `avplan_${projectId}`;
-        const projectData = localStorage.getItem(key);
+        const original = await getProject(projectId);
 
-        if (!projectData) {
+        if (!original) {
             alert('Prosjekt ikke funnet');
             return null;
         }
 
-        const original = JSON.parse(projectData);
-
         // Create new project with same data
         const duplicate = {
             ...original,
@@ -428,13 +603,20 @@ export function duplicateProject(projectId) {
         };
 
         // Save duplicate
-        const newKey = `avplan_${duplicate.id}`;
-        localStorage.setItem(newKey, JSON.stringify(duplicate));
+        try {
+            await putProject(duplicate);
+        } catch (storeError) {
+            console.error('Error storing duplicate:', storeError);
+            await reportStorageError(storeError, 'Kunne ikke duplisere prosjekt');
+            return null;
+        }
+
+        await recordRevision(duplicate, `Kopi av «${original.name}»`);
 
         console.log(`Project duplicated: ${duplicate.name}`);
 
         // Refresh project list
-        renderProjectList();
+        await renderProjectList();
 
         return duplicate;
 
@@ -445,8 +627,103 @@ export function duplicateProject(projectId) {
     }
 }
 
+/**
+ * Download the current plan as a project file (.avplan)
+ * The file is self-contained: road geometry, work zone, signs, polygons/polylines and text boxes.
+ * @returns {boolean} Success status
+ */
+export function exportProjectFile() {
+    try {
+        const name = projectState.currentProject?.name || 'Uten navn';
+        const project = {
+            format: PROJECT_FILE_FORMAT,
+            ...buildProject(name),
+            exported: new Date().toISOString()
+        };
+
+        const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+        const filename = `${name.replace(/[^\wæøåÆØÅ-]+/g, '_')}.avplan`;
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+
+        console.log(`Project file exported: ${filename}`);
+        return true;
+
+    } catch (error) {
+        console.error('Error exporting project file:', error);
+        alert('Kunne ikke lage prosjektfil');
+        return false;
+    }
+}
+
+/**
+ * Import a project file (.avplan), save it as a new local project and open it
+ * The imported copy gets a new ID so it never overwrites a local project.
+ * @param {File} file - Selected project file
+ * @returns {Promise<boolean>} Success status
+ */
+export async function importProjectFile(file) {
+    try {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (parseError) {
+            alert('Filen er ikke en gyldig prosjektfil');
+            return false;
+        }
+
+        if (!data || (data.format && data.format !== PROJECT_FILE_FORMAT) || !data.name) {
+            alert('Filen er ikke en AV-Plan prosjektfil');
+            return false;
+        }
+
+        if ((data.schemaVersion || 1) > PROJECT_SCHEMA_VERSION) {
+            alert('Prosjektfilen er laget med en nyere versjon av AV-Plan og kan ikke åpnes');
+            return false;
+        }
+
+        const status = await getStorageStatus();
+        if (!status.available) {
+            alert(`Kan ikke importere: ${status.reason}`);
+            return false;
+        }
+
+        // Stored as in the file; loadProject migrates it to the current schema
+        const { format, exported, ...project } = data;
+        project.id = Date.now();
+
+        try {
+            await putProject(project);
+        } catch (storeError) {
+            console.error('Error storing imported project:', storeError);
+            await reportStorageError(storeError, 'Kunne ikke importere prosjektfil. Sjekk konsollen for detaljer.');
+            return false;
+        }
+
+        await recordRevision(project, 'Importert fra prosjektfil');
+
+        console.log(`Project file imported: ${project.name} (schema ${project.schemaVersion || 1})`);
+
+        await renderProjectList();
+        return loadProject(project.id);
+
+    } catch (error) {
+        console.error('Error importing project file:', error);
+        alert('Kunne ikke importere prosjektfil. Sjekk konsollen for detaljer.');
+        return false;
+    }
+}
+
 /**
  * Clear current project state
+ * @returns {Promise<void>} Resolves when the autosave of the cleared plan is removed
  */
 export function clearCurrentProject() {
     // Clear map layers
@@ -454,6 +731,10 @@ export function clearCurrentProject() {
     clearWorkZone();
     clearAllSigns();
     clearDistanceMarkers();
+    clearValidationHighlights();
+    clearConflictReport();
+    clearRevisionDiff();
+    setProjectMetadataFields({});
 
     // Clear text boxes
     const textBoxManager = getTextBoxManager();
@@ -462,38 +743,393 @@ export function clearCurrentProject() {
     }
 
     // Clear undo history (fresh start for new project)
-    clearUndoHistory();
+    clearHistory();
 
-    // Reset current project
+    // Reset current project; the discarded plan needs no crash recovery
     projectState.currentProject = null;
+    const discarded = discardAutosave();
 
     console.log('Current project cleared');
+    return discarded;
 }
 
 /**
- * Check if localStorage is available and has space
- * @returns {boolean} Storage availability
+ * Restore a revision: it becomes the latest version of its project and is opened
+ * The restore is recorded as a new revision, so no history is lost.
+ * @param {number} revisionId - Revision ID
+ * @returns {Promise<boolean>} Success status
  */
-export function isStorageAvailable() {
+export async function restoreRevision(revisionId) {
     try {
-        const test = '__storage_test__';
-        localStorage.setItem(test, test);
-        localStorage.removeItem(test);
+        const revision = await getRevision(revisionId);
+
+        if (!revision) {
+            alert('Revisjon ikke funnet');
+            return false;
+        }
+
+        const time = new Date(revision.savedAt).toLocaleString('no-NO');
+        if (!confirm(`Gjenopprette revisjon ${revision.number} (${time})? Ulagrede endringer i gjeldende plan vil gå tapt.`)) {
+            return false;
+        }
+
+        const project = migrateProject(revision.project);
+        if (!project) {
+            alert('Revisjonen er laget med en nyere versjon av AV-Plan og kan ikke åpnes');
+            return false;
+        }
+
+        const restored = { ...project, modified: new Date().toISOString() };
+
+        try {
+            await putProject(restored);
+        } catch (storeError) {
+            console.error('Error storing restored revision:', storeError);
+            await reportStorageError(storeError, 'Kunne ikke gjenopprette revisjon');
+            return false;
+        }
+
+        await recordRevision(restored, `Gjenopprettet fra revisjon ${revision.number}`);
 
-        // Check quota (rough estimate)
-        const used = JSON.stringify(localStorage).length;
-        const limit = 5 * 1024 * 1024; // 5MB estimate
+        clearRevisionDiff();
+        await applyProject(restored);
+        await renderProjectList();
 
-        if (used > limit * 0.8) {
-            console.warn('localStorage is nearly full');
+        console.log(`Revision ${revision.number} restored: ${restored.name}`);
+
+        const statusText = document.getElementById('statusText');
+        if (statusText) {
+            statusText.textContent = `Revisjon ${revision.number} gjenopprettet: ${restored.name}`;
         }
 
         return true;
 
     } catch (error) {
-        console.error('localStorage not available:', error);
+        console.error('Error restoring revision:', error);
+        alert('Kunne ikke gjenopprette revisjon. Sjekk konsollen for detaljer.');
+        return false;
+    }
+}
+
+/**
+ * Compare two revisions of a project and show the changes on the map
+ * @param {number} fromRevisionId - Older revision ID
+ * @param {number|string} toRevisionId - Newer revision ID, or 'current' for the working plan
+ * @returns {Promise<Object|null>} Diff ({ added, removed, moved, unchanged }), or null on error
+ */
+export async function compareRevisions(fromRevisionId, toRevisionId) {
+    try {
+        const from = await getRevision(fromRevisionId);
+        const to = toRevisionId === 'current'
+            ? { project: buildProject(projectState.currentProject?.name || 'Uten navn') }
+            : await getRevision(toRevisionId);
+
+        if (!from || !to) {
+            alert('Revisjon ikke funnet');
+            return null;
+        }
+
+        const diff = diffRevisions(from.project, to.project);
+        showRevisionDiff(diff);
+
+        console.log(`Revision diff: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.moved.length} moved`);
+        return diff;
+
+    } catch (error) {
+        console.error('Error comparing revisions:', error);
+        alert('Kunne ikke sammenligne revisjoner');
+        return null;
+    }
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Render the revision list and compare controls for a project
+ * @param {number} projectId - Project ID
+ * @param {HTMLElement} container - Revision panel element
+ * @returns {Promise<void>}
+ */
+async function renderRevisionPanel(projectId, container) {
+    const revisions = await getRevisions(projectId);
+
+    if (revisions.length === 0) {
+        container.innerHTML = '<p class="text-muted">Ingen revisjoner</p>';
+        return;
+    }
+
+    const formatTime = revision => new Date(revision.savedAt).toLocaleString('no-NO');
+    const newestFirst = [...revisions].reverse();
+
+    const items = newestFirst.map(revision => `
+        <li class="revision-item">
+            <div class="revision-title">Revisjon ${revision.number} · ${formatTime(revision)}</div>
+            <div class="revision-meta">
+                ${escapeHtml(revision.author || 'Ukjent')} · ${(revision.project.signs || []).length} objekter
+                ${revision.note ? `<br>${escapeHtml(revision.note)}` : ''}
+            </div>
+            <button class="btn btn-secondary" onclick="window.restoreRevisionById(${revision.revisionId})">
+                Gjenopprett
+            </button>
+        </li>
+    `).join('');
+
+    let compareHtml = '';
+    const isCurrent = projectState.currentProject && projectState.currentProject.id === projectId;
+
+    if (revisions.length > 1 || isCurrent) {
+        const options = selected => newestFirst.map(revision => `
+            <option value="${revision.revisionId}" ${revision.revisionId === selected ? 'selected' : ''}>
+                Revisjon ${revision.number}
+            </option>
+        `).join('');
+
+        // Default: previous revision against the latest, or the latest against the working plan
+        const latest = revisions[revisions.length - 1];
+        const fromDefault = isCurrent ? latest.revisionId : revisions[revisions.length - 2].revisionId;
+
+        compareHtml = `
+            <div class="revision-compare">
+                <label for="revisionFrom-${projectId}">Sammenlign</label>
+                <select id="revisionFrom-${projectId}">${options(fromDefault)}</select>
+                <label for="revisionTo-${projectId}">med</label>
+                <select id="revisionTo-${projectId}">
+                    ${isCurrent ? '<option value="current" selected>Nåværende plan</option>' : ''}
+                    ${options(isCurrent ? null : latest.revisionId)}
+                </select>
+                <div class="project-actions">
+                    <button class="btn btn-primary" onclick="window.compareRevisionsById(${projectId})">Vis endringer</button>
+                    <button class="btn btn-secondary" onclick="window.hideRevisionDiffById(${projectId})">Skjul</button>
+                </div>
+                <div id="revisionDiff-${projectId}" class="revision-diff"></div>
+            </div>
+        `;
+    }
+
+    container.innerHTML = `<ul class="revision-list">${items}</ul>${compareHtml}`;
+}
+
+/**
+ * Show or hide the revision panel of a project in the project list
+ * @param {number} projectId - Project ID
+ * @returns {Promise<void>}
+ */
+export async function toggleRevisionPanel(projectId) {
+    const panel = document.getElementById(`revisions-${projectId}`);
+    if (!panel) return;
+
+    if (!panel.hidden) {
+        panel.hidden = true;
+        clearRevisionDiff();
+        return;
+    }
+
+    await renderRevisionPanel(projectId, panel);
+    panel.hidden = false;
+}
+
+/**
+ * Compare the revisions selected in a project's revision panel
+ * @param {number} projectId - Project ID
+ * @returns {Promise<void>}
+ */
+async function compareSelectedRevisions(projectId) {
+    const fromSelect = document.getElementById(`revisionFrom-${projectId}`);
+    const toSelect = document.getElementById(`revisionTo-${projectId}`);
+    const container = document.getElementById(`revisionDiff-${projectId}`);
+    if (!fromSelect || !toSelect) return;
+
+    const toValue = toSelect.value === 'current' ? 'current' : Number(toSelect.value);
+    const diff = await compareRevisions(Number(fromSelect.value), toValue);
+
+    if (diff && container) {
+        renderRevisionDiff(diff, container);
+    }
+}
+
+/**
+ * Hide a revision diff from the map and the revision panel
+ * @param {number} projectId - Project ID
+ */
+function hideRevisionDiff(projectId) {
+    clearRevisionDiff();
+
+    const container = document.getElementById(`revisionDiff-${projectId}`);
+    if (container) {
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Open the project store and move projects from localStorage into it
+ * @returns {Promise<boolean>} True if the project store is available
+ */
+export async function initProjectStorage() {
+    const status = await getStorageStatus();
+
+    if (!status.available) {
+        console.error('Project storage not available:', status.reason);
+        return false;
+    }
+
+    await migrateLocalStorageProjects();
+    return true;
+}
+
+/**
+ * Content of a plan used to detect changes (without IDs, timestamps and map view)
+ * @param {Object} project - Project object
+ * @returns {string} Snapshot
+ */
+function getPlanSnapshot(project) {
+    const { selectedRoad, workZone, signs, textBoxes } = project;
+    // Reloading the traffic basis only renews its retrieval time
+    const { retrieved, ...trafficBasis } = project.metadata?.trafficBasis || {};
+    const metadata = { ...project.metadata, trafficBasis };
+    return JSON.stringify({ selectedRoad, workZone, signs, textBoxes, metadata });
+}
+
+/**
+ * Check whether a plan has any content worth recovering
+ * @param {Object} project - Project object
+ * @returns {boolean} True for an empty plan
+ */
+function isEmptyPlan(project) {
+    return !project.selectedRoad &&
+        !project.workZone.start &&
+        !project.workZone.end &&
+        project.signs.length === 0 &&
+        project.textBoxes.length === 0;
+}
+
+/**
+ * Autosave the working plan if it has unsaved changes
+ * @returns {Promise<boolean>} True if the plan was autosaved
+ */
+export async function autosaveWorkingPlan() {
+    const current = projectState.currentProject;
+    const project = buildProject(current?.name || 'Uten navn');
+    const snapshot = getPlanSnapshot(project);
+
+    if (isEmptyPlan(project) || snapshot === autosaveState.lastSnapshot) {
+        return false;
+    }
+
+    // Nothing to recover when the plan matches the saved project
+    if (current && snapshot === getPlanSnapshot(current)) {
+        return false;
+    }
+
+    try {
+        await putAutosave(project, Boolean(current));
+        autosaveState.lastSnapshot = snapshot;
+        console.log('Working plan autosaved');
+        return true;
+    } catch (error) {
+        console.error('Autosave failed:', error);
+
+        const statusText = document.getElementById('statusText');
+        if (statusText) {
+            statusText.textContent = isQuotaError(error)
+                ? 'Autolagring feilet: lagringsplassen er full'
+                : 'Autolagring feilet';
+        }
+        return false;
+    }
+}
+
+/**
+ * Remove the autosaved plan (after save, or when the plan is discarded)
+ * @returns {Promise<void>}
+ */
+export async function discardAutosave() {
+    autosaveState.lastSnapshot = null;
+
+    try {
+        await clearAutosave();
+    } catch (error) {
+        console.warn('Could not clear autosave:', error);
+    }
+}
+
+/**
+ * Start periodic autosave of the working plan
+ * Also autosaves when the page is hidden (tab switch, closing on mobile).
+ */
+export function startAutosave() {
+    if (autosaveState.timer) {
+        return;
+    }
+
+    autosaveState.timer = setInterval(autosaveWorkingPlan, STORAGE_CONFIG.autosaveInterval);
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            autosaveWorkingPlan();
+        }
+    });
+
+    console.log(`Autosave started (every ${STORAGE_CONFIG.autosaveInterval / 1000} s)`);
+}
+
+/**
+ * Offer to restore an autosaved plan left from the previous session
+ * @returns {Promise<boolean>} True if a plan was restored
+ */
+export async function recoverAutosave() {
+    let record;
+    try {
+        record = await getAutosave();
+    } catch (error) {
+        console.warn('Could not read autosave:', error);
+        return false;
+    }
+
+    if (!record || !record.project) {
+        return false;
+    }
+
+    const time = new Date(record.savedAt).toLocaleString('no-NO');
+    const planName = record.isSaved ? `prosjektet «${record.project.name}»` : 'en ulagret plan';
+
+    if (!confirm(`Fant ulagrede endringer i ${planName} fra ${time}.\n\nVil du gjenopprette dem?`)) {
+        await discardAutosave();
         return false;
     }
+
+    const project = migrateProject(record.project);
+    if (!project) {
+        alert('Den autolagrede planen er laget med en nyere versjon av AV-Plan og kan ikke åpnes');
+        return false;
+    }
+
+    await applyProject(project);
+
+    // An unsaved plan stays unsaved; a saved project keeps its ID so the next save updates it
+    if (!record.isSaved) {
+        projectState.currentProject = null;
+    }
+
+    // applyProject cleared the autosave (awaited above) - keep it until the plan is saved
+    await putAutosave(record.project, record.isSaved);
+
+    console.log(`Autosaved plan restored (${time})`);
+
+    const statusText = document.getElementById('statusText');
+    if (statusText) {
+        statusText.textContent = 'Ulagret plan gjenopprettet';
+    }
+
+    return true;
 }
 
 /**
@@ -504,10 +1140,49 @@ export function getCurrentProject() {
     return projectState.currentProject;
 }
 
+/**
+ * Get project information entered in the Prosjekter tab
+ * Falls back to the loaded project's metadata when the fields are not in the DOM
+ * @returns {Object} { preparer, company, contact }
+ */
+export function getProjectMetadata() {
+    const saved = projectState.currentProject?.metadata || {};
+    const read = (id, fallback) => {
+        const input = document.getElementById(id);
+        return input ? input.value.trim() : (fallback || '');
+    };
+
+    return {
+        preparer: read('projectPreparer', saved.preparer),
+        company: read('projectCompany', saved.company),
+        contact: read('projectContact', saved.contact)
+    };
+}
+
+/**
+ * Fill the project information fields
+ * @param {Object} metadata - Project metadata
+ */
+function setProjectMetadataFields(metadata = {}) {
+    const fields = {
+        projectPreparer: metadata.preparer,
+        projectCompany: metadata.company,
+        projectContact: metadata.contact
+    };
+
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.value = value || '';
+        }
+    });
+}
+
 /**
  * Render project list in UI
+ * @returns {Promise<void>}
  */
-export function renderProjectList() {
+export async function renderProjectList() {
     const projectListElement = document.getElementById('projectList');
 
     if (!projectListElement) {
@@ -515,7 +1190,7 @@ export function renderProjectList() {
         return;
     }
 
-    const projects = listProjects();
+    const projects = await listProjects();
 
     if (projects.length === 0) {
         projectListElement.innerHTML = '<p class="text-muted">Ingen lagrede prosjekter</p>';
@@ -550,6 +1225,10 @@ export function renderProjectList() {
                     Slett
                 </button>
             </div>
+            <button class="btn btn-secondary revision-toggle" onclick="window.toggleRevisionsById(${project.id})">
+                Revisjoner (${project.revisionCount})
+            </button>
+            <div id="revisions-${project.id}" class="revision-panel" hidden></div>
         `;
 
         projectListElement.appendChild(projectItem);
@@ -560,16 +1239,17 @@ export function renderProjectList() {
 
 /**
  * Show save project dialog
+ * @returns {Promise<void>}
  */
-export function showSaveProjectDialog() {
+export async function showSaveProjectDialog() {
     const projectName = prompt('Skriv inn prosjektnavn:');
 
     if (projectName) {
-        const saved = saveProject(projectName);
+        const saved = await saveProject(projectName);
 
         if (saved) {
             alert('Prosjekt lagret!');
-            renderProjectList();
+            await renderProjectList();
         }
     }
 }
@@ -579,6 +1259,10 @@ if (typeof window !== 'undefined') {
     window.loadProjectById = loadProject;
     window.deleteProjectById = deleteProject;
     window.duplicateProjectById = duplicateProject;
+    window.toggleRevisionsById = toggleRevisionPanel;
+    window.restoreRevisionById = restoreRevision;
+    window.compareRevisionsById = compareSelectedRevisions;
+    window.hideRevisionDiffById = hideRevisionDiff;
 }
 
 export default {
@@ -587,9 +1271,20 @@ export default {
     listProjects,
     deleteProject,
     duplicateProject,
+    migrateProject,
+    restoreRevision,
+    compareRevisions,
+    toggleRevisionPanel,
+    exportProjectFile,
+    importProjectFile,
     clearCurrentProject,
-    isStorageAvailable,
+    initProjectStorage,
+    autosaveWorkingPlan,
+    discardAutosave,
+    startAutosave,
+    recoverAutosave,
     getCurrentProject,
+    getProjectMetadata,
     renderProjectList,
     showSaveProjectDialog
 };
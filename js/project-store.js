@@ -0,0 +1,324 @@
+/**
+ * Project Store Module
+ * IndexedDB storage for projects, their revisions and the autosaved working plan
+ * @module project-store
+ */
+
+import { STORAGE_CONFIG } from './config.js';
+
+const PROJECTS_STORE = 'projects';
+const AUTOSAVE_STORE = 'autosave';
+const REVISIONS_STORE = 'revisions';
+const AUTOSAVE_KEY = 'current';
+
+// Store state
+const storeState = {
+    db: null,       // Open IDBDatabase
+    opening: null   // Promise while the database is being opened
+};
+
+/**
+ * Open the project database (cached)
+ * @returns {Promise<IDBDatabase>} Database
+ */
+export function openProjectStore() {
+    if (storeState.db) {
+        return Promise.resolve(storeState.db);
+    }
+
+    if (storeState.opening) {
+        return storeState.opening;
+    }
+
+    storeState.opening = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(STORAGE_CONFIG.databaseName, STORAGE_CONFIG.databaseVersion);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+                db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(AUTOSAVE_STORE)) {
+                db.createObjectStore(AUTOSAVE_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+                const revisions = db.createObjectStore(REVISIONS_STORE, { keyPath: 'revisionId', autoIncrement: true });
+                revisions.createIndex('projectId', 'projectId', { unique: false });
+            }
+        };
+
+        request.onsuccess = () => {
+            storeState.db = request.result;
+            console.log('✓ Project store opened (IndexedDB)');
+            resolve(storeState.db);
+        };
+
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Project database is blocked by another tab'));
+    }).finally(() => {
+        storeState.opening = null;
+    });
+
+    return storeState.opening;
+}
+
+/**
+ * Run a request against one object store
+ * Resolves when the transaction completes, so quota errors surface as rejections.
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function runRequest(storeName, mode, operation) {
+    const db = await openProjectStore();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Save a project
+ * @param {Object} project - Project object with id
+ * @returns {Promise<void>}
+ */
+export async function putProject(project) {
+    await runRequest(PROJECTS_STORE, 'readwrite', store => store.put(project));
+}
+
+/**
+ * Get a project by ID
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object|null>} Project or null if not found
+ */
+export async function getProject(projectId) {
+    const project = await runRequest(PROJECTS_STORE, 'readonly', store => store.get(projectId));
+    return project || null;
+}
+
+/**
+ * Get all projects
+ * @returns {Promise<Array>} Projects
+ */
+export async function getAllProjects() {
+    return runRequest(PROJECTS_STORE, 'readonly', store => store.getAll());
+}
+
+/**
+ * Delete a project by ID
+ * @param {number} projectId - Project ID
+ * @returns {Promise<void>}
+ */
+export async function removeProject(projectId) {
+    await runRequest(PROJECTS_STORE, 'readwrite', store => store.delete(projectId));
+}
+
+/**
+ * Add a revision
+ * @param {Object} revision - { projectId, number, savedAt, author, note, project }
+ * @returns {Promise<number>} Generated revision ID
+ */
+export async function addRevision(revision) {
+    return runRequest(REVISIONS_STORE, 'readwrite', store => store.add(revision));
+}
+
+/**
+ * Get a revision by ID
+ * @param {number} revisionId - Revision ID
+ * @returns {Promise<Object|null>} Revision or null if not found
+ */
+export async function getRevision(revisionId) {
+    const revision = await runRequest(REVISIONS_STORE, 'readonly', store => store.get(revisionId));
+    return revision || null;
+}
+
+/**
+ * Get all revisions of a project, oldest first
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Array>} Revisions
+ */
+export async function getRevisions(projectId) {
+    const revisions = await runRequest(REVISIONS_STORE, 'readonly',
+        store => store.index('projectId').getAll(projectId));
+    return revisions.sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Delete all revisions of a project
+ * @param {number} projectId - Project ID
+ * @returns {Promise<void>}
+ */
+export async function removeRevisions(projectId) {
+    const revisions = await getRevisions(projectId);
+    if (revisions.length === 0) return;
+
+    await runRequest(REVISIONS_STORE, 'readwrite', store => {
+        let request = null;
+        revisions.forEach(revision => {
+            request = store.delete(revision.revisionId);
+        });
+        return request;
+    });
+}
+
+/**
+ * Save the working plan for crash recovery
+ * @param {Object} project - Project object of the working plan
+ * @param {boolean} isSaved - Whether the plan belongs to a saved project
+ * @returns {Promise<void>}
+ */
+export async function putAutosave(project, isSaved) {
+    await runRequest(AUTOSAVE_STORE, 'readwrite', store => store.put({
+        id: AUTOSAVE_KEY,
+        savedAt: new Date().toISOString(),
+        isSaved: isSaved,
+        project: project
+    }));
+}
+
+/**
+ * Get the autosaved working plan
+ * @returns {Promise<Object|null>} { savedAt, isSaved, project } or null
+ */
+export async function getAutosave() {
+    const record = await runRequest(AUTOSAVE_STORE, 'readonly', store => store.get(AUTOSAVE_KEY));
+    return record || null;
+}
+
+/**
+ * Remove the autosaved working plan
+ * @returns {Promise<void>}
+ */
+export async function clearAutosave() {
+    await runRequest(AUTOSAVE_STORE, 'readwrite', store => store.delete(AUTOSAVE_KEY));
+}
+
+/**
+ * Move projects saved in localStorage (avplan_<id>) into IndexedDB
+ * Entries are removed from localStorage only after they are stored.
+ * @returns {Promise<number>} Number of migrated projects
+ */
+export async function migrateLocalStorageProjects() {
+    let keys;
+    try {
+        keys = Object.keys(localStorage).filter(key => key.startsWith('avplan_'));
+    } catch (error) {
+        // localStorage disabled - nothing to migrate
+        return 0;
+    }
+
+    let migrated = 0;
+
+    for (const key of keys) {
+        try {
+            const project = JSON.parse(localStorage.getItem(key));
+
+            if (!project || !project.id) {
+                console.warn(`Skipping invalid project in localStorage: ${key}`);
+                continue;
+            }
+
+            // Keep a newer copy if the project already exists in IndexedDB
+            const existing = await getProject(project.id);
+            if (!existing || new Date(existing.modified) < new Date(project.modified)) {
+                await putProject(project);
+            }
+
+            localStorage.removeItem(key);
+            migrated++;
+        } catch (error) {
+            console.error(`Error migrating project ${key}:`, error);
+        }
+    }
+
+    if (migrated > 0) {
+        console.log(`Migrated ${migrated} project(s) from localStorage to IndexedDB`);
+    }
+
+    return migrated;
+}
+
+/**
+ * Get storage usage and quota for the site
+ * @returns {Promise<Object>} { available, usage, quota, reason }
+ *   usage/quota in bytes (null if unknown), reason explains why storage is unavailable
+ */
+export async function getStorageStatus() {
+    try {
+        await openProjectStore();
+    } catch (error) {
+        return {
+            available: false,
+            usage: null,
+            quota: null,
+            reason: 'Nettleseren tillater ikke lagring (IndexedDB er utilgjengelig, f.eks. i privat modus)'
+        };
+    }
+
+    let usage = null;
+    let quota = null;
+
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            const estimate = await navigator.storage.estimate();
+            usage = estimate.usage;
+            quota = estimate.quota;
+        } catch (error) {
+            console.warn('Storage estimate not available:', error);
+        }
+    }
+
+    if (usage !== null && quota && usage > quota * STORAGE_CONFIG.quotaWarningRatio) {
+        console.warn(`Storage is nearly full: ${formatBytes(usage)} of ${formatBytes(quota)}`);
+    }
+
+    return { available: true, usage, quota, reason: null };
+}
+
+/**
+ * Check whether an error is caused by the storage quota being exceeded
+ * @param {Error} error - Error from a store operation
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Format a byte count for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in MB (e.g. "12.3 MB")
+ */
+export function formatBytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export default {
+    openProjectStore,
+    putProject,
+    getProject,
+    getAllProjects,
+    removeProject,
+    addRevision,
+    getRevision,
+    getRevisions,
+    removeRevisions,
+    putAutosave,
+    getAutosave,
+    clearAutosave,
+    migrateLocalStorageProjects,
+    getStorageStatus,
+    isQuotaError,
+    formatBytes
+};
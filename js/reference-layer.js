@@ -0,0 +1,407 @@
+/**
+ * Reference Layer Module
+ * Shows what is already along the selected road - permanent sign points, guardrails, bus stops,
+ * pedestrian crossings, junctions and street lights - from NVDB. The objects are for reference
+ * only: they cannot be moved or edited, but their properties are shown in a popup and they are
+ * printed in the PDF export while the layer is switched on.
+ * @module reference-layer
+ */
+
+import { getMap, getSelectedRoad, addRoadChangeCallback } from './map-manager.js';
+import { getRoadObjects, parseWKTToGeoJSON } from './nvdb-api.js';
+
+// NVDB object types shown in the layer (shape of the point symbol, colour of symbol and lines)
+export const REFERENCE_TYPES = [
+    { id: 95, key: 'skiltpunkt', name: 'Skiltpunkt', shape: 'triangle', color: '#1565c0' },
+    { id: 5, key: 'rekkverk', name: 'Rekkverk', shape: 'square', color: '#546e7a' },
+    { id: 487, key: 'holdeplass', name: 'Kollektivholdeplass', shape: 'square', color: '#2e7d32' },
+    { id: 174, key: 'gangfelt', name: 'Gangfelt', shape: 'diamond', color: '#6a1b9a' },
+    { id: 37, key: 'vegkryss', name: 'Vegkryss', shape: 'circle', color: '#ef6c00' },
+    { id: 87, key: 'belysningspunkt', name: 'Belysningspunkt', shape: 'triangle-down', color: '#c49000' }
+];
+
+// Size (pixels) of point symbols on the map
+export const SYMBOL_SIZE = 14;
+
+// Property types not shown in popups (geometry, lists and links to other objects)
+const HIDDEN_PROPERTY_TYPES = ['Geometri', 'Liste', 'Assosiasjon', 'Binær'];
+
+// Most properties listed in a popup
+const MAX_POPUP_PROPERTIES = 12;
+
+// Reference layer state
+const referenceState = {
+    visible: false,
+    layer: null,        // L.LayerGroup on the map
+    features: [],       // { type, objectId, geometry, properties, reference }
+    roadKey: null,      // Road the features were loaded for
+    loading: null       // Promise of the running load
+};
+
+/**
+ * Get the SVG path of a point symbol, centered on 0,0
+ * Shared by the map markers and the PDF export.
+ * @param {string} shape - 'circle', 'square', 'triangle', 'triangle-down' or 'diamond'
+ * @param {number} size - Symbol width and height
+ * @returns {string} SVG path data
+ */
+export function getSymbolPath(shape, size) {
+    const r = size / 2;
+
+    switch (shape) {
+        case 'square':
+            return `M ${-r * 0.8} ${-r * 0.8} H ${r * 0.8} V ${r * 0.8} H ${-r * 0.8} Z`;
+        case 'triangle':
+            return `M 0 ${-r} L ${r} ${r * 0.8} L ${-r} ${r * 0.8} Z`;
+        case 'triangle-down':
+            return `M ${-r} ${-r * 0.8} L ${r} ${-r * 0.8} L 0 ${r} Z`;
+        case 'diamond':
+            return `M 0 ${-r} L ${r} 0 L 0 ${r} L ${-r} 0 Z`;
+        default:
+            return `M ${-r} 0 A ${r} ${r} 0 1 0 ${r} 0 A ${r} ${r} 0 1 0 ${-r} 0 Z`;
+    }
+}
+
+/**
+ * Identify a road selection, so objects are only reloaded for another road
+ * @param {Object|null} road - Selected road
+ * @returns {string|null} Key or null without a road
+ */
+function getRoadKey(road) {
+    if (!road) {
+        return null;
+    }
+
+    return (road.veglenkesekvensIds || [road.veglenkesekvensid]).join(',');
+}
+
+/**
+ * Get the properties of a road object shown in its popup
+ * @param {Object} object - NVDB road object
+ * @returns {Array<Object>} [{ name, value }]
+ */
+function getDisplayProperties(object) {
+    return (object.egenskaper || [])
+        .filter(prop => !HIDDEN_PROPERTY_TYPES.includes(prop.egenskapstype) &&
+            prop.verdi !== undefined && prop.verdi !== null && typeof prop.verdi !== 'object')
+        .slice(0, MAX_POPUP_PROPERTIES)
+        .map(prop => ({
+            name: prop.navn,
+            value: prop.enhet?.kortnavn ? `${prop.verdi} ${prop.enhet.kortnavn}` : String(prop.verdi)
+        }));
+}
+
+/**
+ * Convert an NVDB road object to a layer feature
+ * @param {Object} object - NVDB road object
+ * @param {Object} type - Entry of REFERENCE_TYPES
+ * @returns {Object|null} Feature, or null without usable geometry
+ */
+function createFeature(object, type) {
+    const wkt = object.geometri?.wkt;
+    const geometry = wkt ? parseWKTToGeoJSON(wkt, object.geometri.srid || 5973) : null;
+    if (!geometry) {
+        return null;
+    }
+
+    return {
+        type: type,
+        objectId: object.id,
+        geometry: geometry,
+        properties: getDisplayProperties(object),
+        reference: object.lokasjon?.vegsystemreferanser?.[0]?.kortform || null
+    };
+}
+
+/**
+ * Get the coordinate lines of a feature as [lat, lng] arrays
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array<Array<number>>>} Lines (empty for points)
+ */
+function getFeatureLines(geometry) {
+    const toLatLngs = coords => coords.map(([lng, lat]) => [lat, lng]);
+
+    switch (geometry.type) {
+        case 'LineString':
+            return [toLatLngs(geometry.coordinates)];
+        case 'MultiLineString':
+            return geometry.coordinates.map(toLatLngs);
+        case 'Polygon':
+            return [toLatLngs(geometry.coordinates[0])];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Create the popup content of a feature
+ * @param {Object} feature - Layer feature
+ * @returns {HTMLElement} Popup content
+ */
+function createPopupElement(feature) {
+    const container = document.createElement('div');
+    container.className = 'reference-popup';
+
+    const title = document.createElement('strong');
+    title.textContent = feature.type.name;
+    container.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'small-text';
+    meta.textContent = [feature.reference, `NVDB-id ${feature.objectId}`].filter(Boolean).join(' · ');
+    container.appendChild(meta);
+
+    if (feature.properties.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'small-text';
+        empty.textContent = 'Ingen egenskaper registrert';
+        container.appendChild(empty);
+        return container;
+    }
+
+    const table = document.createElement('table');
+    feature.properties.forEach(prop => {
+        const row = document.createElement('tr');
+        const name = document.createElement('th');
+        name.textContent = prop.name;
+        const value = document.createElement('td');
+        value.textContent = prop.value;
+        row.appendChild(name);
+        row.appendChild(value);
+        table.appendChild(row);
+    });
+    container.appendChild(table);
+
+    return container;
+}
+
+/**
+ * Create the map layers of a feature (a symbol for points, lines for linear objects)
+ * @param {Object} feature - Layer feature
+ * @returns {Array<L.Layer>} Layers (not draggable or editable)
+ */
+function createFeatureLayers(feature) {
+    const popup = () => createPopupElement(feature);
+
+    if (feature.geometry.type === 'Point') {
+        const [lng, lat] = feature.geometry.coordinates;
+        const half = SYMBOL_SIZE / 2 + 1;
+        const icon = L.divIcon({
+            className: 'reference-marker',
+            html: `<svg width="${half * 2}" height="${half * 2}" viewBox="${-half} ${-half} ${half * 2} ${half * 2}">` +
+                `<path d="${getSymbolPath(feature.type.shape, SYMBOL_SIZE)}" fill="${feature.type.color}" ` +
+                'stroke="#ffffff" stroke-width="1.5"/></svg>',
+            iconSize: [half * 2, half * 2],
+            iconAnchor: [half, half]
+        });
+
+        const marker = L.marker([lat, lng], { icon: icon, keyboard: false, title: feature.type.name });
+        marker.bindPopup(popup);
+        return [marker];
+    }
+
+    return getFeatureLines(feature.geometry).map(latlngs => {
+        const line = L.polyline(latlngs, {
+            color: feature.type.color,
+            weight: 4,
+            opacity: 0.9,
+            dashArray: '6,4',
+            bubblingMouseEvents: false
+        });
+        line.bindPopup(popup);
+        return line;
+    });
+}
+
+/**
+ * Draw the loaded features on the map
+ */
+function renderReferenceLayer() {
+    const map = getMap();
+    if (!map) return;
+
+    if (!referenceState.layer) {
+        referenceState.layer = L.layerGroup();
+    }
+
+    referenceState.layer.clearLayers();
+    referenceState.features.forEach(feature => {
+        createFeatureLayers(feature).forEach(layer => referenceState.layer.addLayer(layer));
+    });
+
+    if (referenceState.visible && !map.hasLayer(referenceState.layer)) {
+        referenceState.layer.addTo(map);
+    }
+}
+
+/**
+ * Show a count or message below the layer toggle
+ * @param {string} text - Message
+ */
+function setReferenceStatus(text) {
+    const status = document.getElementById('referenceLayerStatus');
+    if (status) {
+        status.textContent = text;
+    }
+}
+
+/**
+ * Summarize the loaded features per type
+ * @returns {string} E.g. "12 skiltpunkt, 3 rekkverk"
+ */
+function describeFeatures() {
+    const counts = REFERENCE_TYPES
+        .map(type => ({ type, count: referenceState.features.filter(f => f.type === type).length }))
+        .filter(entry => entry.count > 0)
+        .map(entry => `${entry.count} ${entry.type.name.toLowerCase()}`);
+
+    return counts.length > 0 ? counts.join(', ') : 'Ingen objekter funnet langs vegen';
+}
+
+/**
+ * Load the reference objects along the selected road from NVDB
+ * @returns {Promise<Array>} Loaded features
+ */
+export async function loadReferenceObjects() {
+    const road = getSelectedRoad();
+    const roadKey = getRoadKey(road);
+
+    if (!roadKey) {
+        referenceState.features = [];
+        referenceState.roadKey = null;
+        renderReferenceLayer();
+        setReferenceStatus('Velg en vei for å vise eksisterende vegutstyr');
+        return [];
+    }
+
+    if (roadKey === referenceState.roadKey && referenceState.loading) {
+        return referenceState.loading;
+    }
+
+    referenceState.roadKey = roadKey;
+    setReferenceStatus('Henter vegutstyr fra NVDB...');
+
+    // Objects already fetched for this road come from the NVDB cache
+    const ids = road.veglenkesekvensIds || [road.veglenkesekvensid];
+    const loading = Promise.all(REFERENCE_TYPES.map(async type => {
+        const objects = await getRoadObjects(type.id, ids);
+        return objects.map(object => createFeature(object, type)).filter(Boolean);
+    })).then(lists => lists.flat());
+    referenceState.loading = loading;
+
+    const features = await loading;
+
+    // Another road was selected while loading
+    if (referenceState.loading !== loading) {
+        return referenceState.features;
+    }
+
+    referenceState.loading = null;
+    referenceState.features = features;
+    renderReferenceLayer();
+    setReferenceStatus(describeFeatures());
+    console.log(`Reference layer loaded: ${features.length} NVDB objects`);
+    return features;
+}
+
+/**
+ * Show or hide the reference layer
+ * Objects are loaded for the selected road when the layer is first shown.
+ * @param {boolean} visible - Show the layer
+ */
+export async function toggleReferenceLayer(visible) {
+    referenceState.visible = visible;
+
+    const map = getMap();
+    if (!visible) {
+        if (map && referenceState.layer && map.hasLayer(referenceState.layer)) {
+            map.removeLayer(referenceState.layer);
+        }
+        setReferenceStatus('');
+        return;
+    }
+
+    renderReferenceLayer();
+    await loadReferenceObjects();
+}
+
+/**
+ * Check whether the reference layer is shown
+ * @returns {boolean} True while the layer is switched on
+ */
+export function isReferenceLayerVisible() {
+    return referenceState.visible;
+}
+
+/**
+ * Get the reference objects for the PDF export
+ * @returns {Array<Object>} { name, shape, color, position } for points and { name, color, vertices } for lines,
+ *                          empty while the layer is switched off
+ */
+export function getReferenceOverlays() {
+    if (!referenceState.visible) {
+        return [];
+    }
+
+    const overlays = [];
+    referenceState.features.forEach(feature => {
+        const { name, shape, color } = feature.type;
+
+        if (feature.geometry.type === 'Point') {
+            const [lng, lat] = feature.geometry.coordinates;
+            overlays.push({ name, shape, color, position: L.latLng(lat, lng) });
+        } else {
+            getFeatureLines(feature.geometry).forEach(latlngs => {
+                overlays.push({ name, shape, color, vertices: latlngs });
+            });
+        }
+    });
+
+    return overlays;
+}
+
+/**
+ * Reload the layer when another road is selected
+ * @param {Object|null} road - Selected road
+ */
+function handleRoadChange(road) {
+    if (getRoadKey(road) === referenceState.roadKey) {
+        return;
+    }
+
+    referenceState.features = [];
+    referenceState.roadKey = null;
+    referenceState.loading = null;
+    renderReferenceLayer();
+
+    if (referenceState.visible) {
+        loadReferenceObjects();
+    }
+}
+
+/**
+ * Initialize the reference layer toggle
+ */
+export function initReferenceLayer() {
+    addRoadChangeCallback(handleRoadChange);
+
+    const toggle = document.getElementById('referenceLayerToggle');
+    if (toggle) {
+        toggle.checked = false;
+        toggle.addEventListener('change', (e) => {
+            toggleReferenceLayer(e.target.checked);
+        });
+    }
+
+    console.log('✓ Reference layer initialized');
+}
+
+export default {
+    initReferenceLayer,
+    toggleReferenceLayer,
+    loadReferenceObjects,
+    isReferenceLayerVisible,
+    getReferenceOverlays,
+    getSymbolPath,
+    REFERENCE_TYPES
+};
@@ -0,0 +1,244 @@
+/**
+ * Revision Diff Module
+ * Compares the signs of two project revisions and shows added, removed and moved signs on the map
+ * @module revision-diff
+ */
+
+import { getMap } from './map-manager.js';
+import { getSignCode } from './sign-manager.js';
+
+// Signs closer than this (meters) between revisions count as unchanged
+const MOVE_TOLERANCE = 0.5;
+
+// Diff colors per change type
+const DIFF_COLORS = {
+    added: '#28a745',
+    removed: '#dc3545',
+    moved: '#fd7e14'
+};
+
+// Diff state
+const diffState = {
+    layer: null
+};
+
+/**
+ * Human-readable label for a sign ID
+ * @param {string} signId - Sign ID
+ * @returns {string} Label (e.g. "Skilt 362 50" or "Bufferbil Tma")
+ */
+function getSignLabel(signId) {
+    const code = getSignCode(signId);
+    if (code) {
+        return code.variant && code.variant !== '0' ? `Skilt ${code.code} ${code.variant}` : `Skilt ${code.code}`;
+    }
+
+    const name = signId.split('-').slice(1).join(' ').replace(/_/g, ' ');
+    return name.replace(/\b\w/g, c => c.toUpperCase()) || signId;
+}
+
+/**
+ * Representative position of a saved sign, polygon or polyline
+ * @param {Object} sign - Saved sign data
+ * @returns {L.LatLng|null} Position (centroid for polygons/polylines)
+ */
+function getSignPosition(sign) {
+    if (sign.position) {
+        return L.latLng(sign.position[0], sign.position[1]);
+    }
+
+    if (Array.isArray(sign.vertices) && sign.vertices.length > 0) {
+        const lat = sign.vertices.reduce((sum, v) => sum + v[0], 0) / sign.vertices.length;
+        const lng = sign.vertices.reduce((sum, v) => sum + v[1], 0) / sign.vertices.length;
+        return L.latLng(lat, lng);
+    }
+
+    return null;
+}
+
+/**
+ * Compare the signs of two revisions
+ * Revisions do not carry stable sign IDs, so signs of the same type are paired
+ * nearest-first. Unpaired signs are added or removed; paired signs that changed
+ * position (or polygon/polyline shape) are moved.
+ * @param {Object} fromProject - Older project data
+ * @param {Object} toProject - Newer project data
+ * @returns {Object} { added, removed, moved, unchanged } - change lists and unchanged count
+ */
+export function diffRevisions(fromProject, toProject) {
+    const toEntries = list => (list || [])
+        .map(sign => ({ sign, latlng: getSignPosition(sign) }))
+        .filter(entry => entry.latlng);
+
+    const oldSigns = toEntries(fromProject.signs);
+    const newSigns = toEntries(toProject.signs);
+
+    const diff = { added: [], removed: [], moved: [], unchanged: 0 };
+
+    const signIds = new Set([...oldSigns, ...newSigns].map(entry => entry.sign.signId));
+
+    signIds.forEach(signId => {
+        const before = oldSigns.filter(entry => entry.sign.signId === signId);
+        const after = newSigns.filter(entry => entry.sign.signId === signId);
+        const label = getSignLabel(signId);
+
+        // All pairs, closest first
+        const pairs = [];
+        before.forEach((oldEntry, i) => {
+            after.forEach((newEntry, j) => {
+                pairs.push({ i, j, distance: oldEntry.latlng.distanceTo(newEntry.latlng) });
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const pairedOld = new Set();
+        const pairedNew = new Set();
+
+        pairs.forEach(({ i, j, distance }) => {
+            if (pairedOld.has(i) || pairedNew.has(j)) return;
+            pairedOld.add(i);
+            pairedNew.add(j);
+
+            const oldSign = before[i].sign;
+            const newSign = after[j].sign;
+            const reshaped = Boolean(oldSign.vertices || newSign.vertices) &&
+                JSON.stringify(oldSign.vertices) !== JSON.stringify(newSign.vertices);
+
+            if (distance > MOVE_TOLERANCE || reshaped) {
+                diff.moved.push({
+                    signId,
+                    label,
+                    from: before[i].latlng,
+                    to: after[j].latlng,
+                    distance: Math.round(distance)
+                });
+            } else {
+                diff.unchanged++;
+            }
+        });
+
+        before.forEach((entry, i) => {
+            if (!pairedOld.has(i)) {
+                diff.removed.push({ signId, label, latlng: entry.latlng });
+            }
+        });
+
+        after.forEach((entry, j) => {
+            if (!pairedNew.has(j)) {
+                diff.added.push({ signId, label, latlng: entry.latlng });
+            }
+        });
+    });
+
+    return diff;
+}
+
+/**
+ * Remove the revision diff from the map
+ */
+export function clearRevisionDiff() {
+    const map = getMap();
+
+    if (diffState.layer && map) {
+        map.removeLayer(diffState.layer);
+    }
+    diffState.layer = null;
+}
+
+/**
+ * Show a revision diff on the map and zoom to the changes
+ * Added signs are green, removed red (dashed), moved orange with a line from the old position.
+ * @param {Object} diff - Result of diffRevisions()
+ */
+export function showRevisionDiff(diff) {
+    clearRevisionDiff();
+
+    const map = getMap();
+    if (!map) return;
+
+    diffState.layer = L.layerGroup().addTo(map);
+    const bounds = L.latLngBounds([]);
+
+    diff.added.forEach(change => {
+        L.circleMarker(change.latlng, { radius: 20, color: DIFF_COLORS.added, weight: 3, fill: false })
+            .bindTooltip(`Lagt til: ${change.label}`, { direction: 'top' })
+            .addTo(diffState.layer);
+        bounds.extend(change.latlng);
+    });
+
+    diff.removed.forEach(change => {
+        L.circleMarker(change.latlng, { radius: 20, color: DIFF_COLORS.removed, weight: 3, dashArray: '6, 4', fill: false })
+            .bindTooltip(`Fjernet: ${change.label}`, { direction: 'top' })
+            .addTo(diffState.layer);
+        bounds.extend(change.latlng);
+    });
+
+    diff.moved.forEach(change => {
+        L.polyline([change.from, change.to], { color: DIFF_COLORS.moved, weight: 3, dashArray: '4, 4' })
+            .addTo(diffState.layer);
+        L.circleMarker(change.from, { radius: 6, color: DIFF_COLORS.moved, weight: 2, fill: false })
+            .addTo(diffState.layer);
+        L.circleMarker(change.to, { radius: 20, color: DIFF_COLORS.moved, weight: 3, fill: false })
+            .bindTooltip(`Flyttet ${change.distance} m: ${change.label}`, { direction: 'top' })
+            .addTo(diffState.layer);
+        bounds.extend(change.from);
+        bounds.extend(change.to);
+    });
+
+    if (bounds.isValid()) {
+        map.fitBounds(bounds, { padding: [60, 60], maxZoom: 18 });
+    }
+}
+
+/**
+ * Render a diff summary with one line per change
+ * @param {Object} diff - Result of diffRevisions()
+ * @param {HTMLElement} container - Target element
+ */
+export function renderRevisionDiff(diff, container) {
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'revision-diff-summary';
+    summary.textContent = `${diff.added.length} lagt til, ${diff.removed.length} fjernet, ` +
+        `${diff.moved.length} flyttet, ${diff.unchanged} uendret`;
+    container.appendChild(summary);
+
+    const changes = [
+        ...diff.added.map(change => ({ type: 'added', text: `+ ${change.label}`, latlng: change.latlng })),
+        ...diff.removed.map(change => ({ type: 'removed', text: `− ${change.label}`, latlng: change.latlng })),
+        ...diff.moved.map(change => ({ type: 'moved', text: `↔ ${change.label} (${change.distance} m)`, latlng: change.to }))
+    ];
+
+    if (changes.length === 0) {
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'revision-diff-list';
+
+    changes.forEach(change => {
+        const item = document.createElement('li');
+        item.className = `revision-diff-item revision-diff-${change.type}`;
+        item.textContent = change.text;
+
+        // Zoom to the change
+        item.addEventListener('click', () => {
+            const map = getMap();
+            if (map) {
+                map.setView(change.latlng, Math.max(map.getZoom(), 17));
+            }
+        });
+
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+}
+
+export default {
+    diffRevisions,
+    showRevisionDiff,
+    clearRevisionDiff,
+    renderRevisionDiff
+};
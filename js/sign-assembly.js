@@ -0,0 +1,132 @@
+/**
+ * Sign Assembly Module
+ * Layout and drawing of sign assemblies: a main sign with sub-signs (underskilt)
+ * stacked below it on the same post
+ * @module sign-assembly
+ */
+
+// Height of a sub-sign plate relative to the width of the main sign
+const SUB_SIGN_HEIGHT_RATIO = 0.35;
+
+// Gap between the plates relative to the width of the main sign
+const PLATE_GAP_RATIO = 0.05;
+
+// Structured values a sub-sign can carry, from "valueType" in the sign catalogue
+const VALUE_TYPES = {
+    distance: { label: 'Avstand (m)', defaultValue: 150 },
+    length: { label: 'Utstrekning (m)', defaultValue: 300 }
+};
+
+/**
+ * Get the value input settings for a sub-sign type
+ * @param {Object} entry - Sign library entry of the sub-sign
+ * @returns {Object|null} { label, defaultValue }, or null if the sub-sign carries no value
+ */
+export function getSubSignValueType(entry) {
+    return (entry && VALUE_TYPES[entry.valueType]) || null;
+}
+
+/**
+ * Format a sub-sign value the way it is written on the plate
+ * @param {number} value - Value in meters
+ * @returns {string} Text (e.g. "150 m" or "1,2 km")
+ */
+export function formatSubSignValue(value) {
+    if (value >= 1000) {
+        return `${(Math.round(value / 100) / 10).toString().replace('.', ',')} km`;
+    }
+    return `${Math.round(value)} m`;
+}
+
+/**
+ * Draw a sub-sign plate with its value
+ * The SVG files of the 800 series have a fixed example value, so plates with a value are drawn here.
+ * @param {string} valueType - 'distance' or 'length'
+ * @param {number} value - Value in meters
+ * @returns {string} SVG markup (200 x 70)
+ */
+function createValuePlateMarkup(valueType, value) {
+    // Utstrekning has arrows up and down on both sides of the text
+    const arrows = valueType === 'length'
+        ? [25, 175].map(x => `<path d="M${x} 14 L${x} 56 M${x - 9} 23 L${x} 14 L${x + 9} 23 M${x - 9} 47 L${x} 56 L${x + 9} 47" ` +
+            'stroke="#000000" stroke-width="4" fill="none"/>').join('')
+        : '';
+
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="70" viewBox="0 0 200 70">' +
+        '<rect x="3" y="3" width="194" height="64" rx="6" fill="#ffffff" stroke="#000000" stroke-width="5"/>' +
+        arrows +
+        '<text x="100" y="48" font-family="Arial, Helvetica, sans-serif" font-size="34" font-weight="bold" ' +
+        `text-anchor="middle" fill="#000000">${formatSubSignValue(value)}</text>` +
+        '</svg>';
+}
+
+/**
+ * Get how a sub-sign is drawn
+ * @param {Object} subSign - { signId, value }
+ * @param {Object} entry - Sign library entry of the sub-sign
+ * @returns {Object} { file, markup } - generated markup for plates with a value, otherwise the SVG file
+ */
+export function getSubSignDrawing(subSign, entry) {
+    if (getSubSignValueType(entry) && typeof subSign.value === 'number') {
+        return { file: null, markup: createValuePlateMarkup(entry.valueType, subSign.value) };
+    }
+    return { file: entry ? entry.file : null, markup: null };
+}
+
+/**
+ * Lay out an assembly: the main sign on top, sub-signs stacked below it at the same width
+ * @param {number} size - Width and height of the main sign (pixels)
+ * @param {number} subSignCount - Number of sub-signs
+ * @returns {Object} { width, height, parts: [{ x, y, width, height }] } - part 0 is the main sign,
+ *                   x/y is the part center relative to the assembly center
+ */
+export function getAssemblyLayout(size, subSignCount) {
+    const plateHeight = Math.round(size * SUB_SIGN_HEIGHT_RATIO);
+    const gap = Math.max(1, Math.round(size * PLATE_GAP_RATIO));
+    const height = size + subSignCount * (gap + plateHeight);
+
+    const parts = [{ x: 0, y: size / 2 - height / 2, width: size, height: size }];
+    for (let i = 0; i < subSignCount; i++) {
+        const top = size + gap + i * (gap + plateHeight);
+        parts.push({ x: 0, y: top + plateHeight / 2 - height / 2, width: size, height: plateHeight });
+    }
+
+    return { width: size, height: height, parts: parts };
+}
+
+/**
+ * Create the map icon for an assembly
+ * One element holds all plates, so the assembly moves and rotates as one unit.
+ * The anchor is the assembly center, which is also the rotation center.
+ * @param {string} mainFile - SVG file of the main sign
+ * @param {Array<Object>} drawings - Sub-sign drawings from getSubSignDrawing()
+ * @param {number} size - Width and height of the main sign (pixels)
+ * @returns {L.DivIcon} Icon
+ */
+export function createAssemblyIcon(mainFile, drawings, size) {
+    const layout = getAssemblyLayout(size, drawings.length);
+    const sources = [mainFile, ...drawings.map(drawing =>
+        drawing.markup ? `data:image/svg+xml;base64,${btoa(unescape(encodeURIComponent(drawing.markup)))}` : drawing.file)];
+
+    const html = layout.parts.map((part, index) => {
+        const top = part.y - part.height / 2 + layout.height / 2;
+        return `<img src="${sources[index]}" crossorigin="anonymous" draggable="false" alt="" ` +
+            `style="position: absolute; left: 0; top: ${top}px; width: ${part.width}px; height: ${part.height}px;">`;
+    }).join('');
+
+    return L.divIcon({
+        html: html,
+        className: 'traffic-sign-marker sign-assembly',
+        iconSize: [layout.width, layout.height],
+        iconAnchor: [layout.width / 2, layout.height / 2],
+        popupAnchor: [0, -layout.height / 2 - 4]
+    });
+}
+
+export default {
+    getSubSignValueType,
+    formatSubSignValue,
+    getSubSignDrawing,
+    getAssemblyLayout,
+    createAssemblyIcon
+};
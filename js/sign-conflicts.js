@@ -0,0 +1,562 @@
+/**
+ * Sign Conflicts Module
+ * Compares the permanent signs along the selected road (NVDB skiltplater) with the temporary
+ * signs in the plan and lists permanent signs that contradict them - e.g. a permanent 80 sign
+ * downstream of a temporary 50. Each conflict can be marked for covering, which places a
+ * covering mark on the permanent sign that is printed with the plan.
+ * @module sign-conflicts
+ */
+
+import { getMap, getSelectedRoad } from './map-manager.js';
+import { getRoadObjects, parseWKTToGeoJSON } from './nvdb-api.js';
+import { getRoadFrame, getZoneMarkerDistance } from './work-zone.js';
+import { getPlacedSigns, getSignCode, placeSign } from './sign-manager.js';
+
+// NVDB object types of permanent signs
+const SIGN_POINT_TYPE = 95; // Skiltpunkt (post with position)
+const SIGN_PLATE_TYPE = 96; // Skiltplate (the sign itself, child of a skiltpunkt)
+
+// Sign placed on a permanent sign to mark it for covering
+export const COVER_SIGN_ID = 'markeringsskilt-tildekking';
+
+// A covering mark closer than this (meters) to a permanent sign belongs to it
+const COVER_MATCH_DISTANCE = 2;
+
+// Travel directions as text, relative to the line (metering) direction
+const DIRECTION_LABELS = {
+    1: 'med metreringsretningen',
+    '-1': 'mot metreringsretningen'
+};
+
+// Conflict state
+const conflictState = {
+    rules: null, // Loaded from data/sign-conflict-rules.json
+    highlightLayer: null,
+    conflicts: []
+};
+
+/**
+ * Load conflict rules
+ * @returns {Promise<Object|null>} Rule data or null on error
+ */
+async function loadConflictRules() {
+    if (conflictState.rules) {
+        return conflictState.rules;
+    }
+
+    try {
+        const response = await fetch('data/sign-conflict-rules.json');
+
+        if (!response.ok) {
+            console.error('Failed to load sign conflict rules');
+            return null;
+        }
+
+        conflictState.rules = await response.json();
+        return conflictState.rules;
+
+    } catch (error) {
+        console.error('Error loading sign conflict rules:', error);
+        return null;
+    }
+}
+
+/**
+ * Fill {placeholders} in a rule message
+ * @param {string} template - Message template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Message
+ */
+function formatMessage(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] !== undefined ? values[key] : match);
+}
+
+/**
+ * Get a property value of a road object by name
+ * @param {Object} object - NVDB road object
+ * @param {string} name - Property name (case-insensitive)
+ * @returns {*} Value, or null if not registered
+ */
+function getProperty(object, name) {
+    const prop = (object.egenskaper || []).find(p => p.navn && p.navn.toLowerCase() === name);
+    return prop && prop.verdi !== undefined ? prop.verdi : null;
+}
+
+/**
+ * Get the position of a road object (first coordinate for linear geometry)
+ * @param {Object} object - NVDB road object
+ * @returns {L.LatLng|null} Position, or null without geometry
+ */
+function getObjectLatLng(object) {
+    const wkt = object.geometri?.wkt;
+    const geometry = wkt ? parseWKTToGeoJSON(wkt, object.geometri.srid || 5973) : null;
+    if (!geometry) {
+        return null;
+    }
+
+    const coordinate = geometry.type === 'Point' ? geometry.coordinates : geometry.coordinates.flat(2).slice(0, 2);
+    return coordinate.length >= 2 ? L.latLng(coordinate[1], coordinate[0]) : null;
+}
+
+/**
+ * Get the travel direction a road object faces, relative to the metering direction
+ * @param {Object} object - NVDB road object
+ * @returns {number|null} 1 (with), -1 (against) or null if it applies to both directions
+ */
+function getObjectDirection(object) {
+    const direction = object.lokasjon?.stedfestinger?.[0]?.retning ||
+        object.lokasjon?.vegsystemreferanser?.[0]?.strekning?.retning;
+
+    if (direction === 'MED') return 1;
+    if (direction === 'MOT') return -1;
+    return null;
+}
+
+/**
+ * Read the permanent signs along the selected road from NVDB sign plates and sign points
+ * Plates without their own geometry or direction use their sign point's.
+ * @param {Array<Object>} points - Skiltpunkt objects
+ * @param {Array<Object>} plates - Skiltplate objects
+ * @param {number} maxRoadDistance - Signs further from the road are ignored
+ * @returns {Array<Object>} { objectId, code, variant, name, latlng, distance, direction, reference }
+ */
+function locatePermanentSigns(points, plates, maxRoadDistance) {
+    const pointsById = new Map(points.map(point => [point.id, point]));
+    const located = [];
+
+    plates.forEach(plate => {
+        // Skiltnummer is e.g. "362 - Fartsgrense" or "362.80"; the value is in Tekst when registered
+        const name = String(getProperty(plate, 'skiltnummer') ?? '');
+        const match = /(\d{3})(?:[._](\d+))?/.exec(name);
+        if (!match) return;
+
+        const parentId = plate.relasjoner?.foreldre
+            ?.find(parent => parent.type?.id === SIGN_POINT_TYPE)?.vegobjekter?.[0];
+        const point = pointsById.get(parentId) || null;
+
+        const latlng = getObjectLatLng(plate) || (point ? getObjectLatLng(point) : null);
+        if (!latlng) return;
+
+        const frame = getRoadFrame(latlng);
+        if (!frame || Math.abs(frame.offset) > maxRoadDistance) return;
+
+        const text = String(getProperty(plate, 'tekst') ?? '').trim();
+        const source = point || plate;
+
+        located.push({
+            objectId: plate.id,
+            code: match[1],
+            variant: /^\d+$/.test(text) ? text : (match[2] || null),
+            name: name,
+            latlng: latlng,
+            distance: frame.distance,
+            direction: getObjectDirection(plate) ?? getObjectDirection(source),
+            reference: source.lokasjon?.vegsystemreferanser?.[0]?.kortform || null
+        });
+    });
+
+    return located;
+}
+
+/**
+ * Locate the temporary signs of the plan along the selected road
+ * The travel direction is the sign's own, or else the side of the road it stands on
+ * (traffic keeps right, so a sign right of the line faces traffic with the metering direction).
+ * @param {number} maxRoadDistance - Signs further from the road are ignored
+ * @returns {Array<Object>} { code, variant, distance, direction }
+ */
+function locateTemporarySigns(maxRoadDistance) {
+    const located = [];
+
+    getPlacedSigns().forEach(sign => {
+        if (!sign.position || sign.signId === COVER_SIGN_ID) return;
+
+        const code = getSignCode(sign.signId);
+        if (!code) return;
+
+        const frame = getRoadFrame(L.latLng(sign.position[0], sign.position[1]));
+        if (!frame || Math.abs(frame.offset) > maxRoadDistance) return;
+
+        const direction = sign.travelDirection ||
+            (frame.offset > 0.5 ? 1 : (frame.offset < -0.5 ? -1 : null));
+        if (!direction) return;
+
+        located.push({
+            code: code.code,
+            variant: code.variant,
+            distance: frame.distance,
+            direction: direction
+        });
+    });
+
+    return located;
+}
+
+/**
+ * Find the temporary sign that governs traffic at a permanent sign
+ * That is the nearest matching temporary sign before it in the travel direction, as long as the
+ * permanent sign is no further than maxDistanceAfterZone past the work zone and the last
+ * matching temporary sign.
+ * @param {Object} permanent - Permanent sign
+ * @param {Array<string>} codes - Temporary sign codes
+ * @param {number} direction - Travel direction (1 or -1)
+ * @param {Object} context - Conflict context
+ * @returns {Object|null} Governing temporary sign, or null
+ */
+function findGoverningSign(permanent, codes, direction, context) {
+    const along = permanent.distance * direction;
+    const matching = context.temporary.filter(t => t.direction === direction && codes.includes(t.code));
+    const before = matching.filter(t => t.distance * direction < along);
+    if (before.length === 0) {
+        return null;
+    }
+
+    const governing = before.reduce((best, t) => (t.distance * direction > best.distance * direction ? t : best));
+    const lastSign = Math.max(...matching.map(t => t.distance * direction));
+    const zoneExit = context.zone ? Math.max(context.zone.start * direction, context.zone.end * direction) : -Infinity;
+
+    return along <= Math.max(lastSign, zoneExit) + context.maxDistanceAfterZone ? governing : null;
+}
+
+/**
+ * Get the travel directions a permanent sign applies to
+ * @param {Object} permanent - Permanent sign
+ * @returns {Array<number>} Directions
+ */
+function getSignDirections(permanent) {
+    return permanent.direction ? [permanent.direction] : [1, -1];
+}
+
+/**
+ * Check permanent speed limits against the temporary speed limit that governs them
+ * @param {Object} rule - Rule definition
+ * @param {Object} context - Conflict context
+ * @returns {Array<Object>} Conflicts
+ */
+function checkSpeedLimitConflict(rule, context) {
+    const conflicts = [];
+
+    context.permanent.forEach(permanent => {
+        if (!rule.signCodes.includes(permanent.code) || !permanent.variant) return;
+
+        for (const direction of getSignDirections(permanent)) {
+            const governing = findGoverningSign(permanent, rule.signCodes, direction, context);
+            if (!governing || !governing.variant || Number(governing.variant) === Number(permanent.variant)) continue;
+
+            conflicts.push({
+                message: formatMessage(rule.message, {
+                    permanent: permanent.variant,
+                    permanentCode: permanent.code,
+                    temporary: governing.variant,
+                    distance: Math.round((permanent.distance - governing.distance) * direction),
+                    direction: DIRECTION_LABELS[direction]
+                }),
+                sign: permanent
+            });
+            break;
+        }
+    });
+
+    return conflicts;
+}
+
+/**
+ * Check for permanent signs that cancel a temporary sign that governs them
+ * @param {Object} rule - Rule definition
+ * @param {Object} context - Conflict context
+ * @returns {Array<Object>} Conflicts
+ */
+function checkContradictingSign(rule, context) {
+    const conflicts = [];
+
+    context.permanent.forEach(permanent => {
+        if (!rule.permanentCodes.includes(permanent.code)) return;
+
+        for (const direction of getSignDirections(permanent)) {
+            const governing = findGoverningSign(permanent, rule.temporaryCodes, direction, context);
+            if (!governing) continue;
+
+            conflicts.push({
+                message: formatMessage(rule.message, {
+                    permanent: permanent.variant || '',
+                    permanentCode: permanent.code,
+                    temporary: governing.variant || governing.code,
+                    distance: Math.round((permanent.distance - governing.distance) * direction),
+                    direction: DIRECTION_LABELS[direction]
+                }),
+                sign: permanent
+            });
+            break;
+        }
+    });
+
+    return conflicts;
+}
+
+// Check functions per rule type
+const RULE_CHECKS = {
+    speedLimitConflict: checkSpeedLimitConflict,
+    contradictingSign: checkContradictingSign
+};
+
+/**
+ * Find permanent signs along the selected road that contradict the temporary signs of the plan
+ * @returns {Promise<Object|null>} { conflicts, checked } where conflicts are
+ *          { ruleId, message, sign, latlng } and checked is the number of permanent signs
+ *          compared, or null if the road or rules are not available
+ */
+export async function findSignConflicts() {
+    const road = getSelectedRoad();
+    if (!road) {
+        return null;
+    }
+
+    const ruleData = await loadConflictRules();
+    if (!ruleData) {
+        return null;
+    }
+
+    const ids = road.veglenkesekvensIds || [road.veglenkesekvensid];
+    const [points, plates] = await Promise.all([
+        getRoadObjects(SIGN_POINT_TYPE, ids),
+        getRoadObjects(SIGN_PLATE_TYPE, ids)
+    ]);
+
+    const start = getZoneMarkerDistance('start');
+    const end = getZoneMarkerDistance('end');
+
+    const context = {
+        permanent: locatePermanentSigns(points, plates, ruleData.maxRoadDistance),
+        temporary: locateTemporarySigns(ruleData.maxRoadDistance),
+        zone: start !== null && end !== null ? { start, end } : null,
+        maxDistanceAfterZone: ruleData.maxDistanceAfterZone
+    };
+
+    const conflicts = [];
+
+    ruleData.rules.forEach(rule => {
+        if (rule.enabled === false) return;
+
+        const check = RULE_CHECKS[rule.type];
+        if (!check) {
+            console.warn(`Unknown sign conflict rule type: ${rule.type}`);
+            return;
+        }
+
+        check(rule, context).forEach(conflict => {
+            conflicts.push({ ruleId: rule.id, latlng: conflict.sign.latlng, ...conflict });
+        });
+    });
+
+    return { conflicts, checked: context.permanent.length };
+}
+
+/**
+ * Find the covering mark placed on a permanent sign
+ * @param {Object} conflict - Conflict
+ * @returns {Object|null} Placed covering sign, or null if not marked
+ */
+function findCoverMark(conflict) {
+    return getPlacedSigns().find(sign =>
+        sign.signId === COVER_SIGN_ID && sign.position &&
+        conflict.latlng.distanceTo(L.latLng(sign.position[0], sign.position[1])) <= COVER_MATCH_DISTANCE) || null;
+}
+
+/**
+ * Mark the permanent sign of a conflict for covering
+ * Places a covering mark on the sign, labelled with the sign number, which is printed with the plan.
+ * @param {Object} conflict - Conflict from findSignConflicts
+ * @returns {Object|null} Placed covering sign, or null if already marked or not placed
+ */
+export function markForCovering(conflict) {
+    if (!conflict || !conflict.latlng || findCoverMark(conflict)) {
+        return null;
+    }
+
+    const label = [conflict.sign.code, conflict.sign.variant].filter(Boolean).join(' ');
+    const placed = placeSign(COVER_SIGN_ID, conflict.latlng, 0, null, {
+        customText: `Tildekkes: ${label}`
+    });
+
+    if (placed) {
+        console.log(`Permanent sign ${conflict.sign.objectId} marked for covering`);
+    }
+    return placed;
+}
+
+/**
+ * Remove conflict highlights and the conflict list
+ */
+export function clearConflictReport() {
+    const map = getMap();
+
+    if (conflictState.highlightLayer && map) {
+        map.removeLayer(conflictState.highlightLayer);
+    }
+    conflictState.highlightLayer = null;
+    conflictState.conflicts = [];
+
+    const container = document.getElementById('conflictResults');
+    if (container) {
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Highlight conflicting permanent signs on the map
+ * @param {Array<Object>} conflicts - Conflicts
+ */
+function highlightConflicts(conflicts) {
+    const map = getMap();
+    if (!map) return;
+
+    conflictState.highlightLayer = L.layerGroup().addTo(map);
+
+    conflicts.forEach(conflict => {
+        L.circleMarker(conflict.latlng, {
+            radius: 22,
+            color: '#dc3545',
+            weight: 3,
+            dashArray: '6, 4',
+            fill: false,
+            interactive: true
+        })
+            .bindTooltip(conflict.message, { direction: 'top', className: 'validation-tooltip' })
+            .addTo(conflictState.highlightLayer);
+    });
+}
+
+/**
+ * Create the "mark for covering" control of a conflict
+ * Shows a note instead of the button once the sign is marked.
+ * @param {Object} conflict - Conflict
+ * @returns {HTMLElement} Button or note
+ */
+function createCoverControl(conflict) {
+    if (findCoverMark(conflict)) {
+        const marked = document.createElement('span');
+        marked.className = 'conflict-covered';
+        marked.textContent = '✓ Merket for tildekking';
+        return marked;
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary conflict-cover-btn';
+    button.textContent = 'Merk for tildekking';
+    button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (markForCovering(conflict)) {
+            button.replaceWith(createCoverControl(conflict));
+        }
+    });
+    return button;
+}
+
+/**
+ * Render the conflict list in the sidebar
+ * @param {Array<Object>} conflicts - Conflicts
+ * @param {number} checked - Number of permanent signs compared
+ */
+function renderConflictResults(conflicts, checked) {
+    const container = document.getElementById('conflictResults');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (conflicts.length === 0) {
+        const ok = document.createElement('p');
+        ok.className = 'validation-ok';
+        ok.textContent = `✓ Ingen konflikter (${checked} permanente skilt kontrollert)`;
+        container.appendChild(ok);
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'validation-list';
+
+    conflicts.forEach(conflict => {
+        const item = document.createElement('li');
+        item.className = 'validation-item validation-error';
+
+        const message = document.createElement('div');
+        message.textContent = conflict.message;
+        item.appendChild(message);
+
+        const meta = document.createElement('div');
+        meta.className = 'small-text';
+        meta.textContent = [conflict.sign.reference, `NVDB-id ${conflict.sign.objectId}`].filter(Boolean).join(' · ');
+        item.appendChild(meta);
+
+        item.appendChild(createCoverControl(conflict));
+
+        // Zoom to the permanent sign
+        item.addEventListener('click', () => {
+            const map = getMap();
+            if (map) {
+                map.setView(conflict.latlng, Math.max(map.getZoom(), 17));
+            }
+        });
+
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+}
+
+/**
+ * Find sign conflicts and show them in the sidebar and on the map
+ * @returns {Promise<Array<Object>|null>} Conflicts, or null if the road cannot be checked
+ */
+export async function runConflictReport() {
+    clearConflictReport();
+
+    if (!getSelectedRoad()) {
+        alert('Velg en vei før skiltkonflikter kontrolleres');
+        return null;
+    }
+
+    const result = await findSignConflicts();
+    if (!result) {
+        alert('Kunne ikke kontrollere skiltkonflikter. Prøv igjen.');
+        return null;
+    }
+
+    conflictState.conflicts = result.conflicts;
+    highlightConflicts(result.conflicts);
+    renderConflictResults(result.conflicts, result.checked);
+
+    console.log(`Sign conflicts: ${result.conflicts.length} of ${result.checked} permanent signs`);
+    return result.conflicts;
+}
+
+/**
+ * Initialize the sign conflict report
+ */
+export function initSignConflicts() {
+    const button = document.getElementById('findConflictsBtn');
+    if (button) {
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await runConflictReport();
+            } catch (error) {
+                console.error('Sign conflict report error:', error);
+                alert('Kontroll av skiltkonflikter feilet. Prøv igjen.');
+            } finally {
+                button.disabled = false;
+            }
+        });
+    }
+
+    console.log('✓ Sign conflict report initialized');
+}
+
+export default {
+    initSignConflicts,
+    findSignConflicts,
+    runConflictReport,
+    markForCovering,
+    clearConflictReport
+};
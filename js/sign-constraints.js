@@ -0,0 +1,219 @@
+/**
+ * Sign Constraints Module
+ * Ties signs to the work zone at a distance along the road (e.g. "150 m før START"),
+ * moves them along when the zone changes and draws the distances as dimension lines
+ * @module sign-constraints
+ */
+
+import { getMap, addRoadChangeCallback } from './map-manager.js';
+import {
+    getRoadFrame,
+    getRoadOffsetPosition,
+    getRoadLineBetween,
+    getZoneMarkerDistance,
+    addZoneChangeCallback
+} from './work-zone.js';
+import {
+    getConstrainedSigns,
+    setSignConstraint,
+    transformSigns,
+    getRoadPlacement,
+    setSignChangeCallback,
+    setConstraintHandler
+} from './sign-manager.js';
+
+// Offset changes below this (meters) are ignored
+const OFFSET_TOLERANCE = 0.01;
+
+// Dimension line color
+const DIMENSION_COLOR = '#6f42c1';
+
+// Marker names used in labels and messages
+const ANCHOR_LABELS = {
+    start: 'START',
+    end: 'SLUTT'
+};
+
+// Constraint state
+const constraintState = {
+    layer: null,        // L.LayerGroup with the dimension lines
+    isUpdating: false   // True while constraints are applied (sign moves are not fed back)
+};
+
+/**
+ * Describe a constraint from the point of view of the traffic the sign serves
+ * @param {Object} constraint - { anchor, offset }
+ * @param {number|null} travelDirection - 1, -1 or null (line direction)
+ * @returns {string} Label (e.g. "150 m før START")
+ */
+function describeConstraint(constraint, travelDirection) {
+    const along = travelDirection === -1 ? -constraint.offset : constraint.offset;
+    const meters = Math.round(Math.abs(along));
+    const anchor = ANCHOR_LABELS[constraint.anchor];
+
+    if (meters === 0) {
+        return `Ved ${anchor}`;
+    }
+
+    return `${meters} m ${along < 0 ? 'før' : 'etter'} ${anchor}`;
+}
+
+/**
+ * Distance from a work zone marker to a road position, rounded to centimeters
+ * @param {number} anchorDistance - Marker distance along the road line (meters)
+ * @param {Object} frame - Road frame of the sign (see getRoadFrame)
+ * @returns {number} Offset in meters along the line (negative = towards the line start)
+ */
+function getConstraintOffset(anchorDistance, frame) {
+    return Math.round((frame.distance - anchorDistance) * 100) / 100;
+}
+
+/**
+ * Tie a sign to a work zone marker at its current distance along the road
+ * @param {number} markerId - Leaflet marker ID of the sign
+ * @param {string|null} anchor - 'start', 'end', or null to release the sign
+ * @param {L.LatLng} latlng - Current sign position
+ * @returns {boolean} True if the constraint was set or removed
+ */
+export function pinSignToZone(markerId, anchor, latlng) {
+    if (!anchor) {
+        setSignConstraint(markerId, null);
+        return true;
+    }
+
+    const anchorDistance = getZoneMarkerDistance(anchor);
+    const frame = getRoadFrame(latlng);
+
+    if (anchorDistance === null || !frame) {
+        alert(`Velg en vei og sett ${ANCHOR_LABELS[anchor]}-punkt først`);
+        return false;
+    }
+
+    setSignConstraint(markerId, { anchor, offset: getConstraintOffset(anchorDistance, frame) });
+    return true;
+}
+
+/**
+ * Move all constrained signs to their distance from the work zone markers
+ * Called when the work zone changes. The moves are not recorded separately -
+ * undoing the zone change moves the signs back the same way.
+ */
+export function applyZoneConstraints() {
+    const changes = [];
+
+    getConstrainedSigns().forEach(sign => {
+        const anchorDistance = getZoneMarkerDistance(sign.constraint.anchor);
+        const frame = getRoadFrame(sign.position);
+        if (anchorDistance === null || !frame) return;
+
+        // Keep the sign's distance from the centerline
+        const target = getRoadOffsetPosition(anchorDistance + sign.constraint.offset, frame.offset);
+        const placement = target ? getRoadPlacement(sign.id, target) : null;
+        if (!placement) return;
+
+        changes.push({ id: sign.id, position: placement.latlng, rotation: placement.rotation });
+    });
+
+    constraintState.isUpdating = true;
+    try {
+        transformSigns(changes, 'Følg arbeidssone', false);
+    } finally {
+        constraintState.isUpdating = false;
+    }
+
+    renderDimensionLines();
+}
+
+/**
+ * Keep constraint offsets in step with signs that were moved by hand
+ */
+function updateConstraintOffsets() {
+    if (constraintState.isUpdating) {
+        return;
+    }
+
+    constraintState.isUpdating = true;
+    try {
+        getConstrainedSigns().forEach(sign => {
+            const anchorDistance = getZoneMarkerDistance(sign.constraint.anchor);
+            const frame = getRoadFrame(sign.position);
+            if (anchorDistance === null || !frame) return;
+
+            const offset = getConstraintOffset(anchorDistance, frame);
+            if (Math.abs(offset - sign.constraint.offset) > OFFSET_TOLERANCE) {
+                setSignConstraint(sign.id, { anchor: sign.constraint.anchor, offset }, false);
+            }
+        });
+    } finally {
+        constraintState.isUpdating = false;
+    }
+
+    renderDimensionLines();
+}
+
+/**
+ * Draw a dimension line along the road from each work zone marker to its constrained signs
+ */
+export function renderDimensionLines() {
+    const map = getMap();
+    if (!map) return;
+
+    if (!constraintState.layer) {
+        constraintState.layer = L.layerGroup().addTo(map);
+    }
+    constraintState.layer.clearLayers();
+
+    getConstrainedSigns().forEach(sign => {
+        const anchorDistance = getZoneMarkerDistance(sign.constraint.anchor);
+        const frame = getRoadFrame(sign.position);
+        if (anchorDistance === null || !frame) return;
+
+        const points = getRoadLineBetween(anchorDistance, frame.distance);
+        if (!points || points.length < 2) return;
+
+        L.polyline(points, {
+            color: DIMENSION_COLOR,
+            weight: 2,
+            dashArray: '6, 4',
+            interactive: false
+        })
+            .bindTooltip(describeConstraint(sign.constraint, sign.travelDirection), {
+                permanent: true,
+                direction: 'center',
+                className: 'dimension-label'
+            })
+            .addTo(constraintState.layer);
+
+        // End ticks at the marker and the sign
+        [points[0], points[points.length - 1]].forEach(point => {
+            L.circleMarker(point, {
+                radius: 3,
+                color: DIMENSION_COLOR,
+                weight: 2,
+                fillOpacity: 1,
+                interactive: false
+            }).addTo(constraintState.layer);
+        });
+    });
+}
+
+/**
+ * Initialize sign constraints
+ * The dimension lines are redrawn when the road changes: a loaded project places its work zone
+ * and signs before the road is restored, so they cannot be measured until then.
+ */
+export function initSignConstraints() {
+    addZoneChangeCallback(applyZoneConstraints);
+    addRoadChangeCallback(() => renderDimensionLines());
+    setSignChangeCallback(updateConstraintOffsets);
+    setConstraintHandler(pinSignToZone);
+
+    console.log('✓ Sign constraints initialized');
+}
+
+export default {
+    initSignConstraints,
+    pinSignToZone,
+    applyZoneConstraints,
+    renderDimensionLines
+};
@@ -0,0 +1,223 @@
+/**
+ * Sign Layout Generator Module
+ * Places the standard N301 warning-sign sequence for the defined work zone
+ * @module sign-layout
+ */
+
+import { getSelectedRoad } from './map-manager.js';
+import { getZoneSpeedLimit } from './speed-profile.js';
+import { getZoneADT } from './traffic-basis.js';
+import {
+    getWorkZone,
+    calculateDistanceAlongSequence,
+    getRoadPositionAtDistance
+} from './work-zone.js';
+import { placeSignGroup } from './sign-manager.js';
+
+// Layout state
+const layoutState = {
+    templates: null // Loaded from data/n301-templates.json
+};
+
+/**
+ * Load N301 layout templates
+ * @returns {Promise<Object|null>} Template data or null on error
+ */
+async function loadLayoutTemplates() {
+    if (layoutState.templates) {
+        return layoutState.templates;
+    }
+
+    try {
+        const response = await fetch('data/n301-templates.json');
+
+        if (!response.ok) {
+            console.error('Failed to load N301 templates');
+            return null;
+        }
+
+        layoutState.templates = await response.json();
+        return layoutState.templates;
+
+    } catch (error) {
+        console.error('Error loading N301 templates:', error);
+        return null;
+    }
+}
+
+/**
+ * Find the speed class for a speed limit
+ * Uses the lowest class that covers the limit, or the highest class above it
+ * @param {Array} speedClasses - Speed classes from the template
+ * @param {number} speedLimit - Speed limit in km/h
+ * @returns {Object} Speed class
+ */
+function getSpeedClass(speedClasses, speedLimit) {
+    const sorted = [...speedClasses].sort((a, b) => a.maxSpeed - b.maxSpeed);
+    return sorted.find(c => speedLimit <= c.maxSpeed) || sorted[sorted.length - 1];
+}
+
+/**
+ * Resolve sign ID for a sequence entry
+ * @param {Object} entry - Sequence entry from the template
+ * @param {number} speedLimit - Current speed limit
+ * @param {Object} speedClass - Speed class for the speed limit
+ * @returns {string|null} Sign ID, or null if the entry does not apply
+ */
+function resolveSignId(entry, speedLimit, speedClass) {
+    if (!entry.speed) {
+        return entry.signId;
+    }
+
+    // No speed reduction needed when the limit is already at or below the reduced speed
+    if (speedClass.reducedSpeed >= speedLimit) {
+        return null;
+    }
+
+    const speed = entry.speed === 'reduced' ? speedClass.reducedSpeed : speedLimit;
+    return entry.signId.replace(/\{speed\}/g, speed);
+}
+
+/**
+ * Offset a position sideways from the road
+ * @param {L.LatLng} latlng - Position on the road
+ * @param {number} bearing - Travel direction in degrees
+ * @param {number} offset - Offset in meters to the right of the travel direction
+ * @returns {L.LatLng} Offset position
+ */
+function offsetFromRoad(latlng, bearing, offset) {
+    if (!offset) {
+        return latlng;
+    }
+
+    const point = turf.destination(turf.point([latlng.lng, latlng.lat]), offset, bearing + 90, { units: 'meters' });
+    return L.latLng(point.geometry.coordinates[1], point.geometry.coordinates[0]);
+}
+
+/**
+ * Build sign positions for one travel direction
+ * @param {Object} templates - Template data
+ * @param {Object} context - { speedLimit, adt, speedClass }
+ * @param {Object} zone - { entry, exit } distances along the line, in travel order
+ * @param {number} direction - 1 for line direction, -1 for opposite direction
+ * @returns {Object} { signs, skipped }
+ */
+function buildDirectionLayout(templates, context, zone, direction) {
+    const signs = [];
+    let skipped = 0;
+
+    templates.sequence.forEach(entry => {
+        // Entries only required above a given traffic volume
+        if (entry.minAdt && (!context.adt || context.adt < entry.minAdt)) {
+            return;
+        }
+
+        const signId = resolveSignId(entry, context.speedLimit, context.speedClass);
+        if (!signId) {
+            return;
+        }
+
+        const distance = typeof entry.distance === 'number'
+            ? entry.distance
+            : context.speedClass.distances[entry.distance] || 0;
+
+        // Position along the line: before the entry point, at it, or after the exit point
+        let lineDistance;
+        if (entry.placement === 'before') {
+            lineDistance = zone.entry - direction * distance;
+        } else if (entry.placement === 'after') {
+            lineDistance = zone.exit + direction * distance;
+        } else {
+            lineDistance = zone.entry;
+        }
+
+        const position = getRoadPositionAtDistance(lineDistance);
+        if (!position) {
+            // Outside the selected road - the selection must be extended
+            skipped++;
+            return;
+        }
+
+        const bearing = direction === 1 ? position.bearing : (position.bearing + 180) % 360;
+
+        signs.push({
+            signId: signId,
+            latlng: offsetFromRoad(position.latlng, bearing, templates.lateralOffset),
+            rotation: Math.round(bearing),
+            travelDirection: direction,
+            lateralOffset: templates.lateralOffset
+        });
+    });
+
+    return { signs, skipped };
+}
+
+/**
+ * Generate the N301 sign layout for the current work zone
+ * Signs are placed in both travel directions, rotated to face approaching traffic
+ * @returns {Promise<Array|null>} Placed signs, or null if the layout could not be generated
+ */
+export async function generateSignLayout() {
+    const road = getSelectedRoad();
+    const zone = getWorkZone();
+
+    if (!road) {
+        alert('Velg en vei før skilting genereres');
+        return null;
+    }
+
+    if (!zone) {
+        alert('Sett START og SLUTT for arbeidssonen før skilting genereres');
+        return null;
+    }
+
+    const templates = await loadLayoutTemplates();
+    if (!templates) {
+        alert('Kunne ikke laste skiltmaler');
+        return null;
+    }
+
+    // Speed limit and ÅDT at the work zone (the ÅDT from the traffic basis shown in the road panel)
+    const speedLimit = await getZoneSpeedLimit();
+    const adt = await getZoneADT();
+
+    if (!speedLimit) {
+        alert('Fartsgrense er ikke tilgjengelig for valgt vei');
+        return null;
+    }
+
+    const startDistance = calculateDistanceAlongSequence(zone.start);
+    const endDistance = calculateDistanceAlongSequence(zone.end);
+
+    if (startDistance === null || endDistance === null) {
+        alert('Arbeidssonen ligger ikke på valgt vei');
+        return null;
+    }
+
+    const zoneFrom = Math.min(startDistance, endDistance);
+    const zoneTo = Math.max(startDistance, endDistance);
+    const context = {
+        speedLimit: speedLimit,
+        adt: adt,
+        speedClass: getSpeedClass(templates.speedClasses, speedLimit)
+    };
+
+    // Traffic in line direction meets the zone at its lowest distance, opposite traffic at its highest
+    const forward = buildDirectionLayout(templates, context, { entry: zoneFrom, exit: zoneTo }, 1);
+    const backward = buildDirectionLayout(templates, context, { entry: zoneTo, exit: zoneFrom }, -1);
+
+    const placedSigns = placeSignGroup([...forward.signs, ...backward.signs]);
+    const skipped = forward.skipped + backward.skipped;
+
+    console.log(`Generated N301 layout: ${placedSigns.length} signs (${speedLimit} km/h, ÅDT ${adt || 'ukjent'})`);
+
+    if (skipped > 0) {
+        alert(`${skipped} skilt havnet utenfor valgt vei og ble ikke plassert. Øk lengden i Veivelger og velg vegen på nytt.`);
+    }
+
+    return placedSigns;
+}
+
+export default {
+    generateSignLayout
+};
@@ -5,7 +5,24 @@
  */
 
 import { getMap, getSelectedRoad } from './map-manager.js';
-import { snapToRoad } from './work-zone.js';
+import { SIGN_PLACEMENT, SIGN_SIZE, PALETTE_CONFIG } from './config.js';
+import {
+    workZoneState,
+    snapToRoad,
+    getRoadBearingAt,
+    getRoadFrame,
+    getRoadOffsetPosition,
+    getLocalRoadReference,
+    resolveRoadReference
+} from './work-zone.js';
+import { recordCommand, isApplyingHistory } from './history.js';
+import { getMetersPerPixel } from './export.js';
+import {
+    getSubSignValueType,
+    getSubSignDrawing,
+    getAssemblyLayout,
+    createAssemblyIcon
+} from './sign-assembly.js';
 
 // Custom Icon class that sets crossOrigin for canvas export
 const CORSIcon = L.Icon.extend({
@@ -17,60 +34,90 @@ const CORSIcon = L.Icon.extend({
     }
 });
 
+// Size versions of the same symbol in signs/ (e.g. "trafikkjegle_s.svg")
+const SIZE_SUFFIX_PATTERN = /_(xs|s|m)$/;
+
+// Size class names shown in the sign popup
+const SIZE_CLASS_LABELS = {
+    liten: 'Liten',
+    normal: 'Normal',
+    stor: 'Stor'
+};
+
 // Sign state
 const signState = {
     library: null,
     placedSigns: [],
     signsById: new Map(), // O(1) lookup: id → sign object
-    snapEnabled: false,
-    // Undo/Redo history
-    history: [],
-    historyIndex: -1,
-    maxHistorySize: 10,
-    isUndoRedoOperation: false // Flag to prevent recording undo/redo actions
+    defaultTravelDirection: 1, // Travel direction for new snapped signs (1 = with metrering, -1 = against)
+    trueScale: false, // Draw signs at their physical size (scales with zoom)
+    favourites: [], // Sign IDs in the favourites bar, in the order they were added
+    recent: [], // Recently placed sign IDs, newest first
+    searchQuery: '', // Current palette search
+    isUndoRedoOperation: false, // Flag to prevent recording while restoring a project
+    isBatchOperation: false, // Flag to record a group of placements as one action
+    selectedIds: new Set() // IDs of signs in the current multi-selection
+};
+
+// Reference to selection change handler (will be set by sign-selection.js)
+let selectionChangeCallback = null;
+
+// References to constraint handlers (will be set by sign-constraints.js)
+let signChangeCallback = null;
+let constraintHandler = null;
+
+// Reference to template drop handler (will be set by sign-templates.js)
+let templateDropHandler = null;
+
+// Reference to work area shape provider (will be set by work-area.js)
+let workAreaShapeProvider = null;
+
+// Drag data prefix for templates dragged from the palette (e.g. "template:felt-stengt-60")
+export const TEMPLATE_DRAG_PREFIX = 'template:';
+
+// History labels per action type
+const ACTION_LABELS = {
+    add_sign: 'Plasser skilt',
+    delete_sign: 'Fjern skilt',
+    rotate_sign: 'Roter skilt',
+    set_travel_direction: 'Endre kjøreretning',
+    set_size_class: 'Endre skiltstørrelse',
+    set_sub_signs: 'Endre underskilt',
+    set_constraint: 'Fest skilt til arbeidssone',
+    set_custom_text: 'Endre tilleggstekst',
+    duplicate_sign: 'Dupliser skilt',
+    add_sign_group: 'Plasser skiltgruppe',
+    add_polygon: 'Plasser polygon',
+    delete_polygon: 'Slett polygon',
+    add_polyline: 'Plasser linje',
+    delete_polyline: 'Slett linje',
+    edit_vertices: 'Endre hjørner',
+    transform_signs: 'Flytt skilt',
+    delete_signs: 'Slett valgte skilt'
 };
 
 /**
- * Add action to history for undo/redo
+ * Add action to the application history for undo/redo
  * @param {Object} action - Action object with type and data
  */
 function addToHistory(action) {
-    // Don't record if this is an undo/redo operation
-    if (signState.isUndoRedoOperation) {
+    // Don't record while restoring a project or as part of a batch
+    if (signState.isUndoRedoOperation || signState.isBatchOperation) {
         return;
     }
 
-    // Remove any actions after current index (when undoing and then doing new action)
-    signState.history = signState.history.slice(0, signState.historyIndex + 1);
-
-    // Add new action
-    signState.history.push(action);
-    signState.historyIndex++;
-
-    // Limit history size
-    if (signState.history.length > signState.maxHistorySize) {
-        signState.history.shift();
-        signState.historyIndex--;
-    }
-
-    console.log(`History: ${signState.history.length} actions, index: ${signState.historyIndex}`);
+    recordCommand({
+        label: action.label || ACTION_LABELS[action.type] || action.type,
+        undo: () => undoAction(action),
+        redo: () => redoAction(action)
+    });
 }
 
 /**
- * Undo last action
+ * Revert a recorded sign action
+ * @param {Object} action - Action object with type and data
  */
-export function undo() {
-    if (signState.historyIndex < 0) {
-        console.log('Nothing to undo');
-        return;
-    }
-
-    signState.isUndoRedoOperation = true;
-
-    const action = signState.history[signState.historyIndex];
-    console.log('Undoing:', action.type);
-
-    // Perform undo based on action type
+function undoAction(action) {
     switch (action.type) {
         case 'add_sign':
             // Remove the sign
@@ -82,19 +129,44 @@ export function undo() {
             restoreSign(action.data);
             break;
 
-        case 'move_sign':
-            // Move back to old position
-            moveSignInternal(action.data.id, action.data.oldPosition);
-            break;
-
         case 'rotate_sign':
             // Rotate back to old angle
             setSignRotation(action.data.id, action.data.oldRotation);
             break;
 
+        case 'set_custom_text':
+            // Restore the previous text
+            setSignCustomText(action.data.id, action.data.oldText);
+            break;
+
         case 'duplicate_sign':
             // Remove the duplicated sign
-            removeSignInternal(action.data.newSignId);
+            removeSignInternal(action.data.id);
+            break;
+
+        case 'set_travel_direction':
+            // Restore old direction and rotation
+            setTravelDirectionInternal(action.data.id, action.data.oldDirection, action.data.oldRotation);
+            break;
+
+        case 'set_size_class':
+            // Restore old size
+            setSizeClassInternal(action.data.id, action.data.oldSizeClass);
+            break;
+
+        case 'set_sub_signs':
+            // Restore old sub-signs
+            setSubSignsInternal(action.data.id, action.data.oldSubSigns);
+            break;
+
+        case 'set_constraint':
+            // Restore old constraint
+            setSignConstraint(action.data.id, action.data.oldConstraint, false);
+            break;
+
+        case 'add_sign_group':
+            // Remove all signs in the group
+            action.data.signs.forEach(signData => removeSignInternal(signData.id));
             break;
 
         case 'add_polygon':
@@ -116,30 +188,30 @@ export function undo() {
             // Restore the polyline
             restorePolyline(action.data);
             break;
-    }
 
-    signState.historyIndex--;
-    signState.isUndoRedoOperation = false;
+        case 'edit_vertices':
+            // Put the corners back
+            setShapeVertices(action.data.id, action.data.oldVertices);
+            break;
+
+        case 'transform_signs':
+            // Move and rotate every sign back
+            action.data.changes.forEach(change =>
+                applySignTransform(change.id, change.oldPosition, change.oldRotation));
+            break;
 
-    console.log(`Undo complete. History index: ${signState.historyIndex}`);
+        case 'delete_signs':
+            // Restore all deleted signs
+            action.data.signs.forEach(signData => restoreSign(signData));
+            break;
+    }
 }
 
 /**
- * Redo last undone action
+ * Re-apply a recorded sign action
+ * @param {Object} action - Action object with type and data
  */
-export function redo() {
-    if (signState.historyIndex >= signState.history.length - 1) {
-        console.log('Nothing to redo');
-        return;
-    }
-
-    signState.isUndoRedoOperation = true;
-    signState.historyIndex++;
-
-    const action = signState.history[signState.historyIndex];
-    console.log('Redoing:', action.type);
-
-    // Perform redo based on action type
+function redoAction(action) {
     switch (action.type) {
         case 'add_sign':
             // Re-add the sign
@@ -151,21 +223,46 @@ export function redo() {
             removeSignInternal(action.data.id);
             break;
 
-        case 'move_sign':
-            // Move to new position
-            moveSignInternal(action.data.id, action.data.newPosition);
-            break;
-
         case 'rotate_sign':
             // Rotate to new angle
             setSignRotation(action.data.id, action.data.newRotation);
             break;
 
+        case 'set_custom_text':
+            // Apply the new text again
+            setSignCustomText(action.data.id, action.data.newText);
+            break;
+
         case 'duplicate_sign':
             // Re-add the duplicated sign
             restoreSign(action.data);
             break;
 
+        case 'set_travel_direction':
+            // Apply new direction and rotation
+            setTravelDirectionInternal(action.data.id, action.data.newDirection, action.data.newRotation);
+            break;
+
+        case 'set_size_class':
+            // Apply new size
+            setSizeClassInternal(action.data.id, action.data.newSizeClass);
+            break;
+
+        case 'set_sub_signs':
+            // Apply new sub-signs
+            setSubSignsInternal(action.data.id, action.data.newSubSigns);
+            break;
+
+        case 'set_constraint':
+            // Apply new constraint
+            setSignConstraint(action.data.id, action.data.newConstraint, false);
+            break;
+
+        case 'add_sign_group':
+            // Re-add all signs in the group
+            action.data.signs.forEach(signData => restoreSign(signData));
+            break;
+
         case 'add_polygon':
             // Re-add the polygon
             restorePolygon(action.data);
@@ -185,21 +282,48 @@ export function redo() {
             // Remove the polyline again
             removePolyline(action.data.id);
             break;
-    }
 
-    signState.isUndoRedoOperation = false;
+        case 'edit_vertices':
+            // Move the corners again
+            setShapeVertices(action.data.id, action.data.newVertices);
+            break;
+
+        case 'transform_signs':
+            // Move and rotate every sign again
+            action.data.changes.forEach(change =>
+                applySignTransform(change.id, change.newPosition, change.newRotation));
+            break;
+
+        case 'delete_signs':
+            // Remove the signs again
+            action.data.signs.forEach(signData => removeSignInternal(signData.id));
+            break;
+    }
+}
 
-    console.log(`Redo complete. History index: ${signState.historyIndex}`);
+/**
+ * Find the placed sign, polygon or polyline that owns a map layer
+ * Restored signs keep their original ID, which differs from the new layer's Leaflet ID.
+ * @param {L.Layer} layer - Marker, polygon or polyline
+ * @returns {Object|null} Placed sign object
+ */
+function getPlacedSignForLayer(layer) {
+    return signState.placedSigns.find(s =>
+        s.marker === layer || s.polygon === layer || s.polyline === layer) || null;
 }
 
 /**
- * Clear undo/redo history
- * Useful when starting a new project or loading a saved project
+ * Give a restored sign, polygon or polyline back its original ID
+ * Keeps recorded history actions pointing at the right object.
+ * @param {Object} placedSign - Placed sign object
+ * @param {number} id - Original ID
  */
-export function clearUndoHistory() {
-    signState.history = [];
-    signState.historyIndex = -1;
-    console.log('Undo history cleared');
+function reassignPlacedId(placedSign, id) {
+    if (!id || placedSign.id === id) return;
+
+    signState.signsById.delete(placedSign.id);
+    placedSign.id = id;
+    signState.signsById.set(id, placedSign);
 }
 
 /**
@@ -237,12 +361,136 @@ function filenameToName(filename) {
 }
 
 /**
- * Load signs from directory index
+ * Get traffic sign code from a sign ID
+ * @param {string} signId - Sign ID (e.g., "trafikkskilt-362_50-362_50-362_50")
+ * @returns {Object|null} Code and variant (e.g., { code: "362", variant: "50" }), or null for unnumbered signs
+ */
+export function getSignCode(signId) {
+    const parts = signId.split('-');
+    const match = parts[parts.length - 1].match(/^(\d+)(?:_(.+))?$/);
+
+    if (!match) {
+        return null;
+    }
+
+    return { code: match[1], variant: match[2] || null };
+}
+
+/**
+ * Load the sign catalogue with metadata for the SVG files
+ * @returns {Promise<Object|null>} Catalogue, or null if not available (names then come from filenames)
+ */
+async function loadSignCatalogue() {
+    try {
+        const response = await fetch('data/sign-catalogue.json');
+
+        if (!response.ok) {
+            console.warn('Sign catalogue not found - using names from filenames');
+            return null;
+        }
+
+        const catalogue = await response.json();
+
+        if (!catalogue.signs) {
+            console.warn('Unsupported sign catalogue format - using names from filenames');
+            return null;
+        }
+
+        return catalogue;
+
+    } catch (error) {
+        console.warn('Error loading sign catalogue:', error);
+        return null;
+    }
+}
+
+/**
+ * Collect the catalogue metadata for one SVG file
+ * Levels are merged in order folder, series (first digit of the sign number), sign number
+ * and variant - or folder and filename for unnumbered signs. Later levels override earlier
+ * ones, keywords from all levels are combined.
+ * @param {Object|null} catalogue - Catalogue from data/sign-catalogue.json
+ * @param {string} filename - Path from signs/index.json (e.g. "markeringsskilt/trafikkjegle_s.svg")
+ * @param {Object|null} code - Sign code from getSignCode()
+ * @returns {Object} Merged metadata (empty apart from keywords if nothing is catalogued)
+ */
+function getCatalogueMetadata(catalogue, filename, code) {
+    if (!catalogue) {
+        return { keywords: [] };
+    }
+
+    const parts = filename.replace('.svg', '').split('/');
+    const levels = [(catalogue.folders || {})[parts[0]]];
+
+    if (code) {
+        const entry = catalogue.signs[code.code];
+        levels.push((catalogue.series || {})[code.code.charAt(0)], entry);
+
+        if (entry && entry.variants && code.variant) {
+            levels.push(entry.variants[code.variant.toLowerCase()]);
+        }
+    } else {
+        // Size versions of a symbol share one entry
+        const basename = parts[parts.length - 1].replace(SIZE_SUFFIX_PATTERN, '');
+        levels.push((catalogue.files || {})[basename]);
+    }
+
+    return levels.filter(Boolean).reduce((merged, level) => {
+        const { variants, keywords, ...fields } = level;
+        return { ...merged, ...fields, keywords: [...merged.keywords, ...(keywords || [])] };
+    }, { keywords: [] });
+}
+
+/**
+ * Build a sign library entry from its SVG file and catalogue metadata
+ * @param {string} filename - Path from signs/index.json
+ * @param {Object|null} catalogue - Catalogue from data/sign-catalogue.json
+ * @returns {Object} Sign entry { id, name, file, category, group, number, variant,
+ *                   description, keywords, sizes, temporary, subSign, valueType }
+ */
+function buildSignEntry(filename, catalogue) {
+    // ID is the full path without .svg, using / as separator
+    const id = filename.replace('.svg', '').replace(/\//g, '-');
+    const category = getCategoryFromPath(filename);
+    const code = getSignCode(id);
+    const metadata = getCatalogueMetadata(catalogue, filename, code);
+
+    // Variant "0" is the plain sign
+    const variant = code && code.variant !== '0' ? code.variant : null;
+    const fillVariant = text => (text ? text.replace('{variant}', variant || '').trim() : '');
+
+    let fallbackName = filenameToName(filename);
+    if (code) {
+        fallbackName = variant ? `Skilt ${code.code} ${variant}` : `Skilt ${code.code}`;
+    }
+
+    return {
+        id: id,
+        name: fillVariant(metadata.name) || fallbackName,
+        file: `signs/${filename}`,
+        category: category,
+        group: metadata.group || category,
+        number: code ? code.code : null,
+        variant: variant,
+        description: fillVariant(metadata.description),
+        keywords: metadata.keywords,
+        sizes: metadata.sizes || null,
+        temporary: Boolean(metadata.temporary),
+        subSign: Boolean(metadata.subSign),
+        valueType: metadata.valueType || null // Value a sub-sign carries: 'distance', 'length' or null
+    };
+}
+
+/**
+ * Load signs from directory index, with names and metadata from the sign catalogue
  * @returns {Promise<Object>} Sign library object
  */
 async function loadSignLibrary() {
     try {
-        const response = await fetch('signs/index.json');
+        const [response, catalogue] = await Promise.all([
+            fetch('signs/index.json'),
+            loadSignCatalogue()
+        ]);
 
         if (!response.ok) {
             console.error('Failed to load sign index');
@@ -254,21 +502,14 @@ async function loadSignLibrary() {
         // Build library object from filenames
         const library = {};
         filenames.forEach(filename => {
-            // ID is the full path without .svg, using / as separator
-            const id = filename.replace('.svg', '').replace(/\//g, '-');
-            const category = getCategoryFromPath(filename);
-
-            library[id] = {
-                id: id,
-                name: filenameToName(filename),
-                file: `signs/${filename}`,
-                category: category
-            };
+            const sign = buildSignEntry(filename, catalogue);
+            library[sign.id] = sign;
         });
 
         signState.library = library;
 
-        console.log(`Loaded ${Object.keys(library).length} signs from signs/ folder`);
+        const catalogued = Object.values(library).filter(sign => sign.description).length;
+        console.log(`Loaded ${Object.keys(library).length} signs from signs/ folder (${catalogued} with catalogue description)`);
         return library;
 
     } catch (error) {
@@ -277,8 +518,153 @@ async function loadSignLibrary() {
     }
 }
 
+/**
+ * Get a sign from the sign library
+ * @param {string} signId - Sign ID
+ * @returns {Object|null} Sign library entry, or null if the sign is not in the library
+ */
+export function getSignEntry(signId) {
+    return (signState.library && signState.library[signId]) || null;
+}
+
+/**
+ * Check whether a sign matches a palette search
+ * Every word of the query must occur in the sign number, name, description, keywords,
+ * group, file, standard sizes or the words "midlertidig"/"permanent" and "underskilt".
+ * @param {Object} sign - Sign library entry
+ * @param {string} query - Search query
+ * @returns {boolean} True if all words match
+ */
+function matchesSignSearch(sign, query) {
+    const fields = [sign.id, sign.file, sign.name, sign.group, sign.description, ...(sign.keywords || [])];
+
+    if (sign.number) {
+        // Official notation "362.50" as well as "362 50"
+        fields.push(sign.number);
+        if (sign.variant) {
+            fields.push(`${sign.number}.${sign.variant}`, `${sign.number} ${sign.variant}`);
+        }
+    }
+
+    if (sign.sizes) {
+        fields.push(...Object.values(sign.sizes).map(size => `${size} mm`));
+    }
+
+    fields.push(sign.temporary ? 'midlertidig' : 'permanent');
+    if (sign.subSign) {
+        fields.push('underskilt');
+    }
+
+    const text = fields.filter(Boolean).join(' ').toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
+
+/**
+ * Read a list of sign IDs from localStorage
+ * @param {string} key - Storage key
+ * @returns {Array<string>} Sign IDs (empty if missing or unreadable)
+ */
+function loadPaletteList(key) {
+    try {
+        const list = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(list) ? list.filter(id => typeof id === 'string') : [];
+    } catch (error) {
+        console.warn(`Could not read ${key}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Write a list of sign IDs to localStorage
+ * @param {string} key - Storage key
+ * @param {Array<string>} list - Sign IDs
+ */
+function savePaletteList(key, list) {
+    try {
+        localStorage.setItem(key, JSON.stringify(list));
+    } catch (error) {
+        console.warn(`Could not save ${key}:`, error);
+    }
+}
+
+/**
+ * Check whether a sign is in the favourites bar
+ * @param {string} signId - Sign ID
+ * @returns {boolean} True if the sign is a favourite
+ */
+export function isFavouriteSign(signId) {
+    return signState.favourites.includes(signId);
+}
+
+/**
+ * Add a sign to the favourites bar, or remove it if it is already there
+ * @param {string} signId - Sign ID
+ * @returns {boolean} True if the sign is a favourite afterwards
+ */
+export function toggleFavouriteSign(signId) {
+    const favourite = !isFavouriteSign(signId);
+
+    signState.favourites = favourite
+        ? [...signState.favourites, signId]
+        : signState.favourites.filter(id => id !== signId);
+    savePaletteList(PALETTE_CONFIG.favouritesKey, signState.favourites);
+
+    renderSignPalette(signState.library, signState.searchQuery);
+    return favourite;
+}
+
+/**
+ * Move a sign to the front of the "recently used" row
+ * @param {string} signId - Sign ID
+ */
+function recordRecentSign(signId) {
+    signState.recent = [signId, ...signState.recent.filter(id => id !== signId)].slice(0, PALETTE_CONFIG.maxRecent);
+    savePaletteList(PALETTE_CONFIG.recentKey, signState.recent);
+
+    // Only the top rows change, but they are rebuilt with the rest of the palette
+    if (!signState.searchQuery) {
+        renderSignPalette(signState.library, signState.searchQuery);
+    }
+}
+
+/**
+ * Create a palette section with a header and a grid of signs
+ * @param {string} title - Section header
+ * @param {Array<Object>} signs - Sign library entries
+ * @param {string} className - Extra class of the section (e.g. 'sign-favourites')
+ * @returns {HTMLElement} Section element
+ */
+function createSignSection(title, signs, className = '') {
+    const section = document.createElement('div');
+    section.className = `sign-category ${className}`.trim();
+    section.style.marginBottom = '20px';
+
+    // Section header
+    const header = document.createElement('h4');
+    header.textContent = `${title} (${signs.length})`;
+    header.style.fontSize = '14px';
+    header.style.fontWeight = 'bold';
+    header.style.marginBottom = '10px';
+    header.style.color = '#333';
+    section.appendChild(header);
+
+    // Signs grid
+    const grid = document.createElement('div');
+    grid.style.display = 'grid';
+    grid.style.gridTemplateColumns = 'repeat(auto-fill, minmax(100px, 1fr))';
+    grid.style.gap = '12px';
+
+    signs.forEach(sign => {
+        grid.appendChild(createSignItem(sign));
+    });
+
+    section.appendChild(grid);
+    return section;
+}
+
 /**
  * Render sign palette in UI
+ * Favourites and recently used signs are shown above the groups while the search is empty.
  * @param {Object} library - Sign library object
  * @param {string} searchQuery - Optional search filter
  */
@@ -295,29 +681,21 @@ function renderSignPalette(library, searchQuery = '') {
         return;
     }
 
+    signState.searchQuery = searchQuery;
+
     // Clear existing content
     container.innerHTML = '';
 
     // Filter signs based on search query
     let filteredSigns = Object.values(library);
     if (searchQuery) {
-        const query = searchQuery.toLowerCase();
-        filteredSigns = filteredSigns.filter(sign => {
-            // Search in sign ID (e.g., "102_2")
-            const idMatch = sign.id.toLowerCase().includes(query);
-            // Search in sign name (e.g., "Farlige svinger")
-            const nameMatch = sign.name.toLowerCase().includes(query);
-            // Search in file path for number matches
-            const fileMatch = sign.file.toLowerCase().includes(query);
-
-            return idMatch || nameMatch || fileMatch;
-        });
+        filteredSigns = filteredSigns.filter(sign => matchesSignSearch(sign, searchQuery));
     }
 
-    // Group signs by category
+    // Group signs by catalogue group (sign series), or folder for uncatalogued signs
     const categories = {};
     filteredSigns.forEach(sign => {
-        const cat = sign.category || 'Generelt';
+        const cat = sign.group || sign.category || 'Generelt';
         if (!categories[cat]) {
             categories[cat] = [];
         }
@@ -335,35 +713,22 @@ function renderSignPalette(library, searchQuery = '') {
         return;
     }
 
+    // Personal rows (signs that are no longer in the library are left out)
+    if (!searchQuery) {
+        const favourites = signState.favourites.map(id => library[id]).filter(Boolean);
+        const recent = signState.recent.map(id => library[id]).filter(Boolean);
+
+        if (favourites.length > 0) {
+            container.appendChild(createSignSection('Favoritter', favourites, 'sign-favourites'));
+        }
+        if (recent.length > 0) {
+            container.appendChild(createSignSection('Sist brukt', recent, 'sign-recent'));
+        }
+    }
+
     // Render each category
     Object.keys(categories).sort().forEach(categoryName => {
-        // Create category section
-        const categorySection = document.createElement('div');
-        categorySection.className = 'sign-category';
-        categorySection.style.marginBottom = '20px';
-
-        // Category header
-        const header = document.createElement('h4');
-        header.textContent = `${categoryName} (${categories[categoryName].length})`;
-        header.style.fontSize = '14px';
-        header.style.fontWeight = 'bold';
-        header.style.marginBottom = '10px';
-        header.style.color = '#333';
-        categorySection.appendChild(header);
-
-        // Signs grid
-        const grid = document.createElement('div');
-        grid.style.display = 'grid';
-        grid.style.gridTemplateColumns = 'repeat(auto-fill, minmax(100px, 1fr))';
-        grid.style.gap = '12px';
-
-        categories[categoryName].forEach(sign => {
-            const signItem = createSignItem(sign);
-            grid.appendChild(signItem);
-        });
-
-        categorySection.appendChild(grid);
-        container.appendChild(categorySection);
+        container.appendChild(createSignSection(categoryName, categories[categoryName]));
     });
 
     console.log(`Sign palette rendered: ${filteredSigns.length} of ${Object.keys(library).length} signs`);
@@ -381,6 +746,7 @@ function createSignItem(sign) {
     item.setAttribute('data-sign-id', sign.id);
     item.setAttribute('role', 'listitem');
     item.setAttribute('aria-label', sign.name);
+    item.title = [sign.name, sign.description].filter(Boolean).join('\n');
 
     // Create image
     const img = document.createElement('img');
@@ -403,6 +769,21 @@ function createSignItem(sign) {
     label.style.marginTop = '4px';
     item.appendChild(label);
 
+    // Favourite toggle
+    const favourite = isFavouriteSign(sign.id);
+    const star = document.createElement('button');
+    star.type = 'button';
+    star.className = `sign-favourite-btn${favourite ? ' active' : ''}`;
+    star.textContent = favourite ? '★' : '☆';
+    star.title = favourite ? 'Fjern fra favoritter' : 'Legg til i favoritter';
+    star.setAttribute('aria-label', `${star.title}: ${sign.name}`);
+    star.setAttribute('aria-pressed', favourite ? 'true' : 'false');
+    star.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleFavouriteSign(sign.id);
+    });
+    item.appendChild(star);
+
     // Add drag start listener
     item.addEventListener('dragstart', (e) => {
         handleSignDragStart(e, sign.id);
@@ -455,8 +836,18 @@ function setupMapDropZone() {
 
         const latlng = map.mouseEventToLatLng(e);
 
-        // Place sign
-        placeSign(signId, latlng);
+        // Templates are placed as a unit by sign-templates.js
+        if (signId.startsWith(TEMPLATE_DRAG_PREFIX)) {
+            if (templateDropHandler) {
+                templateDropHandler(signId.slice(TEMPLATE_DRAG_PREFIX.length), latlng);
+            }
+            return;
+        }
+
+        // Place sign (facing traffic when snapped to the road)
+        if (placeSign(signId, latlng, 0, null, { snap: true })) {
+            recordRecentSign(signId);
+        }
     });
 
     // Reset opacity after drag
@@ -509,10 +900,17 @@ function placePolygon(signId, latlng, vertices = null) {
         strokeWidth = 3;
     }
 
+    // Work areas dropped on a selected road follow its lanes
+    const laneVertices = (!vertices || vertices.length < 3) && signId.includes('arbeidsomrade') && workAreaShapeProvider
+        ? workAreaShapeProvider(latlng)
+        : null;
+
     // Create polygon coordinates (default rectangle if no vertices provided)
     let polygonCoords;
     if (vertices && vertices.length >= 3) {
         polygonCoords = vertices;
+    } else if (laneVertices) {
+        polygonCoords = laneVertices;
     } else {
         // Create a default 50m x 30m rectangle centered at drop point
         const offsetLat = 0.00045; // ~50m in latitude
@@ -539,7 +937,7 @@ function placePolygon(signId, latlng, vertices = null) {
     polygon.bindPopup(popup);
 
     polygon.on('popupopen', () => {
-        const popupContainer = createPolygonPopupElement(sign, polygon._leaflet_id);
+        const popupContainer = createPolygonPopupElement(sign, placedPolygon.id);
         popup.setContent(popupContainer);
     });
 
@@ -594,7 +992,7 @@ function placePolygon(signId, latlng, vertices = null) {
     // Update vertices when polygon is edited
     polygon.on('editable:vertex:dragend editable:vertex:deleted editable:vertex:new', () => {
         const latLngs = polygon.getLatLngs()[0];
-        placedPolygon.vertices = latLngs.map(ll => [ll.lat, ll.lng]);
+        recordVertexEdit(placedPolygon, latLngs.map(ll => [ll.lat, ll.lng]));
     });
 
     // Update UI
@@ -738,7 +1136,7 @@ function placePolyline(signId, latlng, vertices = null) {
     polyline.bindPopup(popup);
 
     polyline.on('popupopen', () => {
-        const popupContainer = createPolylinePopupElement(sign, polyline._leaflet_id);
+        const popupContainer = createPolylinePopupElement(sign, placedPolyline.id);
         popup.setContent(popupContainer);
     });
 
@@ -793,7 +1191,7 @@ function placePolyline(signId, latlng, vertices = null) {
     // Update vertices when polyline is edited
     polyline.on('editable:vertex:dragend editable:vertex:deleted editable:vertex:new', () => {
         const latLngs = polyline.getLatLngs();
-        placedPolyline.vertices = latLngs.map(ll => [ll.lat, ll.lng]);
+        recordVertexEdit(placedPolyline, latLngs.map(ll => [ll.lat, ll.lng]));
     });
 
     // Update UI
@@ -884,9 +1282,20 @@ function removePolyline(polylineId) {
  * @param {L.LatLng} latlng - Position
  * @param {number} rotation - Rotation angle (default: 0)
  * @param {Array} vertices - Optional vertices for polygon restoration
+ * @param {Object} options - Optional placement options
+ * @param {boolean} options.snap - Snap to the selected road (if snapping is on) and turn the sign
+ *                                 to face the travel direction
+ * @param {number|null} options.travelDirection - Travel direction the sign serves
+ *                                 (1 = with metrering, -1 = against, default: the chosen default when snapping)
+ * @param {number|null} options.lateralOffset - Meters to the right of the travel direction (negative = left,
+ *                                 default: the sidebar setting when snapping)
+ * @param {Object|null} options.constraint - Distance constraint to a work zone marker ({ anchor, offset })
+ * @param {string} options.sizeClass - Size class: 'liten', 'normal' or 'stor' (default: 'normal')
+ * @param {Array<Object>} options.subSigns - Sub-signs below the main sign: [{ signId, value }]
+ * @param {string} options.customText - Text shown below the sign (default: none)
  * @returns {Object|null} Placed sign object
  */
-export function placeSign(signId, latlng, rotation = 0, vertices = null) {
+export function placeSign(signId, latlng, rotation = 0, vertices = null, options = {}) {
     const sign = signState.library[signId];
 
     if (!sign) {
@@ -904,36 +1313,27 @@ export function placeSign(signId, latlng, rotation = 0, vertices = null) {
         return placePolyline(signId, latlng, vertices);
     }
 
-    // Snap to road if enabled
-    const road = getSelectedRoad();
+    // Snap to road (or its shoulder) if enabled, and face the sign towards the traffic it serves
     let finalLatLng = latlng;
-
-    if (signState.snapEnabled && road) {
-        finalLatLng = snapToRoad(latlng);
-    }
-
-    // Create custom icon
-    // Both Markeringsskilt and trafikkskilt need explicit sizing for consistent positioning
-    const isMarkeringsskilt = sign.category === 'Markeringsskilt';
-
-    const iconOptions = {
-        iconUrl: sign.file,
-        popupAnchor: [0, -20],
-        className: 'traffic-sign-marker' // Add custom class for styling
-    };
-
-    if (isMarkeringsskilt) {
-        // Markeringsskilt - use natural SVG size (manually resized to ~32x32)
-        // Only set anchor to prevent position drift at different zoom levels
-        // Assumes SVGs are resized to approximately 32x32 pixels
-        iconOptions.iconAnchor = [16, 16]; // Center anchor for 32x32 - prevents zoom drift
-    } else {
-        // Trafikkskilt - programmatic size control (too many to resize manually)
-        iconOptions.iconSize = [32, 32];
-        iconOptions.iconAnchor = [16, 16]; // Center anchor
+    let travelDirection = options.travelDirection || null;
+    let lateralOffset = options.lateralOffset ?? null;
+
+    if (options.snap && workZoneState.snapEnabled && getSelectedRoad()) {
+        travelDirection = travelDirection || signState.defaultTravelDirection;
+        // An explicit offset of 0 keeps the sign on the centreline
+        lateralOffset = lateralOffset ?? (getPlacementOffset() || null);
+        finalLatLng = getRoadSnapPosition(latlng, travelDirection, lateralOffset);
+
+        const travelRotation = getTravelRotation(finalLatLng, travelDirection);
+        if (travelRotation !== null) {
+            rotation = travelRotation;
+        }
     }
 
-    const icon = new CORSIcon(iconOptions);
+    // Create custom icon, sized by the sign's size class
+    const sizeClass = SIZE_CLASS_LABELS[options.sizeClass] ? options.sizeClass : SIGN_SIZE.defaultClass;
+    const subSigns = copySubSigns(options.subSigns);
+    const icon = createSignIcon(sign, getSignIconSize(sign, sizeClass, finalLatLng), subSigns);
 
     // Create marker with tooltip for better user feedback
     const marker = L.marker(finalLatLng, {
@@ -953,17 +1353,24 @@ export function placeSign(signId, latlng, rotation = 0, vertices = null) {
     });
 
     // Track old position for undo on drag start
+    // Dragging a selected sign moves the whole selection along with it
     let dragStartPosition = null;
+    let groupDrag = null;
     marker.on('dragstart', () => {
-        const placedSign = signState.signsById.get(marker._leaflet_id);
+        const placedSign = getPlacedSignForLayer(marker);
         if (placedSign) {
             dragStartPosition = { lat: placedSign.position.lat, lng: placedSign.position.lng };
+            groupDrag = startGroupDrag(placedSign);
         }
     });
 
     // Preserve rotation during drag
     marker.on('drag', () => {
-        const placedSign = signState.signsById.get(marker._leaflet_id);
+        if (groupDrag) {
+            moveGroupFollowers(groupDrag, marker.getLatLng());
+        }
+
+        const placedSign = getPlacedSignForLayer(marker);
         if (placedSign && placedSign.rotation !== 0) {
             const icon = marker.getElement();
             if (icon) {
@@ -985,35 +1392,52 @@ export function placeSign(signId, latlng, rotation = 0, vertices = null) {
 
     // Add drag end listener
     marker.on('dragend', () => {
-        const newPos = marker.getLatLng();
-        const snappedPos = signState.snapEnabled && road ? snapToRoad(newPos) : newPos;
-        marker.setLatLng(snappedPos);
-
         // Update stored position
-        const placedSign = signState.signsById.get(marker._leaflet_id);
+        const placedSign = getPlacedSignForLayer(marker);
         if (placedSign) {
             const oldPos = dragStartPosition;
+            const oldRotation = placedSign.rotation;
+            const { latlng: snappedPos, rotation: newRotation } = getRoadPlacement(placedSign.id, marker.getLatLng());
             const newPosObj = { lat: snappedPos.lat, lng: snappedPos.lng };
+            marker.setLatLng(snappedPos);
 
-            // Record move in history if position actually changed
-            if (oldPos && (oldPos.lat !== newPosObj.lat || oldPos.lng !== newPosObj.lng)) {
+            // Record move in history if position or rotation changed (group moves are recorded below)
+            const moved = oldPos && (oldPos.lat !== newPosObj.lat || oldPos.lng !== newPosObj.lng);
+            if (!groupDrag && (moved || newRotation !== oldRotation)) {
                 addToHistory({
-                    type: 'move_sign',
+                    type: 'transform_signs',
                     data: {
-                        id: placedSign.id,
-                        oldPosition: oldPos,
-                        newPosition: newPosObj
+                        changes: [{
+                            id: placedSign.id,
+                            oldPosition: oldPos,
+                            newPosition: newPosObj,
+                            oldRotation: oldRotation,
+                            newRotation: newRotation
+                        }]
                     }
                 });
             }
 
             placedSign.position = snappedPos;
+            placedSign.rotation = newRotation;
 
             // Update text label position if it exists
             if (placedSign.textLabel) {
                 placedSign.textLabel.setLatLng(snappedPos);
             }
 
+            // Update road reference for the new position
+            placedSign.roadReference = getLocalRoadReference(snappedPos);
+            updateSignTooltip(placedSign);
+            refreshSignRoadReference(placedSign);
+
+            if (groupDrag) {
+                finishGroupDrag(groupDrag, placedSign, oldPos);
+                groupDrag = null;
+            }
+
+            notifySignChange();
+
             // Re-apply rotation after drag (preserve rotation during drag)
             setTimeout(() => {
                 const icon = marker.getElement();
@@ -1041,10 +1465,18 @@ export function placeSign(signId, latlng, rotation = 0, vertices = null) {
 
     // Set popup content when it opens (so event listeners work)
     marker.on('popupopen', () => {
-        const popupContainer = createSignPopupElement(sign, marker._leaflet_id);
+        const popupContainer = createSignPopupElement(sign, placedSign.id);
         popup.setContent(popupContainer);
     });
 
+    // Shift+click adds/removes the sign from the selection instead of opening the popup
+    marker.on('click', (e) => {
+        if (e.originalEvent && e.originalEvent.shiftKey) {
+            marker.closePopup();
+            toggleSignSelection(placedSign.id);
+        }
+    });
+
     // Add to map
     marker.addTo(getMap());
 
@@ -1076,7 +1508,13 @@ export function placeSign(signId, latlng, rotation = 0, vertices = null) {
         signId: signId,
         position: finalLatLng,
         rotation: rotation,
-        customText: '', // Custom text message
+        travelDirection: travelDirection, // 1 = with metrering, -1 = against, null = not set
+        lateralOffset: lateralOffset, // Meters right of the travel direction (negative = left), null = on the road
+        constraint: copyConstraint(options.constraint), // { anchor: 'start'|'end', offset } or null
+        sizeClass: sizeClass, // 'liten', 'normal' or 'stor'
+        subSigns: subSigns, // Sub-signs stacked below the sign: [{ signId, value }]
+        customText: options.customText || '', // Custom text message
+        roadReference: getLocalRoadReference(finalLatLng), // e.g. "EV39 S5D1 m1234"
         marker: marker,
         textLabel: null // Will hold the text label overlay
     };
@@ -1084,6 +1522,17 @@ export function placeSign(signId, latlng, rotation = 0, vertices = null) {
     signState.placedSigns.push(placedSign);
     signState.signsById.set(placedSign.id, placedSign);
 
+    if (placedSign.customText) {
+        setSignCustomText(placedSign.id, placedSign.customText);
+    }
+
+    // Show road reference in tooltip, and resolve the official one from NVDB
+    // (skipped while restoring, where the saved reference is used instead)
+    updateSignTooltip(placedSign);
+    if (!signState.isUndoRedoOperation && !isApplyingHistory()) {
+        refreshSignRoadReference(placedSign);
+    }
+
     // Record sign placement in history
     addToHistory({
         type: 'add_sign',
@@ -1092,49 +1541,273 @@ export function placeSign(signId, latlng, rotation = 0, vertices = null) {
             signId: placedSign.signId,
             position: [placedSign.position.lat, placedSign.position.lng],
             rotation: placedSign.rotation,
+            travelDirection: placedSign.travelDirection,
+            lateralOffset: placedSign.lateralOffset,
+            constraint: copyConstraint(placedSign.constraint),
+            sizeClass: placedSign.sizeClass,
+            subSigns: copySubSigns(placedSign.subSigns),
             customText: placedSign.customText || ''
         }
     });
 
     // Update UI
     updateSignCount();
+    notifySignChange();
 
     console.log(`Placed sign: ${sign.name}`);
     return placedSign;
 }
 
 /**
- * Create popup content for a placed sign as DOM element
- * @param {Object} sign - Sign object
- * @param {number} markerId - Leaflet marker ID
- * @returns {HTMLElement} Popup element with event listeners
+ * Place several signs as one undoable action (e.g. a generated sign layout)
+ * @param {Array<Object>} signs - Signs to place:
+ *                               { signId, latlng, rotation, travelDirection, lateralOffset, constraint, sizeClass, subSigns }
+ * @returns {Array<Object>} Placed sign objects
  */
-function createSignPopupElement(sign, markerId) {
-    const placedSign = signState.signsById.get(markerId);
-    if (!placedSign) return document.createElement('div');
+export function placeSignGroup(signs) {
+    const placedSigns = [];
 
-    // Create container
-    const container = document.createElement('div');
-    container.className = 'sign-popup';
-    container.style.minWidth = '220px';
+    signState.isBatchOperation = true;
+    try {
+        signs.forEach(({ signId, latlng, rotation, travelDirection, lateralOffset, constraint, sizeClass, subSigns }) => {
+            const placedSign = placeSign(signId, latlng, rotation || 0, null,
+                { travelDirection, lateralOffset, constraint, sizeClass, subSigns });
+            if (placedSign) {
+                placedSigns.push(placedSign);
+            }
+        });
+    } finally {
+        signState.isBatchOperation = false;
+    }
 
-    // Create title
-    const title = document.createElement('strong');
-    title.textContent = sign.name;
-    title.style.display = 'block';
-    title.style.marginBottom = '10px';
-    container.appendChild(title);
+    if (placedSigns.length > 0) {
+        addToHistory({
+            type: 'add_sign_group',
+            data: {
+                signs: placedSigns.map(placedSign => ({
+                    id: placedSign.id,
+                    signId: placedSign.signId,
+                    position: [placedSign.position.lat, placedSign.position.lng],
+                    rotation: placedSign.rotation,
+                    travelDirection: placedSign.travelDirection,
+                    lateralOffset: placedSign.lateralOffset,
+                    constraint: copyConstraint(placedSign.constraint),
+                    sizeClass: placedSign.sizeClass,
+                    subSigns: copySubSigns(placedSign.subSigns),
+                    customText: ''
+                }))
+            }
+        });
+    }
 
-    // Rotation control
-    const rotationGroup = document.createElement('div');
-    rotationGroup.style.marginBottom = '10px';
+    console.log(`Placed ${placedSigns.length} signs as group`);
+    return placedSigns;
+}
 
-    const rotationLabel = document.createElement('label');
-    rotationLabel.textContent = `Rotasjon: ${placedSign.rotation}°`;
-    rotationLabel.style.display = 'block';
-    rotationLabel.style.marginBottom = '5px';
-    rotationLabel.style.fontSize = '12px';
-    rotationGroup.appendChild(rotationLabel);
+/**
+ * Update sign tooltip with name and road reference
+ * @param {Object} placedSign - Placed sign object
+ */
+function updateSignTooltip(placedSign) {
+    const sign = signState.library[placedSign.signId];
+    if (!sign || !placedSign.marker) return;
+
+    const content = placedSign.roadReference
+        ? `${sign.name}<br><small>${placedSign.roadReference}</small>`
+        : sign.name;
+
+    placedSign.marker.setTooltipContent(content);
+}
+
+/**
+ * Resolve the official road reference for a sign through NVDB
+ * @param {Object} placedSign - Placed sign object
+ */
+function refreshSignRoadReference(placedSign) {
+    const position = placedSign.position;
+
+    resolveRoadReference(position).then(reference => {
+        // Ignore stale results if the sign was moved meanwhile
+        if (!reference || placedSign.position !== position) {
+            return;
+        }
+        placedSign.roadReference = reference;
+        updateSignTooltip(placedSign);
+    }).catch(error => {
+        // Keep the local reference already shown
+        console.warn('Could not resolve road reference for sign:', error);
+    });
+}
+
+/**
+ * Label of a sub-sign in the popup
+ * @param {Object} entry - Sign library entry
+ * @returns {string} Label (e.g. "802 Avstand", or "Skilt 807 1" for uncatalogued signs)
+ */
+function getSubSignLabel(entry) {
+    return entry.description ? `${entry.number} ${entry.name}` : entry.name;
+}
+
+/**
+ * Create the sub-sign controls for the sign popup
+ * Lists the sub-signs with value inputs and remove buttons, and lets the user add new ones.
+ * @param {number} markerId - Leaflet marker ID
+ * @returns {HTMLElement} Controls element
+ */
+function createSubSignControls(markerId) {
+    const group = document.createElement('div');
+    group.style.marginBottom = '10px';
+
+    const available = Object.values(signState.library)
+        .filter(entry => entry.subSign)
+        .sort((a, b) => a.id.localeCompare(b.id, 'nb', { numeric: true }));
+
+    const render = () => {
+        const placedSign = signState.signsById.get(markerId);
+        if (!placedSign) return;
+
+        group.innerHTML = '';
+
+        const label = document.createElement('label');
+        label.textContent = 'Underskilt:';
+        label.style.display = 'block';
+        label.style.marginBottom = '5px';
+        label.style.fontSize = '12px';
+        group.appendChild(label);
+
+        const update = (subSigns) => {
+            setSignSubSigns(markerId, subSigns);
+            render();
+        };
+
+        placedSign.subSigns.forEach((subSign, index) => {
+            const entry = signState.library[subSign.signId];
+            const valueType = getSubSignValueType(entry);
+
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.gap = '5px';
+            row.style.alignItems = 'center';
+            row.style.marginBottom = '4px';
+
+            const name = document.createElement('span');
+            name.textContent = getSubSignLabel(entry);
+            name.style.flex = '1';
+            name.style.fontSize = '12px';
+            row.appendChild(name);
+
+            if (valueType) {
+                const valueInput = document.createElement('input');
+                valueInput.type = 'number';
+                valueInput.min = '0';
+                valueInput.step = '10';
+                valueInput.value = subSign.value !== null ? subSign.value : '';
+                valueInput.title = valueType.label;
+                valueInput.setAttribute('aria-label', valueType.label);
+                valueInput.style.width = '70px';
+                valueInput.style.fontSize = '12px';
+                valueInput.addEventListener('change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    update(placedSign.subSigns.map((s, i) =>
+                        (i === index ? { signId: s.signId, value: isNaN(value) ? null : Math.max(value, 0) } : s)));
+                });
+                row.appendChild(valueInput);
+            }
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Fjern underskilt';
+            removeBtn.style.padding = '2px 6px';
+            removeBtn.style.fontSize = '12px';
+            removeBtn.addEventListener('click', () => {
+                update(placedSign.subSigns.filter((s, i) => i !== index));
+            });
+            row.appendChild(removeBtn);
+
+            group.appendChild(row);
+        });
+
+        // Add a new sub-sign at the bottom of the post
+        const addRow = document.createElement('div');
+        addRow.style.display = 'flex';
+        addRow.style.gap = '5px';
+
+        const addSelect = document.createElement('select');
+        addSelect.style.flex = '1';
+        addSelect.style.minWidth = '0';
+        addSelect.style.fontSize = '12px';
+        available.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = getSubSignLabel(entry);
+            addSelect.appendChild(option);
+        });
+        addRow.appendChild(addSelect);
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-secondary';
+        addBtn.textContent = '+ Legg til';
+        addBtn.style.padding = '2px 6px';
+        addBtn.style.fontSize = '12px';
+        addBtn.addEventListener('click', () => {
+            const entry = signState.library[addSelect.value];
+            if (!entry) return;
+
+            const valueType = getSubSignValueType(entry);
+            update([...placedSign.subSigns, { signId: entry.id, value: valueType ? valueType.defaultValue : null }]);
+        });
+        addRow.appendChild(addBtn);
+
+        group.appendChild(addRow);
+    };
+
+    render();
+    return group;
+}
+
+/**
+ * Create popup content for a placed sign as DOM element
+ * @param {Object} sign - Sign object
+ * @param {number} markerId - Leaflet marker ID
+ * @returns {HTMLElement} Popup element with event listeners
+ */
+function createSignPopupElement(sign, markerId) {
+    const placedSign = signState.signsById.get(markerId);
+    if (!placedSign) return document.createElement('div');
+
+    // Create container
+    const container = document.createElement('div');
+    container.className = 'sign-popup';
+    container.style.minWidth = '220px';
+
+    // Create title
+    const title = document.createElement('strong');
+    title.textContent = sign.name;
+    title.style.display = 'block';
+    title.style.marginBottom = placedSign.roadReference ? '2px' : '10px';
+    container.appendChild(title);
+
+    // Road reference (e.g. "EV39 S5D1 m1234")
+    if (placedSign.roadReference) {
+        const reference = document.createElement('div');
+        reference.className = 'small-text';
+        reference.textContent = placedSign.roadReference;
+        reference.style.marginBottom = '10px';
+        reference.style.color = '#666';
+        container.appendChild(reference);
+    }
+
+    // Rotation control
+    const rotationGroup = document.createElement('div');
+    rotationGroup.style.marginBottom = '10px';
+
+    const rotationLabel = document.createElement('label');
+    rotationLabel.textContent = `Rotasjon: ${placedSign.rotation}°`;
+    rotationLabel.style.display = 'block';
+    rotationLabel.style.marginBottom = '5px';
+    rotationLabel.style.fontSize = '12px';
+    rotationGroup.appendChild(rotationLabel);
 
     const rotationSlider = document.createElement('input');
     rotationSlider.type = 'range';
@@ -1173,6 +1846,120 @@ function createSignPopupElement(sign, markerId) {
 
     container.appendChild(rotationGroup);
 
+    // Travel direction the sign serves
+    const directionGroup = document.createElement('div');
+    directionGroup.style.marginBottom = '10px';
+
+    const directionLabel = document.createElement('label');
+    directionLabel.textContent = 'Kjøreretning:';
+    directionLabel.style.display = 'block';
+    directionLabel.style.marginBottom = '5px';
+    directionLabel.style.fontSize = '12px';
+    directionGroup.appendChild(directionLabel);
+
+    const directionSelect = document.createElement('select');
+    directionSelect.style.width = '100%';
+    directionSelect.style.fontSize = '12px';
+    [
+        ['1', 'Med metreringsretning'],
+        ['-1', 'Mot metreringsretning'],
+        ['', 'Ikke satt']
+    ].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        directionSelect.appendChild(option);
+    });
+    directionSelect.value = placedSign.travelDirection ? String(placedSign.travelDirection) : '';
+
+    directionSelect.addEventListener('change', (e) => {
+        const direction = e.target.value ? parseInt(e.target.value) : null;
+        setSignTravelDirection(markerId, direction);
+
+        // Show the new rotation
+        rotationSlider.value = placedSign.rotation;
+        rotationLabel.textContent = `Rotasjon: ${placedSign.rotation}°`;
+        oldRotation = placedSign.rotation;
+    });
+
+    directionGroup.appendChild(directionSelect);
+    container.appendChild(directionGroup);
+
+    // Size class, with the physical size from the catalogue (only if the sign comes in several sizes)
+    const sizeClasses = Object.keys(SIZE_CLASS_LABELS).filter(sizeClass =>
+        (sign.sizes ? sign.sizes[sizeClass] : sign.category !== 'Markeringsskilt'));
+
+    if (sizeClasses.length > 1) {
+        const sizeGroup = document.createElement('div');
+        sizeGroup.style.marginBottom = '10px';
+
+        const sizeLabel = document.createElement('label');
+        sizeLabel.textContent = 'Størrelse:';
+        sizeLabel.style.display = 'block';
+        sizeLabel.style.marginBottom = '5px';
+        sizeLabel.style.fontSize = '12px';
+        sizeGroup.appendChild(sizeLabel);
+
+        const sizeSelect = document.createElement('select');
+        sizeSelect.style.width = '100%';
+        sizeSelect.style.fontSize = '12px';
+        sizeClasses.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${SIZE_CLASS_LABELS[value]} (${getSignSizeMm(sign, value)} mm)`;
+            sizeSelect.appendChild(option);
+        });
+        sizeSelect.value = placedSign.sizeClass;
+
+        sizeSelect.addEventListener('change', (e) => {
+            setSignSizeClass(markerId, e.target.value);
+        });
+
+        sizeGroup.appendChild(sizeSelect);
+        container.appendChild(sizeGroup);
+    }
+
+    // Sub-signs stacked below the sign
+    if (canHaveSubSigns(sign)) {
+        container.appendChild(createSubSignControls(markerId));
+    }
+
+    // Distance constraint to the work zone
+    if (constraintHandler) {
+        const constraintGroup = document.createElement('div');
+        constraintGroup.style.marginBottom = '10px';
+
+        const constraintLabel = document.createElement('label');
+        constraintLabel.textContent = 'Avstand til arbeidssone:';
+        constraintLabel.style.display = 'block';
+        constraintLabel.style.marginBottom = '5px';
+        constraintLabel.style.fontSize = '12px';
+        constraintGroup.appendChild(constraintLabel);
+
+        const constraintSelect = document.createElement('select');
+        constraintSelect.style.width = '100%';
+        constraintSelect.style.fontSize = '12px';
+        [
+            ['', 'Ikke festet'],
+            ['start', 'Fest til START'],
+            ['end', 'Fest til SLUTT']
+        ].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            constraintSelect.appendChild(option);
+        });
+        constraintSelect.value = placedSign.constraint ? placedSign.constraint.anchor : '';
+
+        constraintSelect.addEventListener('change', (e) => {
+            constraintHandler(markerId, e.target.value || null, placedSign.position);
+            constraintSelect.value = placedSign.constraint ? placedSign.constraint.anchor : '';
+        });
+
+        constraintGroup.appendChild(constraintSelect);
+        container.appendChild(constraintGroup);
+    }
+
     // Custom text input
     const textGroup = document.createElement('div');
     textGroup.style.marginBottom = '10px';
@@ -1194,6 +1981,23 @@ function createSignPopupElement(sign, markerId) {
     textInput.addEventListener('input', (e) => {
         setSignCustomText(markerId, e.target.value);
     });
+
+    // Record history when the text is committed (blur or Enter), not per keystroke
+    let oldText = placedSign.customText || '';
+    textInput.addEventListener('change', (e) => {
+        const newText = e.target.value;
+        if (oldText !== newText) {
+            addToHistory({
+                type: 'set_custom_text',
+                data: {
+                    id: markerId,
+                    oldText: oldText,
+                    newText: newText
+                }
+            });
+            oldText = newText;
+        }
+    });
     textGroup.appendChild(textInput);
 
     container.appendChild(textGroup);
@@ -1342,12 +2146,314 @@ export function rotateSign(markerId) {
     }
 
     // Increment rotation by 90°
+    const oldRotation = placedSign.rotation;
     const newRotation = (placedSign.rotation + 90) % 360;
     setSignRotation(markerId, newRotation);
 
+    addToHistory({
+        type: 'rotate_sign',
+        data: {
+            id: markerId,
+            oldRotation: oldRotation,
+            newRotation: newRotation
+        }
+    });
+
     console.log(`Rotated sign to ${newRotation}°`);
 }
 
+/**
+ * Set which travel direction a sign serves
+ * With a road selected the sign is turned to face traffic in that direction.
+ * @param {number} markerId - Leaflet marker ID
+ * @param {number|null} direction - 1 = with metrering, -1 = against, null = not set
+ */
+export function setSignTravelDirection(markerId, direction) {
+    const placedSign = signState.signsById.get(markerId);
+
+    if (!placedSign) {
+        console.error(`Sign not found: ${markerId}`);
+        return;
+    }
+
+    const oldDirection = placedSign.travelDirection;
+    const oldRotation = placedSign.rotation;
+    const travelRotation = direction ? getTravelRotation(placedSign.position, direction) : null;
+    const newRotation = travelRotation !== null ? travelRotation : oldRotation;
+
+    if (oldDirection === direction && oldRotation === newRotation) {
+        return;
+    }
+
+    setTravelDirectionInternal(markerId, direction, newRotation);
+
+    addToHistory({
+        type: 'set_travel_direction',
+        data: {
+            id: markerId,
+            oldDirection: oldDirection,
+            newDirection: direction,
+            oldRotation: oldRotation,
+            newRotation: newRotation
+        }
+    });
+}
+
+/**
+ * Set the travel direction given to new signs snapped to the road
+ * @param {number} direction - 1 = with metrering, -1 = against
+ */
+export function setDefaultTravelDirection(direction) {
+    signState.defaultTravelDirection = direction === -1 ? -1 : 1;
+}
+
+/**
+ * Get the travel direction given to new signs snapped to the road
+ * @returns {number} 1 = with metrering, -1 = against
+ */
+export function getDefaultTravelDirection() {
+    return signState.defaultTravelDirection;
+}
+
+/**
+ * Physical size of a sign in one size class
+ * The size is the largest side of the symbol: sign width/diameter, or the length of
+ * a vehicle or barrier. Traffic signs without catalogue sizes use the standard classes.
+ * @param {Object} sign - Sign library entry
+ * @param {string} sizeClass - 'liten', 'normal' or 'stor'
+ * @returns {number|null} Size in millimetres, or null if unknown
+ */
+function getSignSizeMm(sign, sizeClass) {
+    const sizes = sign.sizes || (sign.category === 'Markeringsskilt' ? null : SIGN_SIZE.classes);
+    if (!sizes) {
+        return null;
+    }
+
+    // Equipment often has one size only
+    return sizes[sizeClass] || sizes[SIGN_SIZE.defaultClass] || Object.values(sizes)[0] || null;
+}
+
+/**
+ * Icon size of a sign on the map
+ * In true-scale mode the icon follows the physical size at the current zoom, kept between
+ * the legible minimum and a maximum. Otherwise a normal sign is SIGN_SIZE.iconPixels and the
+ * other classes in proportion; markeringsskilt keep their natural SVG size.
+ * @param {Object} sign - Sign library entry
+ * @param {string} sizeClass - 'liten', 'normal' or 'stor'
+ * @param {L.LatLng} latlng - Sign position (ground resolution depends on latitude)
+ * @returns {number|null} Icon width and height in pixels, or null for the natural SVG size
+ */
+function getSignIconSize(sign, sizeClass, latlng) {
+    const sizeMm = getSignSizeMm(sign, sizeClass);
+    const map = getMap();
+
+    if (signState.trueScale && sizeMm && map) {
+        const pixels = sizeMm / 1000 / getMetersPerPixel(latlng.lat, map.getZoom());
+        return Math.round(Math.min(Math.max(pixels, SIGN_SIZE.minPixels), SIGN_SIZE.maxPixels));
+    }
+
+    if (sign.category === 'Markeringsskilt') {
+        return null;
+    }
+
+    return Math.round(SIGN_SIZE.iconPixels * sizeMm / getSignSizeMm(sign, SIGN_SIZE.defaultClass));
+}
+
+/**
+ * Create the map icon for a sign, or for an assembly if it has sub-signs
+ * @param {Object} sign - Sign library entry
+ * @param {number|null} size - Icon size in pixels, or null for the natural SVG size
+ * @param {Array<Object>} subSigns - Sub-signs: [{ signId, value }]
+ * @returns {L.Icon} Icon
+ */
+function createSignIcon(sign, size, subSigns = []) {
+    if (size && subSigns.length > 0) {
+        const drawings = subSigns.map(subSign => getSubSignDrawing(subSign, signState.library[subSign.signId]));
+        return createAssemblyIcon(sign.file, drawings, size);
+    }
+
+    const iconOptions = {
+        iconUrl: sign.file,
+        className: 'traffic-sign-marker' // Add custom class for styling
+    };
+
+    if (size) {
+        // Programmatic size control with a center anchor (prevents zoom drift)
+        iconOptions.iconSize = [size, size];
+        iconOptions.iconAnchor = [size / 2, size / 2];
+        iconOptions.popupAnchor = [0, -size / 2 - 4];
+    } else {
+        // Markeringsskilt - use natural SVG size (manually resized to ~32x32)
+        // Only set anchor to prevent position drift at different zoom levels
+        iconOptions.iconAnchor = [16, 16];
+        iconOptions.popupAnchor = [0, -20];
+    }
+
+    return new CORSIcon(iconOptions);
+}
+
+/**
+ * Give a placed sign a new icon for its size class and the current zoom
+ * setIcon() replaces the icon element, so rotation and selection highlight are put back.
+ * @param {Object} placedSign - Placed sign object
+ * @param {boolean} force - Replace the icon even if its size is unchanged (e.g. new sub-signs)
+ */
+function refreshSignIcon(placedSign, force = false) {
+    const sign = signState.library[placedSign.signId];
+    if (!sign || !placedSign.marker) return;
+
+    const size = getSignIconSize(sign, placedSign.sizeClass, placedSign.position);
+    const current = placedSign.marker.options.icon.options.iconSize;
+    if (!force && (current ? current[0] === size : size === null)) return;
+
+    placedSign.marker.setIcon(createSignIcon(sign, size, placedSign.subSigns));
+    setSignRotation(placedSign.id, placedSign.rotation);
+    setSelectionHighlight(placedSign, signState.selectedIds.has(placedSign.id));
+}
+
+/**
+ * Update the icon size of all placed signs (after zooming or switching true scale)
+ */
+function refreshAllSignIcons() {
+    signState.placedSigns.forEach(placedSign => {
+        if (!placedSign.isPolygon && !placedSign.isPolyline) {
+            refreshSignIcon(placedSign);
+        }
+    });
+}
+
+/**
+ * Set the size class of a sign (internal, no history)
+ * @param {number} markerId - Leaflet marker ID
+ * @param {string} sizeClass - 'liten', 'normal' or 'stor'
+ */
+function setSizeClassInternal(markerId, sizeClass) {
+    const placedSign = signState.signsById.get(markerId);
+    if (!placedSign) return;
+
+    placedSign.sizeClass = sizeClass;
+    refreshSignIcon(placedSign);
+}
+
+/**
+ * Set the size class of a sign
+ * @param {number} markerId - Leaflet marker ID
+ * @param {string} sizeClass - 'liten', 'normal' or 'stor'
+ */
+export function setSignSizeClass(markerId, sizeClass) {
+    const placedSign = signState.signsById.get(markerId);
+
+    if (!placedSign) {
+        console.error(`Sign not found: ${markerId}`);
+        return;
+    }
+
+    if (!SIZE_CLASS_LABELS[sizeClass] || placedSign.sizeClass === sizeClass) {
+        return;
+    }
+
+    const oldSizeClass = placedSign.sizeClass;
+    setSizeClassInternal(markerId, sizeClass);
+
+    addToHistory({
+        type: 'set_size_class',
+        data: {
+            id: markerId,
+            oldSizeClass: oldSizeClass,
+            newSizeClass: sizeClass
+        }
+    });
+}
+
+/**
+ * Copy a list of sub-signs, dropping sub-signs that are not in the library
+ * @param {Array<Object>|null|undefined} subSigns - [{ signId, value }]
+ * @returns {Array<Object>} Copy
+ */
+function copySubSigns(subSigns) {
+    return (subSigns || [])
+        .filter(subSign => signState.library[subSign.signId])
+        .map(subSign => ({
+            signId: subSign.signId,
+            value: typeof subSign.value === 'number' ? subSign.value : null
+        }));
+}
+
+/**
+ * Check whether sub-signs can be added below a sign
+ * Needs a main sign with a fixed icon size (not a natural-size markeringsskilt).
+ * @param {Object} sign - Sign library entry
+ * @returns {boolean} True if the sign can carry sub-signs
+ */
+function canHaveSubSigns(sign) {
+    return !sign.subSign && getSignSizeMm(sign, SIGN_SIZE.defaultClass) !== null && sign.category !== 'Markeringsskilt';
+}
+
+/**
+ * Set the sub-signs of a sign (internal, no history)
+ * @param {number} markerId - Leaflet marker ID
+ * @param {Array<Object>} subSigns - [{ signId, value }]
+ */
+function setSubSignsInternal(markerId, subSigns) {
+    const placedSign = signState.signsById.get(markerId);
+    if (!placedSign) return;
+
+    placedSign.subSigns = copySubSigns(subSigns);
+    refreshSignIcon(placedSign, true);
+}
+
+/**
+ * Set the sub-signs (underskilt) stacked below a sign
+ * The sign and its sub-signs form one assembly that moves and rotates as one unit.
+ * @param {number} markerId - Leaflet marker ID
+ * @param {Array<Object>} subSigns - [{ signId, value }], value in meters for sub-signs that carry
+ *                                   a distance or length (e.g. 802 Avstand), otherwise null
+ */
+export function setSignSubSigns(markerId, subSigns) {
+    const placedSign = signState.signsById.get(markerId);
+
+    if (!placedSign) {
+        console.error(`Sign not found: ${markerId}`);
+        return;
+    }
+
+    const oldSubSigns = copySubSigns(placedSign.subSigns);
+    const newSubSigns = copySubSigns(subSigns);
+
+    if (JSON.stringify(oldSubSigns) === JSON.stringify(newSubSigns)) {
+        return;
+    }
+
+    setSubSignsInternal(markerId, newSubSigns);
+
+    addToHistory({
+        type: 'set_sub_signs',
+        data: {
+            id: markerId,
+            oldSubSigns: oldSubSigns,
+            newSubSigns: newSubSigns
+        }
+    });
+}
+
+/**
+ * Draw signs at their physical size (true scale) or at a fixed icon size
+ * @param {boolean} enabled - True for true scale
+ */
+export function setTrueScale(enabled) {
+    signState.trueScale = Boolean(enabled);
+    refreshAllSignIcons();
+    console.log(`True-scale signs: ${signState.trueScale ? 'ON' : 'OFF'}`);
+}
+
+/**
+ * Check whether signs are drawn to scale
+ * @returns {boolean} True in true-scale mode
+ */
+export function isTrueScale() {
+    return signState.trueScale;
+}
+
 /**
  * Duplicate a placed sign
  * @param {number} markerId - Leaflet marker ID of the sign to duplicate
@@ -1372,12 +2478,26 @@ export function duplicateSign(markerId) {
     const newLng = placedSign.position.lng;
     const newPosition = L.latLng(newLat, newLng);
 
-    // Create new sign with same properties
-    const newSign = placeSign(
-        placedSign.signId,
-        newPosition,
-        placedSign.rotation // Preserve rotation!
-    );
+    // Create new sign with same properties (recorded below as one duplicate action)
+    let newSign;
+    signState.isBatchOperation = true;
+    try {
+        newSign = placeSign(
+            placedSign.signId,
+            newPosition,
+            placedSign.rotation, // Preserve rotation!
+            null,
+            {
+                travelDirection: placedSign.travelDirection,
+                lateralOffset: placedSign.lateralOffset,
+                constraint: placedSign.constraint,
+                sizeClass: placedSign.sizeClass,
+                subSigns: placedSign.subSigns
+            }
+        );
+    } finally {
+        signState.isBatchOperation = false;
+    }
 
     // Copy custom text if it exists
     if (newSign && placedSign.customText) {
@@ -1389,10 +2509,15 @@ export function duplicateSign(markerId) {
         addToHistory({
             type: 'duplicate_sign',
             data: {
-                newSignId: newSign.id,
+                id: newSign.id,
                 signId: newSign.signId,
                 position: [newSign.position.lat, newSign.position.lng],
                 rotation: newSign.rotation,
+                travelDirection: newSign.travelDirection,
+                lateralOffset: newSign.lateralOffset,
+                constraint: copyConstraint(newSign.constraint),
+                sizeClass: newSign.sizeClass,
+                subSigns: copySubSigns(newSign.subSigns),
                 customText: newSign.customText || ''
             }
         });
@@ -1431,9 +2556,11 @@ function removeSignInternal(markerId) {
     // Remove from array and map
     signState.placedSigns.splice(index, 1);
     signState.signsById.delete(markerId);
+    deselectSign(markerId);
 
     // Update UI
     updateSignCount();
+    notifySignChange();
 }
 
 /**
@@ -1442,24 +2569,28 @@ function removeSignInternal(markerId) {
  */
 function restoreSign(signData) {
     const latlng = L.latLng(signData.position[0], signData.position[1]);
-    const newSign = placeSign(signData.signId, latlng, signData.rotation || 0);
+    const newSign = placeSign(signData.signId, latlng, signData.rotation || 0, null, {
+        travelDirection: signData.travelDirection,
+        lateralOffset: signData.lateralOffset,
+        constraint: signData.constraint,
+        sizeClass: signData.sizeClass,
+        subSigns: signData.subSigns
+    });
 
     // Restore custom text if it exists
     if (newSign && signData.customText) {
         setSignCustomText(newSign.id, signData.customText);
     }
 
+    // Restore road reference if it was recorded
+    if (newSign && signData.roadReference) {
+        newSign.roadReference = signData.roadReference;
+        updateSignTooltip(newSign);
+    }
+
     // Update the ID to match original if provided
-    if (signData.id && newSign) {
-        const placedSign = signState.signsById.get(newSign.id);
-        if (placedSign) {
-            // Remove old ID from map
-            signState.signsById.delete(newSign.id);
-            // Update ID
-            placedSign.id = signData.id;
-            // Add with new ID to map
-            signState.signsById.set(signData.id, placedSign);
-        }
+    if (newSign) {
+        reassignPlacedId(newSign, signData.id);
     }
 }
 
@@ -1480,6 +2611,14 @@ function moveSignInternal(markerId, position) {
     if (placedSign.textLabel) {
         placedSign.textLabel.setLatLng(latlng);
     }
+
+    placedSign.roadReference = getLocalRoadReference(latlng);
+    updateSignTooltip(placedSign);
+
+    // setLatLng resets the icon transform - put the rotation back
+    setSignRotation(markerId, placedSign.rotation);
+
+    notifySignChange();
 }
 
 /**
@@ -1490,7 +2629,11 @@ function restorePolygon(polygonData) {
     const centerLat = polygonData.vertices.reduce((sum, v) => sum + v[0], 0) / polygonData.vertices.length;
     const centerLng = polygonData.vertices.reduce((sum, v) => sum + v[1], 0) / polygonData.vertices.length;
     const latlng = L.latLng(centerLat, centerLng);
-    placePolygon(polygonData.signId, latlng, polygonData.vertices);
+    const placedPolygon = placePolygon(polygonData.signId, latlng, polygonData.vertices);
+
+    if (placedPolygon) {
+        reassignPlacedId(placedPolygon, polygonData.id);
+    }
 }
 
 /**
@@ -1501,7 +2644,55 @@ function restorePolyline(polylineData) {
     const startLat = polylineData.vertices[0][0];
     const startLng = polylineData.vertices[0][1];
     const latlng = L.latLng(startLat, startLng);
-    placePolyline(polylineData.signId, latlng, polylineData.vertices);
+    const placedPolyline = placePolyline(polylineData.signId, latlng, polylineData.vertices);
+
+    if (placedPolyline) {
+        reassignPlacedId(placedPolyline, polylineData.id);
+    }
+}
+
+/**
+ * Store edited polygon/polyline corners and record the edit
+ * @param {Object} placedShape - Placed polygon or polyline object
+ * @param {Array} vertices - New vertices [[lat, lng], ...]
+ */
+function recordVertexEdit(placedShape, vertices) {
+    const oldVertices = placedShape.vertices;
+    placedShape.vertices = vertices;
+
+    if (JSON.stringify(oldVertices) === JSON.stringify(vertices)) {
+        return;
+    }
+
+    addToHistory({
+        type: 'edit_vertices',
+        data: {
+            id: placedShape.id,
+            oldVertices: oldVertices,
+            newVertices: vertices
+        }
+    });
+}
+
+/**
+ * Set the corners of a placed polygon or polyline (internal, no history)
+ * @param {number} shapeId - Polygon or polyline ID
+ * @param {Array} vertices - Vertices [[lat, lng], ...]
+ */
+function setShapeVertices(shapeId, vertices) {
+    const placedShape = signState.signsById.get(shapeId);
+    if (!placedShape) return;
+
+    const layer = placedShape.isPolygon ? placedShape.polygon : placedShape.polyline;
+    if (!layer) return;
+
+    layer.setLatLngs(vertices);
+    placedShape.vertices = vertices;
+
+    // Rebuild the vertex handles if the shape is being edited
+    if (layer.editEnabled && layer.editEnabled() && layer.editor) {
+        layer.editor.reset();
+    }
 }
 
 /**
@@ -1521,13 +2712,7 @@ export function removeSign(markerId) {
     // Record deletion in history before removing
     addToHistory({
         type: 'delete_sign',
-        data: {
-            id: placedSign.id,
-            signId: placedSign.signId,
-            position: [placedSign.position.lat, placedSign.position.lng],
-            rotation: placedSign.rotation,
-            customText: placedSign.customText || ''
-        }
+        data: getSignSnapshot(placedSign)
     });
 
     // Close popup if open
@@ -1546,15 +2731,515 @@ export function removeSign(markerId) {
         map.removeLayer(placedSign.textLabel);
     }
 
-    // Remove from array
+    // Remove from array and map
     signState.placedSigns.splice(index, 1);
+    signState.signsById.delete(markerId);
+    deselectSign(markerId);
 
     // Update UI
     updateSignCount();
+    notifySignChange();
 
     console.log(`Removed sign: ${markerId}`);
 }
 
+/**
+ * Copy the data needed to restore a placed sign
+ * @param {Object} placedSign - Placed sign object
+ * @returns {Object} Sign data for restoreSign()
+ */
+function getSignSnapshot(placedSign) {
+    return {
+        id: placedSign.id,
+        signId: placedSign.signId,
+        position: [placedSign.position.lat, placedSign.position.lng],
+        rotation: placedSign.rotation,
+        travelDirection: placedSign.travelDirection,
+        lateralOffset: placedSign.lateralOffset,
+        constraint: copyConstraint(placedSign.constraint),
+        sizeClass: placedSign.sizeClass,
+        subSigns: copySubSigns(placedSign.subSigns),
+        customText: placedSign.customText || '',
+        roadReference: placedSign.roadReference || null
+    };
+}
+
+/**
+ * Rotation that faces a sign towards traffic in one travel direction
+ * @param {L.LatLng} latlng - Position on or near the selected road
+ * @param {number} direction - 1 = with metrering, -1 = against
+ * @returns {number|null} Rotation in degrees (0-359), or null if no road is selected
+ */
+function getTravelRotation(latlng, direction) {
+    const bearing = getRoadBearingAt(latlng);
+    if (bearing === null) {
+        return null;
+    }
+
+    const travelBearing = direction === -1 ? bearing + 180 : bearing;
+    return Math.round(travelBearing) % 360;
+}
+
+/**
+ * Signed lateral offset for new signs from the sidebar settings
+ * @returns {number} Meters to the right of the travel direction (negative = left, 0 = on the centreline)
+ */
+function getPlacementOffset() {
+    const sideSelect = document.getElementById('signOffsetSide');
+    const side = sideSelect ? parseInt(sideSelect.value, 10) : 0;
+    if (!side) {
+        return 0;
+    }
+
+    const input = document.getElementById('signOffsetInput');
+    const value = input ? parseFloat(input.value) : NaN;
+    const distance = isNaN(value)
+        ? SIGN_PLACEMENT.shoulderOffset
+        : Math.min(Math.max(value, 0), SIGN_PLACEMENT.maxShoulderOffset);
+
+    return side * distance;
+}
+
+/**
+ * Position on the selected road, moved sideways to a sign's lateral offset
+ * @param {L.LatLng} latlng - Position near the road
+ * @param {number|null} direction - Travel direction (1, -1, or null for line direction)
+ * @param {number|null} offset - Meters to the right of the travel direction (negative = left)
+ * @returns {L.LatLng} Position on the centreline or the shoulder
+ */
+function getRoadSnapPosition(latlng, direction, offset) {
+    const frame = offset ? getRoadFrame(latlng) : null;
+    if (!frame) {
+        return snapToRoad(latlng);
+    }
+
+    // Right of the travel direction is left of the line direction for opposite traffic
+    const lineOffset = direction === -1 ? -offset : offset;
+    return getRoadOffsetPosition(frame.distance, lineOffset) || snapToRoad(latlng);
+}
+
+/**
+ * Position and rotation of a sign moved to a new position along the road
+ * With snapping on the sign is placed on the road, or at its lateral offset from it,
+ * and a sign with a travel direction is turned to follow the road at its new position.
+ * Without snapping the position and rotation are kept as given.
+ * @param {number} markerId - Leaflet marker ID
+ * @param {L.LatLng} latlng - New position (e.g. where the sign was dropped)
+ * @returns {Object|null} { latlng, rotation }, or null if the sign does not exist
+ */
+export function getRoadPlacement(markerId, latlng) {
+    const placedSign = signState.signsById.get(markerId);
+    if (!placedSign) {
+        return null;
+    }
+
+    if (!workZoneState.snapEnabled || !getSelectedRoad()) {
+        return { latlng, rotation: placedSign.rotation };
+    }
+
+    const snapped = getRoadSnapPosition(latlng, placedSign.travelDirection, placedSign.lateralOffset);
+    const rotation = placedSign.travelDirection
+        ? getTravelRotation(snapped, placedSign.travelDirection)
+        : null;
+
+    return { latlng: snapped, rotation: rotation !== null ? rotation : placedSign.rotation };
+}
+
+/**
+ * Set travel direction and rotation of a sign (internal, no history)
+ * @param {number} markerId - Leaflet marker ID
+ * @param {number|null} direction - 1, -1 or null
+ * @param {number} rotation - Rotation angle (0-360)
+ */
+function setTravelDirectionInternal(markerId, direction, rotation) {
+    const placedSign = signState.signsById.get(markerId);
+    if (!placedSign) return;
+
+    placedSign.travelDirection = direction;
+    setSignRotation(markerId, rotation);
+}
+
+/**
+ * Set position and rotation of a sign (internal, no history)
+ * @param {number} markerId - Leaflet marker ID
+ * @param {Object} position - Position {lat, lng}
+ * @param {number} rotation - Rotation angle (0-360)
+ */
+function applySignTransform(markerId, position, rotation) {
+    const placedSign = signState.signsById.get(markerId);
+    if (!placedSign) return;
+
+    placedSign.rotation = rotation;
+    moveSignInternal(markerId, position);
+}
+
+/**
+ * Start moving the selection together with a dragged sign
+ * @param {Object} leader - Placed sign being dragged
+ * @returns {Object|null} Group drag state, or null if the sign is not part of a multi-selection
+ */
+function startGroupDrag(leader) {
+    if (!signState.selectedIds.has(leader.id) || signState.selectedIds.size < 2) {
+        return null;
+    }
+
+    const followers = [...signState.selectedIds]
+        .filter(id => id !== leader.id)
+        .map(id => signState.signsById.get(id))
+        .filter(placedSign => placedSign && placedSign.marker)
+        .map(placedSign => ({
+            placedSign,
+            start: { lat: placedSign.position.lat, lng: placedSign.position.lng },
+            rotation: placedSign.rotation
+        }));
+
+    return {
+        leaderStart: { lat: leader.position.lat, lng: leader.position.lng },
+        leaderRotation: leader.rotation,
+        followers
+    };
+}
+
+/**
+ * Move the other selected signs by the same offset as the dragged sign
+ * @param {Object} groupDrag - Group drag state
+ * @param {L.LatLng} leaderLatLng - Current position of the dragged sign
+ */
+function moveGroupFollowers(groupDrag, leaderLatLng) {
+    const dLat = leaderLatLng.lat - groupDrag.leaderStart.lat;
+    const dLng = leaderLatLng.lng - groupDrag.leaderStart.lng;
+
+    groupDrag.followers.forEach(({ placedSign, start }) => {
+        const latlng = L.latLng(start.lat + dLat, start.lng + dLng);
+        placedSign.marker.setLatLng(latlng);
+        if (placedSign.textLabel) {
+            placedSign.textLabel.setLatLng(latlng);
+        }
+        setSignRotation(placedSign.id, placedSign.rotation);
+    });
+}
+
+/**
+ * Store the final positions of a group drag and record it as one action
+ * @param {Object} groupDrag - Group drag state
+ * @param {Object} leader - Placed sign that was dragged (already updated)
+ * @param {Object} leaderStart - Position of the dragged sign before the drag {lat, lng}
+ */
+function finishGroupDrag(groupDrag, leader, leaderStart) {
+    const changes = [{
+        id: leader.id,
+        oldPosition: leaderStart,
+        newPosition: { lat: leader.position.lat, lng: leader.position.lng },
+        oldRotation: groupDrag.leaderRotation,
+        newRotation: leader.rotation
+    }];
+
+    groupDrag.followers.forEach(({ placedSign, start, rotation }) => {
+        const placement = getRoadPlacement(placedSign.id, placedSign.marker.getLatLng());
+
+        applySignTransform(placedSign.id, placement.latlng, placement.rotation);
+        refreshSignRoadReference(placedSign);
+
+        changes.push({
+            id: placedSign.id,
+            oldPosition: start,
+            newPosition: { lat: placement.latlng.lat, lng: placement.latlng.lng },
+            oldRotation: rotation,
+            newRotation: placement.rotation
+        });
+    });
+
+    addToHistory({
+        type: 'transform_signs',
+        data: { changes }
+    });
+}
+
+/**
+ * Move and/or rotate several signs as one undoable action
+ * @param {Array<Object>} changes - { id, position, rotation } per sign; position ({lat, lng})
+ *                                  and rotation (degrees) are optional
+ * @param {string} label - History label (e.g. "Juster langs veg")
+ * @param {boolean} record - Record in the undo history (false for moves that follow from
+ *                           another recorded change, e.g. a moved work zone)
+ * @returns {number} Number of signs changed
+ */
+export function transformSigns(changes, label = 'Flytt skilt', record = true) {
+    const recorded = [];
+
+    changes.forEach(change => {
+        const placedSign = signState.signsById.get(change.id);
+        if (!placedSign || !placedSign.marker) return;
+
+        const oldPosition = { lat: placedSign.position.lat, lng: placedSign.position.lng };
+        const newPosition = change.position ? { lat: change.position.lat, lng: change.position.lng } : oldPosition;
+        const oldRotation = placedSign.rotation;
+        const newRotation = change.rotation !== undefined ? (change.rotation % 360 + 360) % 360 : oldRotation;
+
+        if (newPosition.lat === oldPosition.lat && newPosition.lng === oldPosition.lng && newRotation === oldRotation) {
+            return;
+        }
+
+        applySignTransform(placedSign.id, newPosition, newRotation);
+        refreshSignRoadReference(placedSign);
+        recorded.push({ id: placedSign.id, oldPosition, newPosition, oldRotation, newRotation });
+    });
+
+    if (record && recorded.length > 0) {
+        addToHistory({
+            type: 'transform_signs',
+            label: label,
+            data: { changes: recorded }
+        });
+    }
+
+    return recorded.length;
+}
+
+/**
+ * Remove several signs as one undoable action
+ * @param {Array<number>} markerIds - Leaflet marker IDs
+ * @returns {number} Number of signs removed
+ */
+export function removeSigns(markerIds) {
+    const removed = markerIds
+        .map(id => signState.signsById.get(id))
+        .filter(placedSign => placedSign && placedSign.marker)
+        .map(getSignSnapshot);
+
+    removed.forEach(signData => removeSignInternal(signData.id));
+
+    if (removed.length > 0) {
+        addToHistory({
+            type: 'delete_signs',
+            data: { signs: removed }
+        });
+    }
+
+    console.log(`Removed ${removed.length} signs`);
+    return removed.length;
+}
+
+/**
+ * Copy a distance constraint
+ * @param {Object|null|undefined} constraint - { anchor, offset }
+ * @returns {Object|null} Copy, or null if there is no constraint
+ */
+function copyConstraint(constraint) {
+    return constraint ? { anchor: constraint.anchor, offset: constraint.offset } : null;
+}
+
+/**
+ * Set the distance constraint that ties a sign to a work zone marker
+ * @param {number} markerId - Leaflet marker ID
+ * @param {Object|null} constraint - { anchor: 'start'|'end', offset } with offset in meters along
+ *                                   the road line from the marker, or null to release the sign
+ * @param {boolean} record - Record in the undo history (false when only the offset is kept up to date)
+ */
+export function setSignConstraint(markerId, constraint, record = true) {
+    const placedSign = signState.signsById.get(markerId);
+
+    if (!placedSign) {
+        console.error(`Sign not found: ${markerId}`);
+        return;
+    }
+
+    const oldConstraint = copyConstraint(placedSign.constraint);
+    placedSign.constraint = copyConstraint(constraint);
+
+    if (record) {
+        addToHistory({
+            type: 'set_constraint',
+            data: {
+                id: markerId,
+                oldConstraint: oldConstraint,
+                newConstraint: copyConstraint(constraint)
+            }
+        });
+    }
+
+    notifySignChange();
+}
+
+/**
+ * Get the signs that are tied to a work zone marker
+ * @returns {Array<Object>} { id, position, travelDirection, constraint } per sign
+ */
+export function getConstrainedSigns() {
+    return signState.placedSigns
+        .filter(placedSign => placedSign.constraint && placedSign.marker)
+        .map(placedSign => ({
+            id: placedSign.id,
+            position: L.latLng(placedSign.position.lat, placedSign.position.lng),
+            travelDirection: placedSign.travelDirection,
+            constraint: copyConstraint(placedSign.constraint)
+        }));
+}
+
+/**
+ * Set callback for sign changes
+ * @param {Function} callback - Called after signs are placed, moved or removed
+ */
+export function setSignChangeCallback(callback) {
+    signChangeCallback = callback;
+}
+
+/**
+ * Set handler for the work zone choice in the sign popup
+ * @param {Function} handler - Called with (markerId, anchor, latlng), anchor 'start', 'end' or null
+ */
+export function setConstraintHandler(handler) {
+    constraintHandler = handler;
+}
+
+/**
+ * Set handler for templates dropped on the map from the palette
+ * @param {Function} handler - Called with (templateId, latlng)
+ */
+export function setTemplateDropHandler(handler) {
+    templateDropHandler = handler;
+}
+
+/**
+ * Set provider for the shape of work areas dropped on the map
+ * @param {Function} provider - Called with (latlng), returns polygon vertices ([[lat, lng], ...]) or null
+ *                              for the default rectangle
+ */
+export function setWorkAreaShapeProvider(provider) {
+    workAreaShapeProvider = provider;
+}
+
+/**
+ * Inform the constraint module about changed signs
+ * Skipped while a project is restored; restoreSigns() notifies once at the end.
+ */
+function notifySignChange() {
+    if (signChangeCallback && !signState.isUndoRedoOperation) {
+        signChangeCallback();
+    }
+}
+
+/**
+ * Set callback for selection changes
+ * @param {Function} callback - Called with the selected signs (see getSelectedSigns) when the selection changes
+ */
+export function setSelectionChangeCallback(callback) {
+    selectionChangeCallback = callback;
+}
+
+/**
+ * Inform the selection panel about a changed selection
+ */
+function notifySelectionChange() {
+    if (selectionChangeCallback) {
+        selectionChangeCallback(getSelectedSigns());
+    }
+}
+
+/**
+ * Show or hide the selection highlight on a sign
+ * @param {Object} placedSign - Placed sign object
+ * @param {boolean} selected - Whether the sign is selected
+ */
+function setSelectionHighlight(placedSign, selected) {
+    const icon = placedSign.marker ? placedSign.marker.getElement() : null;
+    if (icon) {
+        icon.classList.toggle('sign-selected', selected);
+    }
+}
+
+/**
+ * Drop a removed sign from the selection
+ * @param {number} markerId - Leaflet marker ID
+ */
+function deselectSign(markerId) {
+    if (signState.selectedIds.delete(markerId)) {
+        notifySelectionChange();
+    }
+}
+
+/**
+ * Add a sign to the selection, or remove it if it is already selected
+ * @param {number} markerId - Leaflet marker ID
+ */
+export function toggleSignSelection(markerId) {
+    const placedSign = signState.signsById.get(markerId);
+    if (!placedSign || !placedSign.marker) return;
+
+    const selected = !signState.selectedIds.has(markerId);
+    if (selected) {
+        signState.selectedIds.add(markerId);
+    } else {
+        signState.selectedIds.delete(markerId);
+    }
+
+    setSelectionHighlight(placedSign, selected);
+    notifySelectionChange();
+}
+
+/**
+ * Select all signs inside a map area
+ * Polygons and lines are not selectable.
+ * @param {L.LatLngBounds} bounds - Area to select
+ * @param {boolean} additive - Keep the current selection (true) or replace it (false)
+ * @returns {number} Number of selected signs
+ */
+export function selectSignsInBounds(bounds, additive = false) {
+    if (!additive) {
+        clearSignSelection(false);
+    }
+
+    signState.placedSigns.forEach(placedSign => {
+        if (placedSign.marker && bounds.contains(placedSign.position)) {
+            signState.selectedIds.add(placedSign.id);
+            setSelectionHighlight(placedSign, true);
+        }
+    });
+
+    notifySelectionChange();
+    return signState.selectedIds.size;
+}
+
+/**
+ * Clear the selection
+ * @param {boolean} notify - Inform the selection panel (default: true)
+ */
+export function clearSignSelection(notify = true) {
+    if (signState.selectedIds.size === 0) return;
+
+    signState.selectedIds.forEach(id => {
+        const placedSign = signState.signsById.get(id);
+        if (placedSign) {
+            setSelectionHighlight(placedSign, false);
+        }
+    });
+    signState.selectedIds.clear();
+
+    if (notify) {
+        notifySelectionChange();
+    }
+}
+
+/**
+ * Get the selected signs
+ * @returns {Array<Object>} { id, signId, position, rotation, travelDirection, sizeClass, subSigns }
+ *                          per selected sign
+ */
+export function getSelectedSigns() {
+    return [...signState.selectedIds]
+        .map(id => signState.signsById.get(id))
+        .filter(Boolean)
+        .map(placedSign => ({
+            id: placedSign.id,
+            signId: placedSign.signId,
+            position: L.latLng(placedSign.position.lat, placedSign.position.lng),
+            rotation: placedSign.rotation,
+            travelDirection: placedSign.travelDirection || null,
+            sizeClass: placedSign.sizeClass,
+            subSigns: copySubSigns(placedSign.subSigns)
+        }));
+}
+
 /**
  * Get all placed signs
  * @returns {Array} Array of placed sign objects
@@ -1581,12 +3266,93 @@ export function getPlacedSigns() {
                 signId: s.signId,
                 position: [s.position.lat, s.position.lng],
                 rotation: s.rotation,
-                customText: s.customText || ''
+                travelDirection: s.travelDirection,
+                lateralOffset: s.lateralOffset,
+                constraint: copyConstraint(s.constraint),
+                sizeClass: s.sizeClass,
+                subSigns: copySubSigns(s.subSigns),
+                customText: s.customText || '',
+                roadReference: s.roadReference || null
             };
         }
     });
 }
 
+/**
+ * Drawn parts of an assembly, laid out like the map icon
+ * @param {Object} sign - Sign library entry of the main sign
+ * @param {Object} placedSign - Placed sign with sub-signs
+ * @param {number} size - Main sign size (pixels)
+ * @returns {Array<Object>} [{ file, markup, x, y, width, height }], main sign first
+ */
+function getAssemblyParts(sign, placedSign, size) {
+    const layout = getAssemblyLayout(size, placedSign.subSigns.length);
+    const drawings = [
+        { file: sign.file, markup: null },
+        ...placedSign.subSigns.map(subSign => getSubSignDrawing(subSign, signState.library[subSign.signId]))
+    ];
+
+    return layout.parts.map((part, index) => ({ ...drawings[index], ...part }));
+}
+
+/**
+ * Get placed signs with library info and map styling, for vector export
+ * @returns {Array<Object>} { signId, name, file, category, type, position, rotation, customText, vertices, style,
+ *                          sizeMm, iconSize, trueScale, subSigns, parts } where type is 'sign', 'polygon' or 'polyline'.
+ *                          sizeMm is the physical size (null if unknown), iconSize the map icon size in pixels
+ *                          (null for the natural SVG size) and trueScale whether signs are drawn to scale.
+ *                          Assemblies list their sub-signs ({ signId, name, file }) and the drawn parts
+ *                          ({ file, markup, x, y, width, height } in icon pixels from the assembly center,
+ *                          main sign first); parts is null for single signs.
+ */
+export function getSignOverlays() {
+    return signState.placedSigns.map(s => {
+        const sign = signState.library[s.signId] || {};
+        const overlay = {
+            signId: s.signId,
+            name: sign.name || s.signId,
+            file: sign.file || null,
+            category: sign.category || ''
+        };
+
+        if (s.isPolygon || s.isPolyline) {
+            const layer = s.isPolygon ? s.polygon : s.polyline;
+            const options = layer ? layer.options : {};
+
+            return {
+                ...overlay,
+                type: s.isPolygon ? 'polygon' : 'polyline',
+                vertices: s.vertices,
+                style: {
+                    color: options.color,
+                    weight: options.weight,
+                    opacity: options.opacity,
+                    fillColor: options.fillColor,
+                    fillOpacity: options.fillOpacity
+                }
+            };
+        }
+
+        const iconSize = sign.file ? getSignIconSize(sign, s.sizeClass, s.position) : null;
+
+        return {
+            ...overlay,
+            type: 'sign',
+            position: [s.position.lat, s.position.lng],
+            rotation: s.rotation,
+            customText: s.customText || '',
+            sizeMm: sign.file ? getSignSizeMm(sign, s.sizeClass) : null,
+            iconSize: iconSize,
+            trueScale: signState.trueScale,
+            subSigns: s.subSigns.map(subSign => {
+                const entry = signState.library[subSign.signId];
+                return { signId: subSign.signId, name: entry.name, file: entry.file };
+            }),
+            parts: iconSize && s.subSigns.length > 0 ? getAssemblyParts(sign, s, iconSize) : null
+        };
+    });
+}
+
 /**
  * Clear all placed signs
  */
@@ -1620,8 +3386,14 @@ export function clearAllSigns() {
     signState.placedSigns = [];
     signState.signsById.clear();
 
+    if (signState.selectedIds.size > 0) {
+        signState.selectedIds.clear();
+        notifySelectionChange();
+    }
+
     // Update UI
     updateSignCount();
+    notifySignChange();
 
     console.log('All signs cleared');
 }
@@ -1636,9 +3408,7 @@ export function restoreSigns(signs) {
         return;
     }
 
-    // Clear undo history and disable history tracking during restoration
-    signState.history = [];
-    signState.historyIndex = -1;
+    // Disable history tracking during restoration
     signState.isUndoRedoOperation = true;
 
     signs.forEach(signData => {
@@ -1657,19 +3427,32 @@ export function restoreSigns(signs) {
         } else {
             // Restore regular sign
             const latlng = L.latLng(signData.position[0], signData.position[1]);
-            const placedSign = placeSign(signData.signId, latlng, signData.rotation || 0);
+            const placedSign = placeSign(signData.signId, latlng, signData.rotation || 0, null, {
+                travelDirection: signData.travelDirection,
+                lateralOffset: signData.lateralOffset,
+                constraint: signData.constraint,
+                sizeClass: signData.sizeClass,
+                subSigns: signData.subSigns
+            });
 
             // Restore custom text if it exists
             if (placedSign && signData.customText) {
                 setSignCustomText(placedSign.id, signData.customText);
             }
+
+            // Keep the saved road reference (avoids one NVDB lookup per sign)
+            if (placedSign && signData.roadReference) {
+                placedSign.roadReference = signData.roadReference;
+                updateSignTooltip(placedSign);
+            }
         }
     });
 
     // Re-enable history tracking
     signState.isUndoRedoOperation = false;
+    notifySignChange();
 
-    console.log(`Restored ${signs.length} signs (undo history cleared)`);
+    console.log(`Restored ${signs.length} signs`);
 }
 
 /**
@@ -1746,6 +3529,10 @@ export async function initSignManager() {
         return;
     }
 
+    // Favourites and recently used signs of this user
+    signState.favourites = loadPaletteList(PALETTE_CONFIG.favouritesKey);
+    signState.recent = loadPaletteList(PALETTE_CONFIG.recentKey);
+
     // Render palette
     renderSignPalette(library);
 
@@ -1766,9 +3553,34 @@ export async function initSignManager() {
     // Setup drop zone
     setupMapDropZone();
 
+    // Travel direction for new signs snapped to the road
+    const travelDirectionSelect = document.getElementById('travelDirectionSelect');
+    if (travelDirectionSelect) {
+        setDefaultTravelDirection(parseInt(travelDirectionSelect.value));
+        travelDirectionSelect.addEventListener('change', (e) => {
+            setDefaultTravelDirection(parseInt(e.target.value));
+        });
+    }
+
+    // Draw signs to scale
+    const trueScaleToggle = document.getElementById('trueScaleToggle');
+    if (trueScaleToggle) {
+        setTrueScale(trueScaleToggle.checked);
+        trueScaleToggle.addEventListener('change', (e) => {
+            setTrueScale(e.target.checked);
+        });
+    }
+
     // Setup zoom event handler to preserve rotations
     const map = getMap();
     if (map) {
+        // True-scale icons change size with the zoom (before rotations are re-applied)
+        map.on('zoomend', () => {
+            if (signState.trueScale) {
+                refreshAllSignIcons();
+            }
+        });
+
         map.on('zoomend moveend', () => {
             // Re-apply rotations after zoom/pan completes
             reapplyAllRotations();
@@ -1776,30 +3588,12 @@ export async function initSignManager() {
         console.log('✓ Zoom event handler initialized');
     }
 
-    // Setup keyboard shortcuts for undo/redo
-    document.addEventListener('keydown', (e) => {
-        // Ctrl+Z or Cmd+Z for undo
-        if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
-            e.preventDefault();
-            undo();
-        }
-        // Ctrl+Shift+Z or Ctrl+Y or Cmd+Shift+Z for redo
-        else if (((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'z') ||
-                 ((e.ctrlKey || e.metaKey) && e.key === 'y')) {
-            e.preventDefault();
-            redo();
-        }
-    });
-    console.log('✓ Undo/redo keyboard shortcuts initialized (Ctrl+Z, Ctrl+Shift+Z)');
-
     // Make functions globally available (for compatibility)
     window.rotateSign = rotateSign;
     window.removeSign = removeSign;
     window.duplicateSign = duplicateSign;
     window.setSignRotation = setSignRotation;
     window.setSignCustomText = setSignCustomText;
-    window.undo = undo;
-    window.redo = redo;
 
     console.log('Sign manager initialized');
 }
@@ -1807,15 +3601,38 @@ export async function initSignManager() {
 export default {
     initSignManager,
     placeSign,
+    placeSignGroup,
+    getSignCode,
+    getSignEntry,
     removeSign,
     duplicateSign,
     rotateSign,
     setSignRotation,
     setSignCustomText,
+    setSignTravelDirection,
+    setDefaultTravelDirection,
+    getDefaultTravelDirection,
+    setSignSizeClass,
+    setTrueScale,
+    isTrueScale,
     getPlacedSigns,
+    getSignOverlays,
     clearAllSigns,
     restoreSigns,
-    undo,
-    redo,
-    clearUndoHistory
+    transformSigns,
+    getRoadPlacement,
+    setSignConstraint,
+    getConstrainedSigns,
+    setSignChangeCallback,
+    setConstraintHandler,
+    setTemplateDropHandler,
+    setWorkAreaShapeProvider,
+    isFavouriteSign,
+    toggleFavouriteSign,
+    removeSigns,
+    toggleSignSelection,
+    selectSignsInBounds,
+    clearSignSelection,
+    getSelectedSigns,
+    setSelectionChangeCallback
 };
@@ -0,0 +1,313 @@
+/**
+ * Sign Selection Module
+ * Multi-selection of placed signs (Shift+click, Shift+drag) with group rotate,
+ * align along road, distribute evenly and delete
+ * @module sign-selection
+ */
+
+import { getMap, getSelectedRoad } from './map-manager.js';
+import { getRoadFrame, getRoadOffsetPosition } from './work-zone.js';
+import {
+    transformSigns,
+    getRoadPlacement,
+    removeSigns,
+    selectSignsInBounds,
+    clearSignSelection,
+    getSelectedSigns,
+    setSelectionChangeCallback
+} from './sign-manager.js';
+
+// Rotation step for the group rotate buttons (degrees)
+const ROTATION_STEP = 15;
+
+// Selection state
+const selectionState = {
+    rubberBand: null,   // L.Rectangle while Shift+dragging
+    startLatLng: null   // Corner where the rubber band started
+};
+
+/**
+ * Update the selection panel
+ * @param {Array<Object>} selectedSigns - Selected signs from getSelectedSigns()
+ */
+function updateSelectionPanel(selectedSigns) {
+    const panel = document.getElementById('selectionPanel');
+    if (!panel) return;
+
+    panel.hidden = selectedSigns.length === 0;
+
+    const count = document.getElementById('selectionCount');
+    if (count) {
+        count.textContent = `${selectedSigns.length} skilt valgt`;
+    }
+
+    // Align needs two signs, distribute two fixed end signs and something in between
+    const alignBtn = document.getElementById('alignSelectionBtn');
+    if (alignBtn) {
+        alignBtn.disabled = selectedSigns.length < 2;
+    }
+
+    const distributeBtn = document.getElementById('distributeSelectionBtn');
+    if (distributeBtn) {
+        distributeBtn.disabled = selectedSigns.length < 3;
+    }
+}
+
+/**
+ * Rotate the selection as a group around its center
+ * Positions turn around the center and every sign turns by the same angle.
+ * @param {number} angle - Angle in degrees (positive = clockwise)
+ * @returns {number} Number of signs changed
+ */
+export function rotateSelection(angle) {
+    const selectedSigns = getSelectedSigns();
+    if (selectedSigns.length === 0) return 0;
+
+    const lat = selectedSigns.reduce((sum, s) => sum + s.position.lat, 0) / selectedSigns.length;
+    const lng = selectedSigns.reduce((sum, s) => sum + s.position.lng, 0) / selectedSigns.length;
+    const pivot = turf.point([lng, lat]);
+
+    const changes = selectedSigns.map(s => {
+        const point = turf.point([s.position.lng, s.position.lat]);
+        const distance = turf.distance(pivot, point, { units: 'meters' });
+        const bearing = turf.bearing(pivot, point);
+        const moved = turf.destination(pivot, distance, bearing + angle, { units: 'meters' });
+
+        return {
+            id: s.id,
+            position: L.latLng(moved.geometry.coordinates[1], moved.geometry.coordinates[0]),
+            rotation: s.rotation + angle
+        };
+    });
+
+    return transformSigns(changes, 'Roter valgte skilt');
+}
+
+/**
+ * Line the selected signs up along the selected road
+ * Each sign keeps its position along the road; all get the same distance from the
+ * centerline (their average). With snapping on they are placed on the road, or at
+ * their own lateral offset from it.
+ * @returns {number} Number of signs changed
+ */
+export function alignSelectionAlongRoad() {
+    const selectedSigns = getSelectedSigns();
+
+    if (!getSelectedRoad()) {
+        alert('Velg en vei først');
+        return 0;
+    }
+
+    const frames = selectedSigns
+        .map(s => ({ sign: s, frame: getRoadFrame(s.position) }))
+        .filter(entry => entry.frame);
+
+    if (frames.length < 2) return 0;
+
+    const offset = frames.reduce((sum, entry) => sum + entry.frame.offset, 0) / frames.length;
+
+    const changes = frames.map(({ sign, frame }) => {
+        const placement = getRoadPlacement(sign.id, getRoadOffsetPosition(frame.distance, offset));
+        return { id: sign.id, position: placement.latlng, rotation: placement.rotation };
+    });
+
+    return transformSigns(changes, 'Juster langs veg');
+}
+
+/**
+ * Space the selected signs evenly between the two outermost signs
+ * Along the selected road if there is one (each sign keeps its distance from the
+ * centerline, or sits at its place on the road with snapping on), otherwise on a straight line.
+ * @returns {number} Number of signs changed
+ */
+export function distributeSelection() {
+    const selectedSigns = getSelectedSigns();
+    if (selectedSigns.length < 3) return 0;
+
+    const changes = getSelectedRoad()
+        ? distributeAlongRoad(selectedSigns)
+        : distributeOnLine(selectedSigns);
+
+    return transformSigns(changes, 'Fordel skilt jevnt');
+}
+
+/**
+ * Evenly spaced positions along the selected road
+ * @param {Array<Object>} selectedSigns - Selected signs
+ * @returns {Array<Object>} Changes for transformSigns()
+ */
+function distributeAlongRoad(selectedSigns) {
+    const entries = selectedSigns
+        .map(sign => ({ sign, frame: getRoadFrame(sign.position) }))
+        .filter(entry => entry.frame)
+        .sort((a, b) => a.frame.distance - b.frame.distance);
+
+    if (entries.length < 3) return [];
+
+    const first = entries[0].frame.distance;
+    const step = (entries[entries.length - 1].frame.distance - first) / (entries.length - 1);
+
+    return entries.map(({ sign, frame }, index) => {
+        const placement = getRoadPlacement(sign.id, getRoadOffsetPosition(first + index * step, frame.offset));
+        return { id: sign.id, position: placement.latlng, rotation: placement.rotation };
+    });
+}
+
+/**
+ * Evenly spaced positions on the straight line between the two signs furthest apart
+ * @param {Array<Object>} selectedSigns - Selected signs
+ * @returns {Array<Object>} Changes for transformSigns()
+ */
+function distributeOnLine(selectedSigns) {
+    let start = selectedSigns[0].position;
+    let end = selectedSigns[1].position;
+
+    selectedSigns.forEach(a => {
+        selectedSigns.forEach(b => {
+            if (a.position.distanceTo(b.position) > start.distanceTo(end)) {
+                start = a.position;
+                end = b.position;
+            }
+        });
+    });
+
+    // Order signs by their projection on the line
+    const dLat = end.lat - start.lat;
+    const dLng = end.lng - start.lng;
+    const lengthSquared = dLat * dLat + dLng * dLng;
+    const ordered = [...selectedSigns].sort((a, b) => {
+        const ta = ((a.position.lat - start.lat) * dLat + (a.position.lng - start.lng) * dLng) / lengthSquared;
+        const tb = ((b.position.lat - start.lat) * dLat + (b.position.lng - start.lng) * dLng) / lengthSquared;
+        return ta - tb;
+    });
+
+    return ordered.map((sign, index) => {
+        const t = index / (ordered.length - 1);
+        return { id: sign.id, position: L.latLng(start.lat + t * dLat, start.lng + t * dLng) };
+    });
+}
+
+/**
+ * Delete the selected signs
+ * @returns {number} Number of signs removed
+ */
+export function deleteSelection() {
+    const selectedSigns = getSelectedSigns();
+    if (selectedSigns.length === 0) return 0;
+
+    return removeSigns(selectedSigns.map(s => s.id));
+}
+
+/**
+ * Check whether there are selected signs
+ * @returns {boolean} True if at least one sign is selected
+ */
+export function hasSelection() {
+    return getSelectedSigns().length > 0;
+}
+
+/**
+ * Set up Shift+drag on the map to select signs inside a rectangle
+ * Replaces Leaflet's Shift+drag box zoom.
+ * @param {L.Map} map - Leaflet map
+ */
+function setupRubberBand(map) {
+    map.boxZoom.disable();
+
+    const container = map.getContainer();
+
+    const onMouseMove = (e) => {
+        const latlng = map.mouseEventToLatLng(e);
+        const bounds = L.latLngBounds(selectionState.startLatLng, latlng);
+
+        if (!selectionState.rubberBand) {
+            selectionState.rubberBand = L.rectangle(bounds, {
+                color: '#0066cc',
+                weight: 1,
+                dashArray: '4, 4',
+                fillOpacity: 0.1,
+                interactive: false
+            }).addTo(map);
+        } else {
+            selectionState.rubberBand.setBounds(bounds);
+        }
+    };
+
+    const onMouseUp = () => {
+        document.removeEventListener('mousemove', onMouseMove);
+        document.removeEventListener('mouseup', onMouseUp);
+        map.dragging.enable();
+
+        if (selectionState.rubberBand) {
+            selectSignsInBounds(selectionState.rubberBand.getBounds(), true);
+            map.removeLayer(selectionState.rubberBand);
+            selectionState.rubberBand = null;
+        }
+        selectionState.startLatLng = null;
+    };
+
+    // Capture phase, so the map does not start panning
+    container.addEventListener('mousedown', (e) => {
+        if (!e.shiftKey || e.button !== 0) return;
+
+        // Shift+click on a sign is handled by the sign itself
+        if (e.target.closest('.leaflet-marker-icon, .leaflet-popup')) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        map.dragging.disable();
+        selectionState.startLatLng = map.mouseEventToLatLng(e);
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }, true);
+}
+
+/**
+ * Initialize sign selection
+ */
+export function initSignSelection() {
+    const map = getMap();
+    if (!map) {
+        console.error('Map not available');
+        return;
+    }
+
+    setupRubberBand(map);
+    setSelectionChangeCallback(updateSelectionPanel);
+
+    // Plain click on the map clears the selection
+    map.on('click', (e) => {
+        if (!e.originalEvent.shiftKey) {
+            clearSignSelection();
+        }
+    });
+
+    const buttons = {
+        rotateSelectionLeftBtn: () => rotateSelection(-ROTATION_STEP),
+        rotateSelectionRightBtn: () => rotateSelection(ROTATION_STEP),
+        alignSelectionBtn: alignSelectionAlongRoad,
+        distributeSelectionBtn: distributeSelection,
+        deleteSelectionBtn: deleteSelection,
+        clearSelectionBtn: () => clearSignSelection()
+    };
+
+    Object.entries(buttons).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+
+    console.log('✓ Sign selection initialized (Shift+click, Shift+drag)');
+}
+
+export default {
+    initSignSelection,
+    rotateSelection,
+    alignSelectionAlongRoad,
+    distributeSelection,
+    deleteSelection,
+    hasSelection
+};
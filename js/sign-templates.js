@@ -0,0 +1,541 @@
+/**
+ * Sign Templates Module
+ * Saved sign groups (e.g. "Stengt kjørefelt 60 km/t") that are dragged from the palette
+ * and placed as a unit. Team templates come from data/sign-templates.json, the user's own
+ * templates are saved from the sign selection and kept in localStorage.
+ * @module sign-templates
+ */
+
+import { getSelectedRoad } from './map-manager.js';
+import { PALETTE_CONFIG } from './config.js';
+import { getRoadFrame, getRoadOffsetPosition, getRoadBearingAt } from './work-zone.js';
+import {
+    placeSignGroup,
+    getSelectedSigns,
+    getSignEntry,
+    getDefaultTravelDirection,
+    setTemplateDropHandler,
+    TEMPLATE_DRAG_PREFIX
+} from './sign-manager.js';
+
+// Template file format version (same format for the team file and exported files)
+const TEMPLATE_FILE_VERSION = 1;
+
+// Number of sign images shown on a template in the palette
+const PREVIEW_SIGN_COUNT = 3;
+
+// Template state
+const templateState = {
+    teamTemplates: [],  // From data/sign-templates.json
+    userTemplates: []   // Saved by this user (localStorage)
+};
+
+/**
+ * Round to centimeters
+ * @param {number} value - Meters
+ * @returns {number} Rounded meters
+ */
+function roundMeters(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalize an angle to 0-359 degrees
+ * @param {number} angle - Angle in degrees
+ * @returns {number} Whole degrees (0-359)
+ */
+function normalizeAngle(angle) {
+    return ((Math.round(angle) % 360) + 360) % 360;
+}
+
+/**
+ * Check and clean up a template read from a file or localStorage
+ * @param {Object} template - Template data
+ * @returns {Object|null} { id, name, description, signs }, or null if the template is unusable
+ */
+function normalizeTemplate(template) {
+    if (!template || typeof template.id !== 'string' || typeof template.name !== 'string' ||
+        !Array.isArray(template.signs)) {
+        return null;
+    }
+
+    const signs = template.signs
+        .filter(entry => entry && typeof entry.signId === 'string')
+        .map(entry => ({
+            signId: entry.signId,
+            along: Number(entry.along) || 0,
+            offset: Number(entry.offset) || 0,
+            rotation: Number(entry.rotation) || 0,
+            travelDirection: entry.travelDirection === 1 || entry.travelDirection === -1 ? entry.travelDirection : null,
+            sizeClass: entry.sizeClass,
+            subSigns: Array.isArray(entry.subSigns) ? entry.subSigns : []
+        }));
+
+    if (signs.length === 0) {
+        return null;
+    }
+
+    return {
+        id: template.id,
+        name: template.name,
+        description: template.description || '',
+        signs: signs
+    };
+}
+
+/**
+ * Load the team templates shipped with the application
+ * @returns {Promise<Array<Object>>} Templates (empty on error)
+ */
+async function loadTeamTemplates() {
+    try {
+        const response = await fetch('data/sign-templates.json');
+
+        if (!response.ok) {
+            console.warn('Sign templates not available');
+            return [];
+        }
+
+        const data = await response.json();
+        return (data.templates || []).map(normalizeTemplate).filter(Boolean);
+
+    } catch (error) {
+        console.error('Error loading sign templates:', error);
+        return [];
+    }
+}
+
+/**
+ * Read the user's own templates from localStorage
+ * @returns {Array<Object>} Templates (empty if missing or unreadable)
+ */
+function loadUserTemplates() {
+    try {
+        const templates = JSON.parse(localStorage.getItem(PALETTE_CONFIG.templatesKey));
+        return Array.isArray(templates) ? templates.map(normalizeTemplate).filter(Boolean) : [];
+    } catch (error) {
+        console.warn('Could not read sign templates:', error);
+        return [];
+    }
+}
+
+/**
+ * Write the user's own templates to localStorage
+ * @returns {boolean} Success status
+ */
+function saveUserTemplates() {
+    try {
+        localStorage.setItem(PALETTE_CONFIG.templatesKey, JSON.stringify(templateState.userTemplates));
+        return true;
+    } catch (error) {
+        console.error('Error saving sign templates:', error);
+        alert('Kunne ikke lagre malen i nettleseren');
+        return false;
+    }
+}
+
+/**
+ * Find a template by ID (the user's own templates first)
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} Template, or null if not found
+ */
+function findTemplate(templateId) {
+    return templateState.userTemplates.find(t => t.id === templateId) ||
+        templateState.teamTemplates.find(t => t.id === templateId) ||
+        null;
+}
+
+/**
+ * Meters north and east from one position to another
+ * @param {L.LatLng} origin - Reference position
+ * @param {L.LatLng} latlng - Position
+ * @returns {Object} { north, east } in meters
+ */
+function getLocalOffset(origin, latlng) {
+    const corner = L.latLng(latlng.lat, origin.lng);
+    return {
+        north: (latlng.lat >= origin.lat ? 1 : -1) * origin.distanceTo(corner),
+        east: (latlng.lng >= origin.lng ? 1 : -1) * corner.distanceTo(latlng)
+    };
+}
+
+/**
+ * Move a position north and east
+ * @param {L.LatLng} latlng - Start position
+ * @param {number} north - Meters north (negative = south)
+ * @param {number} east - Meters east (negative = west)
+ * @returns {L.LatLng} Moved position
+ */
+function moveLocal(latlng, north, east) {
+    let point = turf.point([latlng.lng, latlng.lat]);
+    if (north) {
+        point = turf.destination(point, Math.abs(north), north > 0 ? 0 : 180, { units: 'meters' });
+    }
+    if (east) {
+        point = turf.destination(point, Math.abs(east), east > 0 ? 90 : -90, { units: 'meters' });
+    }
+    return L.latLng(point.geometry.coordinates[1], point.geometry.coordinates[0]);
+}
+
+/**
+ * Bearing of the travel direction on the selected road at a position
+ * @param {L.LatLng} latlng - Position on or near the road
+ * @param {number} direction - 1 = with metrering, -1 = against
+ * @returns {number} Bearing in degrees (0 if no road is selected)
+ */
+function getTravelBearing(latlng, direction) {
+    const bearing = getRoadBearingAt(latlng);
+    if (bearing === null) {
+        return 0;
+    }
+    return direction === -1 ? bearing + 180 : bearing;
+}
+
+/**
+ * Describe the selected signs relative to the template's travel direction
+ * Along the selected road positions are measured along and across the road; without a road
+ * north is taken as the travel direction. The sign furthest along is at distance 0.
+ * @param {Array<Object>} selectedSigns - Selected signs from getSelectedSigns()
+ * @returns {Array<Object>} Template sign entries
+ */
+function describeSelection(selectedSigns) {
+    const withTravelDirection = selectedSigns.find(s => s.travelDirection);
+    const direction = withTravelDirection ? withTravelDirection.travelDirection : getDefaultTravelDirection();
+
+    const frames = getSelectedRoad() ? selectedSigns.map(s => getRoadFrame(s.position)) : [];
+    const alongRoad = frames.length > 0 && frames.every(Boolean);
+
+    let positions;
+    if (alongRoad) {
+        positions = selectedSigns.map((s, index) => ({
+            along: frames[index].distance * direction,
+            offset: frames[index].offset * direction,
+            bearing: getTravelBearing(s.position, direction)
+        }));
+    } else {
+        const origin = selectedSigns[0].position;
+        positions = selectedSigns.map(s => {
+            const local = getLocalOffset(origin, s.position);
+            return { along: local.north, offset: local.east, bearing: 0 };
+        });
+
+        // Center the group sideways on the drop point
+        const meanOffset = positions.reduce((sum, p) => sum + p.offset, 0) / positions.length;
+        positions.forEach(p => { p.offset -= meanOffset; });
+    }
+
+    const anchor = Math.max(...positions.map(p => p.along));
+
+    return selectedSigns.map((s, index) => ({
+        signId: s.signId,
+        along: roundMeters(positions[index].along - anchor),
+        offset: roundMeters(positions[index].offset),
+        rotation: normalizeAngle(s.rotation - positions[index].bearing),
+        travelDirection: s.travelDirection ? s.travelDirection * direction : null,
+        sizeClass: s.sizeClass,
+        subSigns: s.subSigns
+    }));
+}
+
+/**
+ * Save the selected signs as a template of the user
+ * @param {string} name - Template name
+ * @returns {Object|null} New template, or null if nothing is selected
+ */
+export function saveSelectionAsTemplate(name) {
+    const selectedSigns = getSelectedSigns();
+    if (selectedSigns.length === 0) {
+        alert('Velg skiltene som skal lagres som mal (Shift+klikk eller Shift+dra)');
+        return null;
+    }
+
+    const template = {
+        id: `mal-${Date.now()}`,
+        name: name.trim() || 'Uten navn',
+        description: '',
+        signs: describeSelection(selectedSigns)
+    };
+
+    templateState.userTemplates.push(template);
+    if (!saveUserTemplates()) {
+        templateState.userTemplates.pop();
+        return null;
+    }
+
+    renderTemplatePalette();
+    console.log(`Sign template saved: ${template.name} (${template.signs.length} signs)`);
+    return template;
+}
+
+/**
+ * Delete one of the user's own templates
+ * @param {string} templateId - Template ID
+ * @returns {boolean} True if the template was deleted
+ */
+export function deleteTemplate(templateId) {
+    const index = templateState.userTemplates.findIndex(t => t.id === templateId);
+    if (index === -1) {
+        return false;
+    }
+
+    templateState.userTemplates.splice(index, 1);
+    saveUserTemplates();
+    renderTemplatePalette();
+    return true;
+}
+
+/**
+ * Place a template with its drop point at a position
+ * Along the selected road the template follows the road in the default travel direction
+ * (from the sidebar), with signs at their distance from the centreline. Without a road the
+ * template is placed with north as the travel direction. Placed as one undoable action.
+ * @param {string} templateId - Template ID
+ * @param {L.LatLng} latlng - Drop point
+ * @returns {Array<Object>} Placed sign objects
+ */
+export function placeTemplate(templateId, latlng) {
+    const template = findTemplate(templateId);
+    if (!template) {
+        console.error(`Template not found: ${templateId}`);
+        return [];
+    }
+
+    const direction = getDefaultTravelDirection();
+    const frame = getSelectedRoad() ? getRoadFrame(latlng) : null;
+
+    const signs = template.signs.map(entry => {
+        const travelDirection = entry.travelDirection ? entry.travelDirection * direction : null;
+        let position;
+        let bearing = 0;
+
+        if (frame) {
+            position = getRoadOffsetPosition(frame.distance + entry.along * direction, entry.offset * direction);
+            bearing = getTravelBearing(position, direction);
+        } else {
+            position = moveLocal(latlng, entry.along, entry.offset);
+        }
+
+        return {
+            signId: entry.signId,
+            latlng: position,
+            rotation: normalizeAngle(bearing + entry.rotation),
+            travelDirection: travelDirection,
+            // Right of the sign's own travel direction
+            lateralOffset: travelDirection ? entry.offset * entry.travelDirection || null : null,
+            constraint: null,
+            sizeClass: entry.sizeClass,
+            subSigns: entry.subSigns
+        };
+    });
+
+    const placedSigns = placeSignGroup(signs);
+    console.log(`Template placed: ${template.name} (${placedSigns.length} of ${signs.length} signs)`);
+    return placedSigns;
+}
+
+/**
+ * Download the user's own templates as a file in the team template format
+ * The file can be shared with the team, imported, or added to data/sign-templates.json.
+ * @returns {boolean} Success status
+ */
+export function exportUserTemplates() {
+    if (templateState.userTemplates.length === 0) {
+        alert('Du har ingen egne maler å eksportere');
+        return false;
+    }
+
+    const data = {
+        version: TEMPLATE_FILE_VERSION,
+        templates: templateState.userTemplates
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'skiltmaler.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+
+    console.log(`Sign templates exported: ${templateState.userTemplates.length}`);
+    return true;
+}
+
+/**
+ * Import templates from a file exported by a colleague
+ * Templates with the same ID as an existing own template replace it.
+ * @param {File} file - Template file (.json)
+ * @returns {Promise<number>} Number of imported templates
+ */
+export async function importTemplates(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        const templates = (data.templates || []).map(normalizeTemplate).filter(Boolean);
+
+        if (templates.length === 0) {
+            alert('Fant ingen skiltmaler i filen');
+            return 0;
+        }
+
+        const ids = new Set(templates.map(t => t.id));
+        templateState.userTemplates = [...templateState.userTemplates.filter(t => !ids.has(t.id)), ...templates];
+        saveUserTemplates();
+        renderTemplatePalette();
+
+        console.log(`Sign templates imported: ${templates.length}`);
+        return templates.length;
+
+    } catch (error) {
+        console.error('Error importing sign templates:', error);
+        alert('Kunne ikke lese malfilen');
+        return 0;
+    }
+}
+
+/**
+ * Create a template element for the palette
+ * @param {Object} template - Template
+ * @param {boolean} deletable - Show a delete button (the user's own templates)
+ * @returns {HTMLElement} Template item element
+ */
+function createTemplateItem(template, deletable) {
+    const item = document.createElement('div');
+    item.className = 'sign-item template-item';
+    item.draggable = true;
+    item.setAttribute('data-template-id', template.id);
+    item.setAttribute('role', 'listitem');
+    item.setAttribute('aria-label', `Mal: ${template.name}`);
+    item.title = [template.name, template.description, `${template.signs.length} skilt`].filter(Boolean).join('\n');
+
+    // Preview with the first different signs
+    const preview = document.createElement('div');
+    preview.className = 'template-preview';
+    [...new Set(template.signs.map(entry => entry.signId))]
+        .map(signId => getSignEntry(signId))
+        .filter(Boolean)
+        .slice(0, PREVIEW_SIGN_COUNT)
+        .forEach(sign => {
+            const img = document.createElement('img');
+            img.src = sign.file;
+            img.alt = '';
+            img.draggable = false;
+            preview.appendChild(img);
+        });
+    item.appendChild(preview);
+
+    const label = document.createElement('div');
+    label.className = 'sign-label';
+    label.textContent = `${template.name} (${template.signs.length})`;
+    item.appendChild(label);
+
+    if (deletable) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'template-delete-btn';
+        remove.textContent = '✕';
+        remove.title = 'Slett mal';
+        remove.setAttribute('aria-label', `Slett mal ${template.name}`);
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (confirm(`Slette malen "${template.name}"?`)) {
+                deleteTemplate(template.id);
+            }
+        });
+        item.appendChild(remove);
+    }
+
+    item.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'copy';
+        e.dataTransfer.setData('text/plain', `${TEMPLATE_DRAG_PREFIX}${template.id}`);
+        e.target.style.opacity = '0.5';
+    });
+
+    return item;
+}
+
+/**
+ * Render team templates and the user's own templates above the sign palette
+ */
+export function renderTemplatePalette() {
+    const container = document.getElementById('templateContainer');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const sections = [
+        { title: 'Teammaler', templates: templateState.teamTemplates, deletable: false },
+        { title: 'Mine maler', templates: templateState.userTemplates, deletable: true }
+    ];
+
+    sections.filter(section => section.templates.length > 0).forEach(section => {
+        const element = document.createElement('div');
+        element.className = 'sign-category template-category';
+
+        const header = document.createElement('h4');
+        header.textContent = `${section.title} (${section.templates.length})`;
+        element.appendChild(header);
+
+        const grid = document.createElement('div');
+        grid.className = 'template-grid';
+        section.templates.forEach(template => {
+            grid.appendChild(createTemplateItem(template, section.deletable));
+        });
+
+        element.appendChild(grid);
+        container.appendChild(element);
+    });
+}
+
+/**
+ * Initialize sign templates
+ * Call after the sign manager, so the palette can show sign images.
+ */
+export async function initSignTemplates() {
+    templateState.teamTemplates = await loadTeamTemplates();
+    templateState.userTemplates = loadUserTemplates();
+
+    setTemplateDropHandler(placeTemplate);
+    renderTemplatePalette();
+
+    const saveBtn = document.getElementById('saveSelectionTemplateBtn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            const name = prompt('Navn på malen:', '');
+            if (name !== null) {
+                saveSelectionAsTemplate(name);
+            }
+        });
+    }
+
+    const exportBtn = document.getElementById('exportTemplatesBtn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportUserTemplates);
+    }
+
+    const importBtn = document.getElementById('importTemplatesBtn');
+    const importInput = document.getElementById('importTemplatesInput');
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await importTemplates(file);
+            }
+            importInput.value = '';
+        });
+    }
+
+    console.log(`✓ Sign templates initialized (${templateState.teamTemplates.length} team, ${templateState.userTemplates.length} own)`);
+}
+
+export default {
+    initSignTemplates,
+    placeTemplate,
+    saveSelectionAsTemplate,
+    deleteTemplate,
+    exportUserTemplates,
+    importTemplates,
+    renderTemplatePalette
+};
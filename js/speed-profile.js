@@ -0,0 +1,256 @@
+/**
+ * Speed Profile Module
+ * Loads every speed limit along the selected road with the interval it applies to, draws them
+ * as a coloured profile on the road layer and gives the limit at a point. Sign layout and plan
+ * validation use the limit in force at the work zone instead of one limit for the whole road.
+ * @module speed-profile
+ */
+
+import { getSelectedRoad, addRoadChangeCallback, mapState } from './map-manager.js';
+import { getSpeedLimits, getSpeedLimit } from './nvdb-api.js';
+import {
+    getRoadFrame,
+    getLineIntervals,
+    getRoadLineBetween,
+    getRoadPositionAtDistance,
+    getZoneMarkerDistance
+} from './work-zone.js';
+
+// Profile colour per speed limit (km/h)
+export const SPEED_COLORS = {
+    30: '#2e7d32',
+    40: '#689f38',
+    50: '#afb42b',
+    60: '#f9a825',
+    70: '#ef6c00',
+    80: '#e64a19',
+    90: '#c62828',
+    100: '#ad1457',
+    110: '#6a1b9a'
+};
+
+// Colour for limits not in SPEED_COLORS
+const DEFAULT_COLOR = '#0066cc';
+
+// Intervals shorter than this (meters) get no speed label on the map
+const MIN_LABEL_LENGTH = 50;
+
+// Speed profile state
+const speedState = {
+    intervals: [],  // { from, to, value } in meters along the road line, sorted by from
+    layer: null,    // L.LayerGroup inside the road layer
+    loading: null   // Promise of the running load
+};
+
+/**
+ * Place speed limits along the road line, joining neighbouring intervals with the same limit
+ * @param {Array<Object>} limits - Speed limits from getSpeedLimits
+ * @returns {Array<Object>} { from, to, value } sorted by from
+ */
+function buildIntervals(limits) {
+    return getLineIntervals(limits).reduce((joined, interval) => {
+        const previous = joined[joined.length - 1];
+        // Allow 1m tolerance between the sequences of a merged line
+        if (previous && previous.value === interval.value && interval.from <= previous.to + 1) {
+            previous.to = Math.max(previous.to, interval.to);
+        } else {
+            joined.push({ from: interval.from, to: interval.to, value: interval.value });
+        }
+        return joined;
+    }, []);
+}
+
+/**
+ * Remove the drawn profile from the road layer
+ */
+function removeSpeedProfileLayer() {
+    if (speedState.layer && mapState.roadLayer) {
+        mapState.roadLayer.removeLayer(speedState.layer);
+    }
+    speedState.layer = null;
+}
+
+/**
+ * Draw the speed profile on the road layer
+ * Each interval is drawn over the road line in the colour of its limit, with the limit as tooltip
+ * and as a label in the middle of longer intervals. Being part of the road layer, the profile is
+ * hidden and removed together with the road.
+ */
+function drawSpeedProfile() {
+    removeSpeedProfileLayer();
+
+    if (!mapState.roadLayer || speedState.intervals.length === 0) {
+        return;
+    }
+
+    speedState.layer = L.layerGroup();
+
+    speedState.intervals.forEach(interval => {
+        const points = getRoadLineBetween(interval.from, interval.to);
+        if (!points || points.length < 2) return;
+
+        const color = SPEED_COLORS[interval.value] || DEFAULT_COLOR;
+
+        L.polyline(points, { color: color, weight: 6, opacity: 0.9 })
+            .bindTooltip(`Fartsgrense ${interval.value} km/h`, { sticky: true })
+            .addTo(speedState.layer);
+
+        if (interval.to - interval.from >= MIN_LABEL_LENGTH) {
+            const middle = getRoadPositionAtDistance((interval.from + interval.to) / 2);
+            if (middle) {
+                L.marker(middle.latlng, {
+                    icon: L.divIcon({
+                        className: 'speed-profile-label',
+                        html: `<span style="border-color: ${color}">${interval.value}</span>`,
+                        iconSize: [26, 26],
+                        iconAnchor: [13, 13]
+                    }),
+                    interactive: false,
+                    keyboard: false
+                }).addTo(speedState.layer);
+            }
+        }
+    });
+
+    mapState.roadLayer.addLayer(speedState.layer);
+}
+
+/**
+ * Show the speed limits of the selected road in the road panel
+ */
+function showSpeedLimitSummary() {
+    const speedLimitElement = document.getElementById('speedLimit');
+    if (!speedLimitElement) return;
+
+    const values = [...new Set(speedState.intervals.map(i => i.value))].sort((a, b) => a - b);
+
+    if (values.length === 0) {
+        speedLimitElement.textContent = 'Ikke tilgjengelig';
+        speedLimitElement.style.fontStyle = 'italic';
+        speedLimitElement.style.color = '#999';
+    } else if (values.length === 1) {
+        speedLimitElement.textContent = `${values[0]} km/h`;
+    } else {
+        speedLimitElement.textContent = `${values[0]}–${values[values.length - 1]} km/h (varierer langs vegen)`;
+    }
+}
+
+/**
+ * Load the speed profile of the selected road and draw it
+ * @returns {Promise<Array<Object>>} Intervals ({ from, to, value } in meters along the road line)
+ */
+export async function loadSpeedProfile() {
+    const road = getSelectedRoad();
+    if (!road) {
+        return [];
+    }
+
+    const limits = await getSpeedLimits(road.veglenkesekvensIds || [road.veglenkesekvensid]);
+
+    // Another road was selected while loading
+    if (getSelectedRoad() !== road) {
+        return speedState.intervals;
+    }
+
+    speedState.intervals = buildIntervals(limits);
+
+    drawSpeedProfile();
+    showSpeedLimitSummary();
+
+    console.log(`Speed profile loaded: ${speedState.intervals.length} intervals`);
+    return speedState.intervals;
+}
+
+/**
+ * Get the loaded speed profile of the selected road
+ * @returns {Array<Object>} Intervals ({ from, to, value } in meters along the road line)
+ */
+export function getSpeedProfile() {
+    return speedState.intervals.map(interval => ({ ...interval }));
+}
+
+/**
+ * Get the speed limit at a distance along the selected road
+ * Where intervals overlap (limits for one travel direction), the highest limit is returned.
+ * @param {number} distance - Distance in meters from the start of the line
+ * @returns {number|null} Speed limit in km/h, or null if unknown
+ */
+export function getSpeedLimitAtDistance(distance) {
+    const values = speedState.intervals
+        .filter(interval => distance >= interval.from - 0.5 && distance <= interval.to + 0.5)
+        .map(interval => interval.value);
+
+    return values.length > 0 ? Math.max(...values) : null;
+}
+
+/**
+ * Get the speed limit at a point ("speed at this point")
+ * @param {L.LatLng} latlng - Point on or near the selected road
+ * @returns {number|null} Speed limit in km/h, or null if unknown
+ */
+export function getSpeedLimitAt(latlng) {
+    const frame = getRoadFrame(latlng);
+    return frame ? getSpeedLimitAtDistance(frame.distance) : null;
+}
+
+/**
+ * Get the speed limit in force at the work zone
+ * The highest limit between START and SLUTT is used, so sign distances are long enough from
+ * both directions. Without a work zone or a profile the limit of the clicked road link sequence
+ * is used.
+ * @returns {Promise<number|null>} Speed limit in km/h, or null if unknown
+ */
+export async function getZoneSpeedLimit() {
+    const road = getSelectedRoad();
+    if (!road) {
+        return null;
+    }
+
+    if (speedState.loading) {
+        await speedState.loading;
+    }
+
+    const start = getZoneMarkerDistance('start');
+    const end = getZoneMarkerDistance('end');
+
+    if (start !== null && end !== null) {
+        const from = Math.min(start, end);
+        const to = Math.max(start, end);
+        const values = speedState.intervals
+            .filter(interval => interval.to >= from && interval.from <= to)
+            .map(interval => interval.value);
+
+        if (values.length > 0) {
+            return Math.max(...values);
+        }
+    }
+
+    return getSpeedLimit(road.veglenkesekvensid);
+}
+
+/**
+ * Reload the profile when another road is selected
+ * @param {Object|null} road - Selected road
+ */
+function handleRoadChange(road) {
+    removeSpeedProfileLayer();
+    speedState.intervals = [];
+    speedState.loading = road ? loadSpeedProfile() : null;
+}
+
+/**
+ * Initialize the speed profile
+ */
+export function initSpeedProfile() {
+    addRoadChangeCallback(handleRoadChange);
+    console.log('✓ Speed profile initialized');
+}
+
+export default {
+    initSpeedProfile,
+    loadSpeedProfile,
+    getSpeedProfile,
+    getSpeedLimitAt,
+    getSpeedLimitAtDistance,
+    getZoneSpeedLimit
+};
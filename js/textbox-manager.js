@@ -4,6 +4,8 @@
  * @module textbox-manager
  */
 
+import { recordCommand } from './history.js';
+
 export class TextBoxManager {
     constructor(map) {
         this.map = map;
@@ -58,11 +60,12 @@ export class TextBoxManager {
     /**
      * Place a text box on the map
      * @param {L.LatLng} latlng - Position to place text box
+     * @param {string} existingId - Optional ID to reuse (when restoring a deleted text box)
      */
-    placeTextBox(latlng) {
+    placeTextBox(latlng, existingId = null) {
         if (!this.placementMode) return;
 
-        const textBoxId = `textbox_${Date.now()}_${this.textBoxCounter++}`;
+        const textBoxId = existingId || `textbox_${Date.now()}_${this.textBoxCounter++}`;
         const backgroundColor = this.currentTextBoxType === 'white' ? '#fff' : '#C0D81D';
         const defaultText = 'Dobbeltklikk for å redigere';
 
@@ -140,8 +143,23 @@ export class TextBoxManager {
                 });
 
                 // Handle drag events to update position
+                let dragStartLatLng = null;
+                textBoxMarker.on('dragstart', () => {
+                    dragStartLatLng = textBoxMarker.getLatLng().clone();
+                });
+
                 textBoxMarker.on('dragend', () => {
                     textBoxData.latlng = textBoxMarker.getLatLng();
+
+                    const oldLatLng = dragStartLatLng;
+                    const newLatLng = textBoxData.latlng.clone();
+                    if (oldLatLng && !oldLatLng.equals(newLatLng)) {
+                        recordCommand({
+                            label: 'Flytt tekstboks',
+                            undo: () => this.moveTextBox(textBoxId, oldLatLng),
+                            redo: () => this.moveTextBox(textBoxId, newLatLng)
+                        });
+                    }
                 });
             }
         }, 100);
@@ -160,9 +178,55 @@ export class TextBoxManager {
         // Update counter
         this.updateCounter();
 
+        // Record placement (undo deletes it, redo puts the same box back)
+        const snapshot = this.getTextBoxSnapshot(textBoxData);
+        recordCommand({
+            label: 'Plasser tekstboks',
+            undo: () => this.deleteTextBox(textBoxId),
+            redo: () => this.restoreTextBox(snapshot)
+        });
+
         console.log('✓ Text box placed:', textBoxId);
     }
 
+    /**
+     * Copy the data needed to restore a text box
+     * @param {Object} textBoxData - Text box data object
+     * @returns {Object} { id, latlng, type, text }
+     */
+    getTextBoxSnapshot(textBoxData) {
+        return {
+            id: textBoxData.id,
+            latlng: L.latLng(textBoxData.latlng.lat, textBoxData.latlng.lng),
+            type: textBoxData.type,
+            text: textBoxData.text
+        };
+    }
+
+    /**
+     * Put a deleted text box back with its original ID (used by undo/redo)
+     * @param {Object} snapshot - Result of getTextBoxSnapshot()
+     */
+    restoreTextBox(snapshot) {
+        this.currentTextBoxType = snapshot.type;
+        this.placementMode = true;
+        this.placeTextBox(snapshot.latlng, snapshot.id);
+        this.updateTextBoxContent(snapshot.id, snapshot.text);
+    }
+
+    /**
+     * Move a text box (used by undo/redo)
+     * @param {string} textBoxId - ID of text box
+     * @param {L.LatLng} latlng - New position
+     */
+    moveTextBox(textBoxId, latlng) {
+        const textBoxData = this.textBoxes.find(tb => tb.id === textBoxId);
+        if (!textBoxData) return;
+
+        textBoxData.marker.setLatLng(latlng);
+        textBoxData.latlng = textBoxData.marker.getLatLng();
+    }
+
     /**
      * Edit text box content
      * @param {string} textBoxId - ID of text box to edit
@@ -237,6 +301,14 @@ export class TextBoxManager {
                     const newText = textarea.value.trim() || 'Dobbeltklikk for å redigere';
                     this.updateTextBoxContent(textBoxId, newText);
                     this.map.closePopup(popup);
+
+                    if (newText !== currentText) {
+                        recordCommand({
+                            label: 'Endre tekstboks',
+                            undo: () => this.updateTextBoxContent(textBoxId, currentText),
+                            redo: () => this.updateTextBoxContent(textBoxId, newText)
+                        });
+                    }
                 });
             }
 
@@ -282,6 +354,7 @@ export class TextBoxManager {
         if (index === -1) return;
 
         const textBoxData = this.textBoxes[index];
+        const snapshot = this.getTextBoxSnapshot(textBoxData);
 
         // Remove marker from map
         if (textBoxData.marker) {
@@ -294,6 +367,12 @@ export class TextBoxManager {
         // Update counter
         this.updateCounter();
 
+        recordCommand({
+            label: 'Slett tekstboks',
+            undo: () => this.restoreTextBox(snapshot),
+            redo: () => this.deleteTextBox(textBoxId)
+        });
+
         console.log('✓ Text box deleted:', textBoxId);
     }
 
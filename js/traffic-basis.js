@@ -0,0 +1,263 @@
+/**
+ * Traffic Basis Module
+ * Finds the traffic volume (ÅDT) that applies at the work zone, with the year of the count, the
+ * share of heavy vehicles and the counted stretch, and derives the N301 road class from ÅDT and
+ * the speed limit. The result is shown in the road panel and stored in the project metadata, so
+ * the plan records which traffic basis it was made for.
+ * @module traffic-basis
+ */
+
+import { getSelectedRoad, addRoadChangeCallback } from './map-manager.js';
+import { getTrafficData } from './nvdb-api.js';
+import { getLineIntervals, getZoneMarkerDistance, addZoneChangeCallback } from './work-zone.js';
+import { getZoneSpeedLimit } from './speed-profile.js';
+
+// Traffic basis state
+const trafficState = {
+    classes: null,  // Loaded from data/n301-traffic-classes.json
+    basis: null,    // Traffic basis of the selected road (see loadTrafficBasis)
+    loading: null,  // Promise of the running load
+    loadId: 0       // Incremented per load, so an older load that finishes last is dropped
+};
+
+/**
+ * Load the N301 road classes
+ * @returns {Promise<Object|null>} Class data or null on error
+ */
+async function loadTrafficClasses() {
+    if (trafficState.classes) {
+        return trafficState.classes;
+    }
+
+    try {
+        const response = await fetch('data/n301-traffic-classes.json');
+
+        if (!response.ok) {
+            console.error('Failed to load N301 traffic classes');
+            return null;
+        }
+
+        trafficState.classes = await response.json();
+        return trafficState.classes;
+
+    } catch (error) {
+        console.error('Error loading N301 traffic classes:', error);
+        return null;
+    }
+}
+
+/**
+ * Derive the N301 road class from ÅDT and speed limit
+ * The first class whose maxAdt and maxSpeed both allow the values applies (null = no limit).
+ * @param {number|null} adt - ÅDT
+ * @param {number|null} speedLimit - Speed limit in km/h
+ * @param {Object} classData - Class data from data/n301-traffic-classes.json
+ * @returns {Object|null} Class ({ id, name, description, maxAdt, maxSpeed }), or null if ÅDT or speed limit is unknown
+ */
+export function deriveTrafficClass(adt, speedLimit, classData) {
+    if (!classData || adt === null || adt === undefined || !speedLimit) {
+        return null;
+    }
+
+    return classData.classes.find(c =>
+        (c.maxAdt === null || adt <= c.maxAdt) &&
+        (c.maxSpeed === null || speedLimit <= c.maxSpeed)) || null;
+}
+
+/**
+ * Pick the traffic volume that applies to the plan
+ * Within the work zone the highest ÅDT counts; without a work zone, the volume covering the
+ * longest part of the selected road.
+ * @param {Array<Object>} intervals - Traffic volumes placed along the road line (getLineIntervals)
+ * @returns {Object|null} { entry, atWorkZone } or null without traffic data
+ */
+function selectTrafficEntry(intervals) {
+    if (intervals.length === 0) {
+        return null;
+    }
+
+    const start = getZoneMarkerDistance('start');
+    const end = getZoneMarkerDistance('end');
+
+    if (start !== null && end !== null) {
+        const from = Math.min(start, end);
+        const to = Math.max(start, end);
+        const inZone = intervals.filter(interval => interval.to >= from && interval.from <= to);
+
+        if (inZone.length > 0) {
+            return { entry: inZone.reduce((best, i) => (i.adt > best.adt ? i : best)), atWorkZone: true };
+        }
+    }
+
+    return {
+        entry: intervals.reduce((best, i) => (i.to - i.from > best.to - best.from ? i : best)),
+        atWorkZone: false
+    };
+}
+
+/**
+ * Set a value in the road panel
+ * @param {string} id - Element ID
+ * @param {string|null} text - Value, or null when not available
+ */
+function setPanelValue(id, text) {
+    const element = document.getElementById(id);
+    if (!element) return;
+
+    element.textContent = text || 'Ikke tilgjengelig';
+    element.style.fontStyle = text ? '' : 'italic';
+    element.style.color = text ? '' : '#999';
+}
+
+/**
+ * Show the traffic basis in the road panel
+ * @param {Object|null} basis - Traffic basis
+ */
+function showTrafficBasis(basis) {
+    if (!basis || basis.adt === null) {
+        setPanelValue('adt', null);
+    } else {
+        const details = [
+            basis.year ? String(basis.year) : null,
+            basis.heavyShare !== null ? `${basis.heavyShare.toLocaleString('no-NO')} % lange kjøretøy` : null,
+            basis.reference
+        ].filter(Boolean);
+
+        // Format with thousands separator
+        setPanelValue('adt', basis.adt.toLocaleString('no-NO') + (details.length > 0 ? ` (${details.join(', ')})` : ''));
+    }
+
+    if (!basis || !basis.trafficClass) {
+        setPanelValue('trafficClass', null);
+    } else {
+        const where = basis.atWorkZone ? 'ved arbeidssonen' : 'langs vegen';
+        setPanelValue('trafficClass', `${basis.trafficClassName} (${basis.speedLimit} km/h ${where})`);
+    }
+}
+
+/**
+ * Format the traffic basis as one line (used in the PDF title block)
+ * @param {Object|null} basis - Traffic basis
+ * @returns {string} E.g. "ÅDT 4 300 (2023), 80 km/h, vegklasse B", or '-' if unknown
+ */
+export function formatTrafficBasis(basis) {
+    if (!basis || basis.adt === null) {
+        return '-';
+    }
+
+    const parts = [`ÅDT ${basis.adt.toLocaleString('no-NO')}${basis.year ? ` (${basis.year})` : ''}`];
+    if (basis.speedLimit) {
+        parts.push(`${basis.speedLimit} km/h`);
+    }
+    if (basis.trafficClass) {
+        parts.push(`vegklasse ${basis.trafficClass}`);
+    }
+
+    return parts.join(', ');
+}
+
+/**
+ * Load the traffic basis of the selected road and show it in the road panel
+ * A load overtaken by a newer one (another road or work zone) leaves the basis to the newer load.
+ * @returns {Promise<Object|null>} { adt, year, heavyShare, reference, speedLimit, trafficClass,
+ *          trafficClassName, atWorkZone, retrieved }, or null without a road
+ */
+export async function loadTrafficBasis() {
+    const road = getSelectedRoad();
+    if (!road) {
+        trafficState.basis = null;
+        return null;
+    }
+
+    const loadId = ++trafficState.loadId;
+
+    const [traffic, classData, speedLimit] = await Promise.all([
+        getTrafficData(road.veglenkesekvensIds || [road.veglenkesekvensid]),
+        loadTrafficClasses(),
+        getZoneSpeedLimit()
+    ]);
+
+    // Another road was selected or the work zone moved while loading
+    if (loadId !== trafficState.loadId || getSelectedRoad() !== road) {
+        return trafficState.basis;
+    }
+
+    const selected = selectTrafficEntry(getLineIntervals(traffic));
+    const entry = selected ? selected.entry : null;
+    const trafficClass = deriveTrafficClass(entry ? entry.adt : null, speedLimit, classData);
+
+    trafficState.basis = {
+        adt: entry ? entry.adt : null,
+        year: entry ? entry.year : null,
+        heavyShare: entry ? entry.heavyShare : null,
+        reference: entry ? entry.reference : null,
+        speedLimit: speedLimit || null,
+        trafficClass: trafficClass ? trafficClass.id : null,
+        trafficClassName: trafficClass ? trafficClass.name : null,
+        atWorkZone: selected ? selected.atWorkZone : false,
+        retrieved: new Date().toISOString()
+    };
+
+    showTrafficBasis(trafficState.basis);
+
+    console.log(`Traffic basis: ÅDT ${trafficState.basis.adt}, class ${trafficState.basis.trafficClass}`);
+    return trafficState.basis;
+}
+
+/**
+ * Get the traffic basis of the selected road
+ * @returns {Object|null} Copy of the last loaded traffic basis, or null if not loaded
+ */
+export function getTrafficBasis() {
+    return trafficState.basis ? { ...trafficState.basis } : null;
+}
+
+/**
+ * Get the ÅDT the plan is made for
+ * The same value as in the road panel and the PDF title block, so sign layout and plan
+ * validation use the traffic basis the plan records.
+ * @returns {Promise<number|null>} ÅDT at the work zone, or null if unknown
+ */
+export async function getZoneADT() {
+    if (!getSelectedRoad()) {
+        return null;
+    }
+
+    // Wait for the newest load; the road or zone may change again while waiting
+    let loading = null;
+    while (trafficState.loading && trafficState.loading !== loading) {
+        loading = trafficState.loading;
+        await loading;
+    }
+
+    const basis = trafficState.basis || await loadTrafficBasis();
+    return basis ? basis.adt : null;
+}
+
+/**
+ * Reload the traffic basis for another road or work zone
+ */
+function handleChange() {
+    // Not valid for the new road or zone until reloaded
+    trafficState.basis = null;
+    trafficState.loading = getSelectedRoad() ? loadTrafficBasis() : null;
+}
+
+/**
+ * Initialize the traffic basis
+ * Called after initSpeedProfile(), so the speed profile of a new road is loading first.
+ */
+export function initTrafficBasis() {
+    addRoadChangeCallback(handleChange);
+    addZoneChangeCallback(handleChange);
+    console.log('✓ Traffic basis initialized');
+}
+
+export default {
+    initTrafficBasis,
+    loadTrafficBasis,
+    getTrafficBasis,
+    getZoneADT,
+    deriveTrafficClass,
+    formatTrafficBasis
+};
@@ -0,0 +1,327 @@
+/**
+ * Work Area Module
+ * Draws the "arbeidsområde" polygon over the lanes that are actually closed, using the lane
+ * configuration (NVDB feltoversikt) and road width (NVDB Vegbredde) of the selected road.
+ * The area runs between the work zone START and END markers.
+ * @module work-area
+ */
+
+import { getSelectedRoad } from './map-manager.js';
+import { WORK_AREA_CONFIG } from './config.js';
+import {
+    getRoadFrame,
+    getRoadOffsetPosition,
+    getRoadLineLength,
+    getZoneMarkerDistance,
+    findSegmentAtDistance
+} from './work-zone.js';
+import { placeSign, getDefaultTravelDirection, setWorkAreaShapeProvider } from './sign-manager.js';
+
+// Sign library ID of the work area polygon
+const WORK_AREA_SIGN_ID = 'markeringsskilt-arbeidsomrade-polygon';
+
+// Closure types offered in the sidebar
+export const CLOSURES = {
+    'right-lane': 'Høyre felt i kjøreretningen',
+    'left-lane': 'Venstre felt i kjøreretningen',
+    'direction': 'Alle felt i kjøreretningen',
+    'carriageway': 'Hele kjørebanen',
+    'shoulder': 'Vegskulder (høyre side)'
+};
+
+// Lane type letters of short auxiliary lanes (turning, acceleration, deceleration) - not part of the cross-section
+const AUXILIARY_LANE_TYPES = ['H', 'V', 'A', 'R'];
+
+// Lanes assumed when NVDB has no lane data: one lane in each direction
+const DEFAULT_LANES = ['1', '2'];
+
+// Work area state
+const workAreaState = {
+    closure: WORK_AREA_CONFIG.defaultClosure
+};
+
+/**
+ * Parse an NVDB lane code (e.g. "1", "3K", "2V1", "1#2")
+ * Odd lane numbers carry traffic in the metering direction, even numbers against it.
+ * Numbers grow from the centre of the road outwards. "1#2" is a single lane shared by both directions.
+ * @param {string} code - Lane code from feltoversikt
+ * @returns {Object|null} { code, number, type, direction } (direction 1, -1 or 0 for shared), or null
+ */
+export function parseLaneCode(code) {
+    const match = /^(\d+)(#\d+)?([A-Z]*)/.exec(String(code).trim().toUpperCase());
+    if (!match) {
+        return null;
+    }
+
+    const number = parseInt(match[1], 10);
+    return {
+        code: code,
+        number: number,
+        type: match[3] || '',
+        direction: match[2] ? 0 : (number % 2 === 1 ? 1 : -1)
+    };
+}
+
+/**
+ * Get the lane codes of the selected road at a distance along the road line
+ * @param {Object} road - Selected road
+ * @param {number} distance - Distance in meters from the start of the line
+ * @returns {Array<string>} Lane codes (the default two-lane road if NVDB has none)
+ */
+export function getLanesAtDistance(road, distance) {
+    const hasLanes = part => Array.isArray(part?.feltoversikt) && part.feltoversikt.length > 0;
+    const segment = findSegmentAtDistance(road, distance);
+    if (hasLanes(segment)) {
+        return segment.feltoversikt;
+    }
+
+    // Single sequence: veglenker are not mapped onto the line, use the first with lane data
+    const veglenke = (road?.veglenker || []).find(hasLanes);
+    return veglenke ? veglenke.feltoversikt : DEFAULT_LANES;
+}
+
+/**
+ * Build the cross-section of the carriageway
+ * Offsets are meters to the right of the road line (negative = left), like getRoadFrame().
+ * On a road with both directions the line is the centre line; on one carriageway of a divided
+ * road (lanes in one direction only) the line runs down the middle of the carriageway.
+ * @param {Array<string>} laneCodes - Lane codes from feltoversikt
+ * @param {Object|null} width - Road width from getRoadWidth ({ carriageway, paved })
+ * @returns {Object} { lanes: [{ code, direction, from, to }], left, right, shoulder }
+ */
+export function buildCrossSection(laneCodes, width = null) {
+    let lanes = laneCodes
+        .map(parseLaneCode)
+        .filter(lane => lane && !AUXILIARY_LANE_TYPES.includes(lane.type));
+
+    if (lanes.length === 0) {
+        lanes = DEFAULT_LANES.map(parseLaneCode);
+    }
+
+    const carriageway = width?.carriageway || lanes.length * WORK_AREA_CONFIG.laneWidth;
+    const laneWidth = carriageway / lanes.length;
+    const shoulder = width?.carriageway && width?.paved
+        ? Math.max((width.paved - width.carriageway) / 2, 0)
+        : WORK_AREA_CONFIG.shoulderWidth;
+
+    const byNumber = (a, b) => a.number - b.number;
+    const withLanes = lanes.filter(lane => lane.direction === 1).sort(byNumber);
+    const againstLanes = lanes.filter(lane => lane.direction === -1).sort(byNumber);
+    const sharedLanes = lanes.filter(lane => lane.direction === 0);
+    const section = [];
+
+    if (sharedLanes.length > 0 || withLanes.length === 0 || againstLanes.length === 0) {
+        // Shared lane or one carriageway of a divided road: lanes side by side across the line,
+        // lane 1 (or 2) next to the middle of the road, i.e. on the left in its travel direction
+        const ordered = sharedLanes.length > 0 ? sharedLanes : (withLanes.length > 0 ? withLanes : againstLanes);
+        const direction = ordered[0].direction || 1;
+        const laneShare = carriageway / ordered.length;
+
+        ordered.forEach((lane, index) => {
+            const edges = [-carriageway / 2 + index * laneShare, -carriageway / 2 + (index + 1) * laneShare]
+                .map(offset => offset * direction);
+            section.push({ code: lane.code, direction: lane.direction, from: Math.min(...edges), to: Math.max(...edges) });
+        });
+    } else {
+        // Both directions: lanes with the metering direction to the right of the centre line
+        withLanes.forEach((lane, index) => {
+            section.push({ code: lane.code, direction: 1, from: index * laneWidth, to: (index + 1) * laneWidth });
+        });
+        againstLanes.forEach((lane, index) => {
+            section.push({ code: lane.code, direction: -1, from: -(index + 1) * laneWidth, to: -index * laneWidth });
+        });
+    }
+
+    return {
+        lanes: section,
+        left: Math.min(...section.map(lane => lane.from)),
+        right: Math.max(...section.map(lane => lane.to)),
+        shoulder: shoulder
+    };
+}
+
+/**
+ * Get the lateral extent of a closure
+ * @param {Object} section - Cross-section from buildCrossSection()
+ * @param {string} closure - Closure type (key of CLOSURES)
+ * @param {number} direction - Travel direction of the closed traffic (1 = with metrering, -1 = against)
+ * @returns {Object} { from, to } offsets in meters to the right of the road line
+ */
+export function getClosureOffsets(section, closure, direction) {
+    if (closure === 'carriageway') {
+        return { from: section.left, to: section.right };
+    }
+
+    if (closure === 'shoulder') {
+        return direction === 1
+            ? { from: section.right, to: section.right + section.shoulder }
+            : { from: section.left - section.shoulder, to: section.left };
+    }
+
+    // Lanes of the travel direction, ordered from left to right as seen by the driver.
+    // If the road only carries the other direction (divided road), all its lanes are used.
+    let travelLanes = section.lanes.filter(lane => lane.direction === direction || lane.direction === 0);
+    if (travelLanes.length === 0) {
+        travelLanes = section.lanes;
+    }
+    travelLanes = [...travelLanes].sort((a, b) => (a.from + a.to) * direction - (b.from + b.to) * direction);
+
+    const lanes = closure === 'right-lane' ? [travelLanes[travelLanes.length - 1]]
+        : closure === 'left-lane' ? [travelLanes[0]]
+            : travelLanes;
+
+    return {
+        from: Math.min(...lanes.map(lane => lane.from)),
+        to: Math.max(...lanes.map(lane => lane.to))
+    };
+}
+
+/**
+ * Build the work area polygon between two distances along the selected road
+ * Points are sampled along the road so the polygon follows curves.
+ * @param {number} fromDistance - Start distance in meters along the road line
+ * @param {number} toDistance - End distance in meters along the road line
+ * @param {string} closure - Closure type (key of CLOSURES)
+ * @param {number} direction - Travel direction of the closed traffic (1 = with metrering, -1 = against)
+ * @returns {Array<Array<number>>|null} Vertices ([[lat, lng], ...]) or null if no road is selected
+ */
+export function buildWorkAreaVertices(fromDistance, toDistance, closure, direction) {
+    const road = getSelectedRoad();
+    const length = getRoadLineLength();
+    if (!road || length === null) {
+        return null;
+    }
+
+    const start = Math.max(Math.min(fromDistance, toDistance), 0);
+    const end = Math.min(Math.max(fromDistance, toDistance), length);
+    if (end - start < 1) {
+        return null;
+    }
+
+    const section = buildCrossSection(getLanesAtDistance(road, (start + end) / 2), road.roadWidth);
+    const offsets = getClosureOffsets(section, closure, direction);
+
+    const steps = Math.max(Math.ceil((end - start) / WORK_AREA_CONFIG.sampleSpacing), 1);
+    const distances = Array.from({ length: steps + 1 }, (_, i) => start + (end - start) * i / steps);
+
+    const edge = offset => distances
+        .map(distance => getRoadOffsetPosition(distance, offset))
+        .filter(Boolean)
+        .map(latlng => [latlng.lat, latlng.lng]);
+
+    const vertices = [...edge(offsets.from), ...edge(offsets.to).reverse()];
+    return vertices.length >= 3 ? vertices : null;
+}
+
+/**
+ * Get the road interval a work area should cover
+ * The work zone (START to END) when it is set, otherwise WORK_AREA_CONFIG.defaultLength around a point.
+ * @param {L.LatLng|null} latlng - Point on the road (used without a work zone)
+ * @returns {Object|null} { from, to } distances along the road line, or null
+ */
+function getWorkAreaInterval(latlng) {
+    const startDistance = getZoneMarkerDistance('start');
+    const endDistance = getZoneMarkerDistance('end');
+    if (startDistance !== null && endDistance !== null) {
+        return { from: startDistance, to: endDistance };
+    }
+
+    const frame = latlng ? getRoadFrame(latlng) : null;
+    if (!frame) {
+        return null;
+    }
+
+    const half = WORK_AREA_CONFIG.defaultLength / 2;
+    return { from: frame.distance - half, to: frame.distance + half };
+}
+
+/**
+ * Get the shape of a work area dropped on the map (shape provider for sign-manager)
+ * @param {L.LatLng} latlng - Drop position
+ * @returns {Array<Array<number>>|null} Vertices, or null without a selected road (default rectangle)
+ */
+export function getWorkAreaVertices(latlng) {
+    const interval = getWorkAreaInterval(latlng);
+    if (!interval) {
+        return null;
+    }
+
+    return buildWorkAreaVertices(interval.from, interval.to, workAreaState.closure, getDefaultTravelDirection());
+}
+
+/**
+ * Set the closure type used for new work areas
+ * @param {string} closure - Closure type (key of CLOSURES)
+ */
+export function setClosure(closure) {
+    if (CLOSURES[closure]) {
+        workAreaState.closure = closure;
+    }
+}
+
+/**
+ * Draw a work area over the closed lanes between the work zone START and END
+ * @returns {Object|null} Placed polygon, or null if road or work zone is missing
+ */
+export function createWorkArea() {
+    if (!getSelectedRoad()) {
+        alert('Velg en vei først');
+        return null;
+    }
+
+    const startDistance = getZoneMarkerDistance('start');
+    const endDistance = getZoneMarkerDistance('end');
+    if (startDistance === null || endDistance === null) {
+        alert('Sett START og SLUTT for arbeidssonen først');
+        return null;
+    }
+
+    const vertices = buildWorkAreaVertices(startDistance, endDistance, workAreaState.closure, getDefaultTravelDirection());
+    if (!vertices) {
+        alert('Arbeidssonen er for kort til å tegne et arbeidsområde');
+        return null;
+    }
+
+    const center = getRoadOffsetPosition((startDistance + endDistance) / 2, 0);
+    const placed = placeSign(WORK_AREA_SIGN_ID, center, 0, vertices);
+
+    if (placed) {
+        console.log(`Work area drawn: ${CLOSURES[workAreaState.closure]}, ${Math.round(Math.abs(endDistance - startDistance))}m`);
+    }
+    return placed;
+}
+
+/**
+ * Initialize the work area controls
+ */
+export function initWorkArea() {
+    setWorkAreaShapeProvider(getWorkAreaVertices);
+
+    const closureSelect = document.getElementById('workAreaClosure');
+    if (closureSelect) {
+        setClosure(closureSelect.value);
+        closureSelect.addEventListener('change', (e) => {
+            setClosure(e.target.value);
+        });
+    }
+
+    const createBtn = document.getElementById('createWorkAreaBtn');
+    if (createBtn) {
+        createBtn.addEventListener('click', createWorkArea);
+    }
+
+    console.log('✓ Work area initialized');
+}
+
+export default {
+    initWorkArea,
+    createWorkArea,
+    setClosure,
+    getWorkAreaVertices,
+    buildWorkAreaVertices,
+    buildCrossSection,
+    getClosureOffsets,
+    getLanesAtDistance,
+    parseLaneCode,
+    CLOSURES
+};
@@ -5,6 +5,8 @@
  */
 
 import { getMap, getSelectedRoad, mapState as mapManagerState } from './map-manager.js';
+import { formatChainage, getRoadReferenceAtPoint } from './nvdb-api.js';
+import { recordCommand } from './history.js';
 
 // Work zone state
 export const workZoneState = {
@@ -19,6 +21,9 @@ export const workZoneState = {
 // Reference to distance marker update function (will be set by app.js)
 let updateDistanceMarkersCallback = null;
 
+// Work zone change handlers (added by sign-constraints.js and traffic-basis.js)
+const zoneChangeCallbacks = [];
+
 /**
  * Set callback for updating distance markers
  * @param {Function} callback - Function to call when markers change
@@ -27,6 +32,25 @@ export function setDistanceMarkersCallback(callback) {
     updateDistanceMarkersCallback = callback;
 }
 
+/**
+ * Add a callback for work zone changes
+ * @param {Function} callback - Function to call when the START or SLUTT marker is placed, moved or removed
+ */
+export function addZoneChangeCallback(callback) {
+    zoneChangeCallbacks.push(callback);
+}
+
+/**
+ * Update everything that depends on the work zone markers
+ */
+function notifyZoneChange() {
+    if (updateDistanceMarkersCallback) {
+        updateDistanceMarkersCallback();
+    }
+
+    zoneChangeCallbacks.forEach(callback => callback());
+}
+
 /**
  * Get or build cached turf line for the selected road
  * @returns {Object|null} Turf line string or null if no road
@@ -39,7 +63,8 @@ function getCachedTurfLine() {
     }
 
     // Check if cache is valid for current road
-    if (workZoneState.cachedTurfLine && workZoneState.cachedRoadId === road.veglenkesekvensid) {
+    const roadKey = getRoadCacheKey(road);
+    if (workZoneState.cachedTurfLine && workZoneState.cachedRoadId === roadKey) {
         return workZoneState.cachedTurfLine;
     }
 
@@ -71,8 +96,8 @@ function getCachedTurfLine() {
 
         // Cache the line
         workZoneState.cachedTurfLine = line;
-        workZoneState.cachedRoadId = road.veglenkesekvensid;
-        console.log(`Cached turf line for road ${road.veglenkesekvensid}`);
+        workZoneState.cachedRoadId = roadKey;
+        console.log(`Cached turf line for road ${roadKey}`);
 
         return line;
     } catch (error) {
@@ -81,6 +106,19 @@ function getCachedTurfLine() {
     }
 }
 
+/**
+ * Get cache key for the selected road geometry
+ * A multi-sequence selection is identified by all of its merged sequences
+ * @param {Object} road - Selected road
+ * @returns {string} Cache key
+ */
+function getRoadCacheKey(road) {
+    if (road.veglenkesekvensIds && road.veglenkesekvensIds.length > 0) {
+        return road.veglenkesekvensIds.join(',');
+    }
+    return String(road.veglenkesekvensid);
+}
+
 /**
  * Clear the cached turf line (call when road changes)
  */
@@ -120,6 +158,397 @@ export function calculateDistanceAlongSequence(latlng) {
     }
 }
 
+/**
+ * Get length of the selected road line
+ * @returns {number|null} Length in meters, or null if no road selected
+ */
+export function getRoadLineLength() {
+    const line = getCachedTurfLine();
+    return line ? turf.length(line, { units: 'meters' }) : null;
+}
+
+/**
+ * Get position and bearing at a distance along the selected road line
+ * @param {number} distance - Distance in meters from the start of the line
+ * @returns {Object|null} { latlng, bearing } with bearing in degrees (0-360) in line direction,
+ *                        or null if the distance is outside the line
+ */
+export function getRoadPositionAtDistance(distance) {
+    const line = getCachedTurfLine();
+    if (!line) {
+        return null;
+    }
+
+    const length = turf.length(line, { units: 'meters' });
+    if (distance < 0 || distance > length) {
+        return null;
+    }
+
+    // Bearing from a short chord around the point, kept inside the line
+    const from = turf.along(line, Math.max(distance - 2, 0), { units: 'meters' });
+    const to = turf.along(line, Math.min(distance + 2, length), { units: 'meters' });
+    const point = turf.along(line, distance, { units: 'meters' });
+    const bearing = (turf.bearing(from, to) + 360) % 360;
+
+    return {
+        latlng: L.latLng(point.geometry.coordinates[1], point.geometry.coordinates[0]),
+        bearing: bearing
+    };
+}
+
+/**
+ * Locate a point relative to the selected road line
+ * @param {L.LatLng} latlng - Point near the road
+ * @returns {Object|null} { distance, offset } - distance along the line in meters and signed
+ *                        lateral offset in meters (positive = right of line direction),
+ *                        or null if no road is selected
+ */
+export function getRoadFrame(latlng) {
+    const line = getCachedTurfLine();
+    if (!line) {
+        return null;
+    }
+
+    try {
+        const point = turf.point([latlng.lng, latlng.lat]);
+        const snapped = turf.nearestPointOnLine(line, point, { units: 'meters' });
+        const distance = snapped.properties.location;
+        const lateral = snapped.properties.dist;
+
+        if (lateral < 0.01) {
+            return { distance, offset: 0 };
+        }
+
+        // Side of the line: compare road bearing with bearing from the road to the point
+        const roadPosition = getRoadPositionAtDistance(Math.min(distance, getRoadLineLength()));
+        const toPoint = turf.bearing(snapped, point);
+        const difference = ((toPoint - roadPosition.bearing) % 360 + 540) % 360 - 180;
+
+        return { distance, offset: difference >= 0 ? lateral : -lateral };
+    } catch (error) {
+        console.error('Error locating point on road:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the position at a distance along the selected road, moved sideways
+ * @param {number} distance - Distance in meters from the start of the line (clamped to the line)
+ * @param {number} offset - Lateral offset in meters (positive = right of line direction)
+ * @returns {L.LatLng|null} Position, or null if no road is selected
+ */
+export function getRoadOffsetPosition(distance, offset = 0) {
+    const length = getRoadLineLength();
+    if (length === null) {
+        return null;
+    }
+
+    const roadPosition = getRoadPositionAtDistance(Math.min(Math.max(distance, 0), length));
+    if (!roadPosition || !offset) {
+        return roadPosition ? roadPosition.latlng : null;
+    }
+
+    const origin = turf.point([roadPosition.latlng.lng, roadPosition.latlng.lat]);
+    const side = offset > 0 ? 90 : -90;
+    const moved = turf.destination(origin, Math.abs(offset), roadPosition.bearing + side, { units: 'meters' });
+
+    return L.latLng(moved.geometry.coordinates[1], moved.geometry.coordinates[0]);
+}
+
+/**
+ * Get the bearing of the selected road at the point nearest to a position
+ * @param {L.LatLng} latlng - Point on or near the road
+ * @returns {number|null} Bearing in degrees (0-360) in line direction, or null if no road is selected
+ */
+export function getRoadBearingAt(latlng) {
+    const frame = getRoadFrame(latlng);
+    if (!frame) {
+        return null;
+    }
+
+    const roadPosition = getRoadPositionAtDistance(Math.min(frame.distance, getRoadLineLength()));
+    return roadPosition ? roadPosition.bearing : null;
+}
+
+/**
+ * Get the part of the selected road line between two distances
+ * @param {number} fromDistance - Distance in meters from the start of the line
+ * @param {number} toDistance - Distance in meters from the start of the line (may be below fromDistance)
+ * @returns {Array<L.LatLng>|null} Points along the road from fromDistance to toDistance,
+ *                                 or null if no road is selected
+ */
+export function getRoadLineBetween(fromDistance, toDistance) {
+    const line = getCachedTurfLine();
+    if (!line) {
+        return null;
+    }
+
+    const length = turf.length(line, { units: 'meters' });
+    const start = Math.min(Math.max(Math.min(fromDistance, toDistance), 0), length);
+    const end = Math.min(Math.max(Math.max(fromDistance, toDistance), 0), length);
+
+    const slice = turf.lineSliceAlong(line, start, end, { units: 'meters' });
+    const points = slice.geometry.coordinates.map(([lng, lat]) => L.latLng(lat, lng));
+
+    return fromDistance <= toDistance ? points : points.reverse();
+}
+
+/**
+ * Get the distance along the selected road of a work zone marker
+ * @param {string} type - 'start' or 'end'
+ * @returns {number|null} Distance in meters from the start of the line, or null if the
+ *                        marker is not set or no road is selected
+ */
+export function getZoneMarkerDistance(type) {
+    const marker = type === 'start' ? workZoneState.startMarker : workZoneState.endMarker;
+    if (!marker) {
+        return null;
+    }
+
+    const frame = getRoadFrame(marker.getLatLng());
+    return frame ? frame.distance : null;
+}
+
+/**
+ * Convert a distance along the selected road line to a road-reference meter value
+ * Only available for multi-sequence selections, where each segment knows its meter interval
+ * @param {Object} road - Selected road
+ * @param {number} distance - Distance in meters from the start of the line
+ * @returns {number|null} Meter value on the delstrekning, or null if unknown
+ */
+export function getRoadMeterAtDistance(road, distance) {
+    if (distance === null || distance === undefined) {
+        return null;
+    }
+
+    const segment = findSegmentAtDistance(road, distance);
+
+    if (!segment || segment.fraMeter === undefined || segment.tilMeter === undefined) {
+        return null;
+    }
+
+    const lineLength = segment.lineEnd - segment.lineStart;
+    const ratio = lineLength !== 0 ? Math.min(Math.max((distance - segment.lineStart) / lineLength, 0), 1) : 0;
+
+    return Math.round(segment.fraMeter + ratio * (segment.tilMeter - segment.fraMeter));
+}
+
+/**
+ * Find the segment of a multi-sequence road at a distance along the road line
+ * A segment may run against the line (lineStart larger than lineEnd).
+ * @param {Object} road - Selected road
+ * @param {number} distance - Distance in meters from the start of the line
+ * @returns {Object|null} Segment, or null if none covers the distance
+ */
+export function findSegmentAtDistance(road, distance) {
+    if (!road || !Array.isArray(road.segments)) {
+        return null;
+    }
+
+    return road.segments.find(s => s.lineStart !== undefined &&
+        distance >= Math.min(s.lineStart, s.lineEnd) - 0.5 &&
+        distance <= Math.max(s.lineStart, s.lineEnd) + 0.5) || null;
+}
+
+/**
+ * Convert a road-reference meter value to a distance along the selected road line
+ * @param {Object} road - Selected road
+ * @param {number} meter - Meter value on the delstrekning
+ * @returns {number|null} Distance in meters from the start of the line, or null if outside the selection
+ */
+export function getDistanceAtRoadMeter(road, meter) {
+    if (!road || !Array.isArray(road.segments)) {
+        return null;
+    }
+
+    const segment = road.segments.find(s =>
+        s.lineStart !== undefined && meter >= s.fraMeter && meter <= s.tilMeter);
+
+    if (!segment) {
+        return null;
+    }
+
+    const meterLength = segment.tilMeter - segment.fraMeter;
+    const ratio = meterLength > 0 ? (meter - segment.fraMeter) / meterLength : 0;
+
+    return segment.lineStart + ratio * (segment.lineEnd - segment.lineStart);
+}
+
+/**
+ * Describe how the selected road line runs along its road link sequences
+ * Multi-sequence selections carry the interval of each sequence on the line; a single sequence
+ * covers the whole line from its first to its last veglenke. Sequences that run against the
+ * metering direction (retning MOT) are reversed on the line.
+ * @param {Object} road - Selected road
+ * @param {number} lineLength - Length of the road line in meters
+ * @returns {Array<Object>} { veglenkesekvensid, startposisjon, sluttposisjon, lineStart, lineEnd, reversed }
+ */
+function getLineSections(road, lineLength) {
+    const segments = Array.isArray(road.segments)
+        ? road.segments.filter(s => s.lineStart !== undefined &&
+            s.startposisjon !== undefined && s.sluttposisjon !== undefined)
+        : [];
+
+    if (segments.length > 0) {
+        return segments.map(s => ({
+            veglenkesekvensid: s.veglenkesekvensid,
+            startposisjon: s.startposisjon,
+            sluttposisjon: s.sluttposisjon,
+            lineStart: s.lineStart,
+            lineEnd: s.lineEnd,
+            reversed: s.retning === 'MOT'
+        }));
+    }
+
+    const veglenker = (road.veglenker || []).filter(v => v.startposisjon !== undefined && v.sluttposisjon !== undefined);
+
+    return [{
+        veglenkesekvensid: road.veglenkesekvensid,
+        startposisjon: veglenker.length > 0 ? Math.min(...veglenker.map(v => v.startposisjon)) : 0,
+        sluttposisjon: veglenker.length > 0 ? Math.max(...veglenker.map(v => v.sluttposisjon)) : 1,
+        lineStart: 0,
+        lineEnd: lineLength,
+        reversed: false
+    }];
+}
+
+/**
+ * Place intervals on road link sequences (NVDB stedfesting) along the selected road line
+ * An interval crossing several parts of the line gives one entry per part; intervals on
+ * sequences outside the selection are left out.
+ * @param {Array<Object>} items - Objects with veglenkesekvensid, startposisjon and sluttposisjon (relative 0-1)
+ * @returns {Array<Object>} Copies of the items with from/to in meters along the line, sorted by from
+ */
+export function getLineIntervals(items) {
+    const road = getSelectedRoad();
+    const length = getRoadLineLength();
+    if (!road || !length) {
+        return [];
+    }
+
+    const sections = getLineSections(road, length);
+    const intervals = [];
+
+    items.forEach(item => {
+        sections.forEach(section => {
+            if (String(section.veglenkesekvensid) !== String(item.veglenkesekvensid)) return;
+
+            const from = Math.max(item.startposisjon, section.startposisjon);
+            const to = Math.min(item.sluttposisjon, section.sluttposisjon);
+            const span = section.sluttposisjon - section.startposisjon;
+            if (to <= from || span <= 0) return;
+
+            // Relative sequence position → distance along the line
+            const toLine = position => {
+                const ratio = (position - section.startposisjon) / span;
+                const along = section.reversed ? 1 - ratio : ratio;
+                return section.lineStart + along * (section.lineEnd - section.lineStart);
+            };
+
+            const a = toLine(from);
+            const b = toLine(to);
+            intervals.push({ ...item, from: Math.min(a, b), to: Math.max(a, b) });
+        });
+    });
+
+    return intervals.sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Calculate road-reference meter (vegsystemreferanse m-value) for a point
+ * @param {L.LatLng} latlng - Point to calculate meter for
+ * @returns {number|null} Meter value, or null if the point is not near the selected road
+ */
+export function calculateRoadMeter(latlng) {
+    const road = getSelectedRoad();
+    const line = getCachedTurfLine();
+
+    if (!road || !line) {
+        return null;
+    }
+
+    try {
+        const snapped = turf.nearestPointOnLine(line, turf.point([latlng.lng, latlng.lat]), { units: 'meters' });
+
+        // Points far from the road have no meaningful road reference
+        if (!snapped || snapped.properties.dist > 50) {
+            return null;
+        }
+
+        return getRoadMeterAtDistance(road, snapped.properties.location);
+    } catch (error) {
+        console.error('Error calculating road meter:', error);
+        return null;
+    }
+}
+
+/**
+ * Get road reference with meter for a point from the loaded road data (no API call)
+ * @param {L.LatLng} latlng - Point on or near the selected road
+ * @returns {string|null} Reference (e.g., "EV39 S5D1 m1234") or null
+ */
+export function getLocalRoadReference(latlng) {
+    const road = getSelectedRoad();
+    const meter = calculateRoadMeter(latlng);
+
+    if (!road || meter === null) {
+        return null;
+    }
+
+    return formatChainage(road.vegsystemreferanse, meter);
+}
+
+/**
+ * Resolve the official road reference for a point through the NVDB posisjon API
+ * @param {L.LatLng} latlng - Point on or near the selected road
+ * @returns {Promise<string|null>} Reference (e.g., "EV39 S5D1 m1234") or null
+ */
+export async function resolveRoadReference(latlng) {
+    const road = getSelectedRoad();
+    const result = await getRoadReferenceAtPoint(latlng.lat, latlng.lng, road ? road.vegsystemreferanse : null);
+
+    return result ? result.kortform : null;
+}
+
+/**
+ * Update a work zone marker's road reference, first locally and then from NVDB
+ * @param {L.Marker} marker - Start or end marker
+ * @param {string} type - 'START' or 'SLUTT'
+ */
+function updateMarkerRoadReference(marker, type) {
+    const position = marker.getLatLng();
+    marker.roadReference = getLocalRoadReference(position);
+    updateMarkerTooltip(marker, type);
+
+    resolveRoadReference(position).then(reference => {
+        // Ignore stale results if the marker was moved or removed meanwhile
+        if (!reference || !marker.getLatLng().equals(position)) {
+            return;
+        }
+        marker.roadReference = reference;
+        updateMarkerTooltip(marker, type);
+        updateZoneStatus();
+    }).catch(error => {
+        // Keep the local reference already shown
+        console.warn('Could not resolve road reference for work zone marker:', error);
+    });
+}
+
+/**
+ * Format a work zone marker position for display
+ * @param {L.Marker} marker - Start or end marker
+ * @returns {string|null} Road reference, or sequence-relative meters as fallback
+ */
+function formatMarkerPosition(marker) {
+    if (marker.roadReference) {
+        return marker.roadReference;
+    }
+    if (marker.distanceAlongSeq !== null && marker.distanceAlongSeq !== undefined) {
+        return `${marker.distanceAlongSeq}m`;
+    }
+    return null;
+}
+
 /**
  * Snap a point to the selected road
  * @param {L.LatLng} latlng - Point to snap
@@ -175,6 +604,60 @@ function createMarkerIcon(color) {
     });
 }
 
+/**
+ * Get a copy of a work zone marker's position
+ * @param {L.Marker|null} marker - Start or end marker
+ * @returns {L.LatLng|null} Position, or null if the marker is not set
+ */
+function getMarkerLatLng(marker) {
+    return marker ? marker.getLatLng().clone() : null;
+}
+
+/**
+ * Place or remove a work zone marker (used by undo/redo)
+ * @param {string} type - 'start' or 'end'
+ * @param {L.LatLng|null} latlng - Position, or null to remove the marker
+ */
+function setWorkZoneMarker(type, latlng) {
+    if (latlng) {
+        if (type === 'start') {
+            placeStartMarker(latlng);
+        } else {
+            placeEndMarker(latlng);
+        }
+        return;
+    }
+
+    const key = type === 'start' ? 'startMarker' : 'endMarker';
+    if (workZoneState[key]) {
+        getMap().removeLayer(workZoneState[key]);
+        workZoneState[key] = null;
+    }
+
+    notifyZoneChange();
+
+    updateZoneStatus();
+}
+
+/**
+ * Record a start/end marker change in the undo history
+ * @param {string} type - 'start' or 'end'
+ * @param {string} label - History label
+ * @param {L.LatLng|null} before - Position before the change (null if not set)
+ * @param {L.LatLng|null} after - Position after the change (null if removed)
+ */
+function recordMarkerChange(type, label, before, after) {
+    if (before && after && before.equals(after)) {
+        return;
+    }
+
+    recordCommand({
+        label: label,
+        undo: () => setWorkZoneMarker(type, before),
+        redo: () => setWorkZoneMarker(type, after)
+    });
+}
+
 /**
  * Place start marker
  * @param {L.LatLng} latlng - Position for marker
@@ -188,6 +671,7 @@ export function placeStartMarker(latlng) {
     const road = getSelectedRoad();
 
     // Remove existing start marker
+    const previousLatLng = getMarkerLatLng(workZoneState.startMarker);
     if (workZoneState.startMarker) {
         getMap().removeLayer(workZoneState.startMarker);
     }
@@ -203,37 +687,39 @@ export function placeStartMarker(latlng) {
     marker.distanceAlongSeq = distanceAlongSeq;
     marker.sequenceId = road ? road.veglenkesekvensid : null;
 
+    // Track old position for undo on drag start
+    let dragStartLatLng = null;
+    marker.on('dragstart', () => {
+        dragStartLatLng = getMarkerLatLng(marker);
+    });
+
     // Add drag end listener
     marker.on('dragend', () => {
         const newPos = marker.getLatLng();
         const snappedPos = snapToRoad(newPos);
         marker.setLatLng(snappedPos);
 
-        // Recalculate distance
+        // Recalculate distance and road reference
         marker.distanceAlongSeq = calculateDistanceAlongSequence(snappedPos);
+        updateMarkerRoadReference(marker, 'START');
+        recordMarkerChange('start', 'Flytt START', dragStartLatLng, getMarkerLatLng(marker));
 
-        // Update tooltip
-        updateMarkerTooltip(marker, 'START');
-
-        // Update distance markers
-        if (updateDistanceMarkersCallback) {
-            updateDistanceMarkersCallback();
-        }
+        // Update distance markers and signs tied to the zone
+        notifyZoneChange();
 
         updateZoneStatus();
     });
 
-    // Bind tooltip with distance info
-    updateMarkerTooltip(marker, 'START');
+    // Bind tooltip with road reference
+    updateMarkerRoadReference(marker, 'START');
 
     // Add to map
     marker.addTo(getMap());
     workZoneState.startMarker = marker;
+    recordMarkerChange('start', 'Sett START', previousLatLng, getMarkerLatLng(marker));
 
-    // Update distance markers
-    if (updateDistanceMarkersCallback) {
-        updateDistanceMarkersCallback();
-    }
+    // Update distance markers and signs tied to the zone
+    notifyZoneChange();
 
     updateZoneStatus();
     console.log('Start marker placed');
@@ -252,8 +738,11 @@ function updateMarkerTooltip(marker, type) {
 
     let tooltipText = type === 'START' ? 'START arbeidssone' : 'SLUTT arbeidssone';
 
-    if (distanceAlongSeq !== null && distanceAlongSeq !== undefined) {
-        tooltipText += `<br><strong>${distanceAlongSeq}m</strong> inn i sekvensen`;
+    if (marker.roadReference) {
+        tooltipText += `<br><strong>${marker.roadReference}</strong>`;
+    } else if (distanceAlongSeq !== null && distanceAlongSeq !== undefined) {
+        const isMerged = road && road.veglenkesekvensIds && road.veglenkesekvensIds.length > 1;
+        tooltipText += `<br><strong>${distanceAlongSeq}m</strong> ${isMerged ? 'langs valgt veg' : 'inn i sekvensen'}`;
         if (totalLength) {
             tooltipText += ` (av ${Math.round(totalLength)}m)`;
         }
@@ -283,6 +772,7 @@ export function placeEndMarker(latlng) {
     const road = getSelectedRoad();
 
     // Remove existing end marker
+    const previousLatLng = getMarkerLatLng(workZoneState.endMarker);
     if (workZoneState.endMarker) {
         getMap().removeLayer(workZoneState.endMarker);
     }
@@ -298,37 +788,39 @@ export function placeEndMarker(latlng) {
     marker.distanceAlongSeq = distanceAlongSeq;
     marker.sequenceId = road ? road.veglenkesekvensid : null;
 
+    // Track old position for undo on drag start
+    let dragStartLatLng = null;
+    marker.on('dragstart', () => {
+        dragStartLatLng = getMarkerLatLng(marker);
+    });
+
     // Add drag end listener
     marker.on('dragend', () => {
         const newPos = marker.getLatLng();
         const snappedPos = snapToRoad(newPos);
         marker.setLatLng(snappedPos);
 
-        // Recalculate distance
+        // Recalculate distance and road reference
         marker.distanceAlongSeq = calculateDistanceAlongSequence(snappedPos);
+        updateMarkerRoadReference(marker, 'SLUTT');
+        recordMarkerChange('end', 'Flytt SLUTT', dragStartLatLng, getMarkerLatLng(marker));
 
-        // Update tooltip
-        updateMarkerTooltip(marker, 'SLUTT');
-
-        // Update distance markers
-        if (updateDistanceMarkersCallback) {
-            updateDistanceMarkersCallback();
-        }
+        // Update distance markers and signs tied to the zone
+        notifyZoneChange();
 
         updateZoneStatus();
     });
 
-    // Bind tooltip with distance info
-    updateMarkerTooltip(marker, 'SLUTT');
+    // Bind tooltip with road reference
+    updateMarkerRoadReference(marker, 'SLUTT');
 
     // Add to map
     marker.addTo(getMap());
     workZoneState.endMarker = marker;
+    recordMarkerChange('end', 'Sett SLUTT', previousLatLng, getMarkerLatLng(marker));
 
-    // Update distance markers
-    if (updateDistanceMarkersCallback) {
-        updateDistanceMarkersCallback();
-    }
+    // Update distance markers and signs tied to the zone
+    notifyZoneChange();
 
     updateZoneStatus();
     console.log('End marker placed');
@@ -433,6 +925,9 @@ function deactivateMode() {
  * Clear work zone markers
  */
 export function clearWorkZone() {
+    const start = getMarkerLatLng(workZoneState.startMarker);
+    const end = getMarkerLatLng(workZoneState.endMarker);
+
     if (workZoneState.startMarker) {
         getMap().removeLayer(workZoneState.startMarker);
         workZoneState.startMarker = null;
@@ -443,12 +938,22 @@ export function clearWorkZone() {
         workZoneState.endMarker = null;
     }
 
-    // Clear distance markers
-    if (updateDistanceMarkersCallback) {
-        updateDistanceMarkersCallback();
-    }
+    // Clear distance markers and update signs tied to the zone
+    notifyZoneChange();
 
     updateZoneStatus();
+
+    if (start || end) {
+        recordCommand({
+            label: 'Fjern arbeidssone',
+            undo: () => {
+                setWorkZoneMarker('start', start);
+                setWorkZoneMarker('end', end);
+            },
+            redo: clearWorkZone
+        });
+    }
+
     console.log('Work zone cleared');
 }
 
@@ -480,7 +985,9 @@ export function getWorkZone() {
 
     return {
         start: workZoneState.startMarker.getLatLng(),
-        end: workZoneState.endMarker.getLatLng()
+        end: workZoneState.endMarker.getLatLng(),
+        startReference: workZoneState.startMarker.roadReference || null,
+        endReference: workZoneState.endMarker.roadReference || null
     };
 }
 
@@ -492,32 +999,32 @@ export function updateZoneStatus() {
     if (!zoneStatus) return;
 
     if (workZoneState.startMarker && workZoneState.endMarker) {
-        const startDist = workZoneState.startMarker.distanceAlongSeq;
-        const endDist = workZoneState.endMarker.distanceAlongSeq;
+        const startPos = formatMarkerPosition(workZoneState.startMarker);
+        const endPos = formatMarkerPosition(workZoneState.endMarker);
 
         let statusText = '✓ Arbeidssone definert';
-        if (startDist !== null && startDist !== undefined) {
-            statusText += `<br>START: ${startDist}m`;
+        if (startPos) {
+            statusText += `<br>START: ${startPos}`;
         }
-        if (endDist !== null && endDist !== undefined) {
-            statusText += `<br>SLUTT: ${endDist}m`;
+        if (endPos) {
+            statusText += `<br>SLUTT: ${endPos}`;
         }
 
         zoneStatus.innerHTML = statusText;
         zoneStatus.style.color = '#28a745';
     } else if (workZoneState.startMarker) {
-        const startDist = workZoneState.startMarker.distanceAlongSeq;
+        const startPos = formatMarkerPosition(workZoneState.startMarker);
         let statusText = '⚠ Kun START satt';
-        if (startDist !== null && startDist !== undefined) {
-            statusText += ` (${startDist}m)`;
+        if (startPos) {
+            statusText += ` (${startPos})`;
         }
         zoneStatus.innerHTML = statusText;
         zoneStatus.style.color = '#ffc107';
     } else if (workZoneState.endMarker) {
-        const endDist = workZoneState.endMarker.distanceAlongSeq;
+        const endPos = formatMarkerPosition(workZoneState.endMarker);
         let statusText = '⚠ Kun SLUTT satt';
-        if (endDist !== null && endDist !== undefined) {
-            statusText += ` (${endDist}m)`;
+        if (endPos) {
+            statusText += ` (${endPos})`;
         }
         zoneStatus.innerHTML = statusText;
         zoneStatus.style.color = '#ffc107';
@@ -569,7 +1076,22 @@ export default {
     snapToRoad,
     getWorkZone,
     setDistanceMarkersCallback,
+    addZoneChangeCallback,
     calculateDistanceAlongSequence,
+    calculateRoadMeter,
+    getRoadMeterAtDistance,
+    findSegmentAtDistance,
+    getDistanceAtRoadMeter,
+    getLineIntervals,
+    getLocalRoadReference,
+    resolveRoadReference,
+    getRoadLineLength,
+    getRoadPositionAtDistance,
+    getRoadFrame,
+    getRoadOffsetPosition,
+    getRoadBearingAt,
+    getRoadLineBetween,
+    getZoneMarkerDistance,
     clearTurfLineCache,
     workZoneState
 };
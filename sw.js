@@ -0,0 +1,205 @@
+/**
+ * AV-Plan Service Worker
+ * Makes the app usable offline: precaches the app, its libraries and all sign SVGs,
+ * and serves map tiles that were downloaded for offline use (see js/offline.js).
+ * NVDB responses are cached by makeRequest in js/nvdb-api.js, and the NVDB data of downloaded
+ * areas by js/nvdb-areas.js, not here.
+ *
+ * Cache names must match OFFLINE_CONFIG in js/config.js (a worker script cannot import it).
+ */
+
+// Bump when the precache list changes, so old app caches are replaced
+const APP_CACHE = 'avplan-app-v9';
+
+// Caches filled from the page; kept across app updates
+const TILE_CACHE = 'avplan-tiles';
+const NVDB_CACHE = 'avplan-nvdb';
+const AREA_CACHE = 'avplan-nvdb-areas';
+
+// App files (relative to this script)
+const APP_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/main.css',
+    'css/components.css',
+    'js/app.js',
+    'js/address-search.js',
+    'js/config.js',
+    'js/distance-markers.js',
+    'js/distance-measurement.js',
+    'js/export.js',
+    'js/history.js',
+    'js/map-manager.js',
+    'js/nvdb-api.js',
+    'js/nvdb-areas.js',
+    'js/offline.js',
+    'js/pdf-export.js',
+    'js/plan-validation.js',
+    'js/project-manager.js',
+    'js/project-store.js',
+    'js/reference-layer.js',
+    'js/revision-diff.js',
+    'js/sign-assembly.js',
+    'js/sign-conflicts.js',
+    'js/sign-constraints.js',
+    'js/sign-layout.js',
+    'js/sign-manager.js',
+    'js/sign-selection.js',
+    'js/sign-templates.js',
+    'js/speed-profile.js',
+    'js/textbox-manager.js',
+    'js/traffic-basis.js',
+    'js/work-area.js',
+    'js/work-zone.js',
+    'data/n301-rules.json',
+    'data/n301-traffic-classes.json',
+    'data/n301-templates.json',
+    'data/sign-conflict-rules.json',
+    'data/sign-catalogue.json',
+    'data/sign-templates.json',
+    'signs/index.json',
+    'assets/markers/marker-icon-red.png',
+    'assets/markers/marker-shadow.png'
+];
+
+// Libraries loaded from CDNs in index.html
+const LIBRARY_FILES = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
+    'https://cdn.jsdelivr.net/npm/leaflet-editable@1.2.0/src/Leaflet.Editable.js',
+    'https://cdn.jsdelivr.net/npm/@turf/turf@6/turf.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js',
+    'https://unpkg.com/proj4@2.9.2/dist/proj4.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/svg2pdf.js@2.2.3/dist/svg2pdf.umd.min.js'
+];
+
+// Online services the page handles itself (NVDB through the CORS proxy, address search)
+const PASS_THROUGH_HOSTS = ['corsproxy.io', 'nvdbapiles.atlas.vegvesen.no', 'ws.geonorge.no'];
+
+/**
+ * Precache all sign SVGs listed in signs/index.json
+ * Each file is added on its own, so a missing sign does not leave the others uncached.
+ * @param {Cache} cache - App cache
+ * @returns {Promise<number>} Number of signs that could not be cached
+ */
+async function precacheSigns(cache) {
+    const response = await fetch('signs/index.json');
+    if (!response.ok) {
+        throw new Error(`Sign index not available: ${response.status}`);
+    }
+
+    const filenames = await response.json();
+    const results = await Promise.allSettled(filenames.map(filename => cache.add(`signs/${filename}`)));
+    const failed = filenames.filter((filename, i) => results[i].status === 'rejected');
+
+    if (failed.length > 0) {
+        console.warn(`[sw] Could not precache ${failed.length} of ${filenames.length} sign SVGs:`, failed);
+    } else {
+        console.log(`[sw] Precached ${filenames.length} sign SVGs`);
+    }
+
+    return failed.length;
+}
+
+/**
+ * Check whether a request belongs to the app (same origin or a CDN library)
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for app files
+ */
+function isAppRequest(url) {
+    return url.origin === self.location.origin || LIBRARY_FILES.includes(url.href);
+}
+
+/**
+ * Fetch an app file and store the fresh copy
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Network response
+ */
+async function fetchAndStore(request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(APP_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Answer a request from the caches, falling back to the network
+ * App files are served from the cache and refreshed in the background (stale-while-revalidate),
+ * so a slow connection at the site does not hold up the app. Tiles come from the tile cache
+ * when the area was downloaded, otherwise from the network.
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function respond(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+    const appRequest = isAppRequest(url);
+
+    const cached = await caches.match(request);
+    if (cached) {
+        if (appRequest) {
+            event.waitUntil(fetchAndStore(request).catch(() => null));
+        }
+        return cached;
+    }
+
+    try {
+        return appRequest ? await fetchAndStore(request) : await fetch(request);
+    } catch (error) {
+        // Offline: opening the app from any path gives the start page
+        if (request.mode === 'navigate') {
+            const page = await caches.match('index.html');
+            if (page) {
+                return page;
+            }
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(APP_CACHE);
+        await cache.addAll(APP_FILES);
+
+        // A missing library or sign should not stop the app from installing
+        await Promise.all(LIBRARY_FILES.map(file =>
+            cache.add(file).catch(error => console.warn(`[sw] Could not precache ${file}:`, error))));
+        await precacheSigns(cache).catch(error => console.warn('[sw] Could not precache signs:', error));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [APP_CACHE, TILE_CACHE, NVDB_CACHE, AREA_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('avplan-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (!url.protocol.startsWith('http') || PASS_THROUGH_HOSTS.includes(url.hostname)) {
+        return;
+    }
+
+    event.respondWith(respond(event));
+});